@@ -41,6 +41,9 @@ module.exports = {
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS || '5', 10), // 5 requests per window
 
+  // Admin Access (users in this group can call admin endpoints)
+  ADMIN_GROUP: process.env.ADMIN_GROUP || 'admin',
+
   // Account Deletion
   ACCOUNT_DELETION_RETENTION_DAYS: parseInt(process.env.ACCOUNT_DELETION_RETENTION_DAYS || '30', 10),
 };
@@ -10,9 +10,19 @@ const CACHE_TTL = {
   stock: 604800, // 7 days (1 week) - backup safety net
   bundle: 'friday', // Friday-only entity - calculate dynamically
   message: 0, // Messages persist indefinitely (no TTL)
+  notification: 0, // Notifications persist until retracted (no TTL)
+  wishlist: 0, // User wishlists persist (no TTL)
+  recent_view: 2592000, // 30 days - recently viewed products per user
   default: 300, // 5 minutes (for query caches and other temporary data)
 };
 
+// Stale TTL in seconds: how long an entity is kept after its TTL (fresh_until) has passed
+// Stale entities are still served (X-Cache: STALE) while they are revalidated from ERPNext
+const CACHE_STALE_TTL = {
+  product: 604800, // 7 days - serve products while ERPNext is unavailable
+  default: 0, // Expire at the end of the TTL
+};
+
 // Query cache TTL (shorter than entity cache)
 const QUERY_CACHE_TTL = {
   product: 300, // 5 minutes
@@ -53,11 +63,28 @@ function getEntityTTLWithDate(entityType) {
   return CACHE_TTL.default;
 }
 
+/**
+ * Get stale TTL (seconds an entity is kept, and served as stale, after it stops being fresh)
+ * @param {string} entityType - Entity type
+ * @returns {number} Stale TTL in seconds (0 means no stale period)
+ */
+function getStaleTTL(entityType) {
+  return CACHE_STALE_TTL[entityType] !== undefined ? CACHE_STALE_TTL[entityType] : CACHE_STALE_TTL.default;
+}
+
 function getQueryTTL(entityType) {
   // Use explicit undefined check to handle TTL of 0 correctly
   return QUERY_CACHE_TTL[entityType] !== undefined ? QUERY_CACHE_TTL[entityType] : QUERY_CACHE_TTL.default;
 }
 
-module.exports = { getEntityTTL, getEntityTTLWithDate, getQueryTTL, CACHE_TTL, QUERY_CACHE_TTL };
+module.exports = {
+  getEntityTTL,
+  getEntityTTLWithDate,
+  getStaleTTL,
+  getQueryTTL,
+  CACHE_TTL,
+  CACHE_STALE_TTL,
+  QUERY_CACHE_TTL,
+};
 
 
@@ -0,0 +1,24 @@
+/**
+ * Push notification configuration
+ * Loads configuration from environment variables with sensible defaults
+ */
+
+module.exports = {
+  // Transport: 'fcm', 'file', 'console' or 'none' (defaults to FCM when a project is configured)
+  PUSH_TRANSPORT: process.env.PUSH_TRANSPORT || (process.env.FCM_PROJECT_ID ? 'fcm' : 'none'),
+
+  // FCM HTTP v1 Configuration (service account auth via google-auth-library)
+  FCM_PROJECT_ID: process.env.FCM_PROJECT_ID,
+  FCM_SERVICE_ACCOUNT_FILE: process.env.FCM_SERVICE_ACCOUNT_FILE || process.env.GOOGLE_APPLICATION_CREDENTIALS,
+  FCM_SERVICE_ACCOUNT_JSON: process.env.FCM_SERVICE_ACCOUNT_JSON, // Inline service account JSON (alternative to file)
+  FCM_REQUEST_TIMEOUT_MS: parseInt(process.env.FCM_REQUEST_TIMEOUT_MS || '10000', 10),
+
+  // File transport (local development/tests): JSON lines file, console output when unset
+  PUSH_FILE_TRANSPORT_PATH: process.env.PUSH_FILE_TRANSPORT_PATH || null,
+
+  // Delivery (at least 1; invalid values fall back to 10)
+  PUSH_SEND_CONCURRENCY: Math.max(1, parseInt(process.env.PUSH_SEND_CONCURRENCY, 10) || 10),
+
+  // Token registry (tokens not refreshed within this window are dropped)
+  PUSH_TOKEN_TTL_DAYS: parseInt(process.env.PUSH_TOKEN_TTL_DAYS || '90', 10),
+};
@@ -128,29 +128,43 @@ const webhookPriceUpdateSchema = z.object({
   invalidateCache: z.boolean().optional().default(false),
 });
 
-// Unified ERPNext webhook body (supports stock and bundle)
-// Note: Friday-only entities (product, price, hero, home) are updated automatically on Friday evenings - no webhooks needed
+// Unified ERPNext webhook body
+// Stock and price identify the item by itemCode, product by erpnextName; bundle, hero and home need no fields
 const webhookErpnextSchema = z
   .object({
-    entity_type: z.enum(['stock', 'bundle']),
-    // Stock fields
+    entity_type: z.enum(['stock', 'bundle', 'product', 'price', 'hero', 'home']),
+    action: z.enum(['update', 'delete']).optional().default('update'),
     itemCode: itemCodeSchema.optional(),
+    erpnextName: erpnextNameSchema.optional(),
+    // Idempotency: repeated deliveries of one event ID are processed once
+    event_id: z.string().trim().min(1).max(200).optional(),
+    // Document modified timestamp; part of the derived event ID when event_id is missing
+    // (without either, every request gets a new event ID)
+    modified: z.string().trim().max(64).optional(),
   })
   .refine(
     (data) => {
-      // Stock requires itemCode only (availability fetched from ERPNext)
-      if (data.entity_type === 'stock') {
+      // Stock and price require itemCode (data fetched from ERPNext)
+      if (data.entity_type === 'stock' || data.entity_type === 'price') {
         return !!data.itemCode;
       }
-      // Bundle requires no fields (webhook just triggers fetch)
-      if (data.entity_type === 'bundle') {
-        return true;
+      // Product requires erpnextName (Website Item name)
+      if (data.entity_type === 'product') {
+        return !!data.erpnextName;
       }
+      // Bundle, hero and home require no fields (webhook just triggers fetch)
       return true;
     },
     {
       message: 'Invalid payload for entity_type',
     }
+  )
+  .refine(
+    // Stock and bundle changes are always refreshes
+    (data) => data.action !== 'delete' || !['stock', 'bundle'].includes(data.entity_type),
+    {
+      message: 'delete is not supported for this entity_type',
+    }
   );
 
 /**
@@ -420,6 +434,14 @@ const geolocationUpdateSchema = z.object({
   location_consent: z.boolean(),
 });
 
+// Push token registration schema (FCM registration token)
+const pushTokenSchema = z.object({
+  token: z.string().min(1, 'Push token required').max(4096, 'Push token too long'),
+  platform: z.enum(['android', 'ios', 'web'], {
+    errorMap: () => ({ message: 'Platform must be android, ios or web' }),
+  }),
+});
+
 // Change password schema
 const changePasswordSchema = z.object({
   currentPassword: z.string().min(1, 'Current password required'),
@@ -452,6 +474,13 @@ const geolocationUpdateRequestSchema = z.object({
   query: z.object({}).passthrough(),
 });
 
+// Push token registration request schema
+const pushTokenRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: pushTokenSchema,
+  query: z.object({}).passthrough(),
+});
+
 // Messaging schemas
 const actionButtonSchema = z.object({
   label: z.string().min(1, 'Button label required').max(50, 'Button label too long'),
@@ -499,6 +528,137 @@ const deleteMessageRequestSchema = z.object({
   query: z.object({}).passthrough(),
 });
 
+// Notification schemas
+const notificationTargetListSchema = z.array(z.string().min(1).max(100)).max(1000);
+
+const notificationTargetSchema = z.object({
+  groups: notificationTargetListSchema.optional(),
+  regions: notificationTargetListSchema.optional(),
+  users: z.array(userIdSchema).max(1000).optional(),
+  devices: notificationTargetListSchema.optional(),
+  provinces: notificationTargetListSchema.optional(),
+  cities: notificationTargetListSchema.optional(),
+  nonRegistered: z.boolean().optional(),
+});
+
+const notificationFieldsSchema = z.object({
+  title: z.string().min(1, 'Notification title required').max(200, 'Notification title too long'),
+  body: z.string().min(1, 'Notification body required').max(5000, 'Notification body too long'),
+  imageUrl: z.string().url('Invalid image URL').optional(),
+  actionUrl: z.string().max(2000, 'Action URL too long').optional(),
+  data: z.record(z.any()).optional(),
+  target: notificationTargetSchema.optional(),
+  publishAt: z.string().datetime({ offset: true, message: 'publishAt must be an ISO 8601 date' }).nullable().optional(),
+  expiresAt: z.string().datetime({ offset: true, message: 'expiresAt must be an ISO 8601 date' }).nullable().optional(),
+});
+
+// expiresAt must come after publishAt (or after now when publishing immediately)
+const notificationScheduleRefinement = [
+  (data) => {
+    if (!data.expiresAt) {
+      return true;
+    }
+    const publishAt = data.publishAt ? Date.parse(data.publishAt) : Date.now();
+    return Date.parse(data.expiresAt) > publishAt;
+  },
+  {
+    message: 'expiresAt must be later than publishAt and in the future',
+    path: ['expiresAt'],
+  },
+];
+
+const notificationIdParamsSchema = z.object({
+  notificationId: z.string().min(1, 'Notification ID required'),
+});
+
+const createNotificationRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: notificationFieldsSchema.refine(...notificationScheduleRefinement),
+  query: z.object({}).passthrough(),
+});
+
+const updateNotificationRequestSchema = z.object({
+  params: notificationIdParamsSchema,
+  body: notificationFieldsSchema.partial().refine((data) => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided',
+  }),
+  query: z.object({}).passthrough(),
+});
+
+const notificationIdRequestSchema = z.object({
+  params: notificationIdParamsSchema,
+  body: z.object({}).passthrough(),
+  query: z.object({}).passthrough(),
+});
+
+const listNotificationsRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: z.object({}).passthrough(),
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(200).optional(),
+    offset: z.coerce.number().int().min(0).optional(),
+    includeRetracted: z.enum(['true', 'false']).optional(),
+  }).passthrough(),
+});
+
+// Admin: full refresh dry run (optional subset of refreshed entity types)
+const refreshDryRunRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: z.object({
+    entityTypes: z.array(z.enum(['product', 'price', 'stock', 'hero', 'bundle', 'home'])).min(1).optional(),
+  }).passthrough(),
+  query: z.object({}).passthrough(),
+});
+
+// Admin: manual refresh of one entity type or one item code (exactly one)
+const refreshJobRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: z.object({
+    entityType: z.enum(['product', 'price', 'stock', 'hero', 'bundle', 'home']).optional(),
+    itemCode: itemCodeSchema.optional(),
+  }).passthrough().refine((data) => !!data.entityType !== !!data.itemCode, {
+    message: 'Provide either entityType or itemCode',
+  }),
+  query: z.object({}).passthrough(),
+});
+
+// Admin: refresh job status
+const refreshJobIdRequestSchema = z.object({
+  params: z.object({
+    jobId: z.string().min(1, 'Job ID required'),
+  }),
+  body: z.object({}).passthrough(),
+  query: z.object({}).passthrough(),
+});
+
+// Admin: webhook dead letters (oldest first, `after` = last ID of the previous page)
+const listDeadLettersRequestSchema = z.object({
+  params: z.object({}).passthrough(),
+  body: z.object({}).passthrough(),
+  query: z.object({
+    after: z.string().regex(/^\d+-\d+$/, 'after must be a dead-letter ID').optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional(),
+  }).passthrough(),
+});
+
+// Admin: replay one dead letter
+const replayDeadLetterRequestSchema = z.object({
+  params: z.object({
+    deadLetterId: z.string().regex(/^\d+-\d+$/, 'Invalid dead-letter ID'),
+  }),
+  body: z.object({}).passthrough(),
+  query: z.object({}).passthrough(),
+});
+
+// Admin: dry-run report download
+const dryRunReportRequestSchema = z.object({
+  params: z.object({
+    reportId: z.string().min(1, 'Report ID required'),
+  }),
+  body: z.object({}).passthrough(),
+  query: z.object({}).passthrough(),
+});
+
 // Combined request schemas for middleware
 const signupRequestSchema = z.object({
   params: z.object({}).passthrough(),
@@ -611,6 +771,7 @@ module.exports = {
   anonymousUserSchema,
   deviceInfoSchema,
   geolocationUpdateSchema,
+  pushTokenSchema,
 
   // Webhook schemas
   webhookPriceUpdateSchema,
@@ -655,6 +816,7 @@ module.exports = {
   anonymousUserRequestSchema,
   deviceInfoRequestSchema,
   geolocationUpdateRequestSchema,
+  pushTokenRequestSchema,
 
   // Messaging schemas
   actionButtonSchema,
@@ -662,5 +824,21 @@ module.exports = {
   sendMessageRequestSchema,
   markMessageReadRequestSchema,
   deleteMessageRequestSchema,
+
+  // Notification schemas
+  notificationTargetSchema,
+  notificationFieldsSchema,
+  createNotificationRequestSchema,
+  updateNotificationRequestSchema,
+  notificationIdRequestSchema,
+  listNotificationsRequestSchema,
+
+  // Admin schemas
+  refreshDryRunRequestSchema,
+  dryRunReportRequestSchema,
+  refreshJobRequestSchema,
+  refreshJobIdRequestSchema,
+  listDeadLettersRequestSchema,
+  replayDeadLetterRequestSchema,
 };
 
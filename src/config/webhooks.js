@@ -0,0 +1,22 @@
+/**
+ * Webhook configuration
+ * Loads configuration from environment variables with sensible defaults
+ */
+
+module.exports = {
+  // Shared secret for HMAC-SHA256 request signatures
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || (() => {
+    if (process.env.NODE_ENV === 'production' && !process.env.WEBHOOK_SECRET) {
+      throw new Error('WEBHOOK_SECRET must be set in production');
+    }
+    return 'dev-webhook-secret-change-in-production';
+  })(),
+
+  // Maximum clock difference between sender and server (also bounds how long nonces are kept)
+  WEBHOOK_TOLERANCE_SECONDS: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+
+  // Request headers
+  WEBHOOK_SIGNATURE_HEADER: 'x-webhook-signature',
+  WEBHOOK_TIMESTAMP_HEADER: 'x-webhook-timestamp',
+  WEBHOOK_NONCE_HEADER: 'x-webhook-nonce',
+};
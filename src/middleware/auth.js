@@ -4,9 +4,10 @@ const {
   JWT_REFRESH_SECRET,
   JWT_ACCESS_EXPIRY,
   JWT_REFRESH_EXPIRY,
+  ADMIN_GROUP,
 } = require('../config/auth');
 const { getUserById } = require('../services/auth/user-storage');
-const { UnauthorizedError } = require('../utils/errors');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 const { logger } = require('../services/logger');
 
 /**
@@ -105,11 +106,68 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Express middleware for optional JWT authentication
+ * Attaches user to req.user when a valid token is provided; requests without a token,
+ * with an invalid/expired token or for a missing/deleted user continue unauthenticated
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware
+ */
+async function optionalAuthenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const decoded = verifyToken(authHeader.substring(7), JWT_SECRET);
+    if (decoded && decoded.userId) {
+      const user = await getUserById(decoded.userId);
+      if (user && !user.deleted) {
+        req.user = user;
+        req.userId = user.id;
+      }
+    }
+  } catch (error) {
+    logger.warn('Optional authentication failed', { error: error.message });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware to restrict access to admin users
+ * Must run after authenticate (requires req.user)
+ * A user is an admin when their groups include ADMIN_GROUP
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  const groups = Array.isArray(req.user.groups) ? req.user.groups : [];
+  if (!groups.includes(ADMIN_GROUP)) {
+    logger.warn('Admin access denied', {
+      userId: req.user.id,
+      path: req.path,
+    });
+    return next(new ForbiddenError('Admin access required'));
+  }
+
+  next();
+}
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyToken,
   authenticate,
+  optionalAuthenticate,
+  requireAdmin,
   JWT_SECRET,
   JWT_REFRESH_SECRET,
 };
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../services/redis/client');
+const { logger } = require('../services/logger');
+const { UnauthorizedError } = require('../utils/errors');
+const {
+  WEBHOOK_SECRET,
+  WEBHOOK_TOLERANCE_SECONDS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER,
+  WEBHOOK_NONCE_HEADER,
+} = require('../config/webhooks');
+
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * express.json verify callback: keep the raw body of webhook requests for signature checks
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+function captureRawBody(req, res, buf) {
+  if (req.originalUrl && req.originalUrl.startsWith('/api/webhooks')) {
+    req.rawBody = buf;
+  }
+}
+
+/**
+ * Compute a webhook signature
+ * Signed payload is `${timestamp}.${nonce}.${rawBody}` so neither header can be swapped on a captured request
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix time (seconds)
+ * @param {string} nonce - Unique request nonce
+ * @param {Buffer|string} rawBody - Raw request body
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+function signWebhookPayload(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Compare two hex digests in constant time
+ * @param {string} expected - Expected digest
+ * @param {string} actual - Received digest
+ * @returns {boolean} True if equal
+ */
+function digestsMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const actualBuffer = Buffer.from(actual, 'hex');
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Express middleware to verify signed webhook requests
+ * Requires X-Webhook-Signature (hex, optional `sha256=` prefix), X-Webhook-Timestamp (unix seconds)
+ * and X-Webhook-Nonce. Rejects stale timestamps. A nonce already seen within the window marks the
+ * request as a repeat (req.webhookNonceReused): routes that recognize repeated events by event ID
+ * answer it as a duplicate, the others reject it with rejectReusedNonce.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware
+ */
+async function verifyWebhookSignature(req, res, next) {
+  try {
+    const signature = (req.headers[WEBHOOK_SIGNATURE_HEADER] || '').replace(/^sha256=/, '');
+    const timestamp = req.headers[WEBHOOK_TIMESTAMP_HEADER];
+    const nonce = req.headers[WEBHOOK_NONCE_HEADER];
+
+    if (!signature || !timestamp || !nonce) {
+      throw new UnauthorizedError('Missing webhook signature headers');
+    }
+
+    const timestampSeconds = parseInt(timestamp, 10);
+    if (!/^\d+$/.test(timestamp) ||
+      Math.abs(Math.floor(Date.now() / 1000) - timestampSeconds) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new UnauthorizedError('Webhook timestamp outside allowed window');
+    }
+
+    if (!NONCE_PATTERN.test(nonce)) {
+      throw new UnauthorizedError('Invalid webhook nonce');
+    }
+
+    const expected = signWebhookPayload(WEBHOOK_SECRET, timestamp, nonce, req.rawBody);
+    if (!/^[0-9a-f]+$/i.test(signature) || !digestsMatch(expected, signature)) {
+      logger.warn('Webhook signature mismatch', {
+        path: req.path,
+        ip: req.ip,
+      });
+      throw new UnauthorizedError('Invalid webhook signature');
+    }
+
+    // Checked after the signature so unsigned requests cannot burn nonces.
+    // Kept for both sides of the window: any replay is either stale or a known nonce
+    const redis = getRedisClient();
+    const stored = await redis.set(`webhook:nonce:${nonce}`, timestamp, 'EX', WEBHOOK_TOLERANCE_SECONDS * 2, 'NX');
+    req.webhookNonceReused = stored !== 'OK';
+    if (req.webhookNonceReused) {
+      logger.warn('Webhook nonce reused', {
+        path: req.path,
+        nonce,
+        ip: req.ip,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Express middleware to reject repeated requests (nonce already seen, see verifyWebhookSignature)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware
+ */
+function rejectReusedNonce(req, res, next) {
+  if (req.webhookNonceReused) {
+    return next(new UnauthorizedError('Webhook request already processed'));
+  }
+  return next();
+}
+
+module.exports = {
+  captureRawBody,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  rejectReusedNonce,
+};
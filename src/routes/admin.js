@@ -0,0 +1,188 @@
+const express = require('express');
+const { getRefreshStatus } = require('../services/sync/refresh-progress');
+const { startRefreshDryRun } = require('../services/sync/full-refresh');
+const { getDryRunReport } = require('../services/sync/refresh-dry-run');
+const { startRefreshJob, getRefreshJob } = require('../services/sync/refresh-jobs');
+const {
+  listDeadLetters,
+  replayDeadLetter,
+  getWebhookQueueStats,
+} = require('../services/webhooks/webhook-queue');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const {
+  refreshDryRunRequestSchema,
+  dryRunReportRequestSchema,
+  refreshJobRequestSchema,
+  refreshJobIdRequestSchema,
+  listDeadLettersRequestSchema,
+  replayDeadLetterRequestSchema,
+} = require('../config/validation');
+const { handleAsyncErrors } = require('../utils/error-utils');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/refresh/status
+ * Full refresh progress per entity type (admin only)
+ * Returns counts, recent errors and ETA; an `interrupted` run with `resumable: true`
+ * is resumed by the next run
+ */
+router.get(
+  '/refresh/status',
+  authenticate,
+  requireAdmin,
+  handleAsyncErrors(async (req, res) => {
+    const status = await getRefreshStatus();
+
+    return res.json({
+      success: true,
+      data: status,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/refresh/jobs
+ * Refresh one entity type or one item code now (admin only)
+ * Body: entityType (product, price, stock, hero, bundle, home) or itemCode (refreshes the
+ * products using it, plus its price and stock)
+ * Runs in the background; poll GET /api/admin/refresh/jobs/:jobId
+ */
+router.post(
+  '/refresh/jobs',
+  authenticate,
+  requireAdmin,
+  validateRequest(refreshJobRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { entityType, itemCode } = req.validatedBody;
+    const job = await startRefreshJob(itemCode ? { itemCode } : { entityType }, req.userId);
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        jobId: job.id,
+        status: job.status,
+        scope: job.scope,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/refresh/jobs/:jobId
+ * Refresh job status and result (admin only)
+ */
+router.get(
+  '/refresh/jobs/:jobId',
+  authenticate,
+  requireAdmin,
+  validateRequest(refreshJobIdRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const job = await getRefreshJob(req.validatedParams.jobId);
+    if (!job) {
+      throw new NotFoundError('Refresh job not found');
+    }
+
+    return res.json({
+      success: true,
+      data: job,
+    });
+  })
+);
+
+/**
+ * POST /api/admin/refresh/dry-run
+ * Preview what a full refresh would change, without writing (admin only)
+ * Body: entityTypes (optional subset of product, price, stock, hero, bundle, home)
+ * Runs in the background; download the report from GET /api/admin/refresh/dry-run/:reportId
+ */
+router.post(
+  '/refresh/dry-run',
+  authenticate,
+  requireAdmin,
+  validateRequest(refreshDryRunRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const report = await startRefreshDryRun(req.validatedBody.entityTypes);
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        reportId: report.id,
+        status: report.status,
+        entityTypes: report.entityTypes,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/refresh/dry-run/:reportId
+ * Dry-run report as a JSON download (admin only); `latest` returns the most recent report
+ * A report still `running` is returned inline without the download header
+ */
+router.get(
+  '/refresh/dry-run/:reportId',
+  authenticate,
+  requireAdmin,
+  validateRequest(dryRunReportRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const report = await getDryRunReport(req.validatedParams.reportId);
+    if (!report) {
+      throw new NotFoundError('Dry-run report not found');
+    }
+
+    if (report.status !== 'running') {
+      res.set('Content-Disposition', `attachment; filename="refresh-dry-run-${report.id}.json"`);
+    }
+    return res.json(report);
+  })
+);
+
+/**
+ * GET /api/admin/webhooks/dead-letters
+ * Webhook events that failed every attempt, oldest first (admin only)
+ * Query: after (dead-letter ID, for the next page), limit (default 50)
+ * Includes queue depths (queued, retrying, deadLetters)
+ */
+router.get(
+  '/webhooks/dead-letters',
+  authenticate,
+  requireAdmin,
+  validateRequest(listDeadLettersRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { after, limit } = req.validatedQuery;
+    const result = await listDeadLetters(after || null, limit || 50);
+    const stats = await getWebhookQueueStats();
+
+    return res.json({
+      success: true,
+      data: { ...result, stats },
+    });
+  })
+);
+
+/**
+ * POST /api/admin/webhooks/dead-letters/:deadLetterId/replay
+ * Queue a dead letter again with a fresh attempt count (admin only)
+ */
+router.post(
+  '/webhooks/dead-letters/:deadLetterId/replay',
+  authenticate,
+  requireAdmin,
+  validateRequest(replayDeadLetterRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const queued = await replayDeadLetter(req.validatedParams.deadLetterId);
+    if (!queued) {
+      throw new NotFoundError('Dead letter not found');
+    }
+
+    return res.status(202).json({
+      success: true,
+      data: queued,
+    });
+  })
+);
+
+module.exports = router;
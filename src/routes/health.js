@@ -1,6 +1,8 @@
 const express = require('express');
 const { performHealthCheck } = require('../services/health/health');
-const { getStreamInfo } = require('../services/sync/stream-manager');
+const { getStreamInfo, getTrimWatermark } = require('../services/sync/stream-manager');
+const { ALL_ENTITY_TYPES } = require('../services/sync/sync-stream');
+const { getRetentionDays } = require('../services/scheduled/stream-trimmer');
 const { logger } = require('../services/logger');
 const { handleAsyncErrors } = require('../utils/error-utils');
 
@@ -50,17 +52,21 @@ router.get(
   '/sync-status',
   handleAsyncErrors(async (req, res) => {
     try {
-      const entityTypes = ['product', 'price', 'stock', 'notification', 'view', 'comment', 'user', 'hero', 'announcement'];
       const streams = {};
 
       // Get stream info for each entity type
-      for (const entityType of entityTypes) {
+      for (const entityType of ALL_ENTITY_TYPES) {
         const info = await getStreamInfo(entityType);
         if (info) {
+          // Clients with a cursor older than trimWatermark must resync (firstId also moves on dedupe)
+          const trimWatermark = await getTrimWatermark(entityType);
           streams[`${entityType}_changes`] = {
             length: info.length,
             firstId: info.firstId,
             lastId: info.lastId,
+            trimWatermark,
+            trimWatermarkAt: trimWatermark ? new Date(parseInt(trimWatermark.split('-')[0], 10)).toISOString() : null,
+            retentionDays: getRetentionDays(entityType),
           };
         }
       }
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createNotification,
+  getNotification,
+  listNotifications,
+  updateNotification,
+  retractNotification,
+  getNotificationAuditLog,
+} = require('../services/notifications/notification-storage');
+const { validateRequest } = require('../middleware/validate');
+const {
+  createNotificationRequestSchema,
+  updateNotificationRequestSchema,
+  notificationIdRequestSchema,
+  listNotificationsRequestSchema,
+} = require('../config/validation');
+const { handleAsyncErrors } = require('../utils/error-utils');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+/**
+ * POST /api/notifications
+ * Create notification (admin only)
+ * Stores notification and emits it into notification_changes stream with targeting.
+ * With a future publishAt the notification is queued and emitted by the notification scheduler.
+ */
+router.post(
+  '/',
+  authenticate,
+  requireAdmin,
+  validateRequest(createNotificationRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    try {
+      const notification = await createNotification(req.validatedBody, req.userId);
+
+      return res.status(201).json({
+        success: true,
+        data: {
+          notification,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new Error(`Failed to create notification: ${error.message}`);
+    }
+  })
+);
+
+/**
+ * GET /api/notifications
+ * List notifications (admin only, newest first)
+ * Query: limit, offset, includeRetracted
+ */
+router.get(
+  '/',
+  authenticate,
+  requireAdmin,
+  validateRequest(listNotificationsRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const limit = req.validatedQuery.limit || 50;
+    const offset = req.validatedQuery.offset || 0;
+    const includeRetracted = req.validatedQuery.includeRetracted === 'true';
+
+    try {
+      const { notifications, total } = await listNotifications(limit, offset, includeRetracted);
+
+      return res.json({
+        success: true,
+        data: {
+          notifications,
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new Error(`Failed to list notifications: ${error.message}`);
+    }
+  })
+);
+
+/**
+ * GET /api/notifications/:notificationId
+ * Get notification with its audit log (admin only)
+ */
+router.get(
+  '/:notificationId',
+  authenticate,
+  requireAdmin,
+  validateRequest(notificationIdRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { notificationId } = req.validatedParams;
+
+    try {
+      const notification = await getNotification(notificationId);
+      if (!notification) {
+        throw new NotFoundError('Notification not found');
+      }
+
+      const audit = await getNotificationAuditLog(notificationId);
+
+      return res.json({
+        success: true,
+        data: {
+          notification,
+          audit,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new Error(`Failed to get notification: ${error.message}`);
+    }
+  })
+);
+
+/**
+ * PUT /api/notifications/:notificationId
+ * Update notification (admin only)
+ * Re-emits a published notification into notification_changes stream (new version).
+ * publishAt can only be changed while the notification is still scheduled.
+ */
+router.put(
+  '/:notificationId',
+  authenticate,
+  requireAdmin,
+  validateRequest(updateNotificationRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { notificationId } = req.validatedParams;
+
+    try {
+      const existing = await getNotification(notificationId);
+      if (!existing) {
+        throw new NotFoundError('Notification not found');
+      }
+      if (existing.deleted) {
+        throw new ConflictError('Retracted or expired notifications cannot be updated');
+      }
+
+      const updates = req.validatedBody;
+      if (updates.publishAt !== undefined && existing.status !== 'scheduled') {
+        throw new ValidationError('publishAt can only be changed before the notification is published');
+      }
+
+      // Validate schedule against the stored values for fields not in this update
+      const publishAt = updates.publishAt !== undefined ? updates.publishAt : existing.publishAt;
+      const expiresAt = updates.expiresAt !== undefined ? updates.expiresAt : existing.expiresAt;
+      if (expiresAt) {
+        const publishAtMs = existing.status === 'scheduled' && publishAt ? Date.parse(publishAt) : Date.now();
+        if (Date.parse(expiresAt) <= publishAtMs) {
+          throw new ValidationError('expiresAt must be later than publishAt and in the future');
+        }
+      }
+
+      const notification = await updateNotification(notificationId, updates, req.userId);
+      if (!notification) {
+        throw new NotFoundError('Notification not found');
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          notification,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new Error(`Failed to update notification: ${error.message}`);
+    }
+  })
+);
+
+/**
+ * DELETE /api/notifications/:notificationId
+ * Retract notification (admin only, soft delete)
+ * Emits a deletion marker so clients remove the notification on next sync
+ */
+router.delete(
+  '/:notificationId',
+  authenticate,
+  requireAdmin,
+  validateRequest(notificationIdRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { notificationId } = req.validatedParams;
+
+    try {
+      const notification = await retractNotification(notificationId, req.userId);
+      if (!notification) {
+        throw new NotFoundError('Notification not found');
+      }
+
+      return res.json({
+        success: true,
+        message: 'Notification retracted successfully',
+        data: {
+          notification,
+        },
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw new Error(`Failed to retract notification: ${error.message}`);
+    }
+  })
+);
+
+module.exports = router;
@@ -5,19 +5,38 @@ const {
   processMediumSync,
   processSlowSync,
 } = require('../services/sync/sync-handler');
+const {
+  ALL_ENTITY_TYPES,
+  encodeCursor,
+  decodeCursor,
+  formatSseEvent,
+  resolveStreamCursors,
+  acquireConnection,
+  releaseConnection,
+  streamSyncUpdates,
+} = require('../services/sync/sync-stream');
+const { getEntitySnapshot } = require('../services/sync/snapshot');
+const { applyPatchDeltas } = require('../services/sync/delta');
+const { resolveDeviceLastSync, getDeviceLag, listDeviceLag } = require('../services/sync/cursor-store');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../middleware/auth');
 const { logger } = require('../services/logger');
 const { handleAsyncErrors } = require('../utils/error-utils');
-const { ValidationError } = require('../utils/errors');
+const { ValidationError, RateLimitError, NotFoundError } = require('../utils/errors');
 const { z } = require('zod');
 
 const router = express.Router();
 
+/**
+ * Known entity types (keys of cursor maps; unknown keys would be read and stored as `<key>_changes` streams)
+ */
+const entityTypeSchema = z.enum(ALL_ENTITY_TYPES);
+
 /**
  * Sync request body schema
  */
 const syncRequestSchema = z.object({
   lastSync: z
-    .record(z.string(), z.string())
+    .record(entityTypeSchema, z.string())
     .optional()
     .default({}), // Object mapping entityType to stream ID
   entityTypes: z.array(z.string()).optional(), // Optional filter
@@ -29,14 +48,107 @@ const syncRequestSchema = z.object({
   userCity: z.string().optional(), // For notification filtering (new)
   userDeviceId: z.string().optional(), // For notification filtering (new)
   isRegistered: z.boolean().optional().default(true), // For notification filtering (new)
+  serverCursor: z.boolean().optional().default(false), // Track cursors server-side per device (X-Device-ID)
+  ack: z.record(entityTypeSchema, z.string().regex(/^\d+-\d+$/)).optional(), // lastIds applied since previous sync
+  knownVersions: z.record(z.string(), z.record(z.string(), z.string())).optional(), // entityType → entityId → version held (enables patches)
+});
+
+/**
+ * Sync stream query schema (GET, so lists are comma-separated)
+ */
+const commaListSchema = z
+  .string()
+  .transform((value) => value.split(',').map((item) => item.trim()).filter(Boolean));
+
+const syncStreamQuerySchema = z.object({
+  entityTypes: commaListSchema
+    .refine((types) => types.every((type) => ALL_ENTITY_TYPES.includes(type)), {
+      message: 'Unknown entity type',
+    })
+    .optional(),
+  limit: z.coerce.number().int().min(1).max(1000).optional().default(100),
+  lastEventId: z.string().optional(), // Resume cursor for clients that cannot send Last-Event-ID
+  userId: z.string().optional(), // For notification filtering
+  userGroups: commaListSchema.optional(), // For notification filtering
+  userRegion: z.string().optional(),
+  userProvince: z.string().optional(),
+  userCity: z.string().optional(),
+  isRegistered: z.enum(['true', 'false']).optional().default('true'),
 });
 
+/**
+ * Cursor lag diagnostics query schema
+ */
+const cursorLagQuerySchema = z.object({
+  deviceId: z.string().min(1).optional(),
+  offset: z.coerce.number().int().min(0).optional().default(0),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50),
+});
+
+/**
+ * Snapshot query schema (same user context as the stream)
+ */
+const syncSnapshotQuerySchema = syncStreamQuerySchema.pick({
+  userId: true,
+  userGroups: true,
+  userRegion: true,
+  userProvince: true,
+  userCity: true,
+  isRegistered: true,
+});
+
+/**
+ * Resolve targeting context for a sync request
+ * With a valid token (optionalAuthenticate set req.user) identity comes from the user record
+ * and body/query fields are ignored; otherwise the client-supplied fields are used for
+ * notification targeting only (user-scoped types require authenticatedUserId)
+ * @param {object} req - Express request object
+ * @param {object} supplied - Client-supplied {userId, userGroups, userRegion, userProvince, userCity, userDeviceId, isRegistered}
+ * @returns {object} User context {..., authenticatedUserId}
+ */
+function resolveSyncUserContext(req, supplied) {
+  if (req.user) {
+    return {
+      userId: req.user.id,
+      userGroups: req.user.groups || [],
+      userRegion: req.user.region || null,
+      userProvince: req.user.province || null,
+      userCity: req.user.city || null,
+      userDeviceId: supplied.userDeviceId,
+      isRegistered: !!req.user.isRegistered,
+      authenticatedUserId: req.user.id,
+    };
+  }
+
+  return {
+    ...supplied,
+    authenticatedUserId: null,
+  };
+}
+
+/**
+ * Send patches instead of full data for entities whose known version matches the stored patch base
+ * @param {object} result - processSync result
+ * @param {Object<string, Object<string, string>>} knownVersions - Versions held by the client (optional)
+ * @returns {Promise<object>} Result with patched updates
+ */
+async function withPatchDeltas(result, knownVersions) {
+  if (!knownVersions || result.inSync || !result.updates) {
+    return result;
+  }
+  return {
+    ...result,
+    updates: await applyPatchDeltas(result.updates, knownVersions),
+  };
+}
+
 /**
  * POST /api/sync/check
  * Unified sync endpoint - checks all entity types
  */
 router.post(
   '/check',
+  optionalAuthenticate,
   handleAsyncErrors(async (req, res) => {
     try {
       const validated = syncRequestSchema.parse({
@@ -50,19 +162,34 @@ router.post(
         userCity: req.body.userCity,
         userDeviceId: req.body.userDeviceId || req.deviceId,
         isRegistered: req.body.isRegistered,
+        serverCursor: req.body.serverCursor,
+        ack: req.body.ack,
+        knownVersions: req.body.knownVersions,
       });
 
+      const context = resolveSyncUserContext(req, validated);
+
+      // Server-side cursors: acknowledged IDs are stored per device, so the client only sends an ack
+      let lastSync = validated.lastSync;
+      if (validated.serverCursor) {
+        if (!req.deviceId) {
+          throw new ValidationError('Device ID required (X-Device-ID header) for server-side cursors');
+        }
+        lastSync = await resolveDeviceLastSync(req.deviceId, validated.lastSync, validated.ack);
+      }
+
       const result = await processSync(
-        validated.lastSync,
+        lastSync,
         validated.entityTypes,
         validated.limit,
-        validated.userId,
-        validated.userGroups,
-        validated.userRegion,
-        validated.userProvince,
-        validated.userCity,
-        validated.userDeviceId,
-        validated.isRegistered
+        context.userId,
+        context.userGroups,
+        context.userRegion,
+        context.userProvince,
+        context.userCity,
+        context.userDeviceId,
+        context.isRegistered,
+        context.authenticatedUserId
       );
 
       logger.info('Sync check completed', {
@@ -70,7 +197,7 @@ router.post(
         updateCount: result.updates?.length || 0,
       });
 
-      return res.json(result);
+      return res.json(await withPatchDeltas(result, validated.knownVersions));
     } catch (error) {
       if (error.name === 'ZodError') {
         throw new ValidationError('Invalid sync request', error.errors);
@@ -82,20 +209,23 @@ router.post(
 
 /**
  * POST /api/sync/check-fast
- * Fast-frequency sync endpoint (views, comments, user profile)
+ * Fast-frequency sync endpoint (views, comments, user profile, wishlist, recently viewed)
  */
 router.post(
   '/check-fast',
+  optionalAuthenticate,
   handleAsyncErrors(async (req, res) => {
     try {
       const validated = syncRequestSchema.parse({
         lastSync: req.body.lastSync,
         limit: req.body.limit,
+        knownVersions: req.body.knownVersions,
       });
 
-      const result = await processFastSync(validated.lastSync, validated.limit);
+      // Wishlist and recent views are only returned to their authenticated owner
+      const result = await processFastSync(validated.lastSync, validated.limit, req.user ? req.user.id : null);
 
-      return res.json(result);
+      return res.json(await withPatchDeltas(result, validated.knownVersions));
     } catch (error) {
       if (error.name === 'ZodError') {
         throw new ValidationError('Invalid sync request', error.errors);
@@ -111,6 +241,7 @@ router.post(
  */
 router.post(
   '/check-medium',
+  optionalAuthenticate,
   handleAsyncErrors(async (req, res) => {
     try {
       const validated = syncRequestSchema.parse({
@@ -123,21 +254,25 @@ router.post(
         userCity: req.body.userCity,
         userDeviceId: req.body.userDeviceId || req.deviceId,
         isRegistered: req.body.isRegistered,
+        knownVersions: req.body.knownVersions,
       });
 
+      const context = resolveSyncUserContext(req, validated);
+
       const result = await processMediumSync(
         validated.lastSync, 
         validated.limit,
-        validated.userId,
-        validated.userGroups,
-        validated.userRegion,
-        validated.userProvince,
-        validated.userCity,
-        validated.userDeviceId,
-        validated.isRegistered
+        context.userId,
+        context.userGroups,
+        context.userRegion,
+        context.userProvince,
+        context.userCity,
+        context.userDeviceId,
+        context.isRegistered,
+        context.authenticatedUserId
       );
 
-      return res.json(result);
+      return res.json(await withPatchDeltas(result, validated.knownVersions));
     } catch (error) {
       if (error.name === 'ZodError') {
         throw new ValidationError('Invalid sync request', error.errors);
@@ -158,11 +293,12 @@ router.post(
       const validated = syncRequestSchema.parse({
         lastSync: req.body.lastSync,
         limit: req.body.limit,
+        knownVersions: req.body.knownVersions,
       });
 
       const result = await processSlowSync(validated.lastSync, validated.limit);
 
-      return res.json(result);
+      return res.json(await withPatchDeltas(result, validated.knownVersions));
     } catch (error) {
       if (error.name === 'ZodError') {
         throw new ValidationError('Invalid sync request', error.errors);
@@ -172,4 +308,176 @@ router.post(
   })
 );
 
+/**
+ * GET /api/sync/stream
+ * Server-Sent Events stream of sync updates (replaces polling /api/sync/check*)
+ * Each `sync` event carries the same payload as /api/sync/check; the event ID is a cursor
+ * that EventSource sends back as Last-Event-ID on reconnect, so no updates are missed.
+ * New connections without a cursor start at the current end of each stream.
+ */
+router.get(
+  '/stream',
+  optionalAuthenticate,
+  handleAsyncErrors(async (req, res) => {
+    let query;
+    try {
+      query = syncStreamQuerySchema.parse(req.query);
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        throw new ValidationError('Invalid sync stream request', error.errors);
+      }
+      throw error;
+    }
+
+    const resumeValue = req.headers['last-event-id'] || query.lastEventId;
+    const resumeCursors = decodeCursor(resumeValue);
+    if (resumeValue && !resumeCursors) {
+      throw new ValidationError('Invalid Last-Event-ID');
+    }
+
+    // Aborted when the client disconnects or the server shuts down
+    const controller = new AbortController();
+    if (!acquireConnection(controller)) {
+      throw new RateLimitError('Too many open sync streams, fall back to polling');
+    }
+
+    const entityTypes = query.entityTypes && query.entityTypes.length > 0 ? query.entityTypes : ALL_ENTITY_TYPES;
+    req.on('close', () => controller.abort());
+
+    try {
+      const cursors = await resolveStreamCursors(entityTypes, resumeCursors);
+
+      // no-transform keeps compression middleware from buffering events
+      res.status(200);
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+
+      res.write('retry: 5000\n\n');
+      res.write(formatSseEvent({ id: encodeCursor(cursors), event: 'ready', data: { lastIds: cursors } }));
+
+      logger.info('Sync stream opened', {
+        entityTypes,
+        resumed: !!resumeCursors,
+        deviceId: req.deviceId,
+      });
+
+      await streamSyncUpdates({
+        entityTypes,
+        cursors,
+        limit: query.limit,
+        userContext: resolveSyncUserContext(req, {
+          userId: query.userId,
+          userGroups: query.userGroups,
+          userRegion: query.userRegion,
+          userProvince: query.userProvince,
+          userCity: query.userCity,
+          userDeviceId: req.deviceId,
+          isRegistered: query.isRegistered === 'true',
+        }),
+        onUpdate: (result, latestCursors) => {
+          res.write(formatSseEvent({ id: encodeCursor(latestCursors), event: 'sync', data: result }));
+        },
+        onHeartbeat: () => {
+          res.write(': keep-alive\n\n');
+        },
+        signal: controller.signal,
+      });
+    } catch (error) {
+      // Headers are already sent: report on the stream, client reconnects with Last-Event-ID
+      if (!res.headersSent) {
+        throw error;
+      }
+      res.write(formatSseEvent({ event: 'error', data: { message: 'Sync stream interrupted' } }));
+    } finally {
+      releaseConnection(controller);
+      logger.info('Sync stream closed', { deviceId: req.deviceId });
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  })
+);
+
+/**
+ * GET /api/sync/snapshot/:entityType
+ * Full snapshot of every cached entity of one type, plus a fresh cursor (lastIds).
+ * Clients call this when a sync response has resyncRequired, replace their local copy
+ * of the type and continue syncing from the returned cursor.
+ */
+router.get(
+  '/snapshot/:entityType',
+  optionalAuthenticate,
+  handleAsyncErrors(async (req, res) => {
+    const { entityType } = req.params;
+    if (!ALL_ENTITY_TYPES.includes(entityType)) {
+      throw new ValidationError(`Unknown entity type: ${entityType}`);
+    }
+
+    let query;
+    try {
+      query = syncSnapshotQuerySchema.parse(req.query);
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        throw new ValidationError('Invalid snapshot request', error.errors);
+      }
+      throw error;
+    }
+
+    const snapshot = await getEntitySnapshot(entityType, resolveSyncUserContext(req, {
+      userId: query.userId,
+      userGroups: query.userGroups,
+      userRegion: query.userRegion,
+      userProvince: query.userProvince,
+      userCity: query.userCity,
+      userDeviceId: req.deviceId,
+      isRegistered: query.isRegistered === 'true',
+    }));
+
+    logger.info('Sync snapshot served', {
+      entityType,
+      count: snapshot.count,
+    });
+
+    return res.json(snapshot);
+  })
+);
+
+/**
+ * GET /api/sync/cursors/lag
+ * Admin diagnostics: how far each device's server-side cursors are behind each stream
+ * Optional deviceId returns a single device; otherwise devices are listed most recently active first
+ */
+router.get(
+  '/cursors/lag',
+  authenticate,
+  requireAdmin,
+  handleAsyncErrors(async (req, res) => {
+    let query;
+    try {
+      query = cursorLagQuerySchema.parse(req.query);
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        throw new ValidationError('Invalid cursor lag request', error.errors);
+      }
+      throw error;
+    }
+
+    if (query.deviceId) {
+      const lag = await getDeviceLag(query.deviceId);
+      if (!lag) {
+        throw new NotFoundError('No server-side cursors for device');
+      }
+      return res.json({ success: true, data: lag });
+    }
+
+    const result = await listDeviceLag(query.offset, query.limit);
+    return res.json({ success: true, data: result });
+  })
+);
+
 module.exports = router;
@@ -12,7 +12,9 @@ const {
   anonymousUserRequestSchema,
   deviceInfoRequestSchema,
   geolocationUpdateRequestSchema,
+  pushTokenRequestSchema,
 } = require('../config/validation');
+const { registerPushToken, unregisterPushToken } = require('../services/push/token-storage');
 const { handleAsyncErrors } = require('../utils/error-utils');
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const { extractDeviceId } = require('../middleware/device-id');
@@ -244,4 +246,78 @@ router.post(
   })
 );
 
+/**
+ * Resolve user for device-scoped requests (optional auth)
+ * Authenticated user wins; otherwise user owning the device (anonymous user is created if none)
+ * @param {object} req - Express request object
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<object>} User object
+ */
+async function resolveDeviceUser(req, deviceId) {
+  const userId = await getUserIdFromRequest(req);
+  if (userId) {
+    const user = await getUserById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+
+  const user = await getUserByDeviceId(deviceId);
+  return user || createAnonymousUser(deviceId);
+}
+
+/**
+ * POST /api/users/push-token
+ * Register (or refresh) FCM push token for this device
+ * Token is tied to X-Device-ID and the user owning the device (or the authenticated user)
+ */
+router.post(
+  '/push-token',
+  validateRequest(pushTokenRequestSchema),
+  handleAsyncErrors(async (req, res) => {
+    const { token, platform } = req.validatedBody;
+    const deviceId = req.deviceId || req.headers['x-device-id'];
+
+    if (!deviceId) {
+      throw new ValidationError('Device ID required (X-Device-ID header)');
+    }
+
+    const user = await resolveDeviceUser(req, deviceId);
+    const record = await registerPushToken(deviceId, token, platform, user.id);
+
+    return res.json({
+      success: true,
+      message: 'Push token registered',
+      data: {
+        userId: record.userId,
+        deviceId: record.deviceId,
+        platform: record.platform,
+      },
+    });
+  })
+);
+
+/**
+ * DELETE /api/users/push-token
+ * Remove push token for this device (e.g., on logout or when push is disabled)
+ */
+router.delete(
+  '/push-token',
+  handleAsyncErrors(async (req, res) => {
+    const deviceId = req.deviceId || req.headers['x-device-id'];
+
+    if (!deviceId) {
+      throw new ValidationError('Device ID required (X-Device-ID header)');
+    }
+
+    const removed = await unregisterPushToken(deviceId);
+
+    return res.json({
+      success: true,
+      message: removed ? 'Push token removed' : 'No push token registered',
+    });
+  })
+);
+
 module.exports = router;
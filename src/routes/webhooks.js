@@ -1,18 +1,27 @@
 const express = require('express');
 const { setCachedPrice } = require('../services/price/price');
 const { deleteCache } = require('../services/redis/cache');
-const { processWebhook } = require('../services/webhooks/unified-handler');
+const { enqueueWebhook } = require('../services/webhooks/webhook-queue');
+const {
+  resolveWebhookEventId,
+  claimWebhookEvent,
+  releaseWebhookEvent,
+} = require('../services/webhooks/webhook-events');
 const { logger } = require('../services/logger');
 const { validateRequest } = require('../middleware/validate');
+const { verifyWebhookSignature, rejectReusedNonce } = require('../middleware/webhook-signature');
 const {
   webhookPriceUpdateRequestSchema,
   webhookErpnextRequestSchema,
 } = require('../config/validation');
 const { handleAsyncErrors } = require('../utils/error-utils');
-const { InternalServerError } = require('../utils/errors');
+const { InternalServerError, UnauthorizedError } = require('../utils/errors');
 
 const router = express.Router();
 
+// Every webhook must be signed by ERPNext (see middleware/webhook-signature)
+router.use(verifyWebhookSignature);
+
 /**
  * POST /api/webhooks/price-update
  * Webhook endpoint for ERPNext to notify price changes
@@ -34,6 +43,7 @@ const router = express.Router();
  */
 router.post(
   '/price-update',
+  rejectReusedNonce,
   validateRequest(webhookPriceUpdateRequestSchema),
   handleAsyncErrors(async (req, res) => {
     const { erpnextName, sizeUnit, price, itemCode, invalidateCache } =
@@ -84,41 +94,64 @@ router.post(
 /**
  * POST /api/webhooks/erpnext
  * Unified webhook endpoint for ERPNext to notify changes
- * Supports product, price, and stock entity types
+ * Supports stock, bundle, product, price, hero and home entity types
  * Body format:
  * {
- *   entity_type: "product" | "price" | "stock",
+ *   entity_type: "stock" | "bundle" | "product" | "price" | "hero" | "home",
+ *   action: "update" | "delete",  // optional, default "update" (delete: product, price, hero, home)
+ *   // For stock and price:
+ *   itemCode: "ITEM-001",
  *   // For product:
  *   erpnextName: "WEB-ITM-0002",
- *   // For price:
- *   erpnextName: "WEB-ITM-0002",
- *   sizeUnit: "5lb",
- *   price: 29.99,
- *   // For stock:
- *   itemCode: "ITEM-001",
- *   availability: [0,0,1,0,1]
+ *   // Optional: event ID (idempotency key), or the document's modified timestamp to derive one from;
+ *   // without either every request is a new event
+ *   event_id: "...",
+ *   modified: "2024-01-15 10:30:00.123456"
  * }
+ * Data is always fetched from ERPNext; delete events emit deletion markers once ERPNext no longer has the data.
+ * The event is queued and processed by the webhook worker (retries with backoff,
+ * then the dead-letter stream); responds 202 with the eventId.
+ * A repeated event ID (ERPNext retry) is not queued again: responds 200 with the original event's status and result,
+ * also when the retry reuses its nonce. A reused nonce without event_id or modified is rejected (401).
  */
 router.post(
   '/erpnext',
   validateRequest(webhookErpnextRequestSchema),
   handleAsyncErrors(async (req, res) => {
     const { entity_type, ...payload } = req.validatedBody;
+    const { eventId, derived, generated } = resolveWebhookEventId(entity_type, payload);
+    // Without an event ID from the sender a repeat cannot be answered as a duplicate
+    if (req.webhookNonceReused && generated) {
+      throw new UnauthorizedError('Webhook request already processed');
+    }
 
     try {
-      // Process webhook using unified handler
-      const result = await processWebhook(entity_type, payload);
+      const claim = await claimWebhookEvent(eventId, entity_type, derived || generated);
+      if (claim.duplicate) {
+        logger.info('Duplicate webhook received', { eventId, entity_type, status: claim.event.status });
+        return res.json({
+          success: true,
+          message: `${entity_type} webhook already received`,
+          eventId,
+          entity_type,
+          duplicate: true,
+          status: claim.event.status,
+          result: claim.event.result || null,
+        });
+      }
 
-      if (result.error) {
-        throw new InternalServerError(result.error);
+      try {
+        await enqueueWebhook(entity_type, payload, eventId);
+      } catch (error) {
+        // Not queued: let the sender's retry through
+        await releaseWebhookEvent(eventId).catch(() => {});
+        throw error;
       }
 
-      return res.json({
+      return res.status(202).json({
         success: true,
-        message: `${entity_type} webhook processed successfully`,
-        changed: result.changed,
-        version: result.version,
-        streamId: result.streamId,
+        message: `${entity_type} webhook queued`,
+        eventId,
         entity_type,
       });
     } catch (error) {
@@ -127,7 +160,7 @@ router.post(
         throw error;
       }
       // Otherwise, wrap in InternalServerError
-      throw new InternalServerError(`Failed to process ${entity_type} webhook`);
+      throw new InternalServerError(`Failed to queue ${entity_type} webhook`);
     }
   })
 );
@@ -69,10 +69,12 @@ app.use(
 app.use(compression());
 
 // Body parsing with enhanced security
+const { captureRawBody } = require('./middleware/webhook-signature');
 app.use(express.json({ 
   limit: '10mb',
   strict: true, // Only parse arrays and objects
   type: 'application/json',
+  verify: captureRawBody, // Webhook signatures are computed over the raw body
 }));
 app.use(express.urlencoded({ 
   extended: true, 
@@ -169,6 +171,14 @@ app.use('/api/sync', resourceRateLimiter, syncRoutes);
 // Messaging routes
 app.use('/api/messaging', resourceRateLimiter, messagingRoutes);
 
+// Notification authoring routes (admin only)
+const notificationRoutes = validateRouter(require('./routes/notifications'), './routes/notifications');
+app.use('/api/notifications', managementRateLimiter, notificationRoutes);
+
+// Admin routes (refresh status, admin only)
+const adminRoutes = validateRouter(require('./routes/admin'), './routes/admin');
+app.use('/api/admin', managementRateLimiter, adminRoutes);
+
 // ERPNext routes (ping endpoint for local testing)
 const erpnextRoutes = validateRouter(require('./routes/erpnext'), './routes/erpnext');
 app.use('/api/erpnext', resourceRateLimiter, erpnextRoutes);
@@ -190,6 +200,13 @@ if (process.env.ENABLE_SCHEDULED_REFRESH !== 'false') {
   console.log('Weekly full refresh scheduler started');
 }
 
+// Start scheduled stream trimming (daily, per-type retention)
+const { startScheduledStreamTrim } = require('./services/scheduled/stream-trimmer');
+if (process.env.ENABLE_STREAM_TRIM !== 'false') {
+  startScheduledStreamTrim();
+  console.log('Stream trim scheduler started');
+}
+
 // Start scheduled analytics aggregation (daily)
 const { startScheduledAggregation } = require('./services/scheduled/analytics-aggregator');
 if (process.env.ENABLE_ANALYTICS_AGGREGATION !== 'false') {
@@ -197,6 +214,35 @@ if (process.env.ENABLE_ANALYTICS_AGGREGATION !== 'false') {
   console.log('Analytics aggregation scheduler started');
 }
 
+// Start notification scheduler (publishes scheduled and expires notifications)
+const { startNotificationScheduler } = require('./services/scheduled/notification-scheduler');
+if (process.env.ENABLE_NOTIFICATION_SCHEDULER !== 'false') {
+  startNotificationScheduler();
+  console.log('Notification scheduler started');
+}
+
+// Start webhook worker (processes queued ERPNext webhooks)
+const { startWebhookWorker, stopWebhookWorker } = require('./services/webhooks/webhook-queue');
+if (process.env.ENABLE_WEBHOOK_WORKER !== 'false') {
+  startWebhookWorker();
+  console.log('Webhook worker started');
+}
+
+// Index streams written before the latest-entry index existed (no-op once built)
+// One instance rebuilds; the others skip while it holds the lock
+const { ensureStreamIndexes } = require('./services/sync/stream-manager');
+const { ALL_ENTITY_TYPES } = require('./services/sync/sync-stream');
+const { runWithJobLock } = require('./services/scheduled/job-lock');
+runWithJobLock('stream_index_rebuild', () => ensureStreamIndexes(ALL_ENTITY_TYPES))
+  .then((rebuilt) => {
+    if (!rebuilt.skipped && Object.keys(rebuilt).length > 0) {
+      console.log(`Stream indexes built: ${Object.keys(rebuilt).join(', ')}`);
+    }
+  })
+  .catch((error) => {
+    console.log(`Stream index build failed: ${error.message}`);
+  });
+
 // Start server
 const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -230,21 +276,39 @@ process.on('uncaughtException', (error) => {
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+// Graceful shutdown: running jobs get JOB_SHUTDOWN_WAIT_MS to finish and release their locks,
+// locks of jobs cut off by the exit are released before it;
+// a webhook interrupted by the worker stop is reclaimed by another worker;
+// open sync streams are ended, otherwise server.close() would wait for them forever
+const { waitForJobLocks, releaseAllJobLocks } = require('./services/scheduled/job-lock');
+const { closeAllStreams } = require('./services/sync/sync-stream');
+
+/**
+ * Stop background work, release job locks, end sync streams and exit
+ * @param {string} signal - Received signal
+ */
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully`);
+  stopWebhookWorker()
+    .catch((error) => console.log(`Webhook worker stop failed: ${error.message}`))
+    .then(() => waitForJobLocks())
+    .then((running) => {
+      if (running.length > 0) {
+        console.log(`Stopping jobs still running: ${running.join(', ')}`);
+      }
+      return releaseAllJobLocks();
+    })
+    .catch((error) => console.log(`Job lock release failed: ${error.message}`))
+    .finally(() => {
+      closeAllStreams();
+      server.close(() => {
+        console.log('Process terminated');
+        process.exit(0);
+      });
+    });
+}
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
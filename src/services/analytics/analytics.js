@@ -1,5 +1,6 @@
 const { getRedisClient } = require('../redis/client');
 const { logger } = require('../logger');
+const { syncWishlist, syncRecentView } = require('./user-sync');
 const { v4: uuidv4 } = require('uuid');
 
 /**
@@ -55,6 +56,9 @@ async function incrementProductViews(name, userId = null, metadata = {}) {
       }
       
       await redis.set(userViewKey, JSON.stringify(userViews));
+
+      // Publish recently viewed products to the user's other devices
+      await syncRecentView(userId, name, timestamp);
     }
     
     // Add to view_changes stream when threshold met (every 10 views)
@@ -513,6 +517,8 @@ async function addToWishlist(userId, productName) {
       const productWishlistKey = `wishlist:product:${productName}`;
       await redis.incr(productWishlistKey);
       
+      await syncWishlist(userId, wishlist);
+
       logger.info('Product added to wishlist', {
         userId,
         productName,
@@ -574,6 +580,8 @@ async function removeFromWishlist(userId, productName) {
         await redis.decr(productWishlistKey);
       }
       
+      await syncWishlist(userId, wishlist);
+
       logger.info('Product removed from wishlist', {
         userId,
         productName,
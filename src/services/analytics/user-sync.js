@@ -0,0 +1,109 @@
+const { computeDataHash } = require('../sync/hash-computer');
+const { addStreamEntry } = require('../sync/stream-manager');
+const {
+  setCacheHash,
+  getCacheHash,
+  incrementCacheHashVersion,
+} = require('../redis/cache');
+const { logger } = require('../logger');
+
+/**
+ * Most recent products kept in a user's recent_view entity
+ */
+const RECENT_VIEW_LIMIT = 50;
+
+/**
+ * Store a user-scoped entity (one per user, entity ID = userId) and add its stream entry
+ * Stream entries carry no user data; sync filters them by the cached data's userId
+ * @param {string} entityType - User-scoped entity type (wishlist, recent_view)
+ * @param {string} userId - Owner user ID
+ * @param {object} data - Entity data (must include userId)
+ * @returns {Promise<string|null>} Stream ID or null if failed
+ */
+async function emitUserEntity(entityType, userId, data) {
+  const dataHash = computeDataHash(data);
+  const existing = await getCacheHash(entityType, userId);
+  if (existing && existing.data_hash === dataHash) {
+    return null;
+  }
+
+  let version = '1';
+  if (existing) {
+    version = await incrementCacheHashVersion(entityType, userId);
+    if (!version) {
+      version = (parseInt(existing.version) + 1).toString();
+    }
+  }
+
+  const success = await setCacheHash(entityType, userId, data, {
+    data_hash: dataHash,
+    updated_at: Date.now().toString(),
+    version,
+  });
+  if (!success) {
+    throw new Error(`Failed to update ${entityType} cache`);
+  }
+
+  return await addStreamEntry(entityType, userId, dataHash, version);
+}
+
+/**
+ * Publish a user's wishlist to the wishlist stream
+ * Never throws: the wishlist key is the source of truth, sync is best effort
+ * @param {string} userId - User ID
+ * @param {Array<string>} wishlist - Product names in the wishlist
+ * @returns {Promise<string|null>} Stream ID or null if unchanged/failed
+ */
+async function syncWishlist(userId, wishlist) {
+  try {
+    return await emitUserEntity('wishlist', userId, {
+      userId,
+      items: wishlist,
+    });
+  } catch (error) {
+    logger.error('Wishlist sync emit failed', {
+      userId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Record a product view in the user's recent_view entity and publish it
+ * Never throws: views:user:* keys are the source of truth, sync is best effort
+ * @param {string} userId - User ID
+ * @param {string} productName - Product ERPNext name
+ * @param {string} viewedAt - View timestamp (ISO)
+ * @returns {Promise<string|null>} Stream ID or null if failed
+ */
+async function syncRecentView(userId, productName, viewedAt) {
+  try {
+    const existing = await getCacheHash('recent_view', userId);
+    const previous = existing && Array.isArray(existing.data.items) ? existing.data.items : [];
+
+    // Most recent first, one entry per product
+    const items = [
+      { productName, viewedAt },
+      ...previous.filter((item) => item.productName !== productName),
+    ].slice(0, RECENT_VIEW_LIMIT);
+
+    return await emitUserEntity('recent_view', userId, {
+      userId,
+      items,
+    });
+  } catch (error) {
+    logger.error('Recent view sync emit failed', {
+      userId,
+      productName,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  RECENT_VIEW_LIMIT,
+  syncWishlist,
+  syncRecentView,
+};
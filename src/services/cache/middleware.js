@@ -9,11 +9,17 @@ const {
   incrementCacheHashVersion,
   deleteCacheHash,
   deleteCache,
+  isCacheHashStale,
 } = require('../redis/cache');
 const { computeDataHash } = require('../sync/hash-computer');
 const { addStreamEntry } = require('../sync/stream-manager');
 const { getRedisClient } = require('../redis/client');
-const { fetchProduct, fetchProductQuery } = require('../erpnext/client');
+const { fetchProductCoalesced, revalidateProduct } = require('./revalidate');
+const {
+  fetchProductQuery,
+  getErpnextCircuitState,
+  ERPNEXT_CIRCUIT_OPEN,
+} = require('../erpnext/client');
 const { extractEntityFromPath } = require('../../utils/data-types');
 const { logger } = require('../logger');
 const { fetchProductAnalytics } = require('../cache/transformer');
@@ -106,7 +112,8 @@ function extractItemCodeFromQuery(queryString) {
 /**
  * Handle single product request
  * Flow: Check cache → [Hit] Return transformed data
- *                   → [Miss] Fetch ERPNext (with transformation) → Cache → Return
+ *                   → [Stale] Return cached data (X-Cache: STALE) → Revalidate in background
+ *                   → [Miss] Fetch ERPNext (with transformation, coalesced) → Cache → Return
  */
 async function handleProductRequest(req, res, itemCode) {
   // Check hash-based cache first (for sync compatibility)
@@ -115,9 +122,18 @@ async function handleProductRequest(req, res, itemCode) {
   let productData;
   let erpnextName; // ERPNext 'name' field (e.g., WEB-ITM-0002)
 
-  if (cachedHash) {
+  if (cachedHash && isCacheHashStale(cachedHash)) {
+    // Past fresh_until: serve the cached product, refresh it for the next request
+    logger.info('Cache hit (stale)', { entityType: 'product', entityId: itemCode });
+    res.set('X-Cache', 'STALE');
+    res.set('Warning', '110 - "Response is Stale"');
+    productData = cachedHash.data;
+    erpnextName = productData.erpnext_name;
+    revalidateProduct(itemCode);
+  } else if (cachedHash) {
     logger.info('Cache hit (hash)', { entityType: 'product', entityId: itemCode });
     console.log(`✅ CACHE HIT (hash): product:${itemCode}`);
+    res.set('X-Cache', 'HIT');
     productData = cachedHash.data;
     erpnextName = productData.erpnext_name; // Use ERPNext name field for analytics
   } else {
@@ -126,6 +142,7 @@ async function handleProductRequest(req, res, itemCode) {
     if (cached) {
       logger.info('Cache hit (simple)', { entityType: 'product', entityId: itemCode });
       console.log(`✅ CACHE HIT (simple): product:${itemCode}`);
+      res.set('X-Cache', 'HIT');
       productData = cached;
       erpnextName = cached.erpnext_name;
     } else {
@@ -136,7 +153,8 @@ async function handleProductRequest(req, res, itemCode) {
         // Fetch product - transformation happens in fetchProduct
         // fetchProduct returns transformed app-ready data
         // Uses server's ERPNext credentials (not user auth)
-        const transformedData = await fetchProduct(itemCode);
+        // Concurrent misses for this product wait for the same ERPNext call
+        const transformedData = await fetchProductCoalesced(itemCode);
 
         if (!transformedData) {
           return res.status(404).json({
@@ -146,6 +164,7 @@ async function handleProductRequest(req, res, itemCode) {
           });
         }
 
+        res.set('X-Cache', 'MISS');
         productData = transformedData;
         erpnextName = transformedData.erpnext_name; // Use ERPNext name field for analytics
 
@@ -170,6 +189,17 @@ async function handleProductRequest(req, res, itemCode) {
           entityId: itemCode,
           error: error.message,
         });
+        if (error.code === ERPNEXT_CIRCUIT_OPEN) {
+          // Seconds until the circuit breaker lets a trial request through
+          const { retryAt } = getErpnextCircuitState();
+          const retryAfter = retryAt ? Math.ceil((new Date(retryAt).getTime() - Date.now()) / 1000) : 1;
+          res.set('Retry-After', String(Math.max(retryAfter, 1)));
+          return res.status(503).json({
+            success: false,
+            error: 'Service Unavailable',
+            message: 'ERPNext is temporarily unavailable',
+          });
+        }
         return res.status(500).json({
           success: false,
           error: 'Internal Server Error',
@@ -0,0 +1,67 @@
+const { fetchProduct } = require('../erpnext/client');
+const { logger } = require('../logger');
+
+/**
+ * ERPNext calls in flight in this process, by key
+ */
+const inFlight = new Map();
+
+/**
+ * Run a call once per key at a time: callers arriving while it runs share its promise
+ * @param {string} key - Coalescing key
+ * @param {function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+function coalesce(key, fn) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      inFlight.delete(key);
+    });
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Fetch a product from ERPNext for a cache miss; concurrent misses for the same product share one call
+ * @param {string} itemCode - Website Item name
+ * @returns {Promise<object|null>} Transformed product or null if not found
+ */
+function fetchProductCoalesced(itemCode) {
+  return coalesce(`fetch:product:${itemCode}`, () => fetchProduct(itemCode));
+}
+
+/**
+ * Revalidate a stale cached product in the background
+ * Runs the same refresh as the full refresh (version bump and stream entry when changed, freshness
+ * renewed when unchanged). Failures are logged; the stale value stays cached until its hard TTL.
+ * @param {string} itemCode - Website Item name
+ * @returns {Promise<string|null>} Refresh outcome, or null on failure
+ */
+function revalidateProduct(itemCode) {
+  return coalesce(`revalidate:product:${itemCode}`, async () => {
+    // Required lazily: full-refresh depends on most cache modules
+    const { refreshProduct } = require('../sync/full-refresh');
+    try {
+      const outcome = await refreshProduct(itemCode);
+      logger.info('Stale product revalidated', { itemCode, outcome });
+      return outcome;
+    } catch (error) {
+      logger.warn('Stale product revalidation failed', {
+        itemCode,
+        error: error.message,
+      });
+      return null;
+    }
+  });
+}
+
+module.exports = {
+  coalesce,
+  fetchProductCoalesced,
+  revalidateProduct,
+};
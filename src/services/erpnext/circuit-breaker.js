@@ -0,0 +1,95 @@
+/**
+ * Create a circuit breaker
+ * closed: requests pass; `failureThreshold` consecutive failures open the circuit.
+ * open: requests fail fast until `resetTimeoutMs` has passed.
+ * half_open: one trial request passes; success closes the circuit, failure opens it again.
+ * A trial that neither succeeds nor fails within `trialTimeoutMs` (e.g. cancelled) is replaced by a new one.
+ * @param {object} options - Options
+ * @param {string} options.name - Name (used in errors and state)
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial request (ms)
+ * @param {number} options.trialTimeoutMs - Time before an unsettled trial request is replaced (ms, default: resetTimeoutMs)
+ * @returns {object} Circuit breaker {canRequest, recordSuccess, recordFailure, getState, reset}
+ */
+function createCircuitBreaker({ name, failureThreshold, resetTimeoutMs, trialTimeoutMs = resetTimeoutMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialStartedAt = null;
+  let lastError = null;
+
+  return {
+    /**
+     * Check whether a request may be sent (moves an expired open circuit to half_open)
+     * @returns {boolean} True if the request may be sent
+     */
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+        state = 'half_open';
+        trialStartedAt = null;
+      }
+      if (state === 'closed') {
+        return true;
+      }
+      if (state === 'half_open' && (trialStartedAt === null || Date.now() - trialStartedAt >= trialTimeoutMs)) {
+        trialStartedAt = Date.now();
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Record a request that reached the service
+     */
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialStartedAt = null;
+    },
+
+    /**
+     * Record a failed request (service unreachable, timed out or 5xx)
+     * @param {Error} error - Failure
+     */
+    recordFailure(error) {
+      failures++;
+      lastError = error ? error.message : null;
+      trialStartedAt = null;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+
+    /**
+     * Get current state
+     * @returns {object} {name, state, failures, openedAt, retryAt, lastError}
+     */
+    getState() {
+      return {
+        name,
+        state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+        lastError,
+      };
+    },
+
+    /**
+     * Close the circuit and clear counters
+     */
+    reset() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialStartedAt = null;
+      lastError = null;
+    },
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+};
@@ -1,20 +1,163 @@
+const http = require('http');
+const https = require('https');
 const axios = require('axios');
 const { logger } = require('../logger');
 const {
   transformProduct,
   transformQueryResults,
 } = require('../cache/transformer');
+const { createCircuitBreaker } = require('./circuit-breaker');
 
 const ERPNEXT_API_URL = process.env.ERPNEXT_API_URL;
 const ERPNEXT_API_KEY = process.env.ERPNEXT_API_KEY;
 const ERPNEXT_API_SECRET = process.env.ERPNEXT_API_SECRET;
 
 /**
- * Create ERPNext API client
+ * Default request timeout (ms); a call can pass its own `timeout`
+ */
+const ERPNEXT_TIMEOUT_MS = parseInt(process.env.ERPNEXT_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Retries after a timeout, network error or 5xx response; a call can pass its own `retries`
+ */
+const ERPNEXT_MAX_RETRIES = parseInt(process.env.ERPNEXT_MAX_RETRIES || '2', 10);
+
+/**
+ * Delay before the first retry (ms); doubles with every further retry, half of it is random jitter
+ */
+const ERPNEXT_RETRY_BASE_MS = parseInt(process.env.ERPNEXT_RETRY_BASE_MS || '300', 10);
+
+/**
+ * Consecutive failed requests that open the circuit breaker
+ */
+const ERPNEXT_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.ERPNEXT_BREAKER_FAILURE_THRESHOLD || '5', 10);
+
+/**
+ * Time the circuit breaker fails fast before letting a trial request through (ms)
+ */
+const ERPNEXT_BREAKER_RESET_MS = parseInt(process.env.ERPNEXT_BREAKER_RESET_MS || '30000', 10);
+
+/**
+ * Rows requested per page by bulk list fetches
+ */
+const ERPNEXT_PAGE_SIZE = parseInt(process.env.ERPNEXT_PAGE_SIZE || '500', 10);
+
+/**
+ * Item codes per `in` filter of bulk fetches (keeps the query string short)
+ */
+const ERPNEXT_FILTER_CHUNK_SIZE = parseInt(process.env.ERPNEXT_FILTER_CHUNK_SIZE || '100', 10);
+
+/**
+ * Price lists of the [retail, wholesale] price array
+ */
+const PRICE_LISTS = {
+  retail: 'Standard Selling',
+  wholesale: 'Wholesale Selling',
+};
+
+/**
+ * Error code of requests rejected while the circuit breaker is open
+ */
+const ERPNEXT_CIRCUIT_OPEN = 'ERPNEXT_CIRCUIT_OPEN';
+
+const circuitBreaker = createCircuitBreaker({
+  name: 'erpnext',
+  failureThreshold: ERPNEXT_BREAKER_FAILURE_THRESHOLD,
+  resetTimeoutMs: ERPNEXT_BREAKER_RESET_MS,
+});
+
+let sharedClient = null;
+
+/**
+ * Check whether a failed request means ERPNext is unavailable (timeout, network error or 5xx)
+ * 4xx responses are answers from a healthy ERPNext and are neither retried nor counted by the breaker
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if retryable
+ */
+function isRetryableError(error) {
+  if (error.code === ERPNEXT_CIRCUIT_OPEN || axios.isCancel(error)) {
+    return false;
+  }
+  if (!error.response) {
+    return true;
+  }
+  return error.response.status >= 500;
+}
+
+/**
+ * Get delay before a retry (exponential backoff with jitter, so concurrent refresh workers spread out)
+ * @param {number} retry - Retry number (>= 1)
+ * @returns {number} Delay (ms)
+ */
+function getRetryDelay(retry) {
+  const delay = ERPNEXT_RETRY_BASE_MS * Math.pow(2, retry - 1);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Reject requests while the circuit breaker is open
+ * @param {object} config - Axios request config
+ * @returns {object} Config
+ */
+function checkCircuitBreaker(config) {
+  if (!circuitBreaker.canRequest()) {
+    const error = new Error('ERPNext unavailable (circuit breaker open)');
+    error.code = ERPNEXT_CIRCUIT_OPEN;
+    error.config = config;
+    throw error;
+  }
+  return config;
+}
+
+/**
+ * Retry a failed request if it may succeed later
+ * The circuit breaker records one failure per request, once its retries are exhausted;
+ * a failed trial request (half_open) is not retried and opens the circuit again
+ * @param {object} client - Axios instance
+ * @param {Error} error - Axios error
+ * @returns {Promise<object>} Response of a retry (rejects when retries are exhausted)
+ */
+async function handleRequestError(client, error) {
+  if (!isRetryableError(error)) {
+    if (error.response) {
+      circuitBreaker.recordSuccess();
+    }
+    throw error;
+  }
+
+  const config = error.config;
+  const maxRetries = config && config.retries !== undefined ? config.retries : ERPNEXT_MAX_RETRIES;
+  const retry = ((config && config.retryCount) || 0) + 1;
+  if (!config || retry > maxRetries || circuitBreaker.getState().state === 'half_open') {
+    circuitBreaker.recordFailure(error);
+    throw error;
+  }
+
+  const delay = getRetryDelay(retry);
+  logger.warn('ERPNext request failed, retrying', {
+    url: config.url,
+    retry,
+    retryInMs: delay,
+    status: error.response?.status,
+    error: error.message,
+  });
+  await new Promise((resolve) => setTimeout(resolve, delay));
+  return client.request({ ...config, retryCount: retry });
+}
+
+/**
+ * Get the shared ERPNext API client
  * Always uses server's ERPNext credentials from environment variables
  * No user authentication required - middleware acts as a proxy
+ * One instance with keep-alive connections is shared by all callers; requests are retried on
+ * timeouts/5xx and fail fast while the circuit breaker is open.
+ * Per-call options: `timeout` (ms) and `retries` (e.g. client.get(url, { timeout: 3000, retries: 0 }))
  */
 function createErpnextClient() {
+  if (sharedClient) {
+    return sharedClient;
+  }
+
   // Always use server's ERPNext API credentials
   const auth = Buffer.from(`${ERPNEXT_API_KEY}:${ERPNEXT_API_SECRET}`).toString(
     'base64'
@@ -23,14 +166,43 @@ function createErpnextClient() {
   // Build base URL
   const baseURL = ERPNEXT_API_URL.replace(/\/$/, '');
 
-  return axios.create({
+  const client = axios.create({
     baseURL,
     headers: {
       Authorization: `Basic ${auth}`,
       'Content-Type': 'application/json',
     },
-    timeout: 10000, // 10 second timeout
+    timeout: ERPNEXT_TIMEOUT_MS,
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent({ keepAlive: true }),
   });
+
+  client.interceptors.request.use(checkCircuitBreaker);
+  client.interceptors.response.use(
+    (response) => {
+      circuitBreaker.recordSuccess();
+      return response;
+    },
+    (error) => handleRequestError(client, error)
+  );
+
+  sharedClient = client;
+  return client;
+}
+
+/**
+ * Get ERPNext circuit breaker state (reported in /health)
+ * @returns {object} {name, state, failures, openedAt, retryAt, lastError}
+ */
+function getErpnextCircuitState() {
+  return circuitBreaker.getState();
+}
+
+/**
+ * Close the ERPNext circuit breaker and clear its counters
+ */
+function resetErpnextCircuitBreaker() {
+  circuitBreaker.reset();
 }
 
 /**
@@ -148,45 +320,25 @@ async function fetchProductRaw(itemCode) {
 
 /**
  * Fetch all published Website Items with only name and custom_variant fields
- * Used for bulk price updates and stock snapshots
+ * Used for bulk price updates, stock snapshots and product removal; pages through the whole list,
+ * since callers treat the result as the complete published catalog
  * @returns {Promise<Array>} Array of {name, custom_variant} objects
  */
 async function fetchPublishedWebsiteItems() {
   try {
-    const client = createErpnextClient();
-    const doctype = 'Website Item';
+    logger.info('Fetching published website items');
 
-    const fields = ['name', 'custom_variant'];
-    const filters = [['published', '=', 1]];
-
-    // Build query string matching ERPNext API format
-    // Format: /api/resource/Website Item?filters=[["published","=",1]]&fields=["name","custom_variant"]
-    const encodedDoctype = encodeURIComponent(doctype);
-    const filtersStr = encodeURIComponent(JSON.stringify(filters));
-    const fieldsStr = encodeURIComponent(JSON.stringify(fields));
-    
-    const url = `/api/resource/${encodedDoctype}?filters=${filtersStr}&fields=${fieldsStr}`;
-    
-    logger.info('Fetching published website items', { 
-      url, 
-      filters: JSON.stringify(filters),
-      fields: JSON.stringify(fields),
-    });
-    
-    const response = await client.get(url);
-
-    if (!response.data || !response.data.data) {
-      logger.warn('No data returned from ERPNext query', {
-        responseData: response.data,
-      });
-      return [];
-    }
+    const products = await fetchAllPages(
+      'Website Item',
+      [['published', '=', 1]],
+      ['name', 'custom_variant']
+    );
 
     logger.info('Fetched published website items', {
-      count: response.data.data.length,
+      count: products.length,
     });
 
-    return response.data.data;
+    return products;
   } catch (error) {
     logger.error('Failed to fetch published website items', {
       error: error.message,
@@ -201,9 +353,12 @@ async function fetchPublishedWebsiteItems() {
  * Fetch retail and wholesale prices for an item from Item Price doctype
  * Returns object with retail and wholesale prices
  * @param {string} itemCode - The item code to fetch prices for
+ * @param {object} options - Options
+ * @param {boolean} options.throwOnError - Throw when a request fails instead of reporting the price as missing
+ *   (callers that delete missing prices must not mistake a failure for a deletion)
  * @returns {Promise<{retail: number|null, wholesale: number|null}>} Object with retail and wholesale prices
  */
-async function fetchItemPrices(itemCode) {
+async function fetchItemPrices(itemCode, { throwOnError = false } = {}) {
   try {
     const client = createErpnextClient();
     const doctype = 'Item Price';
@@ -293,6 +448,13 @@ async function fetchItemPrices(itemCode) {
       });
     }
 
+    if (throwOnError) {
+      const rejected = [retailResult, wholesaleResult].find((result) => result.status === 'rejected');
+      if (rejected) {
+        throw rejected.reason;
+      }
+    }
+
     const retail = retailResult.status === 'fulfilled' ? retailResult.value : null;
     const wholesale = wholesaleResult.status === 'fulfilled' ? wholesaleResult.value : null;
 
@@ -304,10 +466,112 @@ async function fetchItemPrices(itemCode) {
       status: error.response?.status,
       stack: error.stack,
     });
+    if (throwOnError) {
+      throw error;
+    }
     return { retail: null, wholesale: null };
   }
 }
 
+/**
+ * Fetch every row of a doctype list, page by page
+ * @param {string} doctype - Doctype
+ * @param {Array} filters - ERPNext filters
+ * @param {Array<string>} fields - Fields to return
+ * @param {string} orderBy - Sort order (keeps pages stable while paging)
+ * @returns {Promise<Array>} All rows
+ */
+async function fetchAllPages(doctype, filters, fields, orderBy = 'name asc') {
+  const client = createErpnextClient();
+  const rows = [];
+
+  for (let start = 0; ; start += ERPNEXT_PAGE_SIZE) {
+    const queryParams = new URLSearchParams({
+      filters: JSON.stringify(filters),
+      fields: JSON.stringify(fields),
+      order_by: orderBy,
+      limit_start: String(start),
+      limit_page_length: String(ERPNEXT_PAGE_SIZE),
+    });
+
+    const response = await client.get(`/api/resource/${encodeURIComponent(doctype)}?${queryParams.toString()}`);
+    const page = (response.data && response.data.data) || [];
+    rows.push(...page);
+
+    if (page.length < ERPNEXT_PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Split item codes into chunks for `in` filters
+ * @param {Array<string>} itemCodes - Item codes
+ * @returns {Array<Array<string>>} Chunks of at most ERPNEXT_FILTER_CHUNK_SIZE item codes
+ */
+function chunkItemCodes(itemCodes) {
+  const chunks = [];
+  for (let i = 0; i < itemCodes.length; i += ERPNEXT_FILTER_CHUNK_SIZE) {
+    chunks.push(itemCodes.slice(i, i + ERPNEXT_FILTER_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+/**
+ * Fetch retail and wholesale prices of many items at once
+ * Pages through Item Price once per price list with `item_code in [...]` filters instead of
+ * two requests per item (fetchItemPrices). Like fetchItemPrices, the most recently modified
+ * Item Price of an item wins. Unlike it, errors are thrown: a failed bulk fetch must not
+ * reset every price to 0.
+ * @param {Array<string>} itemCodes - Item codes
+ * @returns {Promise<Map<string, {retail: number|null, wholesale: number|null}>>} Prices by item code (every requested code, null when not found)
+ */
+async function fetchAllItemPrices(itemCodes) {
+  const prices = new Map(itemCodes.map((itemCode) => [itemCode, { retail: null, wholesale: null }]));
+  const chunks = chunkItemCodes(Array.from(prices.keys()));
+
+  try {
+    for (const [key, priceList] of Object.entries(PRICE_LISTS)) {
+      const seen = new Set();
+
+      for (const chunk of chunks) {
+        const rows = await fetchAllPages(
+          'Item Price',
+          [
+            ['item_code', 'in', chunk],
+            ['price_list', '=', priceList],
+          ],
+          ['item_code', 'price_list_rate'],
+          'modified desc'
+        );
+
+        for (const row of rows) {
+          if (!prices.has(row.item_code) || seen.has(row.item_code)) {
+            continue;
+          }
+          seen.add(row.item_code);
+          const price = parseFloat(row.price_list_rate);
+          prices.get(row.item_code)[key] = isNaN(price) ? null : price;
+        }
+      }
+    }
+
+    logger.info('Fetched item prices in bulk', {
+      itemCodes: prices.size,
+      chunks: chunks.length,
+    });
+
+    return prices;
+  } catch (error) {
+    logger.error('Failed to fetch item prices in bulk from ERPNext', {
+      itemCodes: prices.size,
+      error: error.message,
+      status: error.response?.status,
+    });
+    throw error;
+  }
+}
+
 /**
  * Fetch stock availability for an item from Bin API
  * Returns array of warehouse names where item has stock (actual_qty > 0)
@@ -350,6 +614,43 @@ async function fetchItemStock(itemCode) {
   }
 }
 
+/**
+ * Fetch stock availability of all items at once
+ * Pages through every Bin with actual_qty > 0 in one sweep instead of one request per item
+ * (fetchItemStock). Errors are thrown: a failed sweep must not mark every item out of stock.
+ * @returns {Promise<Map<string, Array<string>>>} Warehouse names with stock by item code (items without stock are absent)
+ */
+async function fetchAllItemStock() {
+  try {
+    const bins = await fetchAllPages(
+      'Bin',
+      [['actual_qty', '>', 0]],
+      ['item_code', 'warehouse']
+    );
+
+    const stock = new Map();
+    for (const bin of bins) {
+      if (!stock.has(bin.item_code)) {
+        stock.set(bin.item_code, []);
+      }
+      stock.get(bin.item_code).push(bin.warehouse);
+    }
+
+    logger.info('Fetched item stock in bulk', {
+      bins: bins.length,
+      itemCodes: stock.size,
+    });
+
+    return stock;
+  } catch (error) {
+    logger.error('Failed to fetch item stock in bulk from ERPNext', {
+      error: error.message,
+      status: error.response?.status,
+    });
+    throw error;
+  }
+}
+
 /**
  * Download hero image from URL and convert to base64 data URL
  * @param {string} imageUrl - Image URL (can be relative or absolute)
@@ -366,13 +667,9 @@ async function downloadHeroImage(imageUrl) {
       fullUrl = `${baseURL}${imageUrl.startsWith('/') ? '' : '/'}${imageUrl}`;
     }
 
-    // Download image as arraybuffer
-    const response = await axios.get(fullUrl, {
+    // Download image as arraybuffer (absolute URLs bypass the client's baseURL)
+    const response = await client.get(fullUrl, {
       responseType: 'arraybuffer',
-      headers: {
-        Authorization: `Basic ${Buffer.from(`${ERPNEXT_API_KEY}:${ERPNEXT_API_SECRET}`).toString('base64')}`,
-      },
-      timeout: 10000,
     });
 
     // Determine content type from response headers or URL extension
@@ -406,9 +703,11 @@ async function downloadHeroImage(imageUrl) {
 /**
  * Fetch hero images from ERPNext File doctype
  * Returns array of file URLs
+ * @param {object} options - Options
+ * @param {boolean} options.throwOnError - Throw when the request fails instead of returning no images
  * @returns {Promise<Array<string>>} Array of file URLs
  */
-async function fetchHeroImages() {
+async function fetchHeroImages({ throwOnError = false } = {}) {
   try {
     const client = createErpnextClient();
     const doctype = 'File';
@@ -450,6 +749,9 @@ async function fetchHeroImages() {
       status: error.response?.status,
       responseData: error.response?.data,
     });
+    if (throwOnError) {
+      throw error;
+    }
     return [];
   }
 }
@@ -457,9 +759,11 @@ async function fetchHeroImages() {
 /**
  * Fetch App Home data from ERPNext App Home doctype
  * Returns single object (latest if multiple)
+ * @param {object} options - Options
+ * @param {boolean} options.throwOnError - Throw when the request fails instead of returning null
  * @returns {Promise<object|null>} App Home object or null if not found
  */
-async function fetchAppHome() {
+async function fetchAppHome({ throwOnError = false } = {}) {
   try {
     const client = createErpnextClient();
     const doctype = 'App Home';
@@ -503,6 +807,9 @@ async function fetchAppHome() {
       status: error.response?.status,
       responseData: error.response?.data,
     });
+    if (throwOnError) {
+      throw error;
+    }
     return null;
   }
 }
@@ -559,13 +866,18 @@ async function fetchBundleImages() {
 }
 
 module.exports = {
+  ERPNEXT_CIRCUIT_OPEN,
   createErpnextClient,
+  getErpnextCircuitState,
+  resetErpnextCircuitBreaker,
   fetchProduct,
   fetchProductQuery,
   fetchProductRaw,
   fetchPublishedWebsiteItems,
   fetchItemPrices,
+  fetchAllItemPrices,
   fetchItemStock,
+  fetchAllItemStock,
   downloadHeroImage,
   fetchHeroImages,
   fetchBundleImages,
@@ -1,5 +1,6 @@
 const { getRedisClient } = require('../redis/client');
-const { createErpnextClient } = require('../erpnext/client');
+const { createErpnextClient, getErpnextCircuitState } = require('../erpnext/client');
+const { getJobLockHolders, INSTANCE_ID } = require('../scheduled/job-lock');
 
 /**
  * Check Redis connection health
@@ -31,7 +32,8 @@ async function checkRedisHealth() {
 
 /**
  * Check ERPNext connection health
- * @returns {Promise<object>} Health status with response time
+ * Reports the client's circuit breaker state; while it is open the check fails fast
+ * @returns {Promise<object>} Health status with response time and circuit breaker state
  */
 async function checkErpnextHealth() {
   try {
@@ -40,7 +42,8 @@ async function checkErpnextHealth() {
     
     // Make lightweight API call to check connectivity
     // Using direct resource access (more reliable than query API)
-    await client.get('/api/resource/User?limit_page_length=1');
+    // No retries, and a timeout below the health check timeout (see performHealthCheck)
+    await client.get('/api/resource/User?limit_page_length=1', { timeout: 4000, retries: 0 });
     
     const responseTime = Date.now() - startTime;
     
@@ -48,6 +51,7 @@ async function checkErpnextHealth() {
       status: 'ok',
       responseTime,
       message: 'ERPNext connection healthy',
+      circuitBreaker: getErpnextCircuitState(),
     };
   } catch (error) {
     // Check if it's an authentication error vs connection error
@@ -60,6 +64,7 @@ async function checkErpnextHealth() {
       status: 'error',
       responseTime: null,
       message,
+      circuitBreaker: getErpnextCircuitState(),
     };
   }
 }
@@ -83,6 +88,25 @@ function getSystemMetrics() {
   };
 }
 
+/**
+ * Get scheduled job lock holders
+ * Does not affect overall health: jobs simply wait for a lock holder
+ * @returns {Promise<object>} {instanceId, locks} or {instanceId, error}
+ */
+async function getScheduledJobsStatus() {
+  try {
+    return {
+      instanceId: INSTANCE_ID,
+      locks: await getJobLockHolders(),
+    };
+  } catch (error) {
+    return {
+      instanceId: INSTANCE_ID,
+      error: `Job lock lookup failed: ${error.message}`,
+    };
+  }
+}
+
 /**
  * Get overall health status based on component statuses
  * @param {object} components - Component health statuses
@@ -135,9 +159,10 @@ async function performHealthCheck() {
   const startTime = Date.now();
   
   // Run health checks in parallel with timeouts
-  const [redisHealth, erpnextHealth] = await Promise.all([
+  const [redisHealth, erpnextHealth, scheduledJobs] = await Promise.all([
     checkWithTimeout(checkRedisHealth, 2000, 'Redis'),
     checkWithTimeout(checkErpnextHealth, 5000, 'ERPNext'),
+    checkWithTimeout(getScheduledJobsStatus, 2000, 'Scheduled jobs'),
   ]);
   
   // Get system metrics
@@ -160,6 +185,7 @@ async function performHealthCheck() {
     uptime: process.uptime(),
     components,
     system: systemMetrics,
+    scheduledJobs,
     responseTime: totalTime,
   };
 }
@@ -168,6 +194,7 @@ module.exports = {
   checkRedisHealth,
   checkErpnextHealth,
   getSystemMetrics,
+  getScheduledJobsStatus,
   getOverallHealth,
   checkWithTimeout,
   performHealthCheck,
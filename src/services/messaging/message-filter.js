@@ -1,4 +1,5 @@
 const { getCacheHash } = require('../redis/cache');
+const { getPrefetched } = require('../sync/change-detector');
 const { logger } = require('../logger');
 
 /**
@@ -6,9 +7,10 @@ const { logger } = require('../logger');
  * Messages are user-scoped, so we need to check the actual message data to filter by userId
  * @param {Array} messageEntries - Array of stream entries with {id, fields: {entity_type, entity_id, data_hash, ...}}
  * @param {string} userId - User ID to filter by
+ * @param {Map<string, object|null>} cache - Prefetched cache hashes (optional, see prefetchCacheHashes)
  * @returns {Promise<Array>} Filtered array of entries where message.userId matches userId
  */
-async function filterMessages(messageEntries, userId) {
+async function filterMessages(messageEntries, userId, cache = null) {
   if (!messageEntries || messageEntries.length === 0) {
     return [];
   }
@@ -30,7 +32,7 @@ async function filterMessages(messageEntries, userId) {
       }
 
       // Get message data to check userId
-      const cached = await getCacheHash('message', entity_id);
+      const cached = cache ? getPrefetched(cache, 'message', entity_id) : await getCacheHash('message', entity_id);
       if (!cached) {
         // Message not found in cache, skip it
         continue;
@@ -165,7 +165,50 @@ function filterNotifications(
   );
 }
 
+/**
+ * Check if notification stream entry has expired
+ * Deletion markers carry no expires_at field, so they are never treated as expired
+ * @param {object} notificationEntry - Stream entry with notification fields
+ * @param {number} now - Current timestamp (ms)
+ * @returns {boolean} True if expires_at is set and has passed
+ */
+function isNotificationExpired(notificationEntry, now = Date.now()) {
+  const expiresAt = parseInt(notificationEntry.fields.expires_at, 10);
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * Check if cached notification data has expired
+ * @param {object} notification - Notification data (from cache)
+ * @param {number} now - Current timestamp (ms)
+ * @returns {boolean} True if expiresAt is set and has passed
+ */
+function isNotificationDataExpired(notification, now = Date.now()) {
+  if (!notification || !notification.expiresAt) {
+    return false;
+  }
+  const expiresAt = Date.parse(notification.expiresAt);
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * Remove expired notification stream entries
+ * @param {Array} notificationEntries - Array of stream entries
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Array} Entries that have not expired
+ */
+function filterExpiredNotifications(notificationEntries, now = Date.now()) {
+  if (!notificationEntries || notificationEntries.length === 0) {
+    return [];
+  }
+
+  return notificationEntries.filter((entry) => !isNotificationExpired(entry, now));
+}
+
 module.exports = {
   shouldIncludeNotification,
   filterNotifications,
+  isNotificationExpired,
+  isNotificationDataExpired,
+  filterExpiredNotifications,
 };
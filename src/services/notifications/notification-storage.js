@@ -0,0 +1,674 @@
+const { getRedisClient } = require('../redis/client');
+const { setCacheHash, getCacheHash, incrementCacheHashVersion } = require('../redis/cache');
+const { computeDataHash } = require('../sync/hash-computer');
+const { addStreamEntry } = require('../sync/stream-manager');
+const { logger } = require('../logger');
+const crypto = require('crypto');
+
+/**
+ * Sorted set of all notification IDs (score = creation timestamp)
+ */
+const NOTIFICATION_INDEX_KEY = 'notifications:index';
+
+/**
+ * Sorted sets of notifications waiting for publish/expiry (score = due timestamp in ms)
+ */
+const NOTIFICATION_PUBLISH_QUEUE_KEY = 'notifications:schedule:publish';
+const NOTIFICATION_EXPIRY_QUEUE_KEY = 'notifications:schedule:expire';
+
+/**
+ * Maximum audit entries kept per notification
+ */
+const AUDIT_LOG_MAX_LENGTH = 100;
+
+/**
+ * Generate unique notification ID
+ * @returns {string} Notification ID in format ntf_<hex>
+ */
+function generateNotificationId() {
+  return `ntf_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Normalize targeting object (fills missing arrays, coerces flags)
+ * @param {object} target - Targeting object from request
+ * @returns {object} Normalized targeting object
+ */
+function normalizeTarget(target = {}) {
+  return {
+    groups: target.groups || [],
+    regions: target.regions || [],
+    users: target.users || [],
+    devices: target.devices || [],
+    provinces: target.provinces || [],
+    cities: target.cities || [],
+    nonRegistered: target.nonRegistered === true,
+  };
+}
+
+/**
+ * Build stream entry targeting fields understood by notification-filter
+ * Arrays are JSON strings because stream fields are flat strings
+ * @param {object} target - Normalized targeting object
+ * @returns {Object<string, string>} Stream fields (target_groups, target_provinces, ...)
+ */
+function buildTargetingFields(target) {
+  return {
+    target_groups: JSON.stringify(target.groups),
+    target_regions: JSON.stringify(target.regions),
+    target_users: JSON.stringify(target.users),
+    target_devices: JSON.stringify(target.devices),
+    target_provinces: JSON.stringify(target.provinces),
+    target_cities: JSON.stringify(target.cities),
+    target_non_registered: target.nonRegistered ? 'true' : 'false',
+  };
+}
+
+/**
+ * Build all stream fields for a live (non-deleted) notification entry
+ * expires_at lets processSync drop expired entries without a cache lookup
+ * @param {object} notification - Notification object
+ * @returns {Object<string, string>} Stream fields
+ */
+function buildStreamFields(notification) {
+  const fields = buildTargetingFields(normalizeTarget(notification.target));
+  if (notification.expiresAt) {
+    fields.expires_at = String(Date.parse(notification.expiresAt));
+  }
+  return fields;
+}
+
+/**
+ * Parse optional ISO date string to timestamp (ms)
+ * @param {string|null} value - ISO date string
+ * @returns {number|null} Timestamp or null if not set
+ */
+function toTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Add or remove notification from the expiry queue
+ * @param {object} redis - Redis client
+ * @param {string} notificationId - Notification ID
+ * @param {string|null} expiresAt - ISO expiry date (null removes from queue)
+ */
+async function syncExpiryQueue(redis, notificationId, expiresAt) {
+  const expiresAtMs = toTimestamp(expiresAt);
+  if (expiresAtMs) {
+    await redis.zadd(NOTIFICATION_EXPIRY_QUEUE_KEY, expiresAtMs, notificationId);
+  } else {
+    await redis.zrem(NOTIFICATION_EXPIRY_QUEUE_KEY, notificationId);
+  }
+}
+
+/**
+ * Deliver push notification in the background
+ * Push is best-effort: delivery failures never affect authoring or sync
+ * @param {object} notification - Published notification
+ */
+function dispatchPushInBackground(notification) {
+  // Lazy require: push-dispatcher reads targeting helpers from this module
+  const { dispatchNotification } = require('../push/push-dispatcher');
+  dispatchNotification(notification).catch((error) => {
+    logger.error('Background push dispatch failed', {
+      notificationId: notification.notificationId,
+      error: error.message,
+    });
+  });
+}
+
+/**
+ * Append an audit record for a notification
+ * Keeps the latest AUDIT_LOG_MAX_LENGTH records (newest first)
+ * @param {string} notificationId - Notification ID
+ * @param {string} action - Action name ('created', 'updated', 'retracted')
+ * @param {string} actorId - User ID that performed the action
+ * @param {object} details - Extra details (changed fields, stream ID, ...)
+ */
+async function appendAuditLog(notificationId, action, actorId, details = {}) {
+  try {
+    const redis = getRedisClient();
+    const auditKey = `notification:${notificationId}:audit`;
+    const record = {
+      action,
+      actorId: actorId || null,
+      timestamp: new Date().toISOString(),
+      ...details,
+    };
+
+    await redis.lpush(auditKey, JSON.stringify(record));
+    await redis.ltrim(auditKey, 0, AUDIT_LOG_MAX_LENGTH - 1);
+  } catch (error) {
+    // Audit failures must not block authoring
+    logger.error('Notification audit log failed', {
+      notificationId,
+      action,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get audit records for a notification (newest first)
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Array>} Array of audit records
+ */
+async function getNotificationAuditLog(notificationId) {
+  try {
+    const redis = getRedisClient();
+    const records = await redis.lrange(`notification:${notificationId}:audit`, 0, -1);
+    return records.map((record) => JSON.parse(record));
+  } catch (error) {
+    logger.error('Get notification audit log failed', {
+      notificationId,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Create a notification
+ * Emits it into notification_changes stream immediately, or queues it when publishAt is in the future
+ * @param {object} input - Notification fields {title, body, imageUrl, actionUrl, data, target, publishAt, expiresAt}
+ * @param {string} createdBy - Admin user ID
+ * @returns {Promise<object>} Created notification object (with streamId, null while scheduled)
+ */
+async function createNotification(input, createdBy) {
+  try {
+    if (!input || !input.title || !input.body) {
+      throw new Error('title and body are required');
+    }
+
+    const redis = getRedisClient();
+    const notificationId = generateNotificationId();
+    const now = new Date().toISOString();
+    const publishAtMs = toTimestamp(input.publishAt);
+    const isScheduled = publishAtMs !== null && publishAtMs > Date.now();
+
+    const notification = {
+      notificationId,
+      title: input.title,
+      body: input.body,
+      imageUrl: input.imageUrl || null,
+      actionUrl: input.actionUrl || null,
+      data: input.data || {},
+      target: normalizeTarget(input.target),
+      publishAt: input.publishAt || null,
+      expiresAt: input.expiresAt || null,
+      status: isScheduled ? 'scheduled' : 'active',
+      publishedAt: isScheduled ? null : now,
+      createdAt: now,
+      createdBy: createdBy || null,
+      updatedAt: now,
+      updatedBy: createdBy || null,
+      deleted: false,
+    };
+
+    // Compute hash for change detection
+    const dataHash = computeDataHash(notification);
+
+    // Store in Redis hash cache
+    const version = '1';
+    await setCacheHash('notification', notificationId, notification, {
+      data_hash: dataHash,
+      updated_at: Date.now().toString(),
+      version,
+    });
+
+    // Add to notification index (sorted by creation time)
+    await redis.zadd(NOTIFICATION_INDEX_KEY, Date.now(), notificationId);
+    await syncExpiryQueue(redis, notificationId, notification.expiresAt);
+
+    let streamId = null;
+    if (isScheduled) {
+      // Scheduler emits the stream entry at publish time
+      await redis.zadd(NOTIFICATION_PUBLISH_QUEUE_KEY, publishAtMs, notificationId);
+    } else {
+      // Add to notification_changes stream with targeting fields for filterNotifications
+      streamId = await addStreamEntry(
+        'notification',
+        notificationId,
+        dataHash,
+        version,
+        null,
+        true,
+        buildStreamFields(notification)
+      );
+    }
+
+    await appendAuditLog(notificationId, 'created', createdBy, { streamId, version, status: notification.status });
+
+    if (!isScheduled) {
+      dispatchPushInBackground(notification);
+    }
+
+    logger.info('Notification created', {
+      notificationId,
+      createdBy,
+      status: notification.status,
+      streamId,
+    });
+
+    return { ...notification, version, streamId };
+  } catch (error) {
+    logger.error('Notification creation failed', {
+      createdBy,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a notification by ID (including retracted notifications)
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<object|null>} Notification object with version or null if not found
+ */
+async function getNotification(notificationId) {
+  try {
+    const cached = await getCacheHash('notification', notificationId);
+    if (!cached) {
+      return null;
+    }
+
+    return { ...cached.data, version: cached.version };
+  } catch (error) {
+    logger.error('Get notification failed', { notificationId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * List notifications (newest first)
+ * @param {number} limit - Maximum number of notifications to return (default: 50)
+ * @param {number} offset - Offset for pagination (default: 0)
+ * @param {boolean} includeRetracted - Include retracted notifications (default: false)
+ * @returns {Promise<{notifications: Array, total: number}>} Page of notifications and index size
+ */
+async function listNotifications(limit = 50, offset = 0, includeRetracted = false) {
+  try {
+    const redis = getRedisClient();
+    const notificationIds = await redis.zrevrange(NOTIFICATION_INDEX_KEY, 0, -1);
+
+    const notifications = [];
+    for (const notificationId of notificationIds) {
+      const notification = await getNotification(notificationId);
+      if (!notification) {
+        continue;
+      }
+      if (notification.deleted && !includeRetracted) {
+        continue;
+      }
+      notifications.push(notification);
+    }
+
+    return {
+      notifications: notifications.slice(offset, offset + limit),
+      total: notifications.length,
+    };
+  } catch (error) {
+    logger.error('List notifications failed', { error: error.message });
+    return { notifications: [], total: 0 };
+  }
+}
+
+/**
+ * Update a notification
+ * Published notifications are re-emitted into notification_changes stream (previous entry is replaced,
+ * so the new targeting applies from now on). Scheduled notifications are only re-queued.
+ * @param {string} notificationId - Notification ID
+ * @param {object} updates - Fields to update {title, body, imageUrl, actionUrl, data, target, publishAt, expiresAt}
+ * @param {string} updatedBy - Admin user ID
+ * @returns {Promise<object|null>} Updated notification or null if not found, retracted or expired
+ */
+async function updateNotification(notificationId, updates, updatedBy) {
+  try {
+    const redis = getRedisClient();
+    const cached = await getCacheHash('notification', notificationId);
+    if (!cached) {
+      return null;
+    }
+
+    const existing = cached.data;
+    if (existing.deleted) {
+      return null;
+    }
+
+    const editableFields = ['title', 'body', 'imageUrl', 'actionUrl', 'data', 'expiresAt'];
+    // publishAt can only move while the notification is still waiting to be published
+    if (existing.status === 'scheduled') {
+      editableFields.push('publishAt');
+    }
+
+    const changedFields = [];
+    const updated = { ...existing };
+
+    for (const field of editableFields) {
+      if (updates[field] !== undefined) {
+        updated[field] = updates[field];
+        changedFields.push(field);
+      }
+    }
+
+    if (updates.target !== undefined) {
+      updated.target = normalizeTarget(updates.target);
+      changedFields.push('target');
+    }
+
+    const now = new Date().toISOString();
+    updated.updatedAt = now;
+    updated.updatedBy = updatedBy || null;
+
+    // Scheduled notification whose publishAt was moved to the past (or cleared) publishes right away
+    const publishAtMs = toTimestamp(updated.publishAt);
+    const publishNow = existing.status === 'scheduled' && (publishAtMs === null || publishAtMs <= Date.now());
+    if (publishNow) {
+      updated.status = 'active';
+      updated.publishedAt = now;
+    }
+
+    // Compute new hash
+    const dataHash = computeDataHash(updated);
+
+    // Increment version
+    let version = await incrementCacheHashVersion('notification', notificationId);
+    if (!version) {
+      version = (parseInt(cached.version) + 1).toString();
+    }
+
+    await setCacheHash('notification', notificationId, updated, {
+      data_hash: dataHash,
+      updated_at: Date.now().toString(),
+      version,
+    });
+
+    await syncExpiryQueue(redis, notificationId, updated.expiresAt);
+
+    let streamId = null;
+    if (updated.status === 'scheduled') {
+      await redis.zadd(NOTIFICATION_PUBLISH_QUEUE_KEY, publishAtMs, notificationId);
+    } else {
+      await redis.zrem(NOTIFICATION_PUBLISH_QUEUE_KEY, notificationId);
+      streamId = await addStreamEntry(
+        'notification',
+        notificationId,
+        dataHash,
+        version,
+        null,
+        true,
+        buildStreamFields(updated)
+      );
+    }
+
+    await appendAuditLog(notificationId, 'updated', updatedBy, {
+      streamId,
+      version,
+      changedFields,
+      status: updated.status,
+    });
+
+    logger.info('Notification updated', {
+      notificationId,
+      updatedBy,
+      changedFields,
+      status: updated.status,
+      streamId,
+    });
+
+    return { ...updated, version, streamId };
+  } catch (error) {
+    logger.error('Notification update failed', {
+      notificationId,
+      updatedBy,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Mark a notification as deleted (retracted or expired)
+ * Emits a deletion marker so clients that already received it remove it.
+ * Notifications that were never published are removed without a stream entry.
+ * @param {string} notificationId - Notification ID
+ * @param {string} status - Final status ('retracted' or 'expired')
+ * @param {string} actorId - Admin user ID (null for scheduler)
+ * @returns {Promise<object|null>} Deleted notification or null if not found
+ */
+async function markNotificationDeleted(notificationId, status, actorId) {
+  const redis = getRedisClient();
+  const cached = await getCacheHash('notification', notificationId);
+
+  // Nothing left to publish or expire once the notification is gone or deleted
+  if (!cached || cached.data.deleted) {
+    await redis.zrem(NOTIFICATION_PUBLISH_QUEUE_KEY, notificationId);
+    await redis.zrem(NOTIFICATION_EXPIRY_QUEUE_KEY, notificationId);
+  }
+
+  if (!cached) {
+    return null;
+  }
+
+  const existing = cached.data;
+  if (existing.deleted) {
+    return { ...existing, version: cached.version, streamId: null }; // Already retracted or expired
+  }
+
+  const now = new Date().toISOString();
+  const deleted = {
+    ...existing,
+    status,
+    deleted: true,
+    updatedAt: now,
+    updatedBy: actorId || null,
+  };
+  if (status === 'retracted') {
+    deleted.retractedAt = now;
+    deleted.retractedBy = actorId || null;
+  } else {
+    deleted.expiredAt = now;
+  }
+
+  // Deletion marker hash (same format getEntityForSync recognizes)
+  const deletionMarker = { deleted: true, erpnext_name: notificationId };
+  const dataHash = computeDataHash(deletionMarker);
+
+  let version = await incrementCacheHashVersion('notification', notificationId);
+  if (!version) {
+    version = (parseInt(cached.version) + 1).toString();
+  }
+
+  await setCacheHash('notification', notificationId, deleted, {
+    data_hash: dataHash,
+    updated_at: Date.now().toString(),
+    version,
+  });
+
+  await redis.zrem(NOTIFICATION_PUBLISH_QUEUE_KEY, notificationId);
+  await redis.zrem(NOTIFICATION_EXPIRY_QUEUE_KEY, notificationId);
+
+  // Keep targeting on the marker so the same audience receives the removal.
+  // No expires_at here: the marker itself must never be filtered out as expired.
+  let streamId = null;
+  if (existing.status !== 'scheduled') {
+    streamId = await addStreamEntry(
+      'notification',
+      notificationId,
+      dataHash,
+      version,
+      null,
+      true,
+      buildTargetingFields(normalizeTarget(existing.target))
+    );
+  }
+
+  await appendAuditLog(notificationId, status, actorId, { streamId, version });
+
+  return { ...deleted, version, streamId };
+}
+
+/**
+ * Retract a notification (soft delete)
+ * @param {string} notificationId - Notification ID
+ * @param {string} retractedBy - Admin user ID
+ * @returns {Promise<object|null>} Retracted notification or null if not found
+ */
+async function retractNotification(notificationId, retractedBy) {
+  try {
+    const retracted = await markNotificationDeleted(notificationId, 'retracted', retractedBy);
+
+    if (retracted) {
+      logger.info('Notification retracted', {
+        notificationId,
+        retractedBy,
+        streamId: retracted.streamId,
+      });
+    }
+
+    return retracted;
+  } catch (error) {
+    logger.error('Notification retraction failed', {
+      notificationId,
+      retractedBy,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Expire a notification (called by scheduler when expiresAt is reached)
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<object|null>} Expired notification or null if not found
+ */
+async function expireNotification(notificationId) {
+  try {
+    const expired = await markNotificationDeleted(notificationId, 'expired', null);
+
+    if (expired) {
+      logger.info('Notification expired', {
+        notificationId,
+        streamId: expired.streamId,
+      });
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error('Notification expiry failed', {
+      notificationId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Publish a scheduled notification (called by scheduler when publishAt is reached)
+ * The notification leaves the publish queue only after its stream entry is written. A notification
+ * already marked active but still queued (stream write failed) gets its stream entry on the next run.
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<object|null>} Published notification or null if not found or no longer scheduled
+ */
+async function publishScheduledNotification(notificationId) {
+  try {
+    const redis = getRedisClient();
+    const cached = await getCacheHash('notification', notificationId);
+    if (!cached || cached.data.deleted || !['scheduled', 'active'].includes(cached.data.status)) {
+      await redis.zrem(NOTIFICATION_PUBLISH_QUEUE_KEY, notificationId);
+      return null;
+    }
+
+    let published = cached.data;
+    let dataHash = cached.data_hash || computeDataHash(published);
+    let version = cached.version;
+
+    if (cached.data.status === 'scheduled') {
+      const now = new Date().toISOString();
+      published = {
+        ...cached.data,
+        status: 'active',
+        publishedAt: now,
+        updatedAt: now,
+      };
+
+      dataHash = computeDataHash(published);
+
+      version = await incrementCacheHashVersion('notification', notificationId);
+      if (!version) {
+        version = (parseInt(cached.version) + 1).toString();
+      }
+
+      await setCacheHash('notification', notificationId, published, {
+        data_hash: dataHash,
+        updated_at: Date.now().toString(),
+        version,
+      });
+    } else {
+      logger.warn('Resuming interrupted notification publish', { notificationId });
+    }
+
+    const streamId = await addStreamEntry(
+      'notification',
+      notificationId,
+      dataHash,
+      version,
+      null,
+      true,
+      buildStreamFields(published)
+    );
+
+    await redis.zrem(NOTIFICATION_PUBLISH_QUEUE_KEY, notificationId);
+
+    await appendAuditLog(notificationId, 'published', null, { streamId, version });
+
+    dispatchPushInBackground(published);
+
+    logger.info('Scheduled notification published', {
+      notificationId,
+      streamId,
+    });
+
+    return { ...published, version, streamId };
+  } catch (error) {
+    logger.error('Scheduled notification publish failed', {
+      notificationId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get notification IDs whose publish or expiry time has been reached
+ * @param {string} queue - 'publish' or 'expire'
+ * @param {number} now - Current timestamp (ms)
+ * @param {number} limit - Maximum IDs to return (default: 100)
+ * @returns {Promise<Array<string>>} Due notification IDs (oldest first)
+ */
+async function getDueNotificationIds(queue, now = Date.now(), limit = 100) {
+  const redis = getRedisClient();
+  const key = queue === 'publish' ? NOTIFICATION_PUBLISH_QUEUE_KEY : NOTIFICATION_EXPIRY_QUEUE_KEY;
+  return redis.zrangebyscore(key, 0, now, 'LIMIT', 0, limit);
+}
+
+module.exports = {
+  createNotification,
+  getNotification,
+  listNotifications,
+  updateNotification,
+  retractNotification,
+  expireNotification,
+  publishScheduledNotification,
+  getDueNotificationIds,
+  getNotificationAuditLog,
+  buildTargetingFields,
+  buildStreamFields,
+  normalizeTarget,
+  generateNotificationId,
+};
@@ -16,12 +16,14 @@ const { logger } = require('../logger');
  * Update price for a single item code
  * Fetches retail and wholesale prices from ERPNext, builds price array, and caches it
  * @param {string} itemCode - The item code to update
+ * @param {string|null} idempotencyKey - Stream entry idempotency key (webhook event ID; generated when null)
+ * @param {object|null} prices - Prices already fetched in bulk ({retail, wholesale}); fetched from ERPNext when null
  * @returns {Promise<Array<number>|null>} Price array [retail, wholesale] or null if failed
  */
-async function updateItemPrice(itemCode) {
+async function updateItemPrice(itemCode, idempotencyKey = null, prices = null) {
   try {
-    // Fetch prices from ERPNext
-    const { retail, wholesale } = await fetchItemPrices(itemCode);
+    // Fetch prices from ERPNext (webhooks and single-item updates)
+    const { retail, wholesale } = prices || await fetchItemPrices(itemCode);
 
     // Build price array: [retail, wholesale] (use 0 if price not found)
     // Note: It's valid for an item to have no prices set up yet (both will be 0)
@@ -109,7 +111,7 @@ async function updateItemPrice(itemCode) {
 
     // Add stream entry if changed (important: app needs to know about any change)
     if (changed) {
-      const streamId = await addStreamEntry('price', itemCode, newHash, version);
+      const streamId = await addStreamEntry('price', itemCode, newHash, version, idempotencyKey);
       logger.info('Price stream entry added', {
         itemCode,
         streamId,
@@ -410,12 +412,12 @@ function parseCustomVariant(customVariantString) {
 
 /**
  * Update all prices for all published products
- * Fetches all published Website Items, extracts unique item codes, and updates prices
- * Follows same pattern as stock refresh: deduplicates item codes, processes in batches
+ * Fetches all published Website Items, extracts unique item codes, fetches their prices in bulk
+ * (fetchAllItemPrices) and updates the cache in batches
  * @returns {Promise<Object>} Summary of update operation
  */
 async function updateAllPrices() {
-  const { fetchPublishedWebsiteItems } = require('../erpnext/client');
+  const { fetchPublishedWebsiteItems, fetchAllItemPrices } = require('../erpnext/client');
 
   const summary = {
     total: 0,
@@ -485,7 +487,10 @@ async function updateAllPrices() {
       uniqueItemCodes: uniqueItemCodes.length,
     });
 
-    // Step 2: Process items in parallel batches (10 at a time for performance)
+    // Step 2: Fetch all prices in bulk (one paged Item Price query per price list)
+    const prices = await fetchAllItemPrices(uniqueItemCodes);
+
+    // Step 3: Update cache in parallel batches (10 at a time for performance)
     const BATCH_SIZE = 10;
     const batches = [];
 
@@ -499,7 +504,7 @@ async function updateAllPrices() {
         batch.map(async (itemCode) => {
           try {
             // Use updateItemPrice which handles hash-based change detection
-            const priceArray = await updateItemPrice(itemCode);
+            const priceArray = await updateItemPrice(itemCode, null, prices.get(itemCode));
             
             if (priceArray === null) {
               // Log the actual error for debugging
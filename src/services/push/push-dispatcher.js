@@ -0,0 +1,210 @@
+const { getPushDeviceIds, getPushToken, unregisterPushToken, pruneDevice } = require('./token-storage');
+const { createFcmTransport } = require('./transports/fcm');
+const { createFileTransport, createConsoleTransport } = require('./transports/local');
+const { shouldIncludeNotification } = require('../notifications/notification-filter');
+const { getUserById, getUserByDeviceId } = require('../auth/user-storage');
+const { logger } = require('../logger');
+const {
+  PUSH_TRANSPORT,
+  FCM_PROJECT_ID,
+  FCM_SERVICE_ACCOUNT_FILE,
+  FCM_SERVICE_ACCOUNT_JSON,
+  FCM_REQUEST_TIMEOUT_MS,
+  PUSH_FILE_TRANSPORT_PATH,
+  PUSH_SEND_CONCURRENCY,
+} = require('../../config/push');
+
+let transport;
+
+/**
+ * Create transport from configuration
+ * @param {string} name - Transport name ('fcm', 'file', 'console', 'none')
+ * @returns {object|null} Transport or null when push delivery is disabled
+ */
+function createTransport(name) {
+  switch (name) {
+    case 'fcm':
+      return createFcmTransport({
+        projectId: FCM_PROJECT_ID,
+        keyFile: FCM_SERVICE_ACCOUNT_FILE,
+        credentials: FCM_SERVICE_ACCOUNT_JSON ? JSON.parse(FCM_SERVICE_ACCOUNT_JSON) : undefined,
+        timeout: FCM_REQUEST_TIMEOUT_MS,
+      });
+    case 'file':
+      return PUSH_FILE_TRANSPORT_PATH ? createFileTransport(PUSH_FILE_TRANSPORT_PATH) : createConsoleTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get configured transport (created lazily)
+ * @returns {object|null} Transport or null when push delivery is disabled
+ */
+function getTransport() {
+  if (transport === undefined) {
+    try {
+      transport = createTransport(PUSH_TRANSPORT);
+    } catch (error) {
+      logger.error('Push transport initialization failed', {
+        transport: PUSH_TRANSPORT,
+        error: error.message,
+      });
+      transport = null;
+    }
+  }
+  return transport;
+}
+
+/**
+ * Replace transport (tests, local tooling)
+ * @param {object|null} newTransport - Transport with send(message) or null to disable
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Build FCM v1 message for a device
+ * FCM data payload values must be strings
+ * @param {object} notification - Notification object
+ * @param {string} token - Device push token
+ * @returns {object} FCM v1 message
+ */
+function buildPushMessage(notification, token) {
+  const data = {
+    notificationId: notification.notificationId,
+    entityType: 'notification',
+  };
+  if (notification.actionUrl) {
+    data.actionUrl = notification.actionUrl;
+  }
+  for (const [key, value] of Object.entries(notification.data || {})) {
+    data[key] = typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  const message = {
+    token,
+    notification: {
+      title: notification.title,
+      body: notification.body,
+    },
+    data,
+  };
+  if (notification.imageUrl) {
+    message.notification.image = notification.imageUrl;
+  }
+
+  return message;
+}
+
+/**
+ * Resolve push token records targeted by a notification
+ * Uses the same targeting rules as sync (shouldIncludeNotification)
+ * @param {object} notification - Notification object
+ * @returns {Promise<Array<object>>} Token records to deliver to
+ */
+async function resolveTargetDevices(notification) {
+  // Lazy require: notification-storage dispatches pushes on publish
+  const { buildTargetingFields, normalizeTarget } = require('../notifications/notification-storage');
+  const entry = { fields: buildTargetingFields(normalizeTarget(notification.target)) };
+
+  const deviceIds = await getPushDeviceIds();
+  const records = [];
+
+  for (const deviceId of deviceIds) {
+    const record = await getPushToken(deviceId);
+    if (!record) {
+      await pruneDevice(deviceId);
+      continue;
+    }
+
+    const user = record.userId ? await getUserById(record.userId) : await getUserByDeviceId(deviceId);
+    const include = shouldIncludeNotification(
+      entry,
+      user ? user.id : null,
+      user ? user.groups || [] : [],
+      user ? user.region : null,
+      user ? user.province : null,
+      user ? user.city : null,
+      deviceId,
+      user ? !!user.isRegistered : false
+    );
+
+    if (include) {
+      records.push(record);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Send push notification to all targeted devices
+ * Best-effort: failures are logged and counted, invalid tokens are removed from the registry
+ * @param {object} notification - Notification object (as stored by notification-storage)
+ * @returns {Promise<object>} Delivery summary {targeted, sent, failed, removed} or {skipped: true}
+ */
+async function dispatchNotification(notification) {
+  const activeTransport = getTransport();
+  if (!activeTransport) {
+    logger.info('Push delivery disabled, skipping', { notificationId: notification.notificationId });
+    return { skipped: true };
+  }
+
+  try {
+    const records = await resolveTargetDevices(notification);
+    const summary = { targeted: records.length, sent: 0, failed: 0, removed: 0 };
+
+    // Bounded concurrency: send in chunks
+    for (let i = 0; i < records.length; i += PUSH_SEND_CONCURRENCY) {
+      const chunk = records.slice(i, i + PUSH_SEND_CONCURRENCY);
+      const results = await Promise.all(
+        chunk.map(async (record) => {
+          try {
+            return await activeTransport.send(buildPushMessage(notification, record.token));
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+        })
+      );
+
+      for (let j = 0; j < results.length; j++) {
+        const result = results[j];
+        if (result.success) {
+          summary.sent++;
+          continue;
+        }
+        summary.failed++;
+        if (result.invalidToken) {
+          await unregisterPushToken(chunk[j].deviceId);
+          summary.removed++;
+        }
+      }
+    }
+
+    logger.info('Push notification dispatched', {
+      notificationId: notification.notificationId,
+      transport: activeTransport.name,
+      ...summary,
+    });
+
+    return summary;
+  } catch (error) {
+    logger.error('Push notification dispatch failed', {
+      notificationId: notification.notificationId,
+      error: error.message,
+    });
+    return { targeted: 0, sent: 0, failed: 0, removed: 0, error: error.message };
+  }
+}
+
+module.exports = {
+  dispatchNotification,
+  resolveTargetDevices,
+  buildPushMessage,
+  getTransport,
+  setTransport,
+};
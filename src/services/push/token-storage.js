@@ -0,0 +1,191 @@
+const { getRedisClient } = require('../redis/client');
+const { logger } = require('../logger');
+const { PUSH_TOKEN_TTL_DAYS } = require('../../config/push');
+const crypto = require('crypto');
+
+/**
+ * Set of all device IDs with a registered push token
+ */
+const PUSH_DEVICES_KEY = 'push:devices';
+
+/**
+ * Hash push token for index keys (FCM tokens are long)
+ * @param {string} token - Push token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get push token record for a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<object|null>} Token record {deviceId, token, platform, userId, registeredAt, updatedAt} or null
+ */
+async function getPushToken(deviceId) {
+  try {
+    const redis = getRedisClient();
+    const data = await redis.get(`push:token:${deviceId}`);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    logger.error('Get push token failed', { deviceId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Remove push token for a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<boolean>} True if a token was removed
+ */
+async function unregisterPushToken(deviceId) {
+  try {
+    const redis = getRedisClient();
+    const existing = await getPushToken(deviceId);
+
+    await redis.del(`push:token:${deviceId}`);
+    await redis.srem(PUSH_DEVICES_KEY, deviceId);
+
+    if (!existing) {
+      return false;
+    }
+
+    if (existing.userId) {
+      await redis.srem(`push:user:${existing.userId}:devices`, deviceId);
+    }
+
+    // Only drop the owner index if it still points to this device
+    const ownerKey = `push:token_owner:${hashToken(existing.token)}`;
+    const owner = await redis.get(ownerKey);
+    if (owner === deviceId) {
+      await redis.del(ownerKey);
+    }
+
+    logger.info('Push token unregistered', { deviceId, userId: existing.userId });
+    return true;
+  } catch (error) {
+    logger.error('Push token unregister failed', { deviceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Register (or refresh) push token for a device
+ * A token can belong to one device only; registering it on a new device moves it.
+ * @param {string} deviceId - Device ID (from X-Device-ID)
+ * @param {string} token - FCM registration token
+ * @param {string} platform - 'android', 'ios' or 'web'
+ * @param {string|null} userId - User ID owning the device
+ * @returns {Promise<object>} Stored token record
+ */
+async function registerPushToken(deviceId, token, platform, userId = null) {
+  try {
+    const redis = getRedisClient();
+    const existing = await getPushToken(deviceId);
+    const now = new Date().toISOString();
+
+    // Token moved from another device (e.g., app reinstall with new device ID)
+    const ownerKey = `push:token_owner:${hashToken(token)}`;
+    const previousOwner = await redis.get(ownerKey);
+    if (previousOwner && previousOwner !== deviceId) {
+      await unregisterPushToken(previousOwner);
+    }
+
+    // Device switched users (logout/login on the same device)
+    if (existing && existing.userId && existing.userId !== userId) {
+      await redis.srem(`push:user:${existing.userId}:devices`, deviceId);
+    }
+
+    // Device received a new token: drop the old owner index
+    if (existing && existing.token !== token) {
+      await redis.del(`push:token_owner:${hashToken(existing.token)}`);
+    }
+
+    const record = {
+      deviceId,
+      token,
+      platform,
+      userId: userId || null,
+      registeredAt: existing && existing.token === token ? existing.registeredAt : now,
+      updatedAt: now,
+    };
+
+    const ttlSeconds = PUSH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+    await redis.setex(`push:token:${deviceId}`, ttlSeconds, JSON.stringify(record));
+    await redis.setex(ownerKey, ttlSeconds, deviceId);
+    await redis.sadd(PUSH_DEVICES_KEY, deviceId);
+    if (record.userId) {
+      await redis.sadd(`push:user:${record.userId}:devices`, deviceId);
+    }
+
+    logger.info('Push token registered', { deviceId, userId: record.userId, platform });
+    return record;
+  } catch (error) {
+    logger.error('Push token registration failed', { deviceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Get all device IDs with a registered push token
+ * Entries whose token key has expired are pruned lazily by callers via getPushToken
+ * @returns {Promise<Array<string>>} Device IDs
+ */
+async function getPushDeviceIds() {
+  try {
+    const redis = getRedisClient();
+    return await redis.smembers(PUSH_DEVICES_KEY);
+  } catch (error) {
+    logger.error('Get push devices failed', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Get push token records for all devices of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<object>>} Token records
+ */
+async function getPushTokensForUser(userId) {
+  try {
+    const redis = getRedisClient();
+    const deviceIds = await redis.smembers(`push:user:${userId}:devices`);
+
+    const records = [];
+    for (const deviceId of deviceIds) {
+      const record = await getPushToken(deviceId);
+      if (record && record.userId === userId) {
+        records.push(record);
+      } else {
+        await redis.srem(`push:user:${userId}:devices`, deviceId);
+      }
+    }
+
+    return records;
+  } catch (error) {
+    logger.error('Get user push tokens failed', { userId, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Remove device ID from registry index (token key expired or missing)
+ * @param {string} deviceId - Device ID
+ */
+async function pruneDevice(deviceId) {
+  try {
+    const redis = getRedisClient();
+    await redis.srem(PUSH_DEVICES_KEY, deviceId);
+  } catch (error) {
+    logger.error('Prune push device failed', { deviceId, error: error.message });
+  }
+}
+
+module.exports = {
+  registerPushToken,
+  unregisterPushToken,
+  getPushToken,
+  getPushDeviceIds,
+  getPushTokensForUser,
+  pruneDevice,
+};
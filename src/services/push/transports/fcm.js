@@ -0,0 +1,86 @@
+const { GoogleAuth } = require('google-auth-library');
+const { logger } = require('../../logger');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+/**
+ * FCM error codes meaning the token will never work again (remove from registry)
+ */
+const INVALID_TOKEN_CODES = ['UNREGISTERED'];
+
+/**
+ * Extract FCM error code from HTTP v1 error response
+ * @param {object} error - Request error (gaxios)
+ * @returns {string|null} FCM error code (e.g., 'UNREGISTERED') or status
+ */
+function getFcmErrorCode(error) {
+  const body = error.response && error.response.data && error.response.data.error;
+  if (!body) {
+    return null;
+  }
+  const fcmDetail = (body.details || []).find((detail) => detail.errorCode);
+  return fcmDetail ? fcmDetail.errorCode : body.status || null;
+}
+
+/**
+ * Create FCM HTTP v1 transport
+ * Uses service account credentials (file or inline JSON) through google-auth-library
+ * @param {object} options - Transport options
+ * @param {string} options.projectId - Firebase project ID
+ * @param {string} options.keyFile - Path to service account JSON (optional)
+ * @param {object} options.credentials - Parsed service account JSON (optional)
+ * @param {number} options.timeout - Request timeout in ms (default: 10000)
+ * @returns {{name: string, send: function}} Transport
+ */
+function createFcmTransport({ projectId, keyFile, credentials, timeout = 10000 }) {
+  if (!projectId) {
+    throw new Error('FCM_PROJECT_ID is required for FCM transport');
+  }
+
+  const auth = new GoogleAuth({
+    scopes: [FCM_SCOPE],
+    keyFile: credentials ? undefined : keyFile,
+    credentials,
+  });
+  const url = `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+
+  /**
+   * Send a single message
+   * @param {object} message - FCM v1 message ({token, notification, data, ...})
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string, invalidToken?: boolean}>} Send result
+   */
+  async function send(message) {
+    try {
+      const client = await auth.getClient();
+      const response = await client.request({
+        url,
+        method: 'POST',
+        data: { message },
+        timeout,
+      });
+
+      return { success: true, messageId: response.data && response.data.name };
+    } catch (error) {
+      const code = getFcmErrorCode(error);
+      const status = error.response ? error.response.status : null;
+      const invalidToken = INVALID_TOKEN_CODES.includes(code) || status === 404;
+
+      if (!invalidToken) {
+        logger.warn('FCM send failed', { status, code, error: error.message });
+      }
+
+      return {
+        success: false,
+        error: code || error.message,
+        invalidToken,
+      };
+    }
+  }
+
+  return { name: 'fcm', send };
+}
+
+module.exports = {
+  createFcmTransport,
+  getFcmErrorCode,
+};
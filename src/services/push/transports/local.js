@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { logger } = require('../../logger');
+
+/**
+ * Mask a device token for logs (first 6 and last 4 characters)
+ * @param {string} token - FCM device token
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token || token.length <= 12) {
+    return '***';
+  }
+  return `${token.slice(0, 6)}...${token.slice(-4)}`;
+}
+
+/**
+ * Create file transport (local development and tests)
+ * Appends each message as one JSON line instead of sending it
+ * @param {string} filePath - Output file path
+ * @returns {{name: string, send: function}} Transport
+ */
+function createFileTransport(filePath) {
+  if (!filePath) {
+    throw new Error('File path is required for file transport');
+  }
+
+  async function send(message) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), message });
+    await fs.promises.appendFile(filePath, `${line}\n`);
+    return { success: true, messageId: `file:${Date.now()}` };
+  }
+
+  return { name: 'file', send };
+}
+
+/**
+ * Create console transport (local development)
+ * Logs each message instead of sending it
+ * @returns {{name: string, send: function}} Transport
+ */
+function createConsoleTransport() {
+  async function send(message) {
+    logger.info('Push message (console transport)', {
+      token: maskToken(message.token),
+      notification: message.notification,
+      data: message.data,
+    });
+    return { success: true, messageId: `console:${Date.now()}` };
+  }
+
+  return { name: 'console', send };
+}
+
+module.exports = {
+  maskToken,
+  createFileTransport,
+  createConsoleTransport,
+};
@@ -1,7 +1,8 @@
 const { getRedisClient } = require('./client');
 const { getCacheKey, getQueryCacheKey } = require('../../utils/data-types');
+const { createPatch } = require('../../utils/json-patch');
 const { logger } = require('../logger');
-const { getEntityTTL, getEntityTTLWithDate, getQueryTTL } = require('../../config/cache');
+const { getEntityTTL, getEntityTTLWithDate, getStaleTTL, getQueryTTL } = require('../../config/cache');
 
 /**
  * Get cached entity from Redis (stored as JSON string)
@@ -32,12 +33,13 @@ async function getCache(entityType, entityId) {
 /**
  * Set cached entity in Redis as JSON string with TTL
  * Data should already be transformed to app-ready format
+ * Kept for the entity's stale TTL beyond its TTL, like the hash (see setCacheHash)
  */
 async function setCache(entityType, entityId, data) {
   try {
     const redis = getRedisClient();
     const cacheKey = getCacheKey(entityType, entityId);
-    const ttl = getEntityTTLWithDate(entityType);
+    const ttl = getEntityTTLWithDate(entityType) + getStaleTTL(entityType);
 
     if (!data || typeof data !== 'object') {
       return false;
@@ -87,7 +89,7 @@ async function updateCache(entityType, entityId, updates) {
   try {
     const redis = getRedisClient();
     const cacheKey = getCacheKey(entityType, entityId);
-    const ttl = getEntityTTLWithDate(entityType);
+    const ttl = getEntityTTLWithDate(entityType) + getStaleTTL(entityType);
 
     // Get existing data
     const existing = await getCache(entityType, entityId);
@@ -179,6 +181,35 @@ async function deleteQueryCache(entityType, queryHash) {
   }
 }
 
+/**
+ * Delete all cached query results of an entity type (SCAN, no KEYS)
+ * @param {string} entityType - Entity type
+ * @returns {Promise<number>} Number of deleted query caches
+ */
+async function deleteQueryCaches(entityType) {
+  try {
+    const redis = getRedisClient();
+    let deleted = 0;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', getQueryCacheKey(entityType, '*'), 'COUNT', 500);
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        deleted += await redis.del(...keys);
+      }
+    } while (cursor !== '0');
+
+    return deleted;
+  } catch (error) {
+    logger.error('Query cache bulk delete error', {
+      entityType,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
 /**
  * Delete cached hash entity
  * Removes both the hash key and the simple cache key
@@ -432,6 +463,8 @@ async function setItemPrice(itemCode, priceArray) {
 /**
  * Set cached entity using Redis Hash structure with metadata
  * Stores data as JSON string in 'data' field, plus metadata fields
+ * Entity types with a stale TTL also get `fresh_until` (ms): the hash outlives it by the stale TTL,
+ * so it can still be served while ERPNext is unavailable (see isCacheHashStale)
  * @param {string} entityType - Entity type (e.g., 'product', 'price', 'stock')
  * @param {string} entityId - Entity ID
  * @param {object} data - Data object to store (will be JSON stringified)
@@ -444,6 +477,7 @@ async function setCacheHash(entityType, entityId, data, metadata = {}) {
     // Use separate key namespace for hash-based cache to avoid clashing with simple string keys
     const cacheKey = `hash:${getCacheKey(entityType, entityId)}`;
     const ttl = getEntityTTLWithDate(entityType);
+    const staleTtl = ttl > 0 ? getStaleTTL(entityType) : 0;
 
     if (!data || typeof data !== 'object') {
       return false;
@@ -455,14 +489,39 @@ async function setCacheHash(entityType, entityId, data, metadata = {}) {
       data_hash: metadata.data_hash || '',
       updated_at: metadata.updated_at || Date.now().toString(),
       version: metadata.version || '1',
+      // version is bumped (incrementCacheHashVersion) before data is written; data_version tracks the stored data
+      data_version: metadata.version || '1',
     };
+    if (staleTtl > 0) {
+      hashFields.fresh_until = String(Date.now() + ttl * 1000);
+    }
+
+    // Keep a patch from the previous version so sync can send deltas (see getCacheHashPatches)
+    const [previousData, previousVersion] = await redis.hmget(cacheKey, 'data', 'data_version');
+    let clearPatch = false;
+    if (previousData && previousVersion && previousVersion !== hashFields.data_version) {
+      const patch = createPatch(JSON.parse(previousData), data);
+      const patchJson = JSON.stringify(patch);
+      if (patchJson.length < hashFields.data.length) {
+        hashFields.patch = patchJson;
+        hashFields.patch_base_version = previousVersion;
+      } else {
+        clearPatch = true;
+      }
+    } else if (previousData && previousData !== hashFields.data) {
+      // Same version with different data: the existing patch no longer ends at this data
+      clearPatch = true;
+    }
 
     // Set hash fields
     await redis.hset(cacheKey, hashFields);
+    if (clearPatch) {
+      await redis.hdel(cacheKey, 'patch', 'patch_base_version');
+    }
 
     // Set TTL only if ttl > 0 (0 means persistent, no expiration)
     if (ttl > 0) {
-      await redis.expire(cacheKey, ttl);
+      await redis.expire(cacheKey, ttl + staleTtl);
     }
 
     return true;
@@ -476,12 +535,31 @@ async function setCacheHash(entityType, entityId, data, metadata = {}) {
   }
 }
 
+/**
+ * Build a cache hash entry from raw HGETALL fields
+ * @param {object|null} hashData - Raw hash fields
+ * @returns {object|null} Object with {data, data_hash, updated_at, version, fresh_until (if set)} or null
+ */
+function parseCacheHash(hashData) {
+  if (!hashData || !hashData.data) {
+    return null;
+  }
+
+  return {
+    data: JSON.parse(hashData.data),
+    data_hash: hashData.data_hash || '',
+    updated_at: hashData.updated_at || '',
+    version: hashData.version || '1',
+    ...(hashData.fresh_until ? { fresh_until: parseInt(hashData.fresh_until, 10) } : {}),
+  };
+}
+
 /**
  * Get cached entity from Redis Hash structure
  * Returns object with data and metadata fields
  * @param {string} entityType - Entity type
  * @param {string} entityId - Entity ID
- * @returns {Promise<object|null>} Object with {data, data_hash, updated_at, version} or null
+ * @returns {Promise<object|null>} Object with {data, data_hash, updated_at, version, fresh_until (if set)} or null
  */
 async function getCacheHash(entityType, entityId) {
   try {
@@ -489,16 +567,7 @@ async function getCacheHash(entityType, entityId) {
     const cacheKey = `hash:${getCacheKey(entityType, entityId)}`;
     const hashData = await redis.hgetall(cacheKey);
 
-    if (!hashData || !hashData.data) {
-      return null;
-    }
-
-    return {
-      data: JSON.parse(hashData.data),
-      data_hash: hashData.data_hash || '',
-      updated_at: hashData.updated_at || '',
-      version: hashData.version || '1',
-    };
+    return parseCacheHash(hashData);
   } catch (error) {
     logger.error('Cache hash get error', {
       entityType,
@@ -509,6 +578,121 @@ async function getCacheHash(entityType, entityId) {
   }
 }
 
+/**
+ * Get multiple cached entities from Redis Hash structure in one round trip (pipelined HGETALL)
+ * Each result has the same shape and failure semantics as getCacheHash
+ * @param {Array<{entityType: string, entityId: string}>} items - Entities to fetch
+ * @returns {Promise<Array<object|null>>} Results in input order ({data, data_hash, updated_at, version, fresh_until (if set)} or null)
+ */
+async function getCacheHashes(items) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.pipeline();
+    for (const { entityType, entityId } of items) {
+      pipeline.hgetall(`hash:${getCacheKey(entityType, entityId)}`);
+    }
+    const results = await pipeline.exec();
+
+    return results.map(([error, hashData], index) => {
+      const { entityType, entityId } = items[index];
+      try {
+        if (error) {
+          throw error;
+        }
+        return parseCacheHash(hashData);
+      } catch (entryError) {
+        logger.error('Cache hash get error', {
+          entityType,
+          entityId,
+          error: entryError.message,
+        });
+        return null;
+      }
+    });
+  } catch (error) {
+    logger.error('Cache hash batch get error', {
+      count: items.length,
+      error: error.message,
+    });
+    return items.map(() => null);
+  }
+}
+
+/**
+ * Get stored patches for multiple cached entities in one round trip (pipelined HMGET)
+ * A patch is usable only while data_version still matches the version the sync response carries
+ * @param {Array<{entityType: string, entityId: string}>} items - Entities to fetch
+ * @returns {Promise<Array<object|null>>} Results in input order ({patch, baseVersion, dataVersion} or null)
+ */
+async function getCacheHashPatches(items) {
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  try {
+    const redis = getRedisClient();
+    const pipeline = redis.pipeline();
+    for (const { entityType, entityId } of items) {
+      pipeline.hmget(`hash:${getCacheKey(entityType, entityId)}`, 'patch', 'patch_base_version', 'data_version');
+    }
+    const results = await pipeline.exec();
+
+    return results.map(([error, fields]) => {
+      if (error || !fields || !fields[0] || !fields[1]) {
+        return null;
+      }
+      try {
+        return {
+          patch: JSON.parse(fields[0]),
+          baseVersion: fields[1],
+          dataVersion: fields[2] || null,
+        };
+      } catch (parseError) {
+        return null;
+      }
+    });
+  } catch (error) {
+    logger.error('Cache hash patch batch get error', {
+      count: items.length,
+      error: error.message,
+    });
+    return items.map(() => null);
+  }
+}
+
+/**
+ * List entity IDs that have a cache hash (SCAN, no KEYS)
+ * @param {string} entityType - Entity type
+ * @returns {Promise<Array<string>>} Entity IDs (empty on error)
+ */
+async function listCacheHashIds(entityType) {
+  try {
+    const redis = getRedisClient();
+    const prefix = `hash:${getCacheKey(entityType, '')}`;
+    const entityIds = new Set();
+    let cursor = '0';
+
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+      cursor = nextCursor;
+      // SCAN may return a key more than once
+      keys.forEach((key) => entityIds.add(key.slice(prefix.length)));
+    } while (cursor !== '0');
+
+    return Array.from(entityIds);
+  } catch (error) {
+    logger.error('Cache hash list error', {
+      entityType,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
 /**
  * Get only the data field from Redis Hash (for backward compatibility)
  * @param {string} entityType - Entity type
@@ -568,6 +752,50 @@ async function updateCacheHashMetadata(entityType, entityId, metadata) {
   }
 }
 
+/**
+ * Check whether a cached entity is past its fresh_until marker (kept for the stale TTL)
+ * @param {object} cached - Cached entity from getCacheHash
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if stale
+ */
+function isCacheHashStale(cached, now = Date.now()) {
+  return !!(cached && cached.fresh_until && now >= cached.fresh_until);
+}
+
+/**
+ * Mark a cached entity fresh again without rewriting its data (revalidated, unchanged)
+ * Resets fresh_until and the hash expiry; no-op for entity types without a stale TTL
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<boolean>} True if the hash exists and was updated
+ */
+async function touchCacheHash(entityType, entityId) {
+  try {
+    const ttl = getEntityTTLWithDate(entityType);
+    const staleTtl = ttl > 0 ? getStaleTTL(entityType) : 0;
+    if (staleTtl === 0) {
+      return false;
+    }
+
+    const redis = getRedisClient();
+    const cacheKey = `hash:${getCacheKey(entityType, entityId)}`;
+    if (!(await redis.exists(cacheKey))) {
+      return false;
+    }
+
+    await redis.hset(cacheKey, 'fresh_until', String(Date.now() + ttl * 1000));
+    await redis.expire(cacheKey, ttl + staleTtl);
+    return true;
+  } catch (error) {
+    logger.error('Cache hash touch error', {
+      entityType,
+      entityId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
 /**
  * Increment version in cache hash
  * @param {string} entityType - Entity type
@@ -606,6 +834,7 @@ module.exports = {
   getQueryCache,
   setQueryCache,
   deleteQueryCache,
+  deleteQueryCaches,
   cacheExists,
   getPrice,
   setPrice,
@@ -618,10 +847,15 @@ module.exports = {
   // Hash-based cache operations
   setCacheHash,
   getCacheHash,
+  getCacheHashes,
+  getCacheHashPatches,
   getCacheHashData,
+  listCacheHashIds,
   updateCacheHashMetadata,
   incrementCacheHashVersion,
   deleteCacheHash,
+  isCacheHashStale,
+  touchCacheHash,
 };
 
 
@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const { aggregateDailyEvents, cleanupExpiredEvents } = require('../analytics/aggregator');
+const { runWithJobLock } = require('./job-lock');
 const { logger } = require('../logger');
 
 // Default: Daily at midnight (00:00)
@@ -66,7 +67,7 @@ async function runAggregation(date = null) {
 
 /**
  * Start scheduled analytics aggregation
- * Runs daily at configured hour/minute
+ * Runs daily at configured hour/minute, on the instance holding the job lock
  */
 function startScheduledAggregation() {
   if (scheduledTask) {
@@ -85,7 +86,7 @@ function startScheduledAggregation() {
   scheduledTask = cron.schedule(cronExpression, async () => {
     logger.info('Scheduled analytics aggregation triggered');
     try {
-      await runAggregation();
+      await runWithJobLock('analytics_aggregation', () => runAggregation());
     } catch (error) {
       logger.error('Scheduled analytics aggregation failed', {
         error: error.message,
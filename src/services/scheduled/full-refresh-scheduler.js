@@ -1,5 +1,6 @@
 const cron = require('node-cron');
 const { performFullRefresh } = require('../sync/full-refresh');
+const { runWithJobLock } = require('./job-lock');
 const { logger } = require('../logger');
 
 // Default: Friday at 11 PM (day 5, hour 23)
@@ -23,7 +24,7 @@ let scheduledTask = null;
 
 /**
  * Start scheduled full refresh
- * Runs weekly at configured day/hour
+ * Runs weekly at configured day/hour, on the instance holding the job lock
  */
 function startScheduledFullRefresh() {
   if (scheduledTask) {
@@ -42,8 +43,10 @@ function startScheduledFullRefresh() {
   scheduledTask = cron.schedule(cronExpression, async () => {
     logger.info('Scheduled full refresh triggered');
     try {
-      const summary = await performFullRefresh();
-      logger.info('Scheduled full refresh completed', summary);
+      const summary = await runWithJobLock('full_refresh', performFullRefresh);
+      if (!summary.skipped) {
+        logger.info('Scheduled full refresh completed', summary);
+      }
     } catch (error) {
       logger.error('Scheduled full refresh failed', {
         error: error.message,
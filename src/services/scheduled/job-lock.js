@@ -0,0 +1,222 @@
+const os = require('os');
+const { getRedisClient } = require('../redis/client');
+const { logger } = require('../logger');
+
+/**
+ * Lease duration (ms); a holder that stops renewing loses the lock after this long
+ */
+const JOB_LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS || '60000', 10);
+
+/**
+ * Minimum time a finished run keeps the lock (ms)
+ * Instances whose cron fires slightly later (clock skew) must not re-run a job that just finished
+ */
+const JOB_LOCK_MIN_HOLD_MS = parseInt(process.env.JOB_LOCK_MIN_HOLD_MS || '30000', 10);
+
+/**
+ * Longest a graceful shutdown waits for running jobs to finish (ms)
+ */
+const JOB_SHUTDOWN_WAIT_MS = parseInt(process.env.JOB_SHUTDOWN_WAIT_MS || '10000', 10);
+
+/**
+ * Identity written into held locks (one per process, e.g. one per PM2 instance)
+ */
+const INSTANCE_ID = process.env.JOB_LOCK_INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+/**
+ * Scheduled jobs guarded by a lock (reported in health output)
+ */
+const SCHEDULED_JOBS = ['full_refresh', 'stream_trim', 'analytics_aggregation', 'notification_scheduler'];
+
+/**
+ * Lua: extend the lease if this instance still holds it
+ * KEYS[1] = lock, ARGV[1] = instance ID, ARGV[2] = lease (ms)
+ * Returns 1 if renewed, 0 if the lock is held by someone else or expired
+ */
+const RENEW_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+`;
+
+/**
+ * Lua: release the lock if this instance holds it
+ * KEYS[1] = lock, ARGV[1] = instance ID, ARGV[2] = remaining hold (ms, 0 deletes immediately)
+ * Returns 1 if released, 0 if the lock is held by someone else or expired
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+if tonumber(ARGV[2]) > 0 then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return redis.call('DEL', KEYS[1])
+`;
+
+/**
+ * Locks held by this process: jobName → {renewTimer, acquiredAt}
+ */
+const heldLocks = new Map();
+
+/**
+ * Get Redis key of a job lock
+ * @param {string} jobName - Job name
+ * @returns {string} Redis key
+ */
+function getJobLockKey(jobName) {
+  return `lock:job:${jobName}`;
+}
+
+/**
+ * Try to acquire a job lock and keep renewing it until released
+ * @param {string} jobName - Job name
+ * @returns {Promise<boolean>} True if this instance now holds the lock
+ */
+async function acquireJobLock(jobName) {
+  const redis = getRedisClient();
+  const key = getJobLockKey(jobName);
+
+  const result = await redis.set(key, INSTANCE_ID, 'PX', JOB_LOCK_TTL_MS, 'NX');
+  if (result !== 'OK') {
+    return false;
+  }
+
+  const renewTimer = setInterval(async () => {
+    try {
+      const renewed = await redis.eval(RENEW_LOCK_SCRIPT, 1, key, INSTANCE_ID, JOB_LOCK_TTL_MS);
+      if (!renewed) {
+        clearInterval(renewTimer);
+        heldLocks.delete(jobName);
+        logger.warn('Job lock lost', { jobName, instanceId: INSTANCE_ID });
+      }
+    } catch (error) {
+      logger.error('Job lock renewal failed', { jobName, error: error.message });
+    }
+  }, Math.max(1000, Math.floor(JOB_LOCK_TTL_MS / 3)));
+  // Renewal alone must not keep the process alive
+  renewTimer.unref();
+
+  heldLocks.set(jobName, { renewTimer, acquiredAt: Date.now() });
+  return true;
+}
+
+/**
+ * Release a job lock held by this instance
+ * @param {string} jobName - Job name
+ * @param {number} holdMs - Keep the lock this much longer instead of deleting it (ms)
+ * @returns {Promise<boolean>} True if the lock was released
+ */
+async function releaseJobLock(jobName, holdMs = 0) {
+  const held = heldLocks.get(jobName);
+  if (held) {
+    clearInterval(held.renewTimer);
+    heldLocks.delete(jobName);
+  }
+
+  const redis = getRedisClient();
+  const released = await redis.eval(RELEASE_LOCK_SCRIPT, 1, getJobLockKey(jobName), INSTANCE_ID, Math.max(0, holdMs));
+  return released === 1;
+}
+
+/**
+ * Run a job only if this instance acquires its lock
+ * Other instances skip the run; the lock is kept for JOB_LOCK_MIN_HOLD_MS after short runs
+ * @param {string} jobName - Job name
+ * @param {function} job - Async job function
+ * @returns {Promise<object>} Job result, or {skipped: true, holder} if another instance holds the lock
+ */
+async function runWithJobLock(jobName, job) {
+  const acquired = await acquireJobLock(jobName);
+  if (!acquired) {
+    const holder = await getRedisClient().get(getJobLockKey(jobName));
+    logger.info('Scheduled job skipped, lock held by another instance', { jobName, holder });
+    return { skipped: true, holder };
+  }
+
+  const startedAt = Date.now();
+  try {
+    return await job();
+  } finally {
+    try {
+      await releaseJobLock(jobName, JOB_LOCK_MIN_HOLD_MS - (Date.now() - startedAt));
+    } catch (error) {
+      // The lease expires on its own
+      logger.error('Job lock release failed', { jobName, error: error.message });
+    }
+  }
+}
+
+/**
+ * Release every lock held by this instance, including locks of jobs still running
+ * Graceful shutdown calls it after waitForJobLocks, right before the process exits and stops
+ * those jobs, so another instance can take them over without waiting for JOB_LOCK_TTL_MS
+ * @returns {Promise<Array<string>>} Names of released jobs
+ */
+async function releaseAllJobLocks() {
+  const released = [];
+  for (const jobName of Array.from(heldLocks.keys())) {
+    try {
+      if (await releaseJobLock(jobName)) {
+        released.push(jobName);
+      }
+    } catch (error) {
+      logger.error('Job lock release failed', { jobName, error: error.message });
+    }
+  }
+  return released;
+}
+
+/**
+ * Wait for the jobs holding locks in this instance to finish (graceful shutdown)
+ * Each job releases its own lock when it settles; locks of jobs still running when the wait
+ * ends are left to releaseAllJobLocks.
+ * @param {number} timeoutMs - Longest wait (ms)
+ * @returns {Promise<Array<string>>} Names of jobs still running
+ */
+async function waitForJobLocks(timeoutMs = JOB_SHUTDOWN_WAIT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (heldLocks.size > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return Array.from(heldLocks.keys());
+}
+
+/**
+ * Get current holder of each job lock
+ * @param {Array<string>} jobNames - Job names (defaults to SCHEDULED_JOBS)
+ * @returns {Promise<Object<string, object>>} jobName → {holder, expiresInMs, heldByThisInstance}
+ */
+async function getJobLockHolders(jobNames = SCHEDULED_JOBS) {
+  const redis = getRedisClient();
+  const pipeline = redis.pipeline();
+  jobNames.forEach((jobName) => {
+    pipeline.get(getJobLockKey(jobName));
+    pipeline.pttl(getJobLockKey(jobName));
+  });
+  const results = await pipeline.exec();
+
+  const holders = {};
+  jobNames.forEach((jobName, index) => {
+    const [, holder] = results[index * 2];
+    const [, pttl] = results[index * 2 + 1];
+    holders[jobName] = {
+      holder: holder || null,
+      expiresInMs: holder && pttl > 0 ? pttl : null,
+      heldByThisInstance: holder === INSTANCE_ID,
+    };
+  });
+  return holders;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  SCHEDULED_JOBS,
+  acquireJobLock,
+  releaseJobLock,
+  runWithJobLock,
+  releaseAllJobLocks,
+  waitForJobLocks,
+  getJobLockHolders,
+};
@@ -0,0 +1,153 @@
+const cron = require('node-cron');
+const {
+  getDueNotificationIds,
+  publishScheduledNotification,
+  expireNotification,
+} = require('../notifications/notification-storage');
+const { runWithJobLock } = require('./job-lock');
+const { logger } = require('../logger');
+
+// Default: check every minute
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL_MINUTES || '1', 10);
+
+// Maximum notifications handled per queue per run
+const BATCH_SIZE = 100;
+
+/**
+ * Build cron expression for notification scheduler
+ * @param {number} intervalMinutes - Interval in minutes (1-59)
+ * @returns {string} Cron expression
+ */
+function buildCronExpression(intervalMinutes) {
+  // node-cron uses: minute hour day-of-month month day-of-week
+  return intervalMinutes <= 1 ? '* * * * *' : `*/${intervalMinutes} * * * *`;
+}
+
+let scheduledTask = null;
+let running = false;
+
+/**
+ * Process due notifications from one queue in batches
+ * @param {string} queue - 'publish' or 'expire'
+ * @param {function} handler - Handler called with notification ID
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Promise<{processed: number, failed: number}>} Counts
+ */
+async function processQueue(queue, handler, now) {
+  let processed = 0;
+  let failed = 0;
+
+  // Keep draining until the queue has no more due entries (handlers remove entries from the queue)
+  for (;;) {
+    const notificationIds = await getDueNotificationIds(queue, now, BATCH_SIZE);
+    if (notificationIds.length === 0) {
+      break;
+    }
+
+    let progressed = false;
+    for (const notificationId of notificationIds) {
+      try {
+        await handler(notificationId);
+        processed++;
+        progressed = true;
+      } catch (error) {
+        failed++;
+        logger.error('Notification scheduler handler failed', {
+          queue,
+          notificationId,
+          error: error.message,
+        });
+      }
+    }
+
+    // Avoid spinning on entries that keep failing; retry on next run
+    if (!progressed || notificationIds.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Run one scheduler pass: publish due notifications, then expire due notifications
+ * Publish runs first so a notification with publishAt and expiresAt both in the past
+ * still ends with a retraction marker
+ * @returns {Promise<object>} Summary of the run
+ */
+async function runNotificationScheduler() {
+  if (running) {
+    logger.warn('Notification scheduler run skipped, previous run still in progress');
+    return { skipped: true };
+  }
+
+  running = true;
+  try {
+    const now = Date.now();
+    const published = await processQueue('publish', publishScheduledNotification, now);
+    const expired = await processQueue('expire', expireNotification, now);
+
+    const summary = {
+      published: published.processed,
+      expired: expired.processed,
+      failed: published.failed + expired.failed,
+      timestamp: new Date(now).toISOString(),
+    };
+
+    if (summary.published > 0 || summary.expired > 0 || summary.failed > 0) {
+      logger.info('Notification scheduler run completed', summary);
+    }
+
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start scheduled notification delivery
+ * Runs every configured number of minutes, on the instance holding the job lock
+ */
+function startNotificationScheduler() {
+  if (scheduledTask) {
+    logger.warn('Notification scheduler already running');
+    return;
+  }
+
+  const cronExpression = buildCronExpression(DEFAULT_INTERVAL_MINUTES);
+
+  logger.info('Starting notification scheduler', {
+    cronExpression,
+    intervalMinutes: DEFAULT_INTERVAL_MINUTES,
+  });
+
+  scheduledTask = cron.schedule(cronExpression, async () => {
+    try {
+      await runWithJobLock('notification_scheduler', runNotificationScheduler);
+    } catch (error) {
+      logger.error('Scheduled notification run failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  });
+
+  return scheduledTask;
+}
+
+/**
+ * Stop scheduled notification delivery
+ */
+function stopNotificationScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    logger.info('Notification scheduler stopped');
+  }
+}
+
+module.exports = {
+  startNotificationScheduler,
+  stopNotificationScheduler,
+  runNotificationScheduler,
+};
@@ -1,22 +1,61 @@
-const { trimStream, getStreamInfo } = require('../sync/stream-manager');
+const cron = require('node-cron');
+const { trimStream, trimStreamByMinId, getStreamInfo } = require('../sync/stream-manager');
+const { ALL_ENTITY_TYPES } = require('../sync/sync-stream');
+const { runWithJobLock } = require('./job-lock');
 const { logger } = require('../logger');
 
 // Default: keep last 7 days of entries
 const RETENTION_DAYS = parseInt(process.env.SYNC_STREAM_RETENTION_DAYS || '7', 10);
 const MAX_LENGTH = parseInt(process.env.STREAM_MAX_LENGTH || '10000', 10);
 
+// Default: Daily at 03:30
+const DEFAULT_HOUR = parseInt(process.env.SYNC_STREAM_TRIM_HOUR || '3', 10);
+const DEFAULT_MINUTE = parseInt(process.env.SYNC_STREAM_TRIM_MINUTE || '30', 10);
+
+/**
+ * Per-type retention defaults (days)
+ * High-volume, short-lived streams are kept briefly; catalog streams change rarely and are kept longer
+ * so offline clients can catch up without a full resync
+ */
+const RETENTION_DAYS_BY_TYPE = {
+  view: 2,
+  recent_view: 2,
+  wishlist: 30,
+  product: 30,
+  price: 30,
+  hero: 30,
+  home: 30,
+  bundle: 30,
+};
+
+/**
+ * Get retention days for an entity type
+ * SYNC_STREAM_RETENTION_DAYS_<TYPE> overrides the per-type default, which falls back to SYNC_STREAM_RETENTION_DAYS
+ * @param {string} entityType - Entity type
+ * @returns {number} Retention days
+ */
+function getRetentionDays(entityType) {
+  const override = parseInt(process.env[`SYNC_STREAM_RETENTION_DAYS_${entityType.toUpperCase()}`], 10);
+  if (!Number.isNaN(override) && override > 0) {
+    return override;
+  }
+  return RETENTION_DAYS_BY_TYPE[entityType] || RETENTION_DAYS;
+}
+
 /**
- * Estimate max length based on retention days
- * Assumes average of 100 entries per day per stream
- * @param {number} days - Retention days
- * @returns {number} Estimated max length
+ * Get oldest stream ID retained for an entity type
+ * @param {string} entityType - Entity type
+ * @param {number} now - Current time (ms)
+ * @returns {string} Minimum stream ID (ms-0)
  */
-function estimateMaxLength(days) {
-  return days * 100; // Conservative estimate
+function getRetentionMinId(entityType, now = Date.now()) {
+  const cutoff = now - getRetentionDays(entityType) * 24 * 60 * 60 * 1000;
+  return `${cutoff}-0`;
 }
 
 /**
  * Trim a single stream
+ * Removes entries older than the type's retention window, then caps the length at STREAM_MAX_LENGTH
  * @param {string} entityType - Entity type
  * @returns {Promise<object>} Trim result
  */
@@ -32,30 +71,33 @@ async function trimStreamByEntityType(entityType) {
       };
     }
 
-    // Use configured max length or estimate based on retention days
-    const maxLength = MAX_LENGTH || estimateMaxLength(RETENTION_DAYS);
+    const minId = getRetentionMinId(entityType);
+    let trimmed = await trimStreamByMinId(entityType, minId);
+    let length = streamInfo.length - trimmed;
 
-    if (streamInfo.length <= maxLength) {
-      return {
-        entityType,
-        trimmed: 0,
-        length: streamInfo.length,
-      };
+    // Length cap still applies to streams that are busy within the retention window
+    if (MAX_LENGTH && length > MAX_LENGTH) {
+      const cappedBy = await trimStream(entityType, MAX_LENGTH);
+      trimmed += cappedBy;
+      length -= cappedBy;
     }
 
-    const trimmed = await trimStream(entityType, maxLength);
-
-    logger.info('Stream trimmed', {
-      entityType,
-      trimmed,
-      length: streamInfo.length,
-      maxLength,
-    });
+    if (trimmed > 0) {
+      logger.info('Stream trimmed', {
+        entityType,
+        trimmed,
+        length,
+        minId,
+        retentionDays: getRetentionDays(entityType),
+        maxLength: MAX_LENGTH,
+      });
+    }
 
     return {
       entityType,
       trimmed,
-      length: streamInfo.length - trimmed,
+      length,
+      minId,
     };
   } catch (error) {
     logger.error('Stream trim error', {
@@ -72,13 +114,11 @@ async function trimStreamByEntityType(entityType) {
 
 /**
  * Trim all streams
- * @param {Array<string>} entityTypes - Entity types to trim (optional, defaults to common types)
+ * @param {Array<string>} entityTypes - Entity types to trim (optional, defaults to all syncable types)
  * @returns {Promise<object>} Summary of trim operations
  */
 async function trimAllStreams(entityTypes = null) {
-  const defaultTypes = ['product', 'price', 'stock', 'notification', 'view', 'comment', 'user', 'hero', 'announcement'];
-
-  const typesToTrim = entityTypes || defaultTypes;
+  const typesToTrim = entityTypes || ALL_ENTITY_TYPES;
 
   logger.info('Starting stream trimming', {
     entityTypes: typesToTrim,
@@ -101,7 +141,67 @@ async function trimAllStreams(entityTypes = null) {
   return summary;
 }
 
+/**
+ * Build cron expression for stream trimming
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @returns {string} Cron expression
+ */
+function buildCronExpression(hour, minute) {
+  return `${minute} ${hour} * * *`;
+}
+
+let scheduledTask = null;
+
+/**
+ * Start scheduled stream trimming
+ * Runs daily at configured hour/minute, on the instance holding the job lock
+ */
+function startScheduledStreamTrim() {
+  if (scheduledTask) {
+    logger.warn('Stream trim scheduler already running');
+    return;
+  }
+
+  const cronExpression = buildCronExpression(DEFAULT_HOUR, DEFAULT_MINUTE);
+
+  logger.info('Starting stream trim scheduler', {
+    cronExpression,
+    hour: DEFAULT_HOUR,
+    minute: DEFAULT_MINUTE,
+  });
+
+  scheduledTask = cron.schedule(cronExpression, async () => {
+    logger.info('Scheduled stream trim triggered');
+    try {
+      await runWithJobLock('stream_trim', () => trimAllStreams());
+    } catch (error) {
+      logger.error('Scheduled stream trim failed', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  });
+
+  return scheduledTask;
+}
+
+/**
+ * Stop scheduled stream trimming
+ */
+function stopScheduledStreamTrim() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    logger.info('Stream trim scheduler stopped');
+  }
+}
+
 module.exports = {
+  getRetentionDays,
+  getRetentionMinId,
   trimStreamByEntityType,
   trimAllStreams,
+  startScheduledStreamTrim,
+  stopScheduledStreamTrim,
 };
@@ -168,12 +168,13 @@ async function getItemAvailability(itemCode) {
  * Supports both legacy format (string array) and new format (object array with lat/lng)
  * @param {string} itemCode - The item code to update
  * @param {Array<string|object>} referenceWarehouses - Reference warehouse array (objects with {name, lat, lng} or strings)
+ * @param {Array<string>|null} warehouses - Warehouses with stock already fetched in bulk; fetched from ERPNext when null
  * @returns {Promise<Array<number>|null>} Availability array or null if failed
  */
-async function updateItemAvailability(itemCode, referenceWarehouses) {
+async function updateItemAvailability(itemCode, referenceWarehouses, warehouses = null) {
   try {
     // Fetch warehouses with stock from ERPNext
-    const warehousesWithStock = await fetchItemStock(itemCode);
+    const warehousesWithStock = warehouses || await fetchItemStock(itemCode);
 
     // Build availability array
     const availabilityArray = buildAvailabilityArray(
@@ -255,10 +256,11 @@ async function updateItemAvailability(itemCode, referenceWarehouses) {
 /**
  * Update all stock availability for all published products
  * Processes ALL flavors (not just first) since each flavor has its own stock
+ * Stock of all items is fetched in one paged Bin sweep (fetchAllItemStock)
  * @returns {Promise<Object>} Summary of update operation
  */
 async function updateAllStock() {
-  const { fetchPublishedWebsiteItems } = require('../erpnext/client');
+  const { fetchPublishedWebsiteItems, fetchAllItemStock } = require('../erpnext/client');
 
   const summary = {
     totalProductsFetched: 0,
@@ -282,6 +284,9 @@ async function updateAllStock() {
     // Get or initialize warehouse reference array (uses fixed list)
     const referenceWarehouses = await getWarehouseReferenceArray();
 
+    // Warehouses with stock of every item, fetched in bulk
+    const stock = await fetchAllItemStock();
+
     // Second pass: update stock for all items
     for (const product of products) {
       const { name: erpnextName, custom_variant } = product;
@@ -337,7 +342,8 @@ async function updateAllStock() {
             // Update availability for this item
             const availabilityArray = await updateItemAvailability(
               itemCode,
-              referenceWarehouses
+              referenceWarehouses,
+              stock.get(itemCode) || []
             );
 
             if (availabilityArray) {
@@ -1,19 +1,44 @@
-const { getCacheHash } = require('../redis/cache');
-const { compareHashes } = require('./hash-computer');
+const { getCacheHash, getCacheHashes } = require('../redis/cache');
+const { compareHashes, computeDataHash } = require('./hash-computer');
 const { logger } = require('../logger');
 
 /**
- * Check if entity needs sync by comparing cached hash vs stream entry hash
+ * Build lookup key for prefetched cache hashes
  * @param {string} entityType - Entity type
  * @param {string} entityId - Entity ID
+ * @returns {string} Lookup key
+ */
+function getLookupKey(entityType, entityId) {
+  return `${entityType}:${entityId}`;
+}
+
+/**
+ * Compute the data hash of an entity's deletion marker
+ * @param {string} entityId - Entity ID
+ * @param {Map<string, string>} deletionHashes - Optional per-request memo (entityId → hash)
+ * @returns {string} Deletion marker hash
+ */
+function getDeletionHash(entityId, deletionHashes = null) {
+  if (deletionHashes && deletionHashes.has(entityId)) {
+    return deletionHashes.get(entityId);
+  }
+  const hash = computeDataHash({ deleted: true, erpnext_name: entityId });
+  if (deletionHashes) {
+    deletionHashes.set(entityId, hash);
+  }
+  return hash;
+}
+
+/**
+ * Decide whether entity needs sync given its cached hash entry
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {object|null} cached - Cached entity from getCacheHash (null on cache miss)
  * @param {string} streamDataHash - Data hash from stream entry
- * @returns {Promise<boolean>} True if entity needs sync (hashes differ or cache miss)
+ * @returns {boolean} True if entity needs sync (hashes differ or cache miss)
  */
-async function needsSync(entityType, entityId, streamDataHash) {
+function evaluateNeedsSync(entityType, entityId, cached, streamDataHash) {
   try {
-    // Get cached entity with metadata
-    const cached = await getCacheHash(entityType, entityId);
-
     // If cache miss, entity needs sync
     if (!cached) {
       logger.info('Change detected: cache miss', {
@@ -54,12 +79,69 @@ async function needsSync(entityType, entityId, streamDataHash) {
   }
 }
 
+/**
+ * Check if entity needs sync by comparing cached hash vs stream entry hash
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {string} streamDataHash - Data hash from stream entry
+ * @returns {Promise<boolean>} True if entity needs sync (hashes differ or cache miss)
+ */
+async function needsSync(entityType, entityId, streamDataHash) {
+  // Get cached entity with metadata
+  const cached = await getCacheHash(entityType, entityId);
+  return evaluateNeedsSync(entityType, entityId, cached, streamDataHash);
+}
+
+/**
+ * Fetch cache hashes for stream entries of several streams in one round trip
+ * @param {Object<string, Array>} entriesByType - Object mapping entityType to stream entries
+ * @returns {Promise<Map<string, object|null>>} Prefetched cache (lookup key → cached entity or null)
+ */
+async function prefetchCacheHashes(entriesByType) {
+  const lookups = new Map();
+
+  for (const [entityType, entries] of Object.entries(entriesByType)) {
+    for (const entry of entries || []) {
+      const { entity_type, entity_id } = entry.fields;
+      if (!entity_id) {
+        continue;
+      }
+      lookups.set(getLookupKey(entityType, entity_id), { entityType, entityId: entity_id });
+      // needsSync reads by the entry's own entity_type
+      if (entity_type && entity_type !== entityType) {
+        lookups.set(getLookupKey(entity_type, entity_id), { entityType: entity_type, entityId: entity_id });
+      }
+    }
+  }
+
+  const items = Array.from(lookups.values());
+  const results = await getCacheHashes(items);
+
+  const cache = new Map();
+  items.forEach(({ entityType, entityId }, index) => {
+    cache.set(getLookupKey(entityType, entityId), results[index]);
+  });
+  return cache;
+}
+
+/**
+ * Get entity from prefetched cache
+ * @param {Map<string, object|null>} cache - Prefetched cache from prefetchCacheHashes
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @returns {object|null} Cached entity or null
+ */
+function getPrefetched(cache, entityType, entityId) {
+  return cache.get(getLookupKey(entityType, entityId)) || null;
+}
+
 /**
  * Filter stream entries to only those that need sync
  * @param {Array} streamEntries - Array of stream entries with {id, fields: {entity_type, entity_id, data_hash, ...}}
+ * @param {Map<string, object|null>} cache - Prefetched cache (optional; fetched per entry when omitted)
  * @returns {Promise<Array>} Filtered array of entries that need sync
  */
-async function filterEntriesNeedingSync(streamEntries) {
+async function filterEntriesNeedingSync(streamEntries, cache = null) {
   const entriesNeedingSync = [];
 
   for (const entry of streamEntries) {
@@ -73,7 +155,9 @@ async function filterEntriesNeedingSync(streamEntries) {
       continue;
     }
 
-    const needsUpdate = await needsSync(entity_type, entity_id, data_hash);
+    const needsUpdate = cache
+      ? evaluateNeedsSync(entity_type, entity_id, getPrefetched(cache, entity_type, entity_id), data_hash)
+      : await needsSync(entity_type, entity_id, data_hash);
     if (needsUpdate) {
       entriesNeedingSync.push(entry);
     }
@@ -82,6 +166,43 @@ async function filterEntriesNeedingSync(streamEntries) {
   return entriesNeedingSync;
 }
 
+/**
+ * Build entity data for sync response from a cached hash entry
+ * If entity is deleted (hash indicates deletion), returns deletion marker
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {object|null} cached - Cached entity from getCacheHash
+ * @param {string} streamDataHash - Data hash from stream entry (to detect deletions)
+ * @param {Map<string, string>} deletionHashes - Optional per-request memo of deletion marker hashes
+ * @returns {object|null} Entity data object with metadata, deletion marker, or null if not found
+ */
+function buildEntityForSync(entityType, entityId, cached, streamDataHash = null, deletionHashes = null) {
+  // Check if this is a deletion marker (hash indicates deletion)
+  if (streamDataHash && streamDataHash === getDeletionHash(entityId, deletionHashes)) {
+    return {
+      entity_type: entityType,
+      entity_id: entityId,
+      deleted: true,
+      updated_at: Date.now().toString(),
+      version: cached?.version || '1',
+      data_hash: streamDataHash,
+    };
+  }
+
+  if (!cached) {
+    return null;
+  }
+
+  return {
+    entity_type: entityType,
+    entity_id: entityId,
+    data: cached.data,
+    updated_at: cached.updated_at,
+    version: cached.version,
+    data_hash: cached.data_hash,
+  };
+}
+
 /**
  * Get entity data for sync response
  * Fetches cached entity data and includes metadata
@@ -94,54 +215,7 @@ async function filterEntriesNeedingSync(streamEntries) {
 async function getEntityForSync(entityType, entityId, streamDataHash = null) {
   try {
     const cached = await getCacheHash(entityType, entityId);
-
-    // Check if this is a deletion marker (hash indicates deletion)
-    if (streamDataHash) {
-      const deletionMarker = { deleted: true, erpnext_name: entityId };
-      const deletionHash = require('./hash-computer').computeDataHash(deletionMarker);
-      
-      if (streamDataHash === deletionHash) {
-        // This is a deletion - return deletion marker
-        return {
-          entity_type: entityType,
-          entity_id: entityId,
-          deleted: true,
-          updated_at: Date.now().toString(),
-          version: cached?.version || '1',
-          data_hash: streamDataHash,
-        };
-      }
-    }
-
-    // If cache doesn't exist and we have a stream entry, it might be a deletion
-    if (!cached && streamDataHash) {
-      const deletionMarker = { deleted: true, erpnext_name: entityId };
-      const deletionHash = require('./hash-computer').computeDataHash(deletionMarker);
-      
-      if (streamDataHash === deletionHash) {
-        return {
-          entity_type: entityType,
-          entity_id: entityId,
-          deleted: true,
-          updated_at: Date.now().toString(),
-          version: '1',
-          data_hash: streamDataHash,
-        };
-      }
-    }
-
-    if (!cached) {
-      return null;
-    }
-
-    return {
-      entity_type: entityType,
-      entity_id: entityId,
-      data: cached.data,
-      updated_at: cached.updated_at,
-      version: cached.version,
-      data_hash: cached.data_hash,
-    };
+    return buildEntityForSync(entityType, entityId, cached, streamDataHash);
   } catch (error) {
     logger.error('Get entity for sync error', {
       entityType,
@@ -156,4 +230,7 @@ module.exports = {
   needsSync,
   filterEntriesNeedingSync,
   getEntityForSync,
+  prefetchCacheHashes,
+  getPrefetched,
+  buildEntityForSync,
 };
@@ -0,0 +1,196 @@
+const { getRedisClient } = require('../redis/client');
+const { getStreamInfo, getStreamName, getTrimWatermark, compareStreamIds } = require('./stream-manager');
+const { logger } = require('../logger');
+
+/**
+ * Days a device cursor is kept after its last acknowledgement
+ */
+const SYNC_CURSOR_TTL_DAYS = parseInt(process.env.SYNC_CURSOR_TTL_DAYS || '90', 10);
+
+/**
+ * Sorted set of devices with server-side cursors (score = last acknowledgement time)
+ */
+const SYNC_CURSOR_DEVICES_KEY = 'sync:cursor:devices';
+
+/**
+ * Maximum pending entries counted per stream in lag reports
+ */
+const LAG_COUNT_LIMIT = 1000;
+
+/**
+ * Get cursor hash key for a device
+ * @param {string} deviceId - Device ID
+ * @returns {string} Redis key
+ */
+function getCursorKey(deviceId) {
+  return `sync:cursor:${deviceId}`;
+}
+
+/**
+ * Get acknowledged stream IDs for a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object<string, string>>} Object mapping entityType to acknowledged stream ID
+ */
+async function getDeviceCursors(deviceId) {
+  try {
+    const redis = getRedisClient();
+    return (await redis.hgetall(getCursorKey(deviceId))) || {};
+  } catch (error) {
+    logger.error('Get device cursors failed', { deviceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Acknowledge stream IDs for a device
+ * Cursors only move forward: an older ack (e.g. a retried request) never rewinds a stream
+ * @param {string} deviceId - Device ID
+ * @param {Object<string, string>} ack - Object mapping entityType to last applied stream ID
+ * @returns {Promise<Object<string, string>>} Cursors after the acknowledgement
+ */
+async function acknowledgeCursors(deviceId, ack = {}) {
+  try {
+    const redis = getRedisClient();
+    const key = getCursorKey(deviceId);
+    const cursors = (await redis.hgetall(key)) || {};
+
+    const updates = {};
+    for (const [entityType, streamId] of Object.entries(ack)) {
+      if (!cursors[entityType] || compareStreamIds(streamId, cursors[entityType]) > 0) {
+        updates[entityType] = streamId;
+      }
+    }
+
+    const multi = redis.multi();
+    if (Object.keys(updates).length > 0) {
+      multi.hset(key, updates);
+    }
+    multi.expire(key, SYNC_CURSOR_TTL_DAYS * 24 * 60 * 60);
+    multi.zadd(SYNC_CURSOR_DEVICES_KEY, Date.now(), deviceId);
+    await multi.exec();
+
+    return { ...cursors, ...updates };
+  } catch (error) {
+    logger.error('Acknowledge device cursors failed', { deviceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Resolve sync cursors for a device, applying an acknowledgement first
+ * Stored cursors win; client-supplied lastSync only seeds streams the device has never acknowledged
+ * @param {string} deviceId - Device ID
+ * @param {Object<string, string>} lastSync - Client-supplied cursors (optional)
+ * @param {Object<string, string>|null} ack - lastIds the client has applied since its previous sync
+ * @returns {Promise<Object<string, string>>} Object mapping entityType to stream ID
+ */
+async function resolveDeviceLastSync(deviceId, lastSync = {}, ack = null) {
+  const cursors = ack && Object.keys(ack).length > 0
+    ? await acknowledgeCursors(deviceId, ack)
+    : await getDeviceCursors(deviceId);
+  return { ...lastSync, ...cursors };
+}
+
+/**
+ * Get stream ID timestamp (ms)
+ * @param {string} streamId - Stream ID (ms-seq)
+ * @returns {number} Milliseconds
+ */
+function getStreamIdTime(streamId) {
+  return parseInt(streamId.split('-')[0], 10);
+}
+
+/**
+ * Compute lag of a device's cursors behind each stream
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<object|null>} {deviceId, lastAckAt, streams: {entityType: lag}} or null if unknown device
+ */
+async function getDeviceLag(deviceId) {
+  try {
+    const redis = getRedisClient();
+    const cursors = await getDeviceCursors(deviceId);
+    if (Object.keys(cursors).length === 0) {
+      return null;
+    }
+
+    const lastAck = await redis.zscore(SYNC_CURSOR_DEVICES_KEY, deviceId);
+    const streams = {};
+
+    for (const [entityType, cursor] of Object.entries(cursors)) {
+      const info = await getStreamInfo(entityType);
+      const lastId = info ? info.lastId : null;
+
+      if (!lastId || compareStreamIds(cursor, lastId) >= 0) {
+        streams[entityType] = {
+          cursor,
+          lastId,
+          pendingEntries: 0,
+          pendingCapped: false,
+          behindMs: 0,
+          resyncRequired: false,
+        };
+        continue;
+      }
+
+      // Exclusive start: entries after the acknowledged ID
+      const watermark = await getTrimWatermark(entityType);
+      const pending = await redis.xrange(getStreamName(entityType), `(${cursor}`, '+', 'COUNT', LAG_COUNT_LIMIT);
+      streams[entityType] = {
+        cursor,
+        lastId,
+        pendingEntries: pending.length,
+        pendingCapped: pending.length >= LAG_COUNT_LIMIT,
+        behindMs: Math.max(0, getStreamIdTime(lastId) - getStreamIdTime(cursor)),
+        resyncRequired: !!watermark && compareStreamIds(cursor, watermark) < 0,
+      };
+    }
+
+    return {
+      deviceId,
+      lastAckAt: lastAck ? new Date(parseInt(lastAck, 10)).toISOString() : null,
+      streams,
+    };
+  } catch (error) {
+    logger.error('Get device lag failed', { deviceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * List lag for devices with server-side cursors (most recently active first)
+ * Devices whose cursor hash has expired are pruned from the index
+ * @param {number} offset - Pagination offset
+ * @param {number} limit - Page size
+ * @returns {Promise<object>} {devices, total, offset, limit}
+ */
+async function listDeviceLag(offset = 0, limit = 50) {
+  try {
+    const redis = getRedisClient();
+    const total = await redis.zcard(SYNC_CURSOR_DEVICES_KEY);
+    const deviceIds = await redis.zrevrange(SYNC_CURSOR_DEVICES_KEY, offset, offset + limit - 1);
+
+    const devices = [];
+    for (const deviceId of deviceIds) {
+      const lag = await getDeviceLag(deviceId);
+      if (lag) {
+        devices.push(lag);
+      } else {
+        await redis.zrem(SYNC_CURSOR_DEVICES_KEY, deviceId);
+      }
+    }
+
+    return { devices, total, offset, limit };
+  } catch (error) {
+    logger.error('List device lag failed', { error: error.message });
+    throw error;
+  }
+}
+
+module.exports = {
+  SYNC_CURSOR_TTL_DAYS,
+  getDeviceCursors,
+  acknowledgeCursors,
+  resolveDeviceLastSync,
+  getDeviceLag,
+  listDeviceLag,
+};
@@ -0,0 +1,61 @@
+const { getCacheHashPatches } = require('../redis/cache');
+const { logger } = require('../logger');
+
+/**
+ * Replace full entity data with RFC 6902 patches where the client already holds the base version
+ * setCacheHash keeps one patch per entity (previous data version → current data version), so a
+ * patch is sent only when the client's known version equals that base and the stored data is still
+ * the version being synced; every other update keeps its full `data`
+ * @param {Array<object>} updates - Sync updates from processSync ({entity_type, entity_id, data, version, ...})
+ * @param {Object<string, Object<string, string>>} knownVersions - entityType → entityId → version held by client
+ * @returns {Promise<Array<object>>} Updates with {patch, baseVersion} in place of data where possible
+ */
+async function applyPatchDeltas(updates, knownVersions) {
+  if (!updates || updates.length === 0 || !knownVersions) {
+    return updates;
+  }
+
+  const candidates = [];
+  updates.forEach((update, index) => {
+    const known = knownVersions[update.entity_type]?.[update.entity_id];
+    if (known && !update.deleted && update.data !== undefined && known !== update.version) {
+      candidates.push({ index, known, entityType: update.entity_type, entityId: update.entity_id });
+    }
+  });
+
+  if (candidates.length === 0) {
+    return updates;
+  }
+
+  try {
+    const patches = await getCacheHashPatches(candidates);
+    const result = updates.slice();
+    let patched = 0;
+
+    candidates.forEach(({ index, known }, candidateIndex) => {
+      const stored = patches[candidateIndex];
+      const update = updates[index];
+      if (!stored || stored.baseVersion !== known || stored.dataVersion !== update.version) {
+        return;
+      }
+      const delta = { ...update, patch: stored.patch, baseVersion: stored.baseVersion };
+      delete delta.data;
+      result[index] = delta;
+      patched++;
+    });
+
+    if (patched > 0) {
+      logger.info('Sync updates sent as patches', { patched, total: updates.length });
+    }
+
+    return result;
+  } catch (error) {
+    // Full entities are always a valid response
+    logger.error('Patch delta error', { error: error.message });
+    return updates;
+  }
+}
+
+module.exports = {
+  applyPatchDeltas,
+};
@@ -4,23 +4,317 @@ const {
   setCacheHash,
   getCacheHash,
   incrementCacheHashVersion,
+  touchCacheHash,
 } = require('../redis/cache');
-const { fetchPublishedWebsiteItems, fetchProduct, fetchItemStock, fetchItemPrices, fetchHeroImages, fetchBundleImages, fetchAppHome } = require('../erpnext/client');
+const { fetchPublishedWebsiteItems, fetchProduct, fetchItemStock, fetchAllItemStock, fetchItemPrices, fetchAllItemPrices, fetchHeroImages, fetchBundleImages, fetchAppHome } = require('../erpnext/client');
 const { transformProduct, transformHeroImages, transformBundleImages, transformAppHome } = require('../cache/transformer');
 const { fetchItemPrice, updateItemPrice, parseCustomVariant } = require('../price/price');
 const { getWarehouseReferenceArray, buildAvailabilityArray } = require('../stock/stock');
+const { listCacheHashIds, deleteCacheHash, deleteQueryCaches } = require('../redis/cache');
+const { getRedisClient } = require('../redis/client');
+const { runTrackedRefresh } = require('./refresh-progress');
+const {
+  DRY_RUN_ENTITY_TYPES,
+  createRefreshDiff,
+  recordDiff,
+  recordRemoved,
+  runDryRunRefresh,
+  startDryRunReport,
+  completeDryRunReport,
+  failDryRunReport,
+} = require('./refresh-dry-run');
 const { logger } = require('../logger');
 
+/**
+ * Refresh a single product
+ * Compares hashes and updates cache and stream only if changed
+ * @param {string} erpnextName - Website Item name
+ * @param {object|null} diff - Dry run: record into this diff (createRefreshDiff) instead of writing
+ * @param {string|null} idempotencyKey - Stream entry idempotency key (webhook event ID; generated when null)
+ * @returns {Promise<string>} 'updated' or 'unchanged' ('added', 'changed' or 'unchanged' in a dry run; throws on failure)
+ */
+async function refreshProduct(erpnextName, diff = null, idempotencyKey = null) {
+  // Fetch and transform product
+  const transformedData = await fetchProduct(erpnextName);
+
+  if (!transformedData) {
+    throw new Error('Product not found');
+  }
+
+  // Compute hash
+  const newHash = computeDataHash(transformedData);
+
+  // Get existing cache (both hash cache and simple key for comparison)
+  const existing = await getCacheHash('product', erpnextName);
+  if (diff) {
+    return recordDiff(diff, erpnextName, existing, transformedData, newHash);
+  }
+  const { getCache } = require('../redis/cache');
+  const cachedProduct = await getCache('product', erpnextName);
+
+  // Check if changed
+  let version = '1';
+
+  if (existing) {
+    // Compare hash first (fast check)
+    if (existing.data_hash === newHash) {
+      // Hash matches, but also check if actual Redis value differs (manual changes)
+      // Compare objects using JSON stringify (deep equality check)
+      const dataMatches = 
+        cachedProduct &&
+        JSON.stringify(cachedProduct) === JSON.stringify(transformedData);
+
+      if (dataMatches) {
+        // Both hash and actual data match - no change, but the cached product is confirmed fresh
+        await touchCacheHash('product', erpnextName);
+        return 'unchanged';
+      } else {
+        // Hash matches but actual data differs - manual change detected
+        logger.info('Manual Redis change detected for product', {
+          erpnextName,
+          cachedHash: existing.data_hash,
+          newHash,
+        });
+        // Continue to update (changed = true)
+      }
+    }
+    
+    // Hash differs or manual change detected - increment version
+    version = await incrementCacheHashVersion('product', erpnextName);
+    if (!version) {
+      version = (parseInt(existing.version) + 1).toString();
+    }
+  } else {
+    // No existing hash cache - check simple Redis key
+    if (cachedProduct) {
+      // Compare objects using JSON stringify
+      const dataMatches = JSON.stringify(cachedProduct) === JSON.stringify(transformedData);
+      
+      if (dataMatches) {
+        // Data matches existing simple key - no change, just update hash cache without stream entry
+        logger.info('Product refresh: no change detected (matched simple Redis key)', {
+          erpnextName,
+          hash: newHash,
+        });
+        
+        // Update hash cache to keep it in sync, but don't add stream entry
+        const updatedAt = Date.now().toString();
+        await setCacheHash('product', erpnextName, transformedData, {
+          data_hash: newHash,
+          updated_at: updatedAt,
+          version: '1',
+        });
+        
+        return 'unchanged';
+      }
+    }
+  }
+
+  // Update cache hash (primary storage for sync)
+  const updatedAt = Date.now().toString();
+  await setCacheHash('product', erpnextName, transformedData, {
+    data_hash: newHash,
+    updated_at: updatedAt,
+    version,
+  });
+
+  // Also update simple cache for backward compatibility
+  const { setCache } = require('../redis/cache');
+  await setCache('product', erpnextName, transformedData);
+
+  // Add stream entry only if changed
+  await addStreamEntry('product', erpnextName, newHash, version, idempotencyKey);
+
+  return 'updated';
+}
+
+/**
+ * Collect item codes (flavor level) from parsed product variants
+ * @param {Array} variants - Parsed custom_variant sizes
+ * @returns {Array<string>} Item codes
+ */
+function getVariantItemCodes(variants) {
+  const itemCodes = [];
+  for (const sizeData of variants || []) {
+    for (const flavor of (sizeData && Array.isArray(sizeData.flavors) ? sizeData.flavors : [])) {
+      if (flavor && flavor.itemCode) {
+        itemCodes.push(flavor.itemCode);
+      }
+    }
+  }
+  return itemCodes;
+}
+
+/**
+ * Emit a deletion marker for a cached entity and delete its cache hash
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {object} existing - Cached entity from getCacheHash
+ * @param {string|null} idempotencyKey - Stream entry idempotency key (generated when null)
+ * @returns {Promise<string>} Stream ID of the deletion marker
+ */
+async function emitDeletion(entityType, entityId, existing, idempotencyKey = null) {
+  // Same marker getEntityForSync recognizes
+  const deletionHash = computeDataHash({ deleted: true, erpnext_name: entityId });
+  let version = await incrementCacheHashVersion(entityType, entityId);
+  if (!version) {
+    version = (parseInt(existing.version) + 1).toString();
+  }
+
+  const streamId = await addStreamEntry(entityType, entityId, deletionHash, version, idempotencyKey);
+  await deleteCacheHash(entityType, entityId);
+  return streamId;
+}
+
+/**
+ * Remove a product that is no longer published
+ * Emits deletion markers for the product and for its item prices/stock, then deletes their cache keys.
+ * Item codes still used by a published product are kept.
+ * @param {string} erpnextName - Website Item name
+ * @param {Set<string>} retainedItemCodes - Item codes of published products
+ * @param {string|null} idempotencyKey - Idempotency key of the deletion markers (generated when null)
+ * @returns {Promise<string>} 'removed', or 'unchanged' if the product was not cached
+ */
+async function removeProduct(erpnextName, retainedItemCodes = new Set(), idempotencyKey = null) {
+  const existing = await getCacheHash('product', erpnextName);
+  if (!existing) {
+    return 'unchanged';
+  }
+
+  const redis = getRedisClient();
+  const product = existing.data || {};
+
+  const streamId = await emitDeletion('product', erpnextName, existing, idempotencyKey);
+
+  // Per-size prices attached to the product (price:{erpnextName}:{sizeUnit})
+  const sizePriceKeys = Object.keys(product.prices || {}).map((sizeUnit) => `price:${erpnextName}:${sizeUnit}`);
+  if (sizePriceKeys.length > 0) {
+    await redis.del(...sizePriceKeys);
+  }
+
+  const removedItemCodes = getVariantItemCodes(product.variants)
+    .filter((itemCode) => !retainedItemCodes.has(itemCode));
+
+  for (const itemCode of new Set(removedItemCodes)) {
+    for (const entityType of ['price', 'stock']) {
+      const cached = await getCacheHash(entityType, itemCode);
+      if (cached) {
+        await emitDeletion(entityType, itemCode, cached, idempotencyKey);
+      }
+    }
+    // Simple keys read by the price and stock endpoints
+    await redis.del(`price:${itemCode}`, `availability:${itemCode}`);
+  }
+
+  logger.info('Product removed in refresh', {
+    erpnextName,
+    streamId,
+    removedItemCodes,
+  });
+
+  return 'removed';
+}
+
+/**
+ * Collect item codes used by published products
+ * @param {Array<object>} products - Published Website Items (name, custom_variant)
+ * @returns {Set<string>} Item codes
+ */
+function getPublishedItemCodes(products) {
+  const itemCodes = new Set();
+  for (const product of products) {
+    for (const itemCode of getVariantItemCodes(parseCustomVariant(product.custom_variant))) {
+      itemCodes.add(itemCode);
+    }
+  }
+  return itemCodes;
+}
+
+/**
+ * Remove cached products that are no longer in the published list
+ * @param {Array<object>} products - Published Website Items (name, custom_variant)
+ * @param {object} summary - Refresh summary (mutated: removed, errors)
+ * @returns {Promise<object>} Summary
+ */
+async function removeUnpublishedProducts(products, summary) {
+  const publishedNames = new Set(products.map((product) => product.name).filter(Boolean));
+  const retainedItemCodes = getPublishedItemCodes(products);
+
+  const cachedNames = await listCacheHashIds('product');
+  for (const erpnextName of cachedNames) {
+    if (publishedNames.has(erpnextName)) {
+      continue;
+    }
+    try {
+      if (await removeProduct(erpnextName, retainedItemCodes) === 'removed') {
+        summary.removed++;
+      }
+    } catch (error) {
+      summary.errors.push({ erpnextName, error: `Failed to remove product: ${error.message}` });
+    }
+  }
+
+  // Cached query results may still list removed products
+  if (summary.removed > 0) {
+    await deleteQueryCaches('product');
+  }
+
+  return summary;
+}
+
+/**
+ * Remove one product deleted or unpublished in ERPNext (webhook delete events)
+ * The published list is checked first, so a delete arriving after the product was republished removes nothing
+ * @param {string} erpnextName - Website Item name
+ * @param {string|null} idempotencyKey - Idempotency key of the deletion markers (webhook event ID)
+ * @returns {Promise<string>} 'removed', 'unchanged' if not cached, or 'published' if still published
+ */
+async function removeDeletedProduct(erpnextName, idempotencyKey = null) {
+  const products = await fetchPublishedWebsiteItems();
+  if (products.some((product) => product.name === erpnextName)) {
+    return 'published';
+  }
+
+  const outcome = await removeProduct(erpnextName, getPublishedItemCodes(products), idempotencyKey);
+  if (outcome === 'removed') {
+    await deleteQueryCaches('product');
+  }
+  return outcome;
+}
+
+/**
+ * Remove a cached entity deleted in ERPNext (deletion marker, then cache hash)
+ * @param {string} entityType - Entity type
+ * @param {string} entityId - Entity ID
+ * @param {string|null} idempotencyKey - Idempotency key of the deletion marker (webhook event ID)
+ * @returns {Promise<string>} 'removed', or 'unchanged' if not cached
+ */
+async function removeEntity(entityType, entityId, idempotencyKey = null) {
+  const existing = await getCacheHash(entityType, entityId);
+  if (!existing) {
+    return 'unchanged';
+  }
+
+  const streamId = await emitDeletion(entityType, entityId, existing, idempotencyKey);
+  logger.info('Entity removed', { entityType, entityId, streamId });
+  return 'removed';
+}
+
 /**
  * Refresh all products
  * Fetches all published products from ERPNext, compares hashes, updates cache and streams only if changed
+ * Runs through the worker pool with checkpointing, so an interrupted run resumes (see refresh-progress).
+ * Cached products missing from the published list are removed (deletion markers emitted).
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllProducts() {
+async function refreshAllProducts({ dryRun = false } = {}) {
   const summary = {
     total: 0,
     updated: 0,
     unchanged: 0,
+    removed: 0,
     errors: [],
   };
 
@@ -33,146 +327,178 @@ async function refreshAllProducts() {
       totalProducts: products.length,
     });
 
-    for (const product of products) {
-      const { name: erpnextName } = product;
+    const erpnextNames = products.map((product) => product.name).filter(Boolean);
+    const describeError = (erpnextName, error) => ({
+      erpnextName,
+      error: error.message,
+    });
 
-      if (!erpnextName) {
-        continue;
+    if (dryRun) {
+      const diff = createRefreshDiff('product');
+      await runDryRunRefresh(erpnextNames, (erpnextName) => refreshProduct(erpnextName, diff), summary, describeError);
+      if (products.length > 0) {
+        recordRemoved(diff, await listCacheHashIds('product'), erpnextNames);
       }
+      summary.removed = diff.removed.length;
+      logger.info('Full product refresh dry run completed', summary);
+      return { ...summary, dryRun: true, diff };
+    }
 
-      try {
-        // Fetch and transform product
-        const transformedData = await fetchProduct(erpnextName);
+    await runTrackedRefresh('product', erpnextNames, refreshProduct, summary, describeError);
 
-        if (!transformedData) {
-          summary.errors.push({
-            erpnextName,
-            error: 'Product not found',
-          });
-          continue;
-        }
-
-        // Compute hash
-        const newHash = computeDataHash(transformedData);
-
-        // Get existing cache (both hash cache and simple key for comparison)
-        const existing = await getCacheHash('product', erpnextName);
-        const { getCache } = require('../redis/cache');
-        const cachedProduct = await getCache('product', erpnextName);
-
-        // Check if changed
-        let version = '1';
-        let changed = false;
-
-        if (existing) {
-          // Compare hash first (fast check)
-          if (existing.data_hash === newHash) {
-            // Hash matches, but also check if actual Redis value differs (manual changes)
-            // Compare objects using JSON stringify (deep equality check)
-            const dataMatches = 
-              cachedProduct &&
-              JSON.stringify(cachedProduct) === JSON.stringify(transformedData);
-
-            if (dataMatches) {
-              // Both hash and actual data match - no change
-              summary.unchanged++;
-              continue;
-            } else {
-              // Hash matches but actual data differs - manual change detected
-              logger.info('Manual Redis change detected for product', {
-                erpnextName,
-                cachedHash: existing.data_hash,
-                newHash,
-              });
-              // Continue to update (changed = true)
-            }
-          }
-          
-          // Hash differs or manual change detected - increment version
-          version = await incrementCacheHashVersion('product', erpnextName);
-          if (!version) {
-            version = (parseInt(existing.version) + 1).toString();
-          }
-        } else {
-          // No existing hash cache - check simple Redis key
-          if (cachedProduct) {
-            // Compare objects using JSON stringify
-            const dataMatches = JSON.stringify(cachedProduct) === JSON.stringify(transformedData);
-            
-            if (dataMatches) {
-              // Data matches existing simple key - no change, just update hash cache without stream entry
-              logger.info('Product refresh: no change detected (matched simple Redis key)', {
-                erpnextName,
-                hash: newHash,
-              });
-              
-              // Update hash cache to keep it in sync, but don't add stream entry
-              const updatedAt = Date.now().toString();
-              await setCacheHash('product', erpnextName, transformedData, {
-                data_hash: newHash,
-                updated_at: updatedAt,
-                version: '1',
-              });
-              
-              summary.unchanged++;
-              continue;
-            }
-          }
-        }
+    // An empty list is more likely an ERPNext hiccup than an empty catalog
+    if (products.length > 0) {
+      await removeUnpublishedProducts(products, summary);
+    } else {
+      logger.warn('No published products returned, skipping removal check');
+    }
 
-        changed = true;
+    logger.info('Full product refresh completed', summary);
+    return summary;
+  } catch (error) {
+    logger.error('Full product refresh failed', {
+      error: error.message,
+    });
+    summary.errors.push({ error: error.message });
+    return summary;
+  }
+}
 
-        // Update cache hash (primary storage for sync)
-        const updatedAt = Date.now().toString();
-        await setCacheHash('product', erpnextName, transformedData, {
-          data_hash: newHash,
-          updated_at: updatedAt,
-          version,
-        });
+/**
+ * Refresh a single item price
+ * Compares hashes and updates cache and stream only if changed
+ * @param {string} itemCode - Item code
+ * @param {object|null} diff - Dry run: record into this diff (createRefreshDiff) instead of writing
+ * @param {object|null} prices - Prices already fetched in bulk ({retail, wholesale}); fetched from ERPNext when null
+ * @returns {Promise<string>} 'updated' or 'unchanged' ('added', 'changed' or 'unchanged' in a dry run; throws on failure)
+ */
+async function refreshPrice(itemCode, diff = null, prices = null) {
+  // Fetch prices from ERPNext
+  const { retail, wholesale } = prices || await fetchItemPrices(itemCode);
 
-        // Also update simple cache for backward compatibility
-        const { setCache } = require('../redis/cache');
-        await setCache('product', erpnextName, transformedData);
+  // Build price array: [retail, wholesale] (use 0 if price not found)
+  const priceArray = [
+    retail !== null && retail !== undefined ? retail : 0,
+    wholesale !== null && wholesale !== undefined ? wholesale : 0,
+  ];
 
-        // Add stream entry only if changed
-        await addStreamEntry('product', erpnextName, newHash, version);
+  const priceData = { itemCode, prices: priceArray };
 
-        summary.updated++;
+  // Compute hash
+  const newHash = computeDataHash(priceData);
 
-        logger.debug('Product refreshed', {
-          erpnextName,
-          changed,
-          version,
+  // Get existing cache (both hash cache and simple key for comparison)
+  const existing = await getCacheHash('price', itemCode);
+  if (diff) {
+    return recordDiff(diff, itemCode, existing, priceData, newHash);
+  }
+  const { getItemPrice } = require('../redis/cache');
+  const cachedPriceArray = await getItemPrice(itemCode);
+
+  // Check if changed
+  let version = '1';
+  let changed = false;
+
+  if (existing) {
+    // Compare hash first (fast check)
+    if (existing.data_hash === newHash) {
+      // Hash matches, but also check if actual Redis value differs (manual changes)
+      // Compare arrays element by element
+      const arraysMatch = 
+        cachedPriceArray &&
+        Array.isArray(cachedPriceArray) &&
+        cachedPriceArray.length === priceArray.length &&
+        cachedPriceArray.every((val, idx) => val === priceArray[idx]);
+
+      if (arraysMatch) {
+        // Both hash and actual data match - no change
+        return 'unchanged';
+      } else {
+        // Hash matches but actual data differs - manual change detected
+        logger.info('Manual Redis change detected for price', {
+          itemCode,
+          cachedHash: existing.data_hash,
+          newHash,
+          cachedPriceArray,
+          newPriceArray: priceArray,
         });
-      } catch (error) {
-        summary.errors.push({
-          erpnextName,
-          error: error.message,
+        // Continue to update (changed = true)
+      }
+    }
+    
+    // Hash differs or manual change detected - increment version
+    version = await incrementCacheHashVersion('price', itemCode);
+    if (!version) {
+      version = (parseInt(existing.version) + 1).toString();
+    }
+    changed = true;
+  } else {
+    // No existing hash cache - check simple Redis key
+    if (cachedPriceArray && Array.isArray(cachedPriceArray)) {
+      // Compare arrays element by element
+      const arraysMatch = 
+        cachedPriceArray.length === priceArray.length &&
+        cachedPriceArray.every((val, idx) => val === priceArray[idx]);
+
+      if (arraysMatch) {
+        // Data matches existing simple key - no change, just update hash cache without stream entry
+        logger.info('Price refresh: no change detected (matched simple Redis key)', {
+          itemCode,
+          hash: newHash,
         });
-        logger.error('Product refresh error', {
-          erpnextName,
-          error: error.message,
+        
+        // Update hash cache to keep it in sync, but don't add stream entry
+        const updatedAt = Date.now().toString();
+        await setCacheHash('price', itemCode, priceData, {
+          data_hash: newHash,
+          updated_at: updatedAt,
+          version: '1',
         });
+        
+        return 'unchanged';
       }
     }
+    // Data differs or no existing data - this is a change
+    changed = true;
+  }
 
-    logger.info('Full product refresh completed', summary);
-    return summary;
-  } catch (error) {
-    logger.error('Full product refresh failed', {
-      error: error.message,
-    });
-    summary.errors.push({ error: error.message });
-    return summary;
+  // Only proceed if there's a change
+  if (!changed) {
+    return 'unchanged';
   }
+
+  // Update cache
+  const updatedAt = Date.now().toString();
+  await setCacheHash('price', itemCode, priceData, {
+    data_hash: newHash,
+    updated_at: updatedAt,
+    version,
+  });
+
+  // Also update simple key
+  const { setItemPrice } = require('../redis/cache');
+  await setItemPrice(itemCode, priceArray);
+
+  // Add stream entry only if changed
+  const streamId = await addStreamEntry('price', itemCode, newHash, version);
+  logger.info('Price stream entry added in refresh', {
+    itemCode,
+    streamId,
+    hash: newHash,
+    version,
+  });
+
+  return 'updated';
 }
 
 /**
  * Refresh all prices
  * Fetches prices from ERPNext, compares hashes, updates cache and streams only if changed
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllPrices() {
+async function refreshAllPrices({ dryRun = false } = {}) {
   const summary = {
     total: 0,
     updated: 0,
@@ -242,158 +568,26 @@ async function refreshAllPrices() {
       uniqueItemCodes: uniqueItemCodes.length,
     });
 
-    // Step 2: Process items in parallel batches (10 at a time for performance)
-    const BATCH_SIZE = 10;
-    const batches = [];
-
-    for (let i = 0; i < uniqueItemCodes.length; i += BATCH_SIZE) {
-      batches.push(uniqueItemCodes.slice(i, i + BATCH_SIZE));
-    }
-
-    for (const batch of batches) {
-      // Process batch in parallel
-      const batchResults = await Promise.allSettled(
-        batch.map(async (itemCode) => {
-          try {
-            // Fetch prices from ERPNext
-            const { retail, wholesale } = await fetchItemPrices(itemCode);
-
-            // Build price array: [retail, wholesale] (use 0 if price not found)
-            const priceArray = [
-              retail !== null && retail !== undefined ? retail : 0,
-              wholesale !== null && wholesale !== undefined ? wholesale : 0,
-            ];
-
-            const priceData = { itemCode, prices: priceArray };
-
-            // Compute hash
-            const newHash = computeDataHash(priceData);
-
-            // Get existing cache (both hash cache and simple key for comparison)
-            const existing = await getCacheHash('price', itemCode);
-            const { getItemPrice } = require('../redis/cache');
-            const cachedPriceArray = await getItemPrice(itemCode);
-
-            // Check if changed
-            let version = '1';
-            let changed = false;
-
-            if (existing) {
-              // Compare hash first (fast check)
-              if (existing.data_hash === newHash) {
-                // Hash matches, but also check if actual Redis value differs (manual changes)
-                // Compare arrays element by element
-                const arraysMatch = 
-                  cachedPriceArray &&
-                  Array.isArray(cachedPriceArray) &&
-                  cachedPriceArray.length === priceArray.length &&
-                  cachedPriceArray.every((val, idx) => val === priceArray[idx]);
-
-                if (arraysMatch) {
-                  // Both hash and actual data match - no change
-                  return { itemCode, changed: false };
-                } else {
-                  // Hash matches but actual data differs - manual change detected
-                  logger.info('Manual Redis change detected for price', {
-                    itemCode,
-                    cachedHash: existing.data_hash,
-                    newHash,
-                    cachedPriceArray,
-                    newPriceArray: priceArray,
-                  });
-                  // Continue to update (changed = true)
-                }
-              }
-              
-              // Hash differs or manual change detected - increment version
-              version = await incrementCacheHashVersion('price', itemCode);
-              if (!version) {
-                version = (parseInt(existing.version) + 1).toString();
-              }
-              changed = true;
-            } else {
-              // No existing hash cache - check simple Redis key
-              if (cachedPriceArray && Array.isArray(cachedPriceArray)) {
-                // Compare arrays element by element
-                const arraysMatch = 
-                  cachedPriceArray.length === priceArray.length &&
-                  cachedPriceArray.every((val, idx) => val === priceArray[idx]);
-
-                if (arraysMatch) {
-                  // Data matches existing simple key - no change, just update hash cache without stream entry
-                  logger.info('Price refresh: no change detected (matched simple Redis key)', {
-                    itemCode,
-                    hash: newHash,
-                  });
-                  
-                  // Update hash cache to keep it in sync, but don't add stream entry
-                  const updatedAt = Date.now().toString();
-                  await setCacheHash('price', itemCode, priceData, {
-                    data_hash: newHash,
-                    updated_at: updatedAt,
-                    version: '1',
-                  });
-                  
-                  return { itemCode, changed: false };
-                }
-              }
-              // Data differs or no existing data - this is a change
-              changed = true;
-            }
+    const describeError = (itemCode, error) => ({
+      itemCode,
+      erpnextName: productItemMap.get(itemCode) || 'unknown',
+      error: error.message,
+    });
 
-            // Only proceed if there's a change
-            if (!changed) {
-              return { itemCode, changed: false };
-            }
+    // Step 2: Fetch all prices in bulk (one paged Item Price query per price list)
+    const prices = await fetchAllItemPrices(uniqueItemCodes);
 
-            // Update cache
-            const updatedAt = Date.now().toString();
-            await setCacheHash('price', itemCode, priceData, {
-              data_hash: newHash,
-              updated_at: updatedAt,
-              version,
-            });
-
-            // Also update simple key
-            const { setItemPrice } = require('../redis/cache');
-            await setItemPrice(itemCode, priceArray);
-
-            // Add stream entry only if changed
-            const streamId = await addStreamEntry('price', itemCode, newHash, version);
-            logger.info('Price stream entry added in refresh', {
-              itemCode,
-              streamId,
-              hash: newHash,
-              version,
-            });
-
-            return { itemCode, changed: true };
-          } catch (error) {
-            throw { itemCode, error: error.message };
-          }
-        })
-      );
-
-      // Process batch results
-      for (const result of batchResults) {
-        if (result.status === 'fulfilled') {
-          if (result.value.changed) {
-            summary.updated++;
-          } else {
-            summary.unchanged++;
-          }
-        } else {
-          const { itemCode, error } = result.reason;
-          const erpnextName = productItemMap.get(itemCode) || 'unknown';
-          summary.errors.push({
-            itemCode,
-            erpnextName,
-            error,
-          });
-        }
-      }
+    if (dryRun) {
+      const diff = createRefreshDiff('price');
+      await runDryRunRefresh(uniqueItemCodes, (itemCode) => refreshPrice(itemCode, diff, prices.get(itemCode)), summary, describeError);
+      recordRemoved(diff, await listCacheHashIds('price'), uniqueItemCodes);
+      logger.info('Full price refresh dry run completed', summary);
+      return { ...summary, dryRun: true, diff };
     }
 
+    // Step 3: Process items through the worker pool (checkpointed, resumable)
+    await runTrackedRefresh('price', uniqueItemCodes, (itemCode) => refreshPrice(itemCode, null, prices.get(itemCode)), summary, describeError);
+
     logger.info('Full price refresh completed', summary);
     return summary;
   } catch (error) {
@@ -405,12 +599,138 @@ async function refreshAllPrices() {
   }
 }
 
+/**
+ * Refresh a single item's stock availability
+ * Compares hashes and updates cache and stream only if changed
+ * @param {string} itemCode - Item code
+ * @param {Array<string>} referenceWarehouses - Reference warehouse order for the availability array
+ * @param {object|null} diff - Dry run: record into this diff (createRefreshDiff) instead of writing
+ * @param {Array<string>|null} warehouses - Warehouses with stock already fetched in bulk; fetched from ERPNext when null
+ * @returns {Promise<string>} 'updated' or 'unchanged' ('added', 'changed' or 'unchanged' in a dry run; throws on failure)
+ */
+async function refreshStock(itemCode, referenceWarehouses, diff = null, warehouses = null) {
+  // Fetch stock from ERPNext
+  const warehousesWithStock = warehouses || await fetchItemStock(itemCode);
+  const availabilityArray = buildAvailabilityArray(
+    warehousesWithStock,
+    referenceWarehouses
+  );
+
+  const stockData = { itemCode, availability: availabilityArray };
+
+  // Compute hash
+  const newHash = computeDataHash(stockData);
+
+  // Get existing cache (both hash cache and simple key for comparison)
+  const existing = await getCacheHash('stock', itemCode);
+  if (diff) {
+    return recordDiff(diff, itemCode, existing, stockData, newHash);
+  }
+  const { getStockAvailability } = require('../redis/cache');
+  const cachedAvailability = await getStockAvailability(itemCode);
+
+  // Check if changed
+  let version = '1';
+  let changed = false;
+
+  if (existing) {
+    // Compare hash first (fast check)
+    if (existing.data_hash === newHash) {
+      // Hash matches, but also check if actual Redis value differs (manual changes)
+      // Compare arrays element by element
+      const arraysMatch = 
+        cachedAvailability &&
+        Array.isArray(cachedAvailability) &&
+        cachedAvailability.length === availabilityArray.length &&
+        cachedAvailability.every((val, idx) => val === availabilityArray[idx]);
+
+      if (arraysMatch) {
+        // Both hash and actual data match - no change
+        return 'unchanged';
+      } else {
+        // Hash matches but actual data differs - manual change detected
+        logger.info('Manual Redis change detected for stock', {
+          itemCode,
+          cachedHash: existing.data_hash,
+          newHash,
+          cachedAvailability,
+          newAvailability: availabilityArray,
+        });
+        // Continue to update (changed = true)
+      }
+    }
+    
+    // Hash differs or manual change detected - increment version
+    version = await incrementCacheHashVersion('stock', itemCode);
+    if (!version) {
+      version = (parseInt(existing.version) + 1).toString();
+    }
+    changed = true;
+  } else {
+    // No existing hash cache - check simple Redis key
+    if (cachedAvailability && Array.isArray(cachedAvailability)) {
+      // Compare arrays element by element
+      const arraysMatch = 
+        cachedAvailability.length === availabilityArray.length &&
+        cachedAvailability.every((val, idx) => val === availabilityArray[idx]);
+
+      if (arraysMatch) {
+        // Data matches existing simple key - no change, just update hash cache without stream entry
+        logger.info('Stock refresh: no change detected (matched simple Redis key)', {
+          itemCode,
+          hash: newHash,
+        });
+        
+        // Update hash cache to keep it in sync, but don't add stream entry
+        const updatedAt = Date.now().toString();
+        await setCacheHash('stock', itemCode, stockData, {
+          data_hash: newHash,
+          updated_at: updatedAt,
+          version: '1',
+        });
+        
+        // Also update simple key
+        const { setStockAvailability } = require('../redis/cache');
+        await setStockAvailability(itemCode, availabilityArray);
+        
+        return 'unchanged';
+      }
+    }
+    // Data differs or no existing data - this is a change
+    changed = true;
+  }
+
+  // Only proceed if there's a change
+  if (!changed) {
+    return 'unchanged';
+  }
+
+  // Update cache
+  const updatedAt = Date.now().toString();
+  await setCacheHash('stock', itemCode, stockData, {
+    data_hash: newHash,
+    updated_at: updatedAt,
+    version,
+  });
+
+  // Also update simple key
+  const { setStockAvailability } = require('../redis/cache');
+  await setStockAvailability(itemCode, availabilityArray);
+
+  // Add stream entry only if changed
+  await addStreamEntry('stock', itemCode, newHash, version);
+
+  return 'updated';
+}
+
 /**
  * Refresh all stock
  * Fetches stock from ERPNext, compares hashes, updates cache and streams only if changed
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllStock() {
+async function refreshAllStock({ dryRun = false } = {}) {
   const summary = {
     total: 0,
     updated: 0,
@@ -481,153 +801,28 @@ async function refreshAllStock() {
       uniqueItemCodes: uniqueItemCodes.length,
     });
 
-    // Step 2: Process items in parallel batches (10 at a time for performance)
-    const BATCH_SIZE = 10;
-    const batches = [];
+    const describeError = (itemCode, error) => ({
+      itemCode,
+      erpnextName: productItemMap.get(itemCode) || 'unknown',
+      error: error.message,
+    });
 
-    for (let i = 0; i < uniqueItemCodes.length; i += BATCH_SIZE) {
-      batches.push(uniqueItemCodes.slice(i, i + BATCH_SIZE));
+    // Step 2: Fetch all Bins with stock in one paged sweep, grouped by item code
+    const stock = await fetchAllItemStock();
+    const warehousesOf = (itemCode) => stock.get(itemCode) || [];
+
+    if (dryRun) {
+      const diff = createRefreshDiff('stock');
+      const diffItemStock = (itemCode) => refreshStock(itemCode, referenceWarehouses, diff, warehousesOf(itemCode));
+      await runDryRunRefresh(uniqueItemCodes, diffItemStock, summary, describeError);
+      recordRemoved(diff, await listCacheHashIds('stock'), uniqueItemCodes);
+      logger.info('Full stock refresh dry run completed', summary);
+      return { ...summary, dryRun: true, diff };
     }
 
-    for (const batch of batches) {
-      // Process batch in parallel
-      const batchResults = await Promise.allSettled(
-        batch.map(async (itemCode) => {
-          try {
-            // Fetch stock from ERPNext
-            const warehousesWithStock = await fetchItemStock(itemCode);
-            const availabilityArray = buildAvailabilityArray(
-              warehousesWithStock,
-              referenceWarehouses
-            );
-
-            const stockData = { itemCode, availability: availabilityArray };
-
-            // Compute hash
-            const newHash = computeDataHash(stockData);
-
-            // Get existing cache (both hash cache and simple key for comparison)
-            const existing = await getCacheHash('stock', itemCode);
-            const { getStockAvailability } = require('../redis/cache');
-            const cachedAvailability = await getStockAvailability(itemCode);
-
-            // Check if changed
-            let version = '1';
-            let changed = false;
-
-            if (existing) {
-              // Compare hash first (fast check)
-              if (existing.data_hash === newHash) {
-                // Hash matches, but also check if actual Redis value differs (manual changes)
-                // Compare arrays element by element
-                const arraysMatch = 
-                  cachedAvailability &&
-                  Array.isArray(cachedAvailability) &&
-                  cachedAvailability.length === availabilityArray.length &&
-                  cachedAvailability.every((val, idx) => val === availabilityArray[idx]);
-
-                if (arraysMatch) {
-                  // Both hash and actual data match - no change
-                  return { itemCode, changed: false };
-                } else {
-                  // Hash matches but actual data differs - manual change detected
-                  logger.info('Manual Redis change detected for stock', {
-                    itemCode,
-                    cachedHash: existing.data_hash,
-                    newHash,
-                    cachedAvailability,
-                    newAvailability: availabilityArray,
-                  });
-                  // Continue to update (changed = true)
-                }
-              }
-              
-              // Hash differs or manual change detected - increment version
-              version = await incrementCacheHashVersion('stock', itemCode);
-              if (!version) {
-                version = (parseInt(existing.version) + 1).toString();
-              }
-              changed = true;
-            } else {
-              // No existing hash cache - check simple Redis key
-              if (cachedAvailability && Array.isArray(cachedAvailability)) {
-                // Compare arrays element by element
-                const arraysMatch = 
-                  cachedAvailability.length === availabilityArray.length &&
-                  cachedAvailability.every((val, idx) => val === availabilityArray[idx]);
-
-                if (arraysMatch) {
-                  // Data matches existing simple key - no change, just update hash cache without stream entry
-                  logger.info('Stock refresh: no change detected (matched simple Redis key)', {
-                    itemCode,
-                    hash: newHash,
-                  });
-                  
-                  // Update hash cache to keep it in sync, but don't add stream entry
-                  const updatedAt = Date.now().toString();
-                  await setCacheHash('stock', itemCode, stockData, {
-                    data_hash: newHash,
-                    updated_at: updatedAt,
-                    version: '1',
-                  });
-                  
-                  // Also update simple key
-                  const { setStockAvailability } = require('../redis/cache');
-                  await setStockAvailability(itemCode, availabilityArray);
-                  
-                  return { itemCode, changed: false };
-                }
-              }
-              // Data differs or no existing data - this is a change
-              changed = true;
-            }
-
-            // Only proceed if there's a change
-            if (!changed) {
-              return { itemCode, changed: false };
-            }
-
-            // Update cache
-            const updatedAt = Date.now().toString();
-            await setCacheHash('stock', itemCode, stockData, {
-              data_hash: newHash,
-              updated_at: updatedAt,
-              version,
-            });
-
-            // Also update simple key
-            const { setStockAvailability } = require('../redis/cache');
-            await setStockAvailability(itemCode, availabilityArray);
-
-            // Add stream entry only if changed
-            await addStreamEntry('stock', itemCode, newHash, version);
-
-            return { itemCode, changed: true };
-          } catch (error) {
-            throw { itemCode, error: error.message };
-          }
-        })
-      );
-
-      // Process batch results
-      for (const result of batchResults) {
-        if (result.status === 'fulfilled') {
-          if (result.value.changed) {
-            summary.updated++;
-          } else {
-            summary.unchanged++;
-          }
-        } else {
-          const { itemCode, error } = result.reason;
-          const erpnextName = productItemMap.get(itemCode) || 'unknown';
-          summary.errors.push({
-            itemCode,
-            erpnextName,
-            error,
-          });
-        }
-      }
-    }
+    // Step 3: Process items through the worker pool (checkpointed, resumable)
+    const refreshItemStock = (itemCode) => refreshStock(itemCode, referenceWarehouses, null, warehousesOf(itemCode));
+    await runTrackedRefresh('stock', uniqueItemCodes, refreshItemStock, summary, describeError);
 
     logger.info('Full stock refresh completed', summary);
     return summary;
@@ -643,9 +838,12 @@ async function refreshAllStock() {
 /**
  * Refresh all hero images
  * Fetches hero images from ERPNext, downloads and converts to base64, compares hashes, updates cache and streams only if changed
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
+ * @param {string|null} options.idempotencyKey - Stream entry idempotency key (webhook event ID)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllHero() {
+async function refreshAllHero({ dryRun = false, idempotencyKey = null } = {}) {
   const summary = {
     updated: 0,
     unchanged: 0,
@@ -678,6 +876,12 @@ async function refreshAllHero() {
 
     // Get existing cache (both hash cache and actual data for comparison)
     const existing = await getCacheHash('hero', entityId);
+    if (dryRun) {
+      const diff = createRefreshDiff('hero');
+      const outcome = recordDiff(diff, entityId, existing, transformedData, newHash);
+      summary[outcome === 'unchanged' ? 'unchanged' : 'updated'] = 1;
+      return { ...summary, dryRun: true, diff };
+    }
     const { getCacheHashData } = require('../redis/cache');
     const cachedHeroData = await getCacheHashData('hero', entityId);
 
@@ -740,7 +944,7 @@ async function refreshAllHero() {
     }
 
     // Add stream entry only if changed
-    await addStreamEntry('hero', entityId, newHash, version);
+    await addStreamEntry('hero', entityId, newHash, version, idempotencyKey);
 
     summary.updated = 1;
     logger.info('Hero refresh completed', summary);
@@ -757,9 +961,11 @@ async function refreshAllHero() {
 /**
  * Refresh all bundle images
  * Fetches bundle images from ERPNext, downloads and converts to base64, compares hashes, updates cache and streams only if changed
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllBundle() {
+async function refreshAllBundle({ dryRun = false } = {}) {
   const summary = {
     updated: 0,
     unchanged: 0,
@@ -792,6 +998,12 @@ async function refreshAllBundle() {
 
     // Get existing cache (both hash cache and actual data for comparison)
     const existing = await getCacheHash('bundle', entityId);
+    if (dryRun) {
+      const diff = createRefreshDiff('bundle');
+      const outcome = recordDiff(diff, entityId, existing, transformedData, newHash);
+      summary[outcome === 'unchanged' ? 'unchanged' : 'updated'] = 1;
+      return { ...summary, dryRun: true, diff };
+    }
     const { getCacheHashData } = require('../redis/cache');
     const cachedBundleData = await getCacheHashData('bundle', entityId);
 
@@ -871,9 +1083,12 @@ async function refreshAllBundle() {
 /**
  * Refresh all App Home data
  * Fetches App Home from ERPNext, transforms, compares hashes, updates cache and streams only if changed
+ * @param {object} options - Options
+ * @param {boolean} options.dryRun - Compute a diff against the cache without writing (summary.diff)
+ * @param {string|null} options.idempotencyKey - Stream entry idempotency key (webhook event ID)
  * @returns {Promise<object>} Summary object
  */
-async function refreshAllHome() {
+async function refreshAllHome({ dryRun = false, idempotencyKey = null } = {}) {
   const summary = {
     updated: 0,
     unchanged: 0,
@@ -908,6 +1123,12 @@ async function refreshAllHome() {
 
     // Get existing cache (both hash cache and actual data for comparison)
     const existing = await getCacheHash('home', entityId);
+    if (dryRun) {
+      const diff = createRefreshDiff('home');
+      const outcome = recordDiff(diff, entityId, existing, transformedData, newHash);
+      summary[outcome === 'unchanged' ? 'unchanged' : 'updated'] = 1;
+      return { ...summary, dryRun: true, diff };
+    }
     const { getCacheHashData } = require('../redis/cache');
     const cachedHomeData = await getCacheHashData('home', entityId);
 
@@ -970,7 +1191,7 @@ async function refreshAllHome() {
     }
 
     // Add stream entry only if changed
-    await addStreamEntry('home', entityId, newHash, version);
+    await addStreamEntry('home', entityId, newHash, version, idempotencyKey);
 
     summary.updated = 1;
     logger.info('Home refresh completed', summary);
@@ -1015,12 +1236,142 @@ async function performFullRefresh() {
   return combinedSummary;
 }
 
+/**
+ * Refresh one item code across product, price and stock
+ * Every published product whose variants use the item code is refreshed, then its price and stock
+ * @param {string} itemCode - Item code (flavor level)
+ * @returns {Promise<object>} {itemCode, products: {erpnextName: outcome}, price, stock, errors}
+ */
+async function refreshItemCode(itemCode) {
+  const products = await fetchPublishedWebsiteItems();
+  const erpnextNames = products
+    .filter((product) => product.name &&
+      getVariantItemCodes(parseCustomVariant(product.custom_variant)).includes(itemCode))
+    .map((product) => product.name);
+
+  if (erpnextNames.length === 0) {
+    throw new Error('Item code is not used by any published product');
+  }
+
+  const result = {
+    itemCode,
+    products: {},
+    price: null,
+    stock: null,
+    errors: [],
+  };
+
+  for (const erpnextName of erpnextNames) {
+    try {
+      result.products[erpnextName] = await refreshProduct(erpnextName);
+    } catch (error) {
+      result.errors.push({ entityType: 'product', erpnextName, error: error.message });
+    }
+  }
+
+  try {
+    result.price = await refreshPrice(itemCode);
+  } catch (error) {
+    result.errors.push({ entityType: 'price', itemCode, error: error.message });
+  }
+
+  try {
+    result.stock = await refreshStock(itemCode, await getWarehouseReferenceArray());
+  } catch (error) {
+    result.errors.push({ entityType: 'stock', itemCode, error: error.message });
+  }
+
+  logger.info('Item code refresh completed', result);
+  return result;
+}
+
+/**
+ * Refresh functions by entity type (dry runs can cover a subset)
+ */
+const REFRESHERS = {
+  product: refreshAllProducts,
+  price: refreshAllPrices,
+  stock: refreshAllStock,
+  hero: refreshAllHero,
+  bundle: refreshAllBundle,
+  home: refreshAllHome,
+};
+
+/**
+ * Refresh every entity of one type
+ * @param {string} entityType - product, price, stock, hero, bundle or home
+ * @param {object} options - Options passed to the refresh function (dryRun)
+ * @returns {Promise<object>} Summary object
+ */
+async function refreshEntityType(entityType, options = {}) {
+  const refresh = REFRESHERS[entityType];
+  if (!refresh) {
+    throw new Error(`Unknown refresh entity type: ${entityType}`);
+  }
+  return refresh(options);
+}
+
+/**
+ * Run a full refresh dry run and complete its report
+ * Nothing is written to the cache or streams; the report lists added/changed/removed entities
+ * @param {object} report - Report from startDryRunReport
+ * @returns {Promise<object>} Completed (or failed) report
+ */
+async function runRefreshDryRun(report) {
+  try {
+    const results = await Promise.all(
+      report.entityTypes.map((entityType) => refreshEntityType(entityType, { dryRun: true }))
+    );
+
+    const summaries = {};
+    report.entityTypes.forEach((entityType, index) => {
+      summaries[entityType] = results[index];
+    });
+
+    return await completeDryRunReport(report, summaries);
+  } catch (error) {
+    logger.error('Full refresh dry run failed', {
+      reportId: report.id,
+      error: error.message,
+    });
+    return failDryRunReport(report, error);
+  }
+}
+
+/**
+ * Start a full refresh dry run in the background
+ * @param {Array<string>} entityTypes - Entity types to preview (defaults to all)
+ * @returns {Promise<object>} Report in `running` state (poll with getDryRunReport)
+ */
+async function startRefreshDryRun(entityTypes = DRY_RUN_ENTITY_TYPES) {
+  const report = await startDryRunReport(entityTypes);
+
+  runRefreshDryRun(report).catch((error) => {
+    logger.error('Full refresh dry run report failed', {
+      reportId: report.id,
+      error: error.message,
+    });
+  });
+
+  return report;
+}
+
 module.exports = {
+  refreshProduct,
+  refreshPrice,
+  refreshStock,
+  removeProduct,
+  removeDeletedProduct,
+  removeEntity,
+  refreshItemCode,
   refreshAllProducts,
   refreshAllPrices,
   refreshAllStock,
   refreshAllHero,
   refreshAllBundle,
   refreshAllHome,
+  refreshEntityType,
   performFullRefresh,
+  runRefreshDryRun,
+  startRefreshDryRun,
 };
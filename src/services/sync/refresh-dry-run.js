@@ -0,0 +1,229 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../redis/client');
+const { createPatch } = require('../../utils/json-patch');
+const { runWorkerPool, FULL_REFRESH_CONCURRENCY } = require('./refresh-progress');
+const { logger } = require('../logger');
+
+/**
+ * Days a dry-run report is kept
+ */
+const DRY_RUN_REPORT_TTL_DAYS = parseInt(process.env.DRY_RUN_REPORT_TTL_DAYS || '7', 10);
+
+/**
+ * Entity types a full refresh (and therefore a dry run) covers
+ */
+const DRY_RUN_ENTITY_TYPES = ['product', 'price', 'stock', 'hero', 'bundle', 'home'];
+
+/**
+ * Key of the most recent dry-run report ID
+ */
+const LATEST_REPORT_KEY = 'refresh:dryrun:latest';
+
+/**
+ * Get Redis key of a dry-run report
+ * @param {string} reportId - Report ID
+ * @returns {string} Redis key
+ */
+function getReportKey(reportId) {
+  return `refresh:dryrun:${reportId}`;
+}
+
+/**
+ * Create an empty diff for one entity type
+ * @param {string} entityType - Entity type
+ * @returns {object} Diff {entityType, added, changed, removed, unchanged}
+ */
+function createRefreshDiff(entityType) {
+  return {
+    entityType,
+    added: [],
+    changed: [],
+    removed: [],
+    unchanged: 0,
+  };
+}
+
+/**
+ * Get top-level field names that differ between two versions of an entity
+ * @param {*} previous - Cached data
+ * @param {*} next - Fresh data
+ * @returns {Array<string>} Sorted field names
+ */
+function getChangedFields(previous, next) {
+  const fields = new Set();
+  for (const op of createPatch(previous, next)) {
+    // JSON Pointer: first segment is the top-level field ('' when the whole value is replaced)
+    const field = op.path.split('/')[1];
+    if (field) {
+      fields.add(field.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+  }
+  return Array.from(fields).sort();
+}
+
+/**
+ * Record how fresh data compares with the cached entity
+ * @param {object} diff - Diff from createRefreshDiff (mutated)
+ * @param {string} entityId - Entity ID
+ * @param {object|null} existing - Cached entity from getCacheHash
+ * @param {*} data - Fresh data
+ * @param {string} dataHash - Hash of fresh data
+ * @returns {string} 'added', 'changed' or 'unchanged'
+ */
+function recordDiff(diff, entityId, existing, data, dataHash) {
+  if (!existing) {
+    diff.added.push(entityId);
+    return 'added';
+  }
+
+  const fields = getChangedFields(existing.data, data);
+  if (existing.data_hash === dataHash && fields.length === 0) {
+    diff.unchanged++;
+    return 'unchanged';
+  }
+
+  diff.changed.push({ entityId, fields });
+  return 'changed';
+}
+
+/**
+ * Record cached entities that ERPNext no longer returns
+ * @param {object} diff - Diff from createRefreshDiff (mutated)
+ * @param {Array<string>} cachedIds - Entity IDs with a cache hash
+ * @param {Array<string>} currentIds - Entity IDs returned by ERPNext
+ */
+function recordRemoved(diff, cachedIds, currentIds) {
+  const current = new Set(currentIds);
+  diff.removed.push(...cachedIds.filter((entityId) => !current.has(entityId)).sort());
+}
+
+/**
+ * Run a dry-run worker over items (no progress tracking or checkpoint)
+ * @param {Array<string>} itemCodes - Item codes
+ * @param {function} worker - Async function (itemCode) → 'added' | 'changed' | 'unchanged' (throws on failure)
+ * @param {object} summary - Refresh summary (mutated: updated, unchanged, errors)
+ * @param {function} describeError - Builds the summary error entry from (itemCode, error)
+ * @returns {Promise<object>} Summary
+ */
+async function runDryRunRefresh(itemCodes, worker, summary, describeError) {
+  await runWorkerPool(itemCodes, FULL_REFRESH_CONCURRENCY, async (itemCode) => {
+    try {
+      const outcome = await worker(itemCode);
+      summary[outcome === 'unchanged' ? 'unchanged' : 'updated']++;
+    } catch (error) {
+      summary.errors.push(describeError(itemCode, error));
+    }
+  });
+  return summary;
+}
+
+/**
+ * Store a dry-run report
+ * @param {object} report - Report
+ * @returns {Promise<void>}
+ */
+async function saveDryRunReport(report) {
+  const redis = getRedisClient();
+  await redis.set(getReportKey(report.id), JSON.stringify(report), 'EX', DRY_RUN_REPORT_TTL_DAYS * 24 * 60 * 60);
+}
+
+/**
+ * Create a dry-run report in `running` state and mark it as the latest
+ * @param {Array<string>} entityTypes - Entity types the dry run covers
+ * @returns {Promise<object>} Report {id, status, entityTypes, startedAt}
+ */
+async function startDryRunReport(entityTypes) {
+  const report = {
+    id: uuidv4(),
+    status: 'running',
+    entityTypes,
+    startedAt: new Date().toISOString(),
+  };
+  await saveDryRunReport(report);
+  await getRedisClient().set(LATEST_REPORT_KEY, report.id);
+  return report;
+}
+
+/**
+ * Complete a dry-run report from per-type refresh summaries
+ * @param {object} report - Report from startDryRunReport
+ * @param {Object<string, object>} summaries - entityType → refresh summary (with diff)
+ * @returns {Promise<object>} Completed report
+ */
+async function completeDryRunReport(report, summaries) {
+  const totals = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+  const entities = {};
+
+  for (const [entityType, summary] of Object.entries(summaries)) {
+    const diff = summary.diff || createRefreshDiff(entityType);
+    entities[entityType] = {
+      added: diff.added,
+      changed: diff.changed,
+      removed: diff.removed,
+      unchanged: diff.unchanged,
+      errors: summary.errors || [],
+    };
+    totals.added += diff.added.length;
+    totals.changed += diff.changed.length;
+    totals.removed += diff.removed.length;
+    totals.unchanged += diff.unchanged;
+  }
+
+  const completed = {
+    ...report,
+    status: 'completed',
+    finishedAt: new Date().toISOString(),
+    totals,
+    entities,
+  };
+  await saveDryRunReport(completed);
+
+  logger.info('Full refresh dry run completed', { reportId: report.id, totals });
+  return completed;
+}
+
+/**
+ * Mark a dry-run report failed
+ * @param {object} report - Report from startDryRunReport
+ * @param {Error} error - Failure
+ * @returns {Promise<object>} Failed report
+ */
+async function failDryRunReport(report, error) {
+  const failed = {
+    ...report,
+    status: 'failed',
+    finishedAt: new Date().toISOString(),
+    error: error.message,
+  };
+  await saveDryRunReport(failed);
+  return failed;
+}
+
+/**
+ * Get a dry-run report
+ * @param {string} reportId - Report ID, or 'latest'
+ * @returns {Promise<object|null>} Report or null if unknown/expired
+ */
+async function getDryRunReport(reportId) {
+  const redis = getRedisClient();
+  const id = reportId === 'latest' ? await redis.get(LATEST_REPORT_KEY) : reportId;
+  if (!id) {
+    return null;
+  }
+
+  const stored = await redis.get(getReportKey(id));
+  return stored ? JSON.parse(stored) : null;
+}
+
+module.exports = {
+  DRY_RUN_ENTITY_TYPES,
+  createRefreshDiff,
+  getChangedFields,
+  recordDiff,
+  recordRemoved,
+  runDryRunRefresh,
+  startDryRunReport,
+  completeDryRunReport,
+  failDryRunReport,
+  getDryRunReport,
+};
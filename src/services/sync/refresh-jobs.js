@@ -0,0 +1,119 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../redis/client');
+const { refreshEntityType, refreshItemCode } = require('./full-refresh');
+const { acquireJobLock, releaseJobLock } = require('../scheduled/job-lock');
+const { logger } = require('../logger');
+
+/**
+ * Days a refresh job record is kept
+ */
+const REFRESH_JOB_TTL_DAYS = parseInt(process.env.REFRESH_JOB_TTL_DAYS || '7', 10);
+
+/**
+ * Job lock shared with the scheduled full refresh (progress checkpoints are per entity type)
+ */
+const FULL_REFRESH_LOCK = 'full_refresh';
+
+/**
+ * Get Redis key of a refresh job
+ * @param {string} jobId - Job ID
+ * @returns {string} Redis key
+ */
+function getJobKey(jobId) {
+  return `refresh:job:${jobId}`;
+}
+
+/**
+ * Store a refresh job record
+ * @param {object} job - Job
+ * @returns {Promise<object>} Job
+ */
+async function saveRefreshJob(job) {
+  const redis = getRedisClient();
+  await redis.set(getJobKey(job.id), JSON.stringify(job), 'EX', REFRESH_JOB_TTL_DAYS * 24 * 60 * 60);
+  return job;
+}
+
+/**
+ * Get a refresh job record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Job or null if unknown/expired
+ */
+async function getRefreshJob(jobId) {
+  const redis = getRedisClient();
+  const stored = await redis.get(getJobKey(jobId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Run a refresh job and record its outcome
+ * Entity-type jobs hold the full refresh lock, so they never overlap the scheduled refresh
+ * @param {object} job - Job from startRefreshJob
+ * @returns {Promise<object>} Finished job (completed or failed)
+ */
+async function runRefreshJob(job) {
+  const { entityType, itemCode } = job.scope;
+  let record = await saveRefreshJob({ ...job, status: 'running', startedAt: new Date().toISOString() });
+
+  try {
+    let result;
+    if (itemCode) {
+      result = await refreshItemCode(itemCode);
+    } else {
+      if (!(await acquireJobLock(FULL_REFRESH_LOCK))) {
+        throw new Error('A full refresh is already running');
+      }
+      try {
+        result = await refreshEntityType(entityType);
+      } finally {
+        await releaseJobLock(FULL_REFRESH_LOCK);
+      }
+    }
+
+    record = { ...record, status: 'completed', finishedAt: new Date().toISOString(), result };
+  } catch (error) {
+    logger.error('Refresh job failed', {
+      jobId: job.id,
+      scope: job.scope,
+      error: error.message,
+    });
+    record = { ...record, status: 'failed', finishedAt: new Date().toISOString(), error: error.message };
+  }
+
+  return saveRefreshJob(record);
+}
+
+/**
+ * Create a refresh job and run it in the background
+ * @param {object} scope - {entityType} or {itemCode}
+ * @param {string} requestedBy - Admin user ID
+ * @returns {Promise<object>} Job in `queued` state (poll with getRefreshJob)
+ */
+async function startRefreshJob(scope, requestedBy) {
+  const job = await saveRefreshJob({
+    id: uuidv4(),
+    status: 'queued',
+    scope,
+    requestedBy: requestedBy || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  });
+
+  runRefreshJob(job).catch((error) => {
+    logger.error('Refresh job record update failed', {
+      jobId: job.id,
+      error: error.message,
+    });
+  });
+
+  return job;
+}
+
+module.exports = {
+  startRefreshJob,
+  runRefreshJob,
+  getRefreshJob,
+};
@@ -0,0 +1,321 @@
+const { getRedisClient } = require('../redis/client');
+const { logger } = require('../logger');
+
+/**
+ * Items refreshed concurrently per entity type
+ */
+const FULL_REFRESH_CONCURRENCY = parseInt(process.env.FULL_REFRESH_CONCURRENCY || '10', 10);
+
+/**
+ * An interrupted run is resumed only if it made progress within this window;
+ * older checkpoints are discarded so a weekly run never skips items done last week
+ */
+const FULL_REFRESH_RESUME_WINDOW_HOURS = parseInt(process.env.FULL_REFRESH_RESUME_WINDOW_HOURS || '24', 10);
+
+/**
+ * Processed items buffered before a checkpoint is written
+ */
+const CHECKPOINT_BATCH_SIZE = 100;
+
+/**
+ * Most recent errors kept per entity type
+ */
+const MAX_RECORDED_ERRORS = 50;
+
+/**
+ * Entity types refreshed item by item (and therefore checkpointed)
+ */
+const REFRESH_ENTITY_TYPES = ['product', 'price', 'stock'];
+
+/**
+ * Get Redis keys for an entity type's refresh progress
+ * @param {string} entityType - Entity type
+ * @returns {{progress: string, checkpoint: string, errors: string}} Redis keys
+ */
+function getProgressKeys(entityType) {
+  return {
+    progress: `refresh:progress:${entityType}`,
+    checkpoint: `refresh:checkpoint:${entityType}`,
+    errors: `refresh:errors:${entityType}`,
+  };
+}
+
+/**
+ * Check whether a run can be resumed: it is running or interrupted and made progress within
+ * FULL_REFRESH_RESUME_WINDOW_HOURS
+ * @param {object} progress - Stored progress hash
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the next run resumes it
+ */
+function isResumable(progress, now = Date.now()) {
+  const lastActivity = parseInt(progress.updated_at || '0', 10);
+  return (progress.status === 'running' || progress.status === 'interrupted') &&
+    now - lastActivity < FULL_REFRESH_RESUME_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Run a worker over items with bounded concurrency
+ * The worker must handle its own errors; a rejection stops the pool
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum concurrent workers
+ * @param {function} worker - Async function called with (item)
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(Math.max(concurrency, 1), items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Start (or resume) tracking a refresh run for an entity type
+ * A run left `interrupted` (failed) or `running` (process restarted) is resumed: items already
+ * in the checkpoint set are skipped and counters continue from where it stopped. Failed items
+ * were not checkpointed and are retried, so the error count starts again from 0.
+ * @param {string} entityType - Entity type
+ * @param {Array<string>} itemCodes - All item codes of this run
+ * @returns {Promise<object>} Tracker {pending, resumed, record, recordError, finish, fail}
+ */
+async function startRefreshProgress(entityType, itemCodes) {
+  const redis = getRedisClient();
+  const keys = getProgressKeys(entityType);
+  const now = Date.now();
+
+  const previous = (await redis.hgetall(keys.progress)) || {};
+  const canResume = isResumable(previous, now);
+
+  let done = new Set();
+  if (canResume) {
+    done = new Set(await redis.smembers(keys.checkpoint));
+    await redis.del(keys.errors);
+  } else {
+    await redis.del(keys.checkpoint, keys.errors);
+  }
+
+  const pending = itemCodes.filter((itemCode) => !done.has(itemCode));
+  const resumed = itemCodes.length - pending.length;
+
+  // processed counts checkpointed items; on resume it is recomputed from the checkpoint set
+  const fields = {
+    status: 'running',
+    total: itemCodes.length,
+    processed: resumed,
+    session_started_at: now,
+    session_base: resumed,
+    updated_at: now,
+  };
+  if (canResume) {
+    fields.resumed_at = now;
+    fields.errors = 0;
+  } else {
+    Object.assign(fields, {
+      started_at: now,
+      updated: 0,
+      unchanged: 0,
+      errors: 0,
+      resumed_at: '',
+      finished_at: '',
+      last_error: '',
+    });
+  }
+  await redis.hset(keys.progress, fields);
+
+  if (canResume) {
+    logger.info('Resuming interrupted refresh', { entityType, resumed, pending: pending.length });
+  }
+
+  let buffer = [];
+  const counts = { updated: 0, unchanged: 0 };
+
+  const flush = async () => {
+    if (buffer.length === 0) {
+      return;
+    }
+    const itemsToFlush = buffer;
+    const countsToFlush = { ...counts };
+    buffer = [];
+    counts.updated = 0;
+    counts.unchanged = 0;
+
+    const multi = redis.multi();
+    multi.sadd(keys.checkpoint, ...itemsToFlush);
+    multi.hincrby(keys.progress, 'processed', itemsToFlush.length);
+    multi.hincrby(keys.progress, 'updated', countsToFlush.updated);
+    multi.hincrby(keys.progress, 'unchanged', countsToFlush.unchanged);
+    multi.hset(keys.progress, 'updated_at', Date.now());
+    await multi.exec();
+  };
+
+  return {
+    pending,
+    resumed,
+
+    /**
+     * Record a processed item (checkpointed in batches)
+     * @param {string} itemCode - Item code
+     * @param {string} outcome - 'updated' or 'unchanged'
+     */
+    async record(itemCode, outcome) {
+      buffer.push(itemCode);
+      counts[outcome]++;
+      if (buffer.length >= CHECKPOINT_BATCH_SIZE) {
+        await flush();
+      }
+    },
+
+    /**
+     * Record a failed item (not checkpointed, so a resumed run retries it)
+     * @param {object} errorEntry - Error summary entry
+     */
+    async recordError(errorEntry) {
+      const multi = redis.multi();
+      multi.hincrby(keys.progress, 'errors', 1);
+      multi.lpush(keys.errors, JSON.stringify({ ...errorEntry, at: new Date().toISOString() }));
+      multi.ltrim(keys.errors, 0, MAX_RECORDED_ERRORS - 1);
+      await multi.exec();
+    },
+
+    /**
+     * Mark the run completed
+     */
+    async finish() {
+      await flush();
+      await redis.hset(keys.progress, {
+        status: 'completed',
+        finished_at: Date.now(),
+        updated_at: Date.now(),
+      });
+    },
+
+    /**
+     * Mark the run interrupted (checkpoint kept, so the next run resumes)
+     * @param {Error} error - Failure
+     */
+    async fail(error) {
+      await flush();
+      await redis.hset(keys.progress, {
+        status: 'interrupted',
+        last_error: error.message,
+        updated_at: Date.now(),
+      });
+    },
+  };
+}
+
+/**
+ * Refresh items of an entity type through the worker pool with checkpointing
+ * @param {string} entityType - Entity type
+ * @param {Array<string>} itemCodes - Item codes to refresh
+ * @param {function} worker - Async function (itemCode) → 'updated' | 'unchanged' (throws on failure)
+ * @param {object} summary - Refresh summary (mutated: updated, unchanged, resumed, errors)
+ * @param {function} describeError - Builds the summary error entry from (itemCode, error)
+ * @returns {Promise<object>} Summary
+ */
+async function runTrackedRefresh(entityType, itemCodes, worker, summary, describeError) {
+  const tracker = await startRefreshProgress(entityType, itemCodes);
+  summary.resumed = tracker.resumed;
+
+  try {
+    await runWorkerPool(tracker.pending, FULL_REFRESH_CONCURRENCY, async (itemCode) => {
+      let outcome;
+      try {
+        outcome = await worker(itemCode);
+      } catch (error) {
+        const entry = describeError(itemCode, error);
+        summary.errors.push(entry);
+        logger.error('Refresh item error', { entityType, ...entry });
+        await tracker.recordError(entry);
+        return;
+      }
+      summary[outcome]++;
+      await tracker.record(itemCode, outcome);
+    });
+  } catch (error) {
+    await tracker.fail(error);
+    throw error;
+  }
+
+  await tracker.finish();
+  return summary;
+}
+
+/**
+ * Get refresh progress for entity types
+ * @param {Array<string>} entityTypes - Entity types (defaults to REFRESH_ENTITY_TYPES)
+ * A `running` run without progress within the resume window (its process died) is reported
+ * as `interrupted`; `resumable` tells whether the next run resumes an interrupted run
+ * @returns {Promise<Object<string, object>>} entityType → {status, resumable, total, processed, remaining, updated, unchanged, errors, recentErrors, startedAt, resumedAt, finishedAt, updatedAt, etaSeconds}
+ */
+async function getRefreshStatus(entityTypes = REFRESH_ENTITY_TYPES) {
+  const redis = getRedisClient();
+  const status = {};
+
+  for (const entityType of entityTypes) {
+    const keys = getProgressKeys(entityType);
+    const progress = (await redis.hgetall(keys.progress)) || {};
+    if (!progress.status) {
+      status[entityType] = { status: 'never_run' };
+      continue;
+    }
+
+    const toInt = (value) => parseInt(value || '0', 10);
+    const toIso = (value) => (value ? new Date(toInt(value)).toISOString() : null);
+    const total = toInt(progress.total);
+    const processed = toInt(progress.processed);
+    const remaining = Math.max(0, total - processed);
+    const resumable = isResumable(progress);
+    const runStatus = progress.status === 'running' && !resumable ? 'interrupted' : progress.status;
+
+    // ETA from this session's throughput (a resumed run starts a new session)
+    let etaSeconds = null;
+    if (runStatus === 'running') {
+      const sessionProcessed = processed - toInt(progress.session_base);
+      const elapsedMs = Date.now() - toInt(progress.session_started_at);
+      if (sessionProcessed > 0) {
+        etaSeconds = Math.round((elapsedMs / sessionProcessed) * remaining / 1000);
+      }
+    }
+
+    const recentErrors = (await redis.lrange(keys.errors, 0, 9)).map((entry) => {
+      try {
+        return JSON.parse(entry);
+      } catch (error) {
+        return { error: entry };
+      }
+    });
+
+    status[entityType] = {
+      status: runStatus,
+      resumable: runStatus === 'interrupted' && resumable,
+      total,
+      processed,
+      remaining,
+      updated: toInt(progress.updated),
+      unchanged: toInt(progress.unchanged),
+      errors: toInt(progress.errors),
+      recentErrors,
+      lastError: progress.last_error || null,
+      startedAt: toIso(progress.started_at),
+      resumedAt: toIso(progress.resumed_at),
+      finishedAt: toIso(progress.finished_at),
+      updatedAt: toIso(progress.updated_at),
+      etaSeconds,
+    };
+  }
+
+  return status;
+}
+
+module.exports = {
+  FULL_REFRESH_CONCURRENCY,
+  REFRESH_ENTITY_TYPES,
+  runWorkerPool,
+  startRefreshProgress,
+  runTrackedRefresh,
+  getRefreshStatus,
+};
@@ -0,0 +1,145 @@
+const { getRedisClient } = require('../redis/client');
+const { getLastStreamId } = require('./stream-manager');
+const { getCacheKey } = require('../../utils/data-types');
+const {
+  shouldIncludeNotification,
+  isNotificationDataExpired,
+} = require('../notifications/notification-filter');
+const { buildTargetingFields, normalizeTarget } = require('../notifications/notification-storage');
+const { isUserScopedType } = require('./user-scope-filter');
+const { logger } = require('../logger');
+
+/**
+ * Keys per SCAN/pipeline batch
+ */
+const SNAPSHOT_SCAN_COUNT = 500;
+
+/**
+ * Notification statuses that are not visible to clients
+ */
+const HIDDEN_NOTIFICATION_STATUSES = ['scheduled', 'retracted', 'expired'];
+
+/**
+ * Check if a cached entity belongs in a snapshot for the requesting user
+ * Mirrors the filtering processSync applies to stream entries
+ * @param {string} entityType - Entity type
+ * @param {object} data - Cached entity data
+ * @param {object} userContext - {userId, userGroups, userRegion, userProvince, userCity, userDeviceId, isRegistered, authenticatedUserId}
+ * @returns {boolean} True if entity should be included
+ */
+function isVisibleInSnapshot(entityType, data, userContext) {
+  if (!data || data.deleted) {
+    return false;
+  }
+
+  if (entityType === 'notification') {
+    if (HIDDEN_NOTIFICATION_STATUSES.includes(data.status) || isNotificationDataExpired(data)) {
+      return false;
+    }
+    if (!userContext.userId) {
+      return true;
+    }
+    const entry = { fields: buildTargetingFields(normalizeTarget(data.target)) };
+    return shouldIncludeNotification(
+      entry,
+      userContext.userId,
+      userContext.userGroups || [],
+      userContext.userRegion || null,
+      userContext.userProvince || null,
+      userContext.userCity || null,
+      userContext.userDeviceId || null,
+      userContext.isRegistered !== undefined ? userContext.isRegistered : true
+    );
+  }
+
+  if (isUserScopedType(entityType)) {
+    return !!userContext.authenticatedUserId && data.userId === userContext.authenticatedUserId;
+  }
+
+  return true;
+}
+
+/**
+ * Build a full snapshot of one entity type from the hash cache (setCacheHash store)
+ * Used by clients whose sync cursor fell behind the retained stream (resyncRequired)
+ * @param {string} entityType - Entity type
+ * @param {object} userContext - User context for notification/message filtering
+ * @returns {Promise<object>} {entityType, entities, count, lastIds}
+ */
+async function getEntitySnapshot(entityType, userContext = {}) {
+  try {
+    const redis = getRedisClient();
+
+    // Take the cursor before scanning: changes made during the scan are replayed by the next sync
+    const cursor = (await getLastStreamId(entityType)) || '0-0';
+
+    const prefix = `hash:${getCacheKey(entityType, '')}`;
+    const seen = new Set();
+    const entities = [];
+    let scanCursor = '0';
+
+    do {
+      const [nextCursor, keys] = await redis.scan(scanCursor, 'MATCH', `${prefix}*`, 'COUNT', SNAPSHOT_SCAN_COUNT);
+      scanCursor = nextCursor;
+
+      // SCAN may return a key more than once
+      const newKeys = keys.filter((key) => !seen.has(key));
+      newKeys.forEach((key) => seen.add(key));
+      if (newKeys.length === 0) {
+        continue;
+      }
+
+      const pipeline = redis.pipeline();
+      newKeys.forEach((key) => pipeline.hgetall(key));
+      const results = await pipeline.exec();
+
+      newKeys.forEach((key, index) => {
+        const [error, hashData] = results[index];
+        if (error || !hashData || !hashData.data) {
+          return;
+        }
+
+        let data;
+        try {
+          data = JSON.parse(hashData.data);
+        } catch (parseError) {
+          logger.warn('Snapshot skipped unparsable cache entry', { key });
+          return;
+        }
+
+        if (!isVisibleInSnapshot(entityType, data, userContext)) {
+          return;
+        }
+
+        entities.push({
+          entity_type: entityType,
+          entity_id: key.slice(prefix.length),
+          data,
+          updated_at: hashData.updated_at || '',
+          version: hashData.version || '1',
+          data_hash: hashData.data_hash || '',
+        });
+      });
+    } while (scanCursor !== '0');
+
+    entities.sort((a, b) => a.entity_id.localeCompare(b.entity_id));
+
+    return {
+      entityType,
+      entities,
+      count: entities.length,
+      lastIds: { [entityType]: cursor },
+    };
+  } catch (error) {
+    logger.error('Snapshot build error', {
+      entityType,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  getEntitySnapshot,
+  isVisibleInSnapshot,
+};
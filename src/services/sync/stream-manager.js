@@ -12,72 +12,222 @@ function getStreamName(entityType) {
 }
 
 /**
- * Remove existing stream entries for a specific entity
- * Scans recent entries and removes any with matching entity_id
- * This ensures only the latest update is in the stream
+ * Compare two stream IDs
+ * @param {string} a - Stream ID (ms-seq)
+ * @param {string} b - Stream ID (ms-seq)
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareStreamIds(a, b) {
+  const [aMs, aSeq = 0] = a.split('-').map(Number);
+  const [bMs, bSeq = 0] = b.split('-').map(Number);
+  return aMs === bMs ? aSeq - bSeq : aMs - bMs;
+}
+
+/**
+ * Get latest-entry index key for entity type
+ * Hash of entityId → stream ID of the entity's latest entry (used to dedupe without scanning)
+ * @param {string} entityType - Entity type
+ * @returns {string} Index key (e.g., 'product_changes:latest')
+ */
+function getStreamIndexKey(entityType) {
+  return `${getStreamName(entityType)}:latest`;
+}
+
+/**
+ * Get key holding a stream's trim watermark
+ * Every entry older than the watermark may have been trimmed; dedupe XDELs never move it
+ * @param {string} entityType - Entity type
+ * @returns {string} Redis key
+ */
+function getTrimWatermarkKey(entityType) {
+  return `${getStreamName(entityType)}:trimmed`;
+}
+
+/**
+ * Lua: add entry, delete the entity's previous entry and update the index in one step
+ * KEYS[1] = stream, KEYS[2] = index hash
+ * ARGV[1] = entity ID, ARGV[2] = '1' to delete the previous entry, ARGV[3..] = entry field/value pairs
+ * Returns {streamId, removedCount}
+ */
+const ADD_STREAM_ENTRY_SCRIPT = `
+local removed = 0
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+if previous and ARGV[2] == '1' then
+  removed = redis.call('XDEL', KEYS[1], previous)
+end
+local id = redis.call('XADD', KEYS[1], '*', unpack(ARGV, 3))
+redis.call('HSET', KEYS[2], ARGV[1], id)
+return {id, removed}
+`;
+
+/**
+ * Lua: delete the entity's latest entry and its index field
+ * KEYS[1] = stream, KEYS[2] = index hash, ARGV[1] = entity ID
+ * Returns number of entries removed
+ */
+const REMOVE_STREAM_ENTRY_SCRIPT = `
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+if not previous then
+  return 0
+end
+redis.call('HDEL', KEYS[2], ARGV[1])
+return redis.call('XDEL', KEYS[1], previous)
+`;
+
+/**
+ * Lua: delete index fields that still point at the given (trimmed) entries
+ * KEYS[1] = index hash, ARGV = entity ID/stream ID pairs
+ * Fields updated since they were read (entity written again) are kept
+ * Returns number of fields deleted
+ */
+const PRUNE_STREAM_INDEX_SCRIPT = `
+local pruned = 0
+for i = 1, #ARGV, 2 do
+  if redis.call('HGET', KEYS[1], ARGV[i]) == ARGV[i + 1] then
+    pruned = pruned + redis.call('HDEL', KEYS[1], ARGV[i])
+  end
+end
+return pruned
+`;
+
+/**
+ * Remove existing stream entry for a specific entity
+ * Looks up the entity's latest entry in the index (O(1), no stream scan)
  * @param {string} entityType - Entity type
  * @param {string} entityId - Entity ID to remove entries for
- * @param {number} scanLimit - Maximum number of entries to scan (default: 1000)
  * @returns {Promise<number>} Number of entries removed
  */
-async function removeExistingStreamEntries(entityType, entityId, scanLimit = 1000) {
+async function removeExistingStreamEntries(entityType, entityId) {
   try {
     const redis = getRedisClient();
     const streamName = getStreamName(entityType);
 
-    // Read recent entries from the stream (most recent first)
-    const results = await redis.xrevrange(streamName, '+', '-', 'COUNT', scanLimit);
+    const removedCount = await redis.eval(
+      REMOVE_STREAM_ENTRY_SCRIPT,
+      2,
+      streamName,
+      getStreamIndexKey(entityType),
+      entityId
+    );
 
-    if (!results || results.length === 0) {
-      return 0;
+    if (removedCount > 0) {
+      logger.info('Removed existing stream entries', {
+        streamName,
+        entityType,
+        entityId,
+        removedCount,
+      });
     }
 
-    // Find entry IDs that match the entity_id
-    const entryIdsToDelete = [];
-    for (const [id, fields] of results) {
-      // Convert fields array [key1, val1, key2, val2, ...] to object
-      const entryFields = {};
-      for (let i = 0; i < fields.length; i += 2) {
-        entryFields[fields[i]] = fields[i + 1];
+    return removedCount;
+  } catch (error) {
+    logger.error('Remove existing stream entries error', {
+      entityType,
+      entityId,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Rebuild latest-entry index from stream contents
+ * Used for streams written before the index existed: keeps the latest entry per entity,
+ * deletes older duplicates and indexes the rest. Fields set concurrently by addStreamEntry win.
+ * @param {string} entityType - Entity type
+ * @param {number} batchSize - Entries read per XRANGE page (default: 1000)
+ * @returns {Promise<object>} {indexed, removed}
+ */
+async function rebuildStreamIndex(entityType, batchSize = 1000) {
+  try {
+    const redis = getRedisClient();
+    const streamName = getStreamName(entityType);
+    const indexKey = getStreamIndexKey(entityType);
+
+    const latest = new Map();
+    const duplicates = [];
+    let start = '-';
+
+    for (;;) {
+      const results = await redis.xrange(streamName, start, '+', 'COUNT', batchSize);
+      if (!results || results.length === 0) {
+        break;
       }
 
-      // Check if entity_id matches
-      if (entryFields.entity_id === entityId) {
-        entryIdsToDelete.push(id);
+      for (const [id, fields] of results) {
+        let entityId = null;
+        for (let i = 0; i < fields.length; i += 2) {
+          if (fields[i] === 'entity_id') {
+            entityId = fields[i + 1];
+            break;
+          }
+        }
+        if (!entityId) {
+          continue;
+        }
+        if (latest.has(entityId)) {
+          duplicates.push(latest.get(entityId));
+        }
+        latest.set(entityId, id);
       }
+
+      if (results.length < batchSize) {
+        break;
+      }
+      start = `(${results[results.length - 1][0]}`;
     }
 
-    if (entryIdsToDelete.length === 0) {
-      return 0;
+    for (let i = 0; i < duplicates.length; i += batchSize) {
+      await redis.xdel(streamName, ...duplicates.slice(i, i + batchSize));
     }
 
-    // Delete all matching entries
-    if (entryIdsToDelete.length > 0) {
-      await redis.xdel(streamName, ...entryIdsToDelete);
+    const pipeline = redis.pipeline();
+    for (const [entityId, id] of latest) {
+      pipeline.hsetnx(indexKey, entityId, id);
     }
+    await pipeline.exec();
 
-    logger.info('Removed existing stream entries', {
+    logger.info('Stream index rebuilt', {
       streamName,
-      entityType,
-      entityId,
-      removedCount: entryIdsToDelete.length,
-      entryIds: entryIdsToDelete,
+      indexed: latest.size,
+      removed: duplicates.length,
     });
 
-    return entryIdsToDelete.length;
+    return { indexed: latest.size, removed: duplicates.length };
   } catch (error) {
-    logger.error('Remove existing stream entries error', {
+    logger.error('Stream index rebuild error', {
       entityType,
-      entityId,
       error: error.message,
     });
-    return 0;
+    throw error;
   }
 }
 
+/**
+ * Build missing latest-entry indexes (run once at startup)
+ * @param {Array<string>} entityTypes - Entity types to check
+ * @returns {Promise<Object<string, object>>} Rebuild results by entity type (only rebuilt streams)
+ */
+async function ensureStreamIndexes(entityTypes) {
+  const redis = getRedisClient();
+  const rebuilt = {};
+
+  for (const entityType of entityTypes) {
+    const [indexExists, length] = await Promise.all([
+      redis.exists(getStreamIndexKey(entityType)),
+      getStreamLength(entityType),
+    ]);
+    if (!indexExists && length > 0) {
+      rebuilt[entityType] = await rebuildStreamIndex(entityType);
+    }
+  }
+
+  return rebuilt;
+}
+
 /**
  * Add or replace entry in Redis Stream
- * Removes any existing entries for the same entity, then adds the new entry
+ * Removes the entity's previous entry, then adds the new entry (atomically, see ADD_STREAM_ENTRY_SCRIPT)
  * This ensures only the latest update per entity is in the stream
  * @param {string} entityType - Entity type
  * @param {string} entityId - Entity ID
@@ -85,27 +235,35 @@ async function removeExistingStreamEntries(entityType, entityId, scanLimit = 100
  * @param {string} version - Entity version number
  * @param {string} idempotencyKey - Optional idempotency key (generated if not provided)
  * @param {boolean} replaceExisting - If true, remove existing entries for this entity before adding (default: true)
+ * @param {Object<string, string>} extraFields - Additional string fields stored on the entry (e.g., notification targeting)
  * @returns {Promise<string|null>} Stream ID (timestamp-sequence) or null if failed
  */
-async function addStreamEntry(entityType, entityId, dataHash, version, idempotencyKey = null, replaceExisting = true) {
+async function addStreamEntry(entityType, entityId, dataHash, version, idempotencyKey = null, replaceExisting = true, extraFields = {}) {
   try {
     const redis = getRedisClient();
     const streamName = getStreamName(entityType);
 
-    // Remove existing entries for this entity if replaceExisting is true
-    let removedCount = 0;
-    if (replaceExisting) {
-      removedCount = await removeExistingStreamEntries(entityType, entityId);
-    }
-
     // Generate idempotency key if not provided
     const idempotency = idempotencyKey || uuidv4();
 
-    // Add entry to stream
+    // Flatten extra fields into [key1, val1, key2, val2, ...] (values must be strings)
+    const extraFieldArgs = [];
+    for (const [key, value] of Object.entries(extraFields || {})) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      extraFieldArgs.push(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    // Add entry to stream, replacing the entity's previous entry (found via the index)
     // Stream ID is auto-generated by Redis (timestamp-sequence format)
-    const streamId = await redis.xadd(
+    const [streamId, removedCount] = await redis.eval(
+      ADD_STREAM_ENTRY_SCRIPT,
+      2,
       streamName,
-      '*', // Auto-generate stream ID
+      getStreamIndexKey(entityType),
+      entityId,
+      replaceExisting ? '1' : '0',
       'entity_type',
       entityType,
       'entity_id',
@@ -115,7 +273,8 @@ async function addStreamEntry(entityType, entityId, dataHash, version, idempoten
       'version',
       version,
       'idempotency_key',
-      idempotency
+      idempotency,
+      ...extraFieldArgs
     );
 
     logger.info('Stream entry added', {
@@ -248,6 +407,76 @@ async function readMultipleStreams(lastIds, limit = 100) {
   }
 }
 
+/**
+ * Record how far a stream has been trimmed (first retained entry after a trim)
+ * The watermark only moves forward
+ * @param {string} entityType - Entity type
+ * @param {string|null} fallbackId - Watermark to use when the trim emptied the stream
+ * @returns {Promise<string|null>} Watermark
+ */
+async function recordTrimWatermark(entityType, fallbackId) {
+  const redis = getRedisClient();
+  const key = getTrimWatermarkKey(entityType);
+
+  const first = await redis.xrange(getStreamName(entityType), '-', '+', 'COUNT', 1);
+  const watermark = first && first.length > 0 ? first[0][0] : fallbackId;
+  if (!watermark) {
+    return null;
+  }
+
+  const current = await redis.get(key);
+  if (current && compareStreamIds(current, watermark) >= 0) {
+    return current;
+  }
+  await redis.set(key, watermark);
+  return watermark;
+}
+
+/**
+ * Get a stream's trim watermark
+ * A cursor older than the watermark may have missed trimmed entries
+ * @param {string} entityType - Entity type
+ * @returns {Promise<string|null>} Watermark or null if the stream was never trimmed
+ */
+async function getTrimWatermark(entityType) {
+  const redis = getRedisClient();
+  return (await redis.get(getTrimWatermarkKey(entityType))) || null;
+}
+
+/**
+ * Remove index fields of entries a trim deleted (older than the first retained entry)
+ * Keeps the latest-entry index from growing with entities whose entries are gone
+ * @param {string} entityType - Entity type
+ * @param {number} batchSize - Fields read per HSCAN page (default: 1000)
+ * @returns {Promise<number>} Number of index fields removed
+ */
+async function pruneStreamIndex(entityType, batchSize = 1000) {
+  const redis = getRedisClient();
+  const indexKey = getStreamIndexKey(entityType);
+
+  const first = await redis.xrange(getStreamName(entityType), '-', '+', 'COUNT', 1);
+  const firstId = first && first.length > 0 ? first[0][0] : null;
+
+  let pruned = 0;
+  let cursor = '0';
+  do {
+    const [nextCursor, fields] = await redis.hscan(indexKey, cursor, 'COUNT', batchSize);
+    cursor = nextCursor;
+
+    const stale = [];
+    for (let i = 0; i < fields.length; i += 2) {
+      if (!firstId || compareStreamIds(fields[i + 1], firstId) < 0) {
+        stale.push(fields[i], fields[i + 1]);
+      }
+    }
+    if (stale.length > 0) {
+      pruned += await redis.eval(PRUNE_STREAM_INDEX_SCRIPT, 1, indexKey, ...stale);
+    }
+  } while (cursor !== '0');
+
+  return pruned;
+}
+
 /**
  * Trim stream to keep only recent entries
  * @param {string} entityType - Entity type
@@ -261,11 +490,17 @@ async function trimStream(entityType, maxLength) {
 
     // Trim stream using MAXLEN (approximate)
     const removed = await redis.xtrim(streamName, 'MAXLEN', '~', maxLength);
+    let indexPruned = 0;
+    if (removed > 0) {
+      await recordTrimWatermark(entityType, null);
+      indexPruned = await pruneStreamIndex(entityType);
+    }
 
     logger.info('Stream trimmed', {
       streamName,
       maxLength,
       removed,
+      indexPruned,
     });
 
     return removed;
@@ -279,6 +514,43 @@ async function trimStream(entityType, maxLength) {
   }
 }
 
+/**
+ * Trim stream entries older than a minimum ID (time-based retention)
+ * @param {string} entityType - Entity type
+ * @param {string} minId - Oldest stream ID to keep (e.g., `${cutoffMs}-0`)
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function trimStreamByMinId(entityType, minId) {
+  try {
+    const redis = getRedisClient();
+    const streamName = getStreamName(entityType);
+
+    // Trim stream using MINID (approximate, whole macro nodes only)
+    const removed = await redis.xtrim(streamName, 'MINID', '~', minId);
+    let indexPruned = 0;
+    if (removed > 0) {
+      await recordTrimWatermark(entityType, minId);
+      indexPruned = await pruneStreamIndex(entityType);
+    }
+
+    logger.info('Stream trimmed by age', {
+      streamName,
+      minId,
+      removed,
+      indexPruned,
+    });
+
+    return removed;
+  } catch (error) {
+    logger.error('Stream trim error', {
+      entityType,
+      minId,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
 /**
  * Get stream length
  * @param {string} entityType - Entity type
@@ -370,11 +642,18 @@ async function getStreamInfo(entityType) {
 
 module.exports = {
   getStreamName,
+  getStreamIndexKey,
+  compareStreamIds,
   addStreamEntry,
   removeExistingStreamEntries,
+  rebuildStreamIndex,
+  ensureStreamIndexes,
   readStreamEntries,
   readMultipleStreams,
   trimStream,
+  trimStreamByMinId,
+  pruneStreamIndex,
+  getTrimWatermark,
   getStreamLength,
   getLastStreamId,
   getStreamInfo,
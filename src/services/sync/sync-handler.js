@@ -1,18 +1,51 @@
-const { readMultipleStreams } = require('./stream-manager');
-const { filterEntriesNeedingSync, getEntityForSync } = require('./change-detector');
-const { filterNotifications } = require('../notifications/notification-filter');
-const { filterMessages } = require('../messaging/message-filter');
+const { readMultipleStreams, getTrimWatermark, compareStreamIds } = require('./stream-manager');
+const {
+  filterEntriesNeedingSync,
+  prefetchCacheHashes,
+  getPrefetched,
+  buildEntityForSync,
+} = require('./change-detector');
+const {
+  filterNotifications,
+  filterExpiredNotifications,
+  isNotificationDataExpired,
+} = require('../notifications/notification-filter');
+const { isUserScopedType, filterUserScopedEntries } = require('./user-scope-filter');
 const { logger } = require('../logger');
 
 /**
  * Entity type frequency mapping
  */
 const ENTITY_FREQUENCIES = {
-  fast: ['view', 'comment', 'user'], // High-frequency (5-15 min)
+  fast: ['view', 'comment', 'user', 'wishlist', 'recent_view'], // High-frequency (5-15 min)
   medium: ['stock', 'notification', 'announcement', 'message'], // Medium-frequency (hourly)
   slow: ['product', 'price', 'hero', 'home', 'bundle'], // Low-frequency (daily or on-demand)
 };
 
+/**
+ * Find streams whose cursor is older than the trim watermark
+ * Entries between the cursor and the watermark may have been trimmed,
+ * so those types must be reloaded from the snapshot endpoint.
+ * Dedupe XDELs of superseded entries do not move the watermark: a cursor
+ * before the first entry of a never-trimmed stream has missed nothing.
+ * Initial syncs ('0-0') are a gap once a stream was trimmed: the trimmed
+ * entries may be the only entries of entities that have not changed since.
+ * @param {Object<string, string>} streamsToCheck - Object mapping entityType to last stream ID
+ * @returns {Promise<Array<string>>} Entity types that require a resync
+ */
+async function detectStreamGaps(streamsToCheck) {
+  const gaps = [];
+
+  for (const [entityType, lastId] of Object.entries(streamsToCheck)) {
+    const watermark = await getTrimWatermark(entityType);
+    if (watermark && compareStreamIds(lastId || '0-0', watermark) < 0) {
+      gaps.push(entityType);
+    }
+  }
+
+  return gaps;
+}
+
 /**
  * Process sync request for specific entity types
  * @param {Object<string, string>} lastSync - Object mapping entityType to last stream ID
@@ -25,7 +58,9 @@ const ENTITY_FREQUENCIES = {
  * @param {string} userCity - User city for notification filtering
  * @param {string} userDeviceId - User device ID for notification filtering
  * @param {boolean} isRegistered - Whether user is registered
+ * @param {string} authenticatedUserId - User ID from a verified token (required for user-scoped types: message, wishlist, recent_view)
  * @returns {Promise<object>} Sync response with updates or inSync flag
+ *   (resyncRequired/resyncTypes are set when a cursor predates the retained stream)
  */
 async function processSync(
   lastSync = {}, 
@@ -37,7 +72,8 @@ async function processSync(
   userProvince = null,
   userCity = null,
   userDeviceId = null,
-  isRegistered = true
+  isRegistered = true,
+  authenticatedUserId = null
 ) {
   try {
     // Build streamsToCheck: if entityTypes specified, use them (with '0-0' if no lastSync), otherwise use all from lastSync
@@ -61,23 +97,37 @@ async function processSync(
       return { inSync: true };
     }
 
+    // Streams trimmed past the client's cursor are not read: the client reloads them from a snapshot
+    const resyncTypes = await detectStreamGaps(streamsToCheck);
+    if (resyncTypes.length > 0) {
+      logger.warn('Sync cursor older than retained stream, resync required', {
+        resyncTypes,
+        lastSync,
+      });
+      streamsToCheck = { ...streamsToCheck };
+      for (const entityType of resyncTypes) {
+        delete streamsToCheck[entityType];
+      }
+    }
+
     // Read streams since last IDs
     const streamsData = await readMultipleStreams(streamsToCheck, limit);
 
-    // Collect all entries that need sync
-    const updates = [];
-    const lastIds = { ...lastSync };
-
+    // Targeting filters that need no cached data (notifications)
+    const candidates = {};
     for (const [entityType, entries] of Object.entries(streamsData)) {
       if (!entries || entries.length === 0) {
         continue;
       }
 
-      // For notifications and messages, apply user-based filtering first
       let entriesToProcess = entries;
+      if (entityType === 'notification') {
+        // Expired notifications are never returned (scheduler emits the retraction marker)
+        entriesToProcess = filterExpiredNotifications(entries);
+      }
       if (entityType === 'notification' && userId) {
         entriesToProcess = filterNotifications(
-          entries,
+          entriesToProcess,
           userId,
           userGroups,
           userRegion,
@@ -86,22 +136,52 @@ async function processSync(
           userDeviceId,
           isRegistered
         );
-      } else if (entityType === 'message' && userId) {
-        // Filter messages by userId (messages are user-scoped)
-        entriesToProcess = await filterMessages(entries, userId);
+      } else if (isUserScopedType(entityType) && !authenticatedUserId) {
+        // Messages, wishlists and recent views: only the authenticated owner receives them
+        entriesToProcess = [];
+      }
+      candidates[entityType] = entriesToProcess;
+    }
+
+    // One pipelined HGETALL for every candidate entry across all streams
+    const cache = await prefetchCacheHashes(candidates);
+    const deletionHashes = new Map();
+
+    // Collect all entries that need sync
+    const updates = [];
+    const lastIds = { ...lastSync };
+
+    for (const [entityType, entries] of Object.entries(streamsData)) {
+      if (!entries || entries.length === 0) {
+        continue;
+      }
+
+      let entriesToProcess = candidates[entityType];
+      if (isUserScopedType(entityType) && authenticatedUserId) {
+        entriesToProcess = await filterUserScopedEntries(entityType, entriesToProcess, authenticatedUserId, cache);
       }
 
       // Filter entries that actually need sync (hash comparison)
-      const entriesNeedingSync = await filterEntriesNeedingSync(entriesToProcess);
+      const entriesNeedingSync = await filterEntriesNeedingSync(entriesToProcess, cache);
 
-      // Get entity data for each entry that needs sync
+      // Build entity data for each entry that needs sync
       for (const entry of entriesNeedingSync) {
         const { entity_id, idempotency_key, data_hash } = entry.fields;
 
-        // Get entity data from cache (pass data_hash to detect deletions)
-        const entityData = await getEntityForSync(entityType, entity_id, data_hash);
+        // Entity data from prefetched cache (data_hash detects deletions)
+        const entityData = buildEntityForSync(
+          entityType,
+          entity_id,
+          getPrefetched(cache, entityType, entity_id),
+          data_hash,
+          deletionHashes
+        );
 
-        if (entityData) {
+        // Entries written before expires_at existed on the stream are checked against cached data
+        const isExpired = entityType === 'notification' && entityData && !entityData.deleted &&
+          isNotificationDataExpired(entityData.data);
+
+        if (entityData && !isExpired) {
           updates.push({
             ...entityData,
             idempotency_key: idempotency_key || null,
@@ -123,6 +203,16 @@ async function processSync(
       }
     }
 
+    if (resyncTypes.length > 0) {
+      return {
+        inSync: false,
+        resyncRequired: true,
+        resyncTypes,
+        updates,
+        lastIds,
+      };
+    }
+
     // If no updates, return inSync
     if (updates.length === 0) {
       return { inSync: true };
@@ -148,9 +238,10 @@ async function processSync(
  * Process sync request for fast-frequency entities
  * @param {Object<string, string>} lastSync - Last sync IDs
  * @param {number} limit - Max entries per stream
+ * @param {string} authenticatedUserId - User ID from a verified token (required for wishlist/recent views)
  * @returns {Promise<object>} Sync response
  */
-async function processFastSync(lastSync = {}, limit = 100) {
+async function processFastSync(lastSync = {}, limit = 100, authenticatedUserId = null) {
   const fastTypes = ENTITY_FREQUENCIES.fast;
   const filteredLastSync = {};
 
@@ -163,7 +254,19 @@ async function processFastSync(lastSync = {}, limit = 100) {
     }
   }
 
-  return await processSync(filteredLastSync, fastTypes, limit);
+  return await processSync(
+    filteredLastSync,
+    fastTypes,
+    limit,
+    null,
+    [],
+    null,
+    null,
+    null,
+    null,
+    true,
+    authenticatedUserId
+  );
 }
 
 /**
@@ -177,6 +280,7 @@ async function processFastSync(lastSync = {}, limit = 100) {
  * @param {string} userCity - User city for notification filtering
  * @param {string} userDeviceId - User device ID for notification filtering
  * @param {boolean} isRegistered - Whether user is registered
+ * @param {string} authenticatedUserId - User ID from a verified token (required for messages)
  * @returns {Promise<object>} Sync response
  */
 async function processMediumSync(
@@ -188,7 +292,8 @@ async function processMediumSync(
   userProvince = null,
   userCity = null,
   userDeviceId = null,
-  isRegistered = true
+  isRegistered = true,
+  authenticatedUserId = null
 ) {
   const mediumTypes = ENTITY_FREQUENCIES.medium;
   const filteredLastSync = {};
@@ -212,7 +317,8 @@ async function processMediumSync(
     userProvince,
     userCity,
     userDeviceId,
-    isRegistered
+    isRegistered,
+    authenticatedUserId
   );
 }
 
@@ -243,5 +349,6 @@ module.exports = {
   processFastSync,
   processMediumSync,
   processSlowSync,
+  detectStreamGaps,
   ENTITY_FREQUENCIES,
 };
@@ -0,0 +1,266 @@
+const { getRedisClient } = require('../redis/client');
+const { getStreamName, getLastStreamId, compareStreamIds } = require('./stream-manager');
+const { processSync, ENTITY_FREQUENCIES } = require('./sync-handler');
+const { logger } = require('../logger');
+
+/**
+ * How long a single blocking XREAD waits before a heartbeat is sent (ms)
+ */
+const SYNC_STREAM_BLOCK_MS = parseInt(process.env.SYNC_STREAM_BLOCK_MS || '15000', 10);
+
+/**
+ * Maximum concurrent SSE connections per process (each holds one Redis connection)
+ */
+const SYNC_STREAM_MAX_CONNECTIONS = parseInt(process.env.SYNC_STREAM_MAX_CONNECTIONS || '200', 10);
+
+/**
+ * All syncable entity types (default stream subscription)
+ */
+const ALL_ENTITY_TYPES = [
+  ...ENTITY_FREQUENCIES.fast,
+  ...ENTITY_FREQUENCIES.medium,
+  ...ENTITY_FREQUENCIES.slow,
+];
+
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Abort controllers of open stream connections (aborted on shutdown)
+ */
+const openStreams = new Set();
+
+/**
+ * Get the later of two stream IDs (ignores missing values)
+ * @param {string|null} a - Stream ID
+ * @param {string|null} b - Stream ID
+ * @returns {string|null} Later stream ID
+ */
+function maxStreamId(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return compareStreamIds(a, b) >= 0 ? a : b;
+}
+
+/**
+ * Encode per-stream cursors as SSE event ID
+ * @param {Object<string, string>} cursors - Object mapping entityType to stream ID
+ * @returns {string} Opaque cursor (base64url JSON)
+ */
+function encodeCursor(cursors) {
+  return Buffer.from(JSON.stringify(cursors)).toString('base64url');
+}
+
+/**
+ * Decode SSE event ID into per-stream cursors
+ * @param {string} value - Cursor from Last-Event-ID
+ * @returns {Object<string, string>|null} Cursors or null if invalid
+ */
+function decodeCursor(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const cursors = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!cursors || typeof cursors !== 'object' || Array.isArray(cursors)) {
+      return null;
+    }
+    for (const [entityType, streamId] of Object.entries(cursors)) {
+      if (!ALL_ENTITY_TYPES.includes(entityType) || typeof streamId !== 'string' || !STREAM_ID_PATTERN.test(streamId)) {
+        return null;
+      }
+    }
+    return cursors;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format a Server-Sent Event
+ * @param {object} event - Event {id, event, data}
+ * @returns {string} SSE wire format
+ */
+function formatSseEvent({ id, event, data }) {
+  let output = '';
+  if (id) {
+    output += `id: ${id}\n`;
+  }
+  if (event) {
+    output += `event: ${event}\n`;
+  }
+  output += `data: ${JSON.stringify(data)}\n\n`;
+  return output;
+}
+
+/**
+ * Resolve starting cursors for a stream connection
+ * Resumed streams continue from Last-Event-ID; new streams start at the current end of each stream
+ * @param {Array<string>} entityTypes - Entity types to subscribe to
+ * @param {Object<string, string>|null} resumeCursors - Decoded Last-Event-ID cursors
+ * @returns {Promise<Object<string, string>>} Object mapping entityType to stream ID
+ */
+async function resolveStreamCursors(entityTypes, resumeCursors = null) {
+  const cursors = {};
+  for (const entityType of entityTypes) {
+    if (resumeCursors && resumeCursors[entityType]) {
+      cursors[entityType] = resumeCursors[entityType];
+    } else {
+      cursors[entityType] = (await getLastStreamId(entityType)) || '0-0';
+    }
+  }
+  return cursors;
+}
+
+/**
+ * Reserve a connection slot
+ * @param {AbortController} controller - Aborts the connection's stream (see closeAllStreams)
+ * @returns {boolean} True if a slot was reserved
+ */
+function acquireConnection(controller) {
+  if (openStreams.size >= SYNC_STREAM_MAX_CONNECTIONS) {
+    return false;
+  }
+  openStreams.add(controller);
+  return true;
+}
+
+/**
+ * Release a connection slot
+ * @param {AbortController} controller - Controller passed to acquireConnection
+ */
+function releaseConnection(controller) {
+  openStreams.delete(controller);
+}
+
+/**
+ * Get number of open stream connections
+ * @returns {number} Active connections
+ */
+function getActiveConnectionCount() {
+  return openStreams.size;
+}
+
+/**
+ * Abort every open stream connection (graceful shutdown)
+ * The responses end, so the HTTP server can close; EventSource clients reconnect to another
+ * instance with Last-Event-ID
+ * @returns {number} Connections aborted
+ */
+function closeAllStreams() {
+  const count = openStreams.size;
+  for (const controller of openStreams) {
+    controller.abort();
+  }
+  return count;
+}
+
+/**
+ * Deliver sync updates until aborted
+ * Waits for new entries with blocking XREAD (dedicated Redis connection), then builds the
+ * update payload with processSync so clients receive exactly what /api/sync/check returns
+ * @param {object} options - Stream options
+ * @param {Array<string>} options.entityTypes - Entity types to watch
+ * @param {Object<string, string>} options.cursors - Starting cursors (entityType → stream ID)
+ * @param {number} options.limit - Maximum entries per stream per read
+ * @param {object} options.userContext - {userId, userGroups, userRegion, userProvince, userCity, userDeviceId, isRegistered, authenticatedUserId}
+ * @param {function} options.onUpdate - Called with (syncResult, cursors) when updates are available
+ * @param {function} options.onHeartbeat - Called when a blocking read times out without changes
+ * @param {AbortSignal} options.signal - Abort signal (client disconnected)
+ * @returns {Promise<Object<string, string>>} Final cursors
+ */
+async function streamSyncUpdates({ entityTypes, cursors, limit = 100, userContext = {}, onUpdate, onHeartbeat, signal }) {
+  // Blocking commands need their own connection
+  const redis = getRedisClient().duplicate();
+  const abort = () => redis.disconnect();
+  signal.addEventListener('abort', abort);
+
+  const current = { ...cursors };
+  const streamNames = entityTypes.map((entityType) => getStreamName(entityType));
+
+  try {
+    while (!signal.aborted) {
+      const results = await redis.xread(
+        'COUNT', limit,
+        'BLOCK', SYNC_STREAM_BLOCK_MS,
+        'STREAMS', ...streamNames, ...entityTypes.map((entityType) => current[entityType])
+      );
+
+      if (signal.aborted) {
+        break;
+      }
+
+      if (!results || results.length === 0) {
+        onHeartbeat();
+        continue;
+      }
+
+      // Highest ID seen per stream in this read
+      const seen = {};
+      for (const [streamName, entries] of results) {
+        const entityType = streamName.replace('_changes', '');
+        if (entries.length > 0) {
+          seen[entityType] = entries[entries.length - 1][0];
+        }
+      }
+
+      const changedTypes = Object.keys(seen);
+      const lastSync = {};
+      for (const entityType of changedTypes) {
+        lastSync[entityType] = current[entityType];
+      }
+
+      const result = await processSync(
+        lastSync,
+        changedTypes,
+        limit,
+        userContext.userId || null,
+        userContext.userGroups || [],
+        userContext.userRegion || null,
+        userContext.userProvince || null,
+        userContext.userCity || null,
+        userContext.userDeviceId || null,
+        userContext.isRegistered !== undefined ? userContext.isRegistered : true,
+        userContext.authenticatedUserId || null
+      );
+
+      // Advance past everything read, including entries filtered out for this user
+      for (const entityType of changedTypes) {
+        current[entityType] = maxStreamId(seen[entityType], result.lastIds && result.lastIds[entityType]);
+      }
+
+      if (!result.inSync) {
+        onUpdate({ ...result, lastIds: { ...current } }, { ...current });
+      }
+    }
+  } catch (error) {
+    // Disconnecting the blocking client rejects the pending XREAD
+    if (!signal.aborted) {
+      logger.error('Sync stream error', {
+        entityTypes,
+        error: error.message,
+      });
+      throw error;
+    }
+  } finally {
+    signal.removeEventListener('abort', abort);
+    redis.disconnect();
+  }
+
+  return current;
+}
+
+module.exports = {
+  ALL_ENTITY_TYPES,
+  SYNC_STREAM_BLOCK_MS,
+  maxStreamId,
+  encodeCursor,
+  decodeCursor,
+  formatSseEvent,
+  resolveStreamCursors,
+  acquireConnection,
+  releaseConnection,
+  getActiveConnectionCount,
+  closeAllStreams,
+  streamSyncUpdates,
+};
@@ -0,0 +1,68 @@
+const { getCacheHash } = require('../redis/cache');
+const { getPrefetched } = require('./change-detector');
+const { filterMessages } = require('../messaging/message-filter');
+const { logger } = require('../logger');
+
+/**
+ * Entity types visible only to their owner (requires an authenticated user)
+ */
+const USER_SCOPED_TYPES = ['message', 'wishlist', 'recent_view'];
+
+/**
+ * Check if entity type is user-scoped
+ * @param {string} entityType - Entity type
+ * @returns {boolean} True for user-scoped types
+ */
+function isUserScopedType(entityType) {
+  return USER_SCOPED_TYPES.includes(entityType);
+}
+
+/**
+ * Filter user-scoped stream entries by owner
+ * Like filterMessages, the cached entity data decides ownership (data.userId)
+ * @param {string} entityType - User-scoped entity type
+ * @param {Array} entries - Array of stream entries with {id, fields: {entity_type, entity_id, data_hash, ...}}
+ * @param {string} userId - Authenticated user ID
+ * @param {Map<string, object|null>} cache - Prefetched cache hashes (optional, see prefetchCacheHashes)
+ * @returns {Promise<Array>} Entries owned by userId
+ */
+async function filterUserScopedEntries(entityType, entries, userId, cache = null) {
+  if (entityType === 'message') {
+    return await filterMessages(entries, userId, cache);
+  }
+
+  if (!entries || entries.length === 0 || !userId) {
+    return [];
+  }
+
+  const filteredEntries = [];
+
+  for (const entry of entries) {
+    try {
+      const { entity_id } = entry.fields;
+      if (!entity_id) {
+        continue;
+      }
+
+      const cached = cache ? getPrefetched(cache, entityType, entity_id) : await getCacheHash(entityType, entity_id);
+      if (cached && cached.data.userId === userId) {
+        filteredEntries.push(entry);
+      }
+    } catch (error) {
+      logger.error('Error filtering user-scoped entry', {
+        entityType,
+        entryId: entry.id,
+        userId,
+        error: error.message,
+      });
+    }
+  }
+
+  return filteredEntries;
+}
+
+module.exports = {
+  USER_SCOPED_TYPES,
+  isUserScopedType,
+  filterUserScopedEntries,
+};
@@ -13,9 +13,10 @@ const { logger } = require('../logger');
  * Process webhook for stock entity
  * Fetches stock from ERPNext, builds availability array, computes hash, adds stream entry if changed
  * @param {string} itemCode - Item code
+ * @param {string|null} eventId - Webhook event ID, used as the stream entry's idempotency key
  * @returns {Promise<object>} Result object with {changed: boolean, version: string, streamId: string|null}
  */
-async function processStockWebhook(itemCode) {
+async function processStockWebhook(itemCode, eventId = null) {
   try {
     // Fetch warehouses with stock from ERPNext
     const { fetchItemStock } = require('../erpnext/client');
@@ -141,7 +142,7 @@ async function processStockWebhook(itemCode) {
     await setStockAvailability(itemCode, availabilityArray);
 
     // Add stream entry only if changed
-    const streamId = await addStreamEntry('stock', itemCode, newHash, version);
+    const streamId = await addStreamEntry('stock', itemCode, newHash, version, eventId);
 
     logger.info('Stock webhook processed', {
       itemCode,
@@ -168,9 +169,10 @@ async function processStockWebhook(itemCode) {
 /**
  * Process webhook for bundle entity
  * Fetches bundle images from ERPNext, downloads and converts to base64, computes hash, adds stream entry if changed
+ * @param {string|null} eventId - Webhook event ID, used as the stream entry's idempotency key
  * @returns {Promise<object>} Result object with {changed: boolean, version: string, streamId: string|null}
  */
-async function processBundleWebhook() {
+async function processBundleWebhook(eventId = null) {
   try {
     const { fetchBundleImages } = require('../erpnext/client');
     const { transformBundleImages } = require('../cache/transformer');
@@ -272,7 +274,7 @@ async function processBundleWebhook() {
     }
 
     // Add stream entry
-    const streamId = await addStreamEntry('bundle', entityId, newHash, version);
+    const streamId = await addStreamEntry('bundle', entityId, newHash, version, eventId);
 
     logger.info('Bundle webhook processed', {
       changed,
@@ -296,31 +298,170 @@ async function processBundleWebhook() {
 }
 
 
+/**
+ * Build a webhook result from a refresh outcome
+ * @param {string} outcome - 'updated', 'unchanged' or 'removed'
+ * @returns {object} Result object with {changed: boolean, outcome: string}
+ */
+function toWebhookResult(outcome) {
+  return {
+    changed: outcome === 'updated' || outcome === 'removed',
+    outcome,
+  };
+}
+
+/**
+ * Process webhook for product entity
+ * Update events refresh the product (fetch, transformProduct, hash compare) like the full refresh;
+ * delete events emit deletion markers for the product and its unused item prices/stock
+ * @param {string} erpnextName - Website Item name
+ * @param {string} action - 'update' or 'delete'
+ * @param {string|null} eventId - Webhook event ID, used as the stream entries' idempotency key
+ * @returns {Promise<object>} Result object with {changed: boolean, outcome: string}
+ */
+async function processProductWebhook(erpnextName, action, eventId = null) {
+  const { refreshProduct, removeDeletedProduct } = require('../sync/full-refresh');
+
+  if (action === 'delete') {
+    const outcome = await removeDeletedProduct(erpnextName, eventId);
+    if (outcome !== 'published') {
+      logger.info('Product delete webhook processed', { erpnextName, outcome });
+      return toWebhookResult(outcome);
+    }
+    // Republished since the delete was sent
+    logger.info('Product delete webhook: product still published, refreshing instead', { erpnextName });
+  }
+
+  const outcome = await refreshProduct(erpnextName, null, eventId);
+  logger.info('Product webhook processed', { erpnextName, outcome });
+  return toWebhookResult(outcome);
+}
+
+/**
+ * Process webhook for price entity
+ * Update events reuse updateItemPrice; delete events emit a deletion marker once ERPNext has
+ * neither a retail nor a wholesale price for the item (otherwise the remaining price is cached).
+ * A failed ERPNext request throws, so the queue retries instead of deleting a price that still exists.
+ * @param {string} itemCode - Item code
+ * @param {string} action - 'update' or 'delete'
+ * @param {string|null} eventId - Webhook event ID, used as the stream entry's idempotency key
+ * @returns {Promise<object>} Result object with {changed: boolean, outcome: string}
+ */
+async function processPriceWebhook(itemCode, action, eventId = null) {
+  if (action === 'delete') {
+    const { fetchItemPrices } = require('../erpnext/client');
+    const { retail, wholesale } = await fetchItemPrices(itemCode, { throwOnError: true });
+
+    if ((retail === null || retail === undefined) && (wholesale === null || wholesale === undefined)) {
+      const { removeEntity } = require('../sync/full-refresh');
+      const { getRedisClient } = require('../redis/client');
+      const outcome = await removeEntity('price', itemCode, eventId);
+      // Simple key read by the price endpoints
+      await getRedisClient().del(`price:${itemCode}`);
+      logger.info('Price delete webhook processed', { itemCode, outcome });
+      return toWebhookResult(outcome);
+    }
+  }
+
+  const { updateItemPrice } = require('../price/price');
+  const existing = await getCacheHash('price', itemCode);
+
+  // updateItemPrice logs and returns null on failure; throw so the queue retries
+  const priceArray = await updateItemPrice(itemCode, eventId);
+  if (!priceArray) {
+    throw new Error('Failed to update item price');
+  }
+
+  const updated = await getCacheHash('price', itemCode);
+  const changed = !existing || !updated || existing.version !== updated.version;
+  return toWebhookResult(changed ? 'updated' : 'unchanged');
+}
+
+/**
+ * Process webhook for a single-entry entity (hero, home)
+ * Update events run the entity's refresh; delete events emit a deletion marker once
+ * ERPNext no longer has the data (otherwise the entity is refreshed); a failed ERPNext request throws
+ * @param {string} entityType - 'hero' or 'home'
+ * @param {string} action - 'update' or 'delete'
+ * @param {string|null} eventId - Webhook event ID, used as the stream entry's idempotency key
+ * @returns {Promise<object>} Result object with {changed: boolean, outcome: string}
+ */
+async function processSingletonWebhook(entityType, action, eventId = null) {
+  const { fetchHeroImages, fetchAppHome } = require('../erpnext/client');
+  const { refreshAllHero, refreshAllHome, removeEntity } = require('../sync/full-refresh');
+  const sources = {
+    hero: { fetch: fetchHeroImages, refresh: refreshAllHero },
+    home: { fetch: fetchAppHome, refresh: refreshAllHome },
+  };
+  const { fetch, refresh } = sources[entityType];
+
+  if (action === 'delete') {
+    const data = await fetch({ throwOnError: true });
+    if (!data || (Array.isArray(data) && data.length === 0)) {
+      const outcome = await removeEntity(entityType, entityType, eventId);
+      logger.info('Delete webhook processed', { entityType, outcome });
+      return toWebhookResult(outcome);
+    }
+  }
+
+  // Refresh functions report failures in the summary instead of throwing
+  const summary = await refresh({ idempotencyKey: eventId });
+  if (summary.errors.length > 0) {
+    throw new Error(summary.errors[0].error);
+  }
+  return toWebhookResult(summary.updated > 0 ? 'updated' : 'unchanged');
+}
+
 /**
  * Unified webhook handler
  * Routes to appropriate processor based on entity_type
- * Note: Friday-only entities (product, price, hero, home) are updated automatically on Friday evenings - no webhooks needed
- * @param {string} entityType - Entity type ('stock', 'bundle')
- * @param {object} payload - Webhook payload
+ * Product, price, hero and home are also refreshed weekly; webhooks apply changes in between
+ * @param {string} entityType - Entity type ('stock', 'bundle', 'product', 'price', 'hero', 'home')
+ * @param {object} payload - Webhook payload (action: 'update' (default) or 'delete')
+ * @param {string|null} eventId - Webhook event ID; written as the idempotency_key of the stream entries,
+ *   so a retried event is recognizable downstream
  * @returns {Promise<object>} Result object
  */
-async function processWebhook(entityType, payload) {
+async function processWebhook(entityType, payload, eventId = null) {
   try {
+    const action = payload.action || 'update';
+
     switch (entityType) {
       case 'stock': {
         const { itemCode } = payload;
         if (!itemCode) {
           throw new Error('itemCode required for stock webhook');
         }
-        return await processStockWebhook(itemCode);
+        return await processStockWebhook(itemCode, eventId);
       }
 
       case 'bundle': {
-        return await processBundleWebhook();
+        return await processBundleWebhook(eventId);
+      }
+
+      case 'product': {
+        const { erpnextName } = payload;
+        if (!erpnextName) {
+          throw new Error('erpnextName required for product webhook');
+        }
+        return await processProductWebhook(erpnextName, action, eventId);
+      }
+
+      case 'price': {
+        const { itemCode } = payload;
+        if (!itemCode) {
+          throw new Error('itemCode required for price webhook');
+        }
+        return await processPriceWebhook(itemCode, action, eventId);
+      }
+
+      case 'hero':
+      case 'home': {
+        return await processSingletonWebhook(entityType, action, eventId);
       }
 
       default:
-        throw new Error(`Unsupported entity type: ${entityType}. Friday-only entities (product, price, hero, home) are updated automatically on Friday evenings - no webhooks needed.`);
+        throw new Error(`Unsupported entity type: ${entityType}`);
     }
   } catch (error) {
     logger.error('Unified webhook processing error', {
@@ -335,4 +476,6 @@ async function processWebhook(entityType, payload) {
 module.exports = {
   processWebhook,
   processStockWebhook,
+  processProductWebhook,
+  processPriceWebhook,
 };
@@ -0,0 +1,128 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../redis/client');
+const { computeDataHash } = require('../sync/hash-computer');
+
+/**
+ * Seconds a processed event ID sent by ERPNext (event_id) is remembered
+ */
+const WEBHOOK_EVENT_TTL_SECONDS = parseInt(process.env.WEBHOOK_EVENT_TTL_SECONDS || '86400', 10);
+
+/**
+ * Seconds a derived or generated event ID is remembered
+ * These IDs are not chosen by ERPNext, so their records only need to outlive the retries of one request
+ */
+const WEBHOOK_DERIVED_EVENT_TTL_SECONDS = parseInt(process.env.WEBHOOK_DERIVED_EVENT_TTL_SECONDS || '600', 10);
+
+/**
+ * Get Redis key of a webhook event record
+ * @param {string} eventId - Event ID
+ * @returns {string} Redis key
+ */
+function getEventKey(eventId) {
+  return `webhook:event:${eventId}`;
+}
+
+/**
+ * Get the event ID of a webhook
+ * Uses event_id when ERPNext sends one; otherwise derives it from the payload fields including `modified`,
+ * so separate saves of a document get separate IDs. Without either, separate changes of an item cannot be
+ * told apart from retries, so every request gets a new ID and is never treated as a duplicate.
+ * @param {string} entityType - Entity type
+ * @param {object} payload - Validated webhook payload (without entity_type)
+ * @returns {object} {eventId, derived, generated}
+ */
+function resolveWebhookEventId(entityType, payload) {
+  if (payload.event_id) {
+    return { eventId: payload.event_id, derived: false, generated: false };
+  }
+  if (!payload.modified) {
+    return { eventId: uuidv4(), derived: false, generated: true };
+  }
+
+  const hash = computeDataHash({
+    entity_type: entityType,
+    action: payload.action || 'update',
+    itemCode: payload.itemCode || null,
+    erpnextName: payload.erpnextName || null,
+    modified: payload.modified,
+  });
+  return { eventId: `derived:${hash}`, derived: true, generated: false };
+}
+
+/**
+ * Record a webhook event as received, unless it already was (SET NX)
+ * @param {string} eventId - Event ID
+ * @param {string} entityType - Entity type
+ * @param {boolean} derived - Event ID was derived from the payload or generated (shorter TTL)
+ * @returns {Promise<object>} {duplicate: false, event} for a new event, or {duplicate: true, event} with the original record
+ */
+async function claimWebhookEvent(eventId, entityType, derived = false) {
+  const redis = getRedisClient();
+  const event = {
+    eventId,
+    entityType,
+    status: 'queued',
+    receivedAt: new Date().toISOString(),
+    result: null,
+    error: null,
+  };
+  const ttl = derived ? WEBHOOK_DERIVED_EVENT_TTL_SECONDS : WEBHOOK_EVENT_TTL_SECONDS;
+
+  const claimed = await redis.set(getEventKey(eventId), JSON.stringify(event), 'EX', ttl, 'NX');
+  if (claimed === 'OK') {
+    return { duplicate: false, event };
+  }
+
+  // Expired between SET and GET (rare): still report a duplicate, the next delivery is accepted
+  const original = await getWebhookEvent(eventId);
+  return { duplicate: true, event: original || event };
+}
+
+/**
+ * Get a webhook event record
+ * @param {string} eventId - Event ID
+ * @returns {Promise<object|null>} Event {eventId, entityType, status, receivedAt, result, error} or null if unknown/expired
+ */
+async function getWebhookEvent(eventId) {
+  const redis = getRedisClient();
+  const stored = await redis.get(getEventKey(eventId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Update a webhook event record, keeping its remaining TTL
+ * Events without a record (e.g. replayed after it expired) get WEBHOOK_EVENT_TTL_SECONDS
+ * @param {string} eventId - Event ID
+ * @param {object} changes - Fields to set (status, result, error, ...)
+ * @returns {Promise<object>} Updated event
+ */
+async function updateWebhookEvent(eventId, changes) {
+  const redis = getRedisClient();
+  const key = getEventKey(eventId);
+  const [existing, ttlMs] = await Promise.all([getWebhookEvent(eventId), redis.pttl(key)]);
+
+  const event = { eventId, ...existing, ...changes };
+  const expiryMs = ttlMs > 0 ? ttlMs : WEBHOOK_EVENT_TTL_SECONDS * 1000;
+  await redis.set(key, JSON.stringify(event), 'PX', expiryMs);
+  return event;
+}
+
+/**
+ * Forget a webhook event (queueing failed), so the sender's retry is accepted
+ * @param {string} eventId - Event ID
+ * @returns {Promise<void>}
+ */
+async function releaseWebhookEvent(eventId) {
+  const redis = getRedisClient();
+  await redis.del(getEventKey(eventId));
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TTL_SECONDS,
+  WEBHOOK_DERIVED_EVENT_TTL_SECONDS,
+  resolveWebhookEventId,
+  claimWebhookEvent,
+  getWebhookEvent,
+  updateWebhookEvent,
+  releaseWebhookEvent,
+};
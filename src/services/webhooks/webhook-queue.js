@@ -0,0 +1,556 @@
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../redis/client');
+const { processWebhook } = require('./unified-handler');
+const { getWebhookEvent, updateWebhookEvent } = require('./webhook-events');
+const { INSTANCE_ID } = require('../scheduled/job-lock');
+const { logger } = require('../logger');
+
+/**
+ * Attempts before an event is moved to the dead-letter stream
+ */
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+
+/**
+ * Delay before the first retry (ms); doubles with every further attempt
+ */
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10);
+
+/**
+ * Upper bound of a single retry delay (ms)
+ */
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '300000', 10);
+
+/**
+ * Blocking read timeout of the worker (ms); due retries are promoted between reads
+ */
+const WEBHOOK_QUEUE_BLOCK_MS = parseInt(process.env.WEBHOOK_QUEUE_BLOCK_MS || '2000', 10);
+
+/**
+ * Delivered but unacknowledged entries idle this long (worker crashed mid-event) are reclaimed (ms)
+ */
+const WEBHOOK_QUEUE_CLAIM_IDLE_MS = parseInt(process.env.WEBHOOK_QUEUE_CLAIM_IDLE_MS || '60000', 10);
+
+/**
+ * Maximum dead letters kept (oldest are trimmed)
+ */
+const WEBHOOK_DEAD_LETTER_MAX_LENGTH = parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX_LENGTH || '10000', 10);
+
+/**
+ * Entries read, reclaimed or promoted per worker iteration
+ */
+const WEBHOOK_QUEUE_BATCH_SIZE = 10;
+
+/**
+ * Pause after a failed worker iteration (e.g. Redis unavailable) (ms)
+ */
+const WORKER_ERROR_DELAY_MS = 1000;
+
+const WEBHOOK_QUEUE_STREAM = 'webhook:queue';
+const WEBHOOK_DEAD_LETTER_STREAM = 'webhook:dead_letter';
+const WEBHOOK_CONSUMER_GROUP = 'webhook-workers';
+
+/**
+ * Sorted set of events waiting for a retry (score = due time in ms, member = JSON event)
+ */
+const WEBHOOK_RETRY_KEY = 'webhook:retry';
+
+/**
+ * Lua script: move a due retry back onto the queue
+ * ZREM and XADD run atomically, so a crash cannot drop the event and each retry is queued once
+ * KEYS[1] = retry sorted set, KEYS[2] = queue stream
+ * ARGV[1] = retry member, ARGV[2..n] = stream fields
+ */
+const PROMOTE_RETRY_SCRIPT = `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then
+  return 0
+end
+redis.call('XADD', KEYS[2], '*', unpack(ARGV, 2))
+return 1
+`;
+
+/**
+ * Lua script: move a dead letter back onto the queue
+ * XDEL and XADD run atomically: XDEL decides which request replays the event (concurrent replays queue it once),
+ * and a crash cannot drop the event between the two
+ * KEYS[1] = dead-letter stream, KEYS[2] = queue stream
+ * ARGV[1] = dead-letter ID, ARGV[2..n] = stream fields
+ * Returns the queue entry ID, or nil if the dead letter is gone
+ */
+const REPLAY_DEAD_LETTER_SCRIPT = `
+if redis.call('XDEL', KEYS[1], ARGV[1]) == 0 then
+  return false
+end
+return redis.call('XADD', KEYS[2], '*', unpack(ARGV, 2))
+`;
+
+/**
+ * Lua script: delete a consumer from the group if it has no pending entries
+ * The check and the delete run atomically, so entries delivered in between are not dropped
+ * KEYS[1] = queue stream
+ * ARGV[1] = consumer group, ARGV[2] = consumer name
+ */
+const DELETE_IDLE_CONSUMER_SCRIPT = `
+if #redis.call('XPENDING', KEYS[1], ARGV[1], '-', '+', 1, ARGV[2]) > 0 then
+  return 0
+end
+redis.call('XGROUP', 'DELCONSUMER', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+let worker = null;
+
+/**
+ * Convert a flat stream field list to an object
+ * @param {Array<string>} fields - [field, value, ...]
+ * @returns {Object<string, string>} Fields
+ */
+function fieldsToObject(fields) {
+  const result = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    result[fields[i]] = fields[i + 1];
+  }
+  return result;
+}
+
+/**
+ * Convert an event to a flat stream field list
+ * @param {object} event - Event {eventId, entityType, payload, attempts, enqueuedAt, lastError}
+ * @param {Object<string, string>} extraFields - Additional fields
+ * @returns {Array<string>} [field, value, ...]
+ */
+function eventToFields(event, extraFields = {}) {
+  const fields = {
+    event_id: event.eventId,
+    entity_type: event.entityType,
+    payload: JSON.stringify(event.payload || {}),
+    attempts: String(event.attempts || 0),
+    enqueued_at: event.enqueuedAt,
+    ...(event.lastError ? { last_error: event.lastError } : {}),
+    ...extraFields,
+  };
+  return Object.entries(fields).flat();
+}
+
+/**
+ * Parse a queue or dead-letter stream entry
+ * @param {string} streamId - Stream entry ID
+ * @param {Array<string>} fields - Stream entry fields
+ * @returns {object} Event {id, eventId, entityType, payload, attempts, enqueuedAt, lastError, failedAt}
+ */
+function parseEventEntry(streamId, fields) {
+  const data = fieldsToObject(fields);
+  let payload = {};
+  try {
+    payload = JSON.parse(data.payload || '{}');
+  } catch (error) {
+    payload = {};
+  }
+
+  return {
+    id: streamId,
+    eventId: data.event_id,
+    entityType: data.entity_type,
+    payload,
+    attempts: parseInt(data.attempts || '0', 10),
+    enqueuedAt: data.enqueued_at || null,
+    lastError: data.last_error || null,
+    failedAt: data.failed_at || null,
+  };
+}
+
+/**
+ * Get delay before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay (ms)
+ */
+function getRetryDelay(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempts - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+/**
+ * Create the consumer group (and the stream) if missing
+ * Starts at 0 so events queued before the first worker started are processed
+ * @param {object} redis - Redis client
+ * @returns {Promise<void>}
+ */
+async function ensureConsumerGroup(redis = getRedisClient()) {
+  try {
+    await redis.xgroup('CREATE', WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, '0', 'MKSTREAM');
+  } catch (error) {
+    if (!String(error.message).includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Queue a webhook event for the worker
+ * @param {string} entityType - Entity type
+ * @param {object} payload - Webhook payload (without entity_type)
+ * @param {string} eventId - Event ID (generated when omitted)
+ * @returns {Promise<object>} {eventId, queueId}
+ */
+async function enqueueWebhook(entityType, payload, eventId = uuidv4()) {
+  const redis = getRedisClient();
+  const event = {
+    eventId,
+    entityType,
+    payload,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+
+  const queueId = await redis.xadd(WEBHOOK_QUEUE_STREAM, '*', ...eventToFields(event));
+  logger.info('Webhook queued', { eventId, entityType, queueId });
+  return { eventId, queueId };
+}
+
+/**
+ * Process one queued event
+ * Success acknowledges it and records the result on the event (see webhook-events); a failure schedules
+ * a retry with exponential backoff, or moves it to the dead-letter stream after WEBHOOK_MAX_ATTEMPTS.
+ * An event already processed (e.g. reclaimed after a crash before the acknowledgement) is only acknowledged.
+ * @param {string} streamId - Queue entry ID
+ * @param {Array<string>} fields - Queue entry fields
+ * @returns {Promise<string>} 'processed', 'duplicate', 'retry' or 'dead_letter'
+ */
+async function processQueueEntry(streamId, fields) {
+  const redis = getRedisClient();
+  const event = parseEventEntry(streamId, fields);
+
+  let outcome;
+  const multi = redis.multi();
+  try {
+    const recorded = await getWebhookEvent(event.eventId);
+    if (recorded && recorded.status === 'processed') {
+      outcome = 'duplicate';
+      logger.info('Webhook already processed, skipping', {
+        eventId: event.eventId,
+        entityType: event.entityType,
+      });
+    } else {
+      const result = await processWebhook(event.entityType, event.payload, event.eventId);
+      if (result && result.error) {
+        throw new Error(result.error);
+      }
+      await updateWebhookEvent(event.eventId, {
+        status: 'processed',
+        processedAt: new Date().toISOString(),
+        result,
+        error: null,
+      });
+      outcome = 'processed';
+    }
+  } catch (error) {
+    const attempts = event.attempts + 1;
+    const failed = { ...event, attempts, lastError: error.message };
+
+    if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      outcome = 'dead_letter';
+      multi.xadd(
+        WEBHOOK_DEAD_LETTER_STREAM,
+        'MAXLEN', '~', WEBHOOK_DEAD_LETTER_MAX_LENGTH,
+        '*',
+        ...eventToFields(failed, { failed_at: new Date().toISOString() })
+      );
+      await updateWebhookEvent(event.eventId, { status: 'failed', error: error.message }).catch(() => {});
+      logger.error('Webhook moved to dead-letter stream', {
+        eventId: event.eventId,
+        entityType: event.entityType,
+        attempts,
+        error: error.message,
+      });
+    } else {
+      outcome = 'retry';
+      const delay = getRetryDelay(attempts);
+      multi.zadd(WEBHOOK_RETRY_KEY, Date.now() + delay, JSON.stringify(failed));
+      logger.warn('Webhook failed, retry scheduled', {
+        eventId: event.eventId,
+        entityType: event.entityType,
+        attempts,
+        retryInMs: delay,
+        error: error.message,
+      });
+    }
+  }
+
+  multi.xack(WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, streamId);
+  multi.xdel(WEBHOOK_QUEUE_STREAM, streamId);
+  await multi.exec();
+
+  return outcome;
+}
+
+/**
+ * Move retries that are due back onto the queue
+ * ZREM decides which instance re-queues an event, so each retry is queued once
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<number>} Events re-queued
+ */
+async function promoteDueRetries(now = Date.now()) {
+  const redis = getRedisClient();
+  const due = await redis.zrangebyscore(WEBHOOK_RETRY_KEY, '-inf', now, 'LIMIT', 0, WEBHOOK_QUEUE_BATCH_SIZE);
+
+  let promoted = 0;
+  for (const member of due) {
+    promoted += await redis.eval(
+      PROMOTE_RETRY_SCRIPT,
+      2,
+      WEBHOOK_RETRY_KEY,
+      WEBHOOK_QUEUE_STREAM,
+      member,
+      ...eventToFields(JSON.parse(member))
+    );
+  }
+  return promoted;
+}
+
+/**
+ * Delete consumers left in the group by stopped workers
+ * Every process joins under its own name (hostname:pid), so restarts would otherwise pile up consumers.
+ * Consumers with pending entries are kept until reclaimStalledEntries has taken those over.
+ * @param {number} minIdleMs - Only delete consumers idle at least this long (ms)
+ * @returns {Promise<number>} Consumers deleted
+ */
+async function removeIdleConsumers(minIdleMs = WEBHOOK_QUEUE_CLAIM_IDLE_MS) {
+  const redis = getRedisClient();
+  const consumers = await redis.xinfo('CONSUMERS', WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP);
+
+  let removed = 0;
+  for (const fields of consumers || []) {
+    const consumer = fieldsToObject(fields);
+    if (consumer.name === INSTANCE_ID || Number(consumer.pending) > 0 || Number(consumer.idle) < minIdleMs) {
+      continue;
+    }
+    removed += await redis.eval(
+      DELETE_IDLE_CONSUMER_SCRIPT, 1, WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, consumer.name
+    );
+  }
+  if (removed > 0) {
+    logger.info('Removed idle webhook consumers', { removed });
+  }
+  return removed;
+}
+
+/**
+ * Reclaim and process entries delivered to a worker that stopped before acknowledging them
+ * @returns {Promise<number>} Entries processed
+ */
+async function reclaimStalledEntries() {
+  const redis = getRedisClient();
+  const pending = await redis.xpending(
+    WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, '-', '+', WEBHOOK_QUEUE_BATCH_SIZE
+  );
+
+  const stalledIds = (pending || [])
+    .filter(([, , idleMs]) => idleMs >= WEBHOOK_QUEUE_CLAIM_IDLE_MS)
+    .map(([streamId]) => streamId);
+  if (stalledIds.length === 0) {
+    return 0;
+  }
+
+  // XCLAIM re-checks idle time, so an entry another instance just claimed is skipped
+  const claimed = await redis.xclaim(
+    WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, INSTANCE_ID, WEBHOOK_QUEUE_CLAIM_IDLE_MS, ...stalledIds
+  );
+
+  let processed = 0;
+  for (const entry of claimed || []) {
+    // Older Redis versions return entries deleted after delivery as null
+    if (!entry || !entry[1]) {
+      continue;
+    }
+    logger.warn('Reclaimed stalled webhook', { queueId: entry[0] });
+    await processQueueEntry(entry[0], entry[1]);
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * One worker iteration: promote due retries, reclaim stalled entries, remove idle consumers,
+ * then read new events
+ * @param {object} blockingRedis - Dedicated connection for the blocking read
+ * @param {number} blockMs - Blocking read timeout (ms)
+ * @returns {Promise<number>} New events processed
+ */
+async function pollWebhookQueue(blockingRedis, blockMs = WEBHOOK_QUEUE_BLOCK_MS) {
+  await promoteDueRetries();
+  await reclaimStalledEntries();
+  await removeIdleConsumers();
+
+  const results = await blockingRedis.xreadgroup(
+    'GROUP', WEBHOOK_CONSUMER_GROUP, INSTANCE_ID,
+    'COUNT', WEBHOOK_QUEUE_BATCH_SIZE,
+    'BLOCK', blockMs,
+    'STREAMS', WEBHOOK_QUEUE_STREAM, '>'
+  );
+
+  let processed = 0;
+  for (const [, entries] of results || []) {
+    for (const [streamId, fields] of entries) {
+      await processQueueEntry(streamId, fields);
+      processed++;
+    }
+  }
+  return processed;
+}
+
+/**
+ * Start the webhook worker (one per process; instances share the consumer group)
+ */
+function startWebhookWorker() {
+  if (worker) {
+    return;
+  }
+
+  // Blocking commands need their own connection
+  const state = { stopped: false, redis: getRedisClient().duplicate() };
+  worker = state;
+
+  state.loop = (async () => {
+    try {
+      await ensureConsumerGroup();
+    } catch (error) {
+      logger.error('Webhook consumer group creation failed', { error: error.message });
+    }
+
+    while (!state.stopped) {
+      try {
+        await pollWebhookQueue(state.redis);
+      } catch (error) {
+        if (state.stopped) {
+          break;
+        }
+        // NOGROUP: the stream was deleted while running
+        if (String(error.message).includes('NOGROUP')) {
+          await ensureConsumerGroup().catch(() => {});
+        }
+        logger.error('Webhook worker error', { error: error.message });
+        await new Promise((resolve) => setTimeout(resolve, WORKER_ERROR_DELAY_MS));
+      }
+    }
+  })();
+
+  logger.info('Webhook worker started', { consumer: INSTANCE_ID });
+}
+
+/**
+ * Stop the webhook worker and leave the consumer group
+ * An event being processed is left unacknowledged and reclaimed later; the consumer is then kept
+ * until removeIdleConsumers deletes it on another instance
+ * @returns {Promise<void>}
+ */
+async function stopWebhookWorker() {
+  if (!worker) {
+    return;
+  }
+  const state = worker;
+  worker = null;
+  state.stopped = true;
+  state.redis.disconnect();
+  await state.loop;
+
+  try {
+    await getRedisClient().eval(
+      DELETE_IDLE_CONSUMER_SCRIPT, 1, WEBHOOK_QUEUE_STREAM, WEBHOOK_CONSUMER_GROUP, INSTANCE_ID
+    );
+  } catch (error) {
+    logger.warn('Webhook consumer removal failed', { error: error.message });
+  }
+  logger.info('Webhook worker stopped');
+}
+
+/**
+ * Get queue depths
+ * @returns {Promise<object>} {queued, retrying, deadLetters}
+ */
+async function getWebhookQueueStats() {
+  const redis = getRedisClient();
+  const [queued, retrying, deadLetters] = await Promise.all([
+    redis.xlen(WEBHOOK_QUEUE_STREAM),
+    redis.zcard(WEBHOOK_RETRY_KEY),
+    redis.xlen(WEBHOOK_DEAD_LETTER_STREAM),
+  ]);
+  return { queued, retrying, deadLetters };
+}
+
+/**
+ * List dead letters, oldest first
+ * @param {string|null} after - Return entries after this dead-letter ID (exclusive)
+ * @param {number} limit - Page size
+ * @returns {Promise<object>} {deadLetters, total, nextCursor}
+ */
+async function listDeadLetters(after = null, limit = 50) {
+  const redis = getRedisClient();
+  const entries = await redis.xrange(WEBHOOK_DEAD_LETTER_STREAM, after ? `(${after}` : '-', '+', 'COUNT', limit);
+  const total = await redis.xlen(WEBHOOK_DEAD_LETTER_STREAM);
+
+  const deadLetters = entries.map(([streamId, fields]) => parseEventEntry(streamId, fields));
+  return {
+    deadLetters,
+    total,
+    nextCursor: deadLetters.length === limit ? deadLetters[deadLetters.length - 1].id : null,
+  };
+}
+
+/**
+ * Re-queue a dead letter with a fresh attempt count
+ * @param {string} deadLetterId - Dead-letter stream entry ID
+ * @returns {Promise<object|null>} {eventId, queueId} or null if unknown
+ */
+async function replayDeadLetter(deadLetterId) {
+  const redis = getRedisClient();
+  const entries = await redis.xrange(WEBHOOK_DEAD_LETTER_STREAM, deadLetterId, deadLetterId);
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+
+  const event = parseEventEntry(entries[0][0], entries[0][1]);
+  const replayed = {
+    eventId: event.eventId,
+    entityType: event.entityType,
+    payload: event.payload,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+  const queueId = await redis.eval(
+    REPLAY_DEAD_LETTER_SCRIPT,
+    2,
+    WEBHOOK_DEAD_LETTER_STREAM,
+    WEBHOOK_QUEUE_STREAM,
+    deadLetterId,
+    ...eventToFields(replayed)
+  );
+  if (!queueId) {
+    return null;
+  }
+  await updateWebhookEvent(event.eventId, { status: 'queued', error: null });
+
+  logger.info('Dead-letter webhook replayed', {
+    deadLetterId,
+    eventId: event.eventId,
+    queueId,
+  });
+  return { eventId: event.eventId, queueId };
+}
+
+module.exports = {
+  WEBHOOK_QUEUE_STREAM,
+  WEBHOOK_DEAD_LETTER_STREAM,
+  WEBHOOK_RETRY_KEY,
+  WEBHOOK_MAX_ATTEMPTS,
+  getRetryDelay,
+  ensureConsumerGroup,
+  enqueueWebhook,
+  processQueueEntry,
+  promoteDueRetries,
+  reclaimStalledEntries,
+  removeIdleConsumers,
+  pollWebhookQueue,
+  startWebhookWorker,
+  stopWebhookWorker,
+  getWebhookQueueStats,
+  listDeadLetters,
+  replayDeadLetter,
+};
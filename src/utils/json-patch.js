@@ -0,0 +1,136 @@
+/**
+ * Minimal RFC 6902 JSON Patch support for sync deltas
+ * Generates add/remove/replace operations only; arrays whose length changed are replaced whole
+ */
+
+/**
+ * Escape a key for use in a JSON Pointer (RFC 6901)
+ * @param {string} key - Object key or array index
+ * @returns {string} Escaped reference token
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Unescape a JSON Pointer reference token
+ * @param {string} token - Escaped reference token
+ * @returns {string} Key
+ */
+function unescapePointer(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * Check if value is a plain object (not array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Append operations turning `from` into `to` at `path`
+ * @param {*} from - Previous value
+ * @param {*} to - Current value
+ * @param {string} path - JSON Pointer of the value
+ * @param {Array} ops - Operations (mutated)
+ */
+function diff(from, to, path, ops) {
+  if (isObject(from) && isObject(to)) {
+    for (const key of Object.keys(from)) {
+      if (!Object.prototype.hasOwnProperty.call(to, key)) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+      }
+    }
+    for (const key of Object.keys(to)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!Object.prototype.hasOwnProperty.call(from, key)) {
+        ops.push({ op: 'add', path: childPath, value: to[key] });
+      } else {
+        diff(from[key], to[key], childPath, ops);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    to.forEach((item, index) => diff(from[index], item, `${path}/${index}`, ops));
+    return;
+  }
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    ops.push({ op: 'replace', path, value: to });
+  }
+}
+
+/**
+ * Create an RFC 6902 patch that transforms one JSON document into another
+ * @param {object} from - Previous document
+ * @param {object} to - Current document
+ * @returns {Array<object>} Patch operations ([] when documents are equal)
+ */
+function createPatch(from, to) {
+  const ops = [];
+  diff(from, to, '', ops);
+  return ops;
+}
+
+/**
+ * Apply an RFC 6902 patch (add/remove/replace) to a JSON document
+ * Used by tests and server-side verification; clients apply patches with their own library
+ * @param {object} document - Document to patch (not mutated)
+ * @param {Array<object>} patch - Patch operations
+ * @returns {object} Patched document
+ */
+function applyPatch(document, patch) {
+  let result = JSON.parse(JSON.stringify(document));
+
+  for (const { op, path, value } of patch) {
+    if (path === '') {
+      if (op === 'remove') {
+        throw new Error('Cannot remove document root');
+      }
+      result = JSON.parse(JSON.stringify(value));
+      continue;
+    }
+
+    const tokens = path.split('/').slice(1).map(unescapePointer);
+    const key = tokens.pop();
+    let parent = result;
+    for (const token of tokens) {
+      if (parent === null || typeof parent !== 'object' || !(token in parent)) {
+        throw new Error(`Invalid patch path: ${path}`);
+      }
+      parent = parent[token];
+    }
+
+    const copy = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : parseInt(key, 10);
+      if (op === 'add') {
+        parent.splice(index, 0, copy);
+      } else if (op === 'remove') {
+        parent.splice(index, 1);
+      } else if (op === 'replace') {
+        parent[index] = copy;
+      } else {
+        throw new Error(`Unsupported patch operation: ${op}`);
+      }
+    } else if (op === 'add' || op === 'replace') {
+      parent[key] = copy;
+    } else if (op === 'remove') {
+      delete parent[key];
+    } else {
+      throw new Error(`Unsupported patch operation: ${op}`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  createPatch,
+  applyPatch,
+};
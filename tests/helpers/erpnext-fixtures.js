@@ -0,0 +1,31 @@
+/**
+ * Build an axios adapter replaying a recorded ERPNext list query (tests/fixtures/erpnext)
+ * Requests must match the recorded path, filters, fields, order and page length; pages are
+ * answered by limit_start
+ * @param {object} fixture - Recorded query {request, pages: [{limit_start, response}]}
+ * @returns {function} Jest mock adapter
+ */
+function createRecordedAdapter(fixture) {
+  const { request, pages } = fixture;
+
+  return jest.fn(async (config) => {
+    const url = new URL(config.url, 'https://erp.example.com');
+    const params = url.searchParams;
+    const matches =
+      decodeURIComponent(url.pathname) === request.path &&
+      params.get('filters') === JSON.stringify(request.filters) &&
+      params.get('fields') === JSON.stringify(request.fields) &&
+      params.get('order_by') === request.order_by &&
+      params.get('limit_page_length') === String(request.limit_page_length);
+    const page = matches && pages.find((recorded) => String(recorded.limit_start) === params.get('limit_start'));
+
+    if (!page) {
+      throw new Error(`No recorded ERPNext response for ${config.url}`);
+    }
+    return { status: 200, statusText: 'OK', data: page.response, headers: {}, config };
+  });
+}
+
+module.exports = {
+  createRecordedAdapter,
+};
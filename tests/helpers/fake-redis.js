@@ -0,0 +1,560 @@
+/**
+ * In-memory stand-in for the subset of ioredis used by cache and stream code
+ * Lua scripts from stream-manager, job-lock and webhook-queue are emulated by recognizing their commands,
+ * so tests exercise the same call shapes as production.
+ */
+function createFakeRedis() {
+  const strings = new Map();
+  const hashes = new Map();
+  const streams = new Map();
+  const sets = new Map();
+  const lists = new Map();
+  const sortedSets = new Map();
+  // Stream key → Map(group → {lastDeliveredId, pending: Map(id → {consumer, deliveredAt, deliveries}),
+  // consumers: Map(name → seenAt)})
+  const groups = new Map();
+  // String key → expiry time (ms); only string keys expire
+  const expiries = new Map();
+  const calls = {};
+  let lastMs = 0;
+  let seq = 0;
+
+  const count = (command) => {
+    calls[command] = (calls[command] || 0) + 1;
+  };
+
+  const getHash = (key) => {
+    if (!hashes.has(key)) {
+      hashes.set(key, new Map());
+    }
+    return hashes.get(key);
+  };
+
+  // Streams are Maps (insertion ordered) so XDEL is O(1) like in Redis
+  const getStream = (key) => {
+    if (!streams.has(key)) {
+      streams.set(key, new Map());
+    }
+    return streams.get(key);
+  };
+
+  const getEntries = (key) => Array.from(getStream(key).entries());
+
+  const getSortedSet = (key) => {
+    if (!sortedSets.has(key)) {
+      sortedSets.set(key, new Map());
+    }
+    return sortedSets.get(key);
+  };
+
+  const getGroup = (key, group) => {
+    const streamGroups = groups.get(key);
+    if (!streamGroups || !streamGroups.has(group)) {
+      throw new Error(`NOGROUP No such key '${key}' or consumer group '${group}'`);
+    }
+    return streamGroups.get(group);
+  };
+
+  const compareIds = (a, b) => {
+    const [aMs, aSeq] = a.split('-').map(Number);
+    const [bMs, bSeq] = b.split('-').map(Number);
+    return aMs === bMs ? aSeq - bSeq : aMs - bMs;
+  };
+
+  const expireStale = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      expiries.delete(key);
+      strings.delete(key);
+    }
+  };
+
+  const nextId = () => {
+    const now = Date.now();
+    if (now > lastMs) {
+      lastMs = now;
+      seq = 0;
+    } else {
+      seq++;
+    }
+    return `${lastMs}-${seq}`;
+  };
+
+  const xdel = (key, ids) => {
+    const stream = getStream(key);
+    let removed = 0;
+    for (const id of ids) {
+      removed += stream.delete(id) ? 1 : 0;
+    }
+    return removed;
+  };
+
+  const client = {
+    calls,
+    sortedSets,
+    hashes,
+    getEntries,
+
+    async get(key) {
+      count('get');
+      expireStale(key);
+      return strings.has(key) ? strings.get(key) : null;
+    },
+    async set(key, value, ...options) {
+      count('set');
+      expireStale(key);
+      const flags = options.map((option) => String(option).toUpperCase());
+      if (flags.includes('NX') && strings.has(key)) {
+        return null;
+      }
+      strings.set(key, value);
+      expiries.delete(key);
+      const px = flags.indexOf('PX');
+      if (px !== -1) {
+        expiries.set(key, Date.now() + parseInt(options[px + 1], 10));
+      }
+      const ex = flags.indexOf('EX');
+      if (ex !== -1) {
+        expiries.set(key, Date.now() + parseInt(options[ex + 1], 10) * 1000);
+      }
+      return 'OK';
+    },
+    async pttl(key) {
+      count('pttl');
+      expireStale(key);
+      if (!strings.has(key)) {
+        return -2;
+      }
+      return expiries.has(key) ? expiries.get(key) - Date.now() : -1;
+    },
+    async setex(key, ttl, value) {
+      count('setex');
+      strings.set(key, value);
+      return 'OK';
+    },
+    async incr(key) {
+      count('incr');
+      const value = parseInt(strings.get(key) || '0', 10) + 1;
+      strings.set(key, String(value));
+      return value;
+    },
+    async decr(key) {
+      count('decr');
+      const value = parseInt(strings.get(key) || '0', 10) - 1;
+      strings.set(key, String(value));
+      return value;
+    },
+    async del(...keys) {
+      count('del');
+      let removed = 0;
+      for (const key of keys) {
+        expiries.delete(key);
+        removed += strings.delete(key) || hashes.delete(key) || streams.delete(key) ||
+          sets.delete(key) || lists.delete(key) ? 1 : 0;
+      }
+      return removed;
+    },
+    async exists(key) {
+      count('exists');
+      return strings.has(key) || hashes.has(key) || streams.has(key) ? 1 : 0;
+    },
+    // Single pass over every key; only trailing-* MATCH patterns are supported
+    async scan(cursor, ...args) {
+      count('scan');
+      const match = args.indexOf('MATCH');
+      const prefix = match === -1 ? '' : args[match + 1].replace(/\*$/, '');
+      Array.from(strings.keys()).forEach(expireStale);
+      // Reads create empty hashes/streams; Redis has no empty keys
+      const keys = [strings, hashes, streams, sets, lists]
+        .flatMap((store) => Array.from(store.entries()))
+        .filter(([key, value]) => key.startsWith(prefix) && (typeof value === 'string' || (value.size ?? value.length) > 0))
+        .map(([key]) => key);
+      return ['0', keys];
+    },
+    async expire() {
+      count('expire');
+      return 1;
+    },
+    async hset(key, ...args) {
+      count('hset');
+      const hash = getHash(key);
+      const fields = typeof args[0] === 'object' ? Object.entries(args[0]) : [[args[0], args[1]]];
+      for (const [field, value] of fields) {
+        hash.set(field, String(value));
+      }
+      return fields.length;
+    },
+    async hsetnx(key, field, value) {
+      count('hsetnx');
+      const hash = getHash(key);
+      if (hash.has(field)) {
+        return 0;
+      }
+      hash.set(field, String(value));
+      return 1;
+    },
+    // Single page: returns every field
+    async hscan(key) {
+      count('hscan');
+      const hash = hashes.get(key) || new Map();
+      return ['0', Array.from(hash.entries()).flat()];
+    },
+    async hget(key, field) {
+      count('hget');
+      return hashes.has(key) && hashes.get(key).has(field) ? hashes.get(key).get(field) : null;
+    },
+    async sadd(key, ...members) {
+      count('sadd');
+      if (!sets.has(key)) {
+        sets.set(key, new Set());
+      }
+      const set = sets.get(key);
+      let added = 0;
+      for (const member of members.flat()) {
+        if (!set.has(String(member))) {
+          set.add(String(member));
+          added++;
+        }
+      }
+      return added;
+    },
+    async smembers(key) {
+      count('smembers');
+      return sets.has(key) ? Array.from(sets.get(key)) : [];
+    },
+    async scard(key) {
+      count('scard');
+      return sets.has(key) ? sets.get(key).size : 0;
+    },
+    async lpush(key, ...values) {
+      count('lpush');
+      if (!lists.has(key)) {
+        lists.set(key, []);
+      }
+      const list = lists.get(key);
+      for (const value of values.flat()) {
+        list.unshift(String(value));
+      }
+      return list.length;
+    },
+    async ltrim(key, start, stop) {
+      count('ltrim');
+      if (lists.has(key)) {
+        lists.set(key, lists.get(key).slice(start, stop === -1 ? undefined : stop + 1));
+      }
+      return 'OK';
+    },
+    async lrange(key, start, stop) {
+      count('lrange');
+      const list = lists.get(key) || [];
+      return list.slice(start, stop === -1 ? undefined : stop + 1);
+    },
+    async hmget(key, ...fields) {
+      count('hmget');
+      return fields.map((field) => (hashes.has(key) && hashes.get(key).has(field) ? hashes.get(key).get(field) : null));
+    },
+    async hdel(key, ...fields) {
+      count('hdel');
+      let removed = 0;
+      for (const field of fields) {
+        removed += hashes.has(key) && hashes.get(key).delete(field) ? 1 : 0;
+      }
+      return removed;
+    },
+    async hgetall(key) {
+      count('hgetall');
+      return hashes.has(key) ? Object.fromEntries(hashes.get(key)) : {};
+    },
+    async hincrby(key, field, increment) {
+      count('hincrby');
+      const hash = getHash(key);
+      const value = parseInt(hash.get(field) || '0', 10) + increment;
+      hash.set(field, String(value));
+      return value;
+    },
+    // Options before the ID (MAXLEN ~ n) are accepted but not applied
+    async xadd(key, ...args) {
+      count('xadd');
+      const fields = args.slice(args.indexOf('*') + 1);
+      const streamId = nextId();
+      getStream(key).set(streamId, fields);
+      return streamId;
+    },
+    async xgroup(subcommand, key, group, id) {
+      count('xgroup');
+      if (!groups.has(key)) {
+        groups.set(key, new Map());
+      }
+      if (groups.get(key).has(group)) {
+        throw new Error('BUSYGROUP Consumer Group name already exists');
+      }
+      getStream(key);
+      groups.get(key).set(group, {
+        lastDeliveredId: id === '$' ? `${lastMs}-${seq}` : '0-0',
+        pending: new Map(),
+        consumers: new Map(),
+      });
+      return 'OK';
+    },
+    // Only new entries ('>') are supported; BLOCK returns immediately
+    async xreadgroup(...args) {
+      count('xreadgroup');
+      const [, group, consumer] = args;
+      const countIndex = args.indexOf('COUNT');
+      const limit = countIndex >= 0 ? args[countIndex + 1] : undefined;
+      const key = args[args.indexOf('STREAMS') + 1];
+      const state = getGroup(key, group);
+      state.consumers.set(consumer, Date.now());
+      let entries = getEntries(key).filter(([id]) => compareIds(id, state.lastDeliveredId) > 0);
+      entries = limit ? entries.slice(0, limit) : entries;
+      for (const [id] of entries) {
+        state.pending.set(id, { consumer, deliveredAt: Date.now(), deliveries: 1 });
+        state.lastDeliveredId = id;
+      }
+      return entries.length > 0 ? [[key, entries]] : null;
+    },
+    async xack(key, group, ...ids) {
+      count('xack');
+      const state = getGroup(key, group);
+      return ids.filter((id) => state.pending.delete(id)).length;
+    },
+    // Extended form: XPENDING key group start end count
+    async xpending(key, group, start, end, limit) {
+      count('xpending');
+      const state = getGroup(key, group);
+      return Array.from(state.pending.entries())
+        .slice(0, limit)
+        .map(([id, entry]) => [id, entry.consumer, Date.now() - entry.deliveredAt, entry.deliveries]);
+    },
+    async xclaim(key, group, consumer, minIdle, ...ids) {
+      count('xclaim');
+      const state = getGroup(key, group);
+      state.consumers.set(consumer, Date.now());
+      const claimed = [];
+      for (const id of ids) {
+        const entry = state.pending.get(id);
+        if (!entry || Date.now() - entry.deliveredAt < minIdle) {
+          continue;
+        }
+        state.pending.set(id, { consumer, deliveredAt: Date.now(), deliveries: entry.deliveries + 1 });
+        claimed.push([id, getStream(key).has(id) ? getStream(key).get(id) : null]);
+      }
+      return claimed;
+    },
+    // Only XINFO CONSUMERS key group
+    async xinfo(subcommand, key, group) {
+      count('xinfo');
+      const state = getGroup(key, group);
+      return Array.from(state.consumers.entries()).map(([name, seenAt]) => [
+        'name', name,
+        'pending', Array.from(state.pending.values()).filter((entry) => entry.consumer === name).length,
+        'idle', Date.now() - seenAt,
+      ]);
+    },
+    async zadd(key, score, member) {
+      count('zadd');
+      const set = getSortedSet(key);
+      const added = set.has(member) ? 0 : 1;
+      set.set(member, Number(score));
+      return added;
+    },
+    async zrem(key, ...members) {
+      count('zrem');
+      const set = getSortedSet(key);
+      return members.filter((member) => set.delete(member)).length;
+    },
+    async zcard(key) {
+      count('zcard');
+      return getSortedSet(key).size;
+    },
+    async zrangebyscore(key, min, max, limitArg, offset, limit) {
+      count('zrangebyscore');
+      const toScore = (value) => (value === '-inf' ? -Infinity : value === '+inf' ? Infinity : Number(value));
+      const members = Array.from(getSortedSet(key).entries())
+        .filter(([, score]) => score >= toScore(min) && score <= toScore(max))
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member);
+      return limitArg === 'LIMIT' ? members.slice(offset, offset + limit) : members;
+    },
+    async xdel(key, ...ids) {
+      count('xdel');
+      return xdel(key, ids);
+    },
+    // Exact trimming (Redis may keep a few extra entries with `~`)
+    async xtrim(key, strategy, ...args) {
+      count('xtrim');
+      const threshold = args[args.length - 1];
+      const stream = getStream(key);
+      const ids = Array.from(stream.keys());
+      let toRemove;
+      if (strategy === 'MINID') {
+        const [minMs, minSeq] = threshold.split('-').map(Number);
+        toRemove = ids.filter((id) => {
+          const [ms, sq] = id.split('-').map(Number);
+          return ms === minMs ? sq < minSeq : ms < minMs;
+        });
+      } else {
+        toRemove = ids.slice(0, Math.max(0, ids.length - Number(threshold)));
+      }
+      return xdel(key, toRemove);
+    },
+    async xlen(key) {
+      count('xlen');
+      return getStream(key).size;
+    },
+    async xrange(key, start, end, countArg, limit) {
+      count('xrange');
+      const from = start === '-' ? null : start;
+      const exclusive = from && from.startsWith('(');
+      const fromId = exclusive ? from.slice(1) : from;
+      const afterStart = ([id]) => {
+        if (!fromId) return true;
+        const [aMs, aSeq] = id.split('-').map(Number);
+        const [bMs, bSeq] = fromId.split('-').map(Number);
+        const cmp = aMs === bMs ? aSeq - bSeq : aMs - bMs;
+        return exclusive ? cmp > 0 : cmp >= 0;
+      };
+      const beforeEnd = ([id]) => end === '+' || compareIds(id, end) <= 0;
+      const entries = getEntries(key).filter(afterStart).filter(beforeEnd);
+      return limit ? entries.slice(0, limit) : entries;
+    },
+    async xread(...args) {
+      count('xread');
+      const countIndex = args.indexOf('COUNT');
+      const limit = countIndex >= 0 ? args[countIndex + 1] : undefined;
+      const keys = args.slice(args.indexOf('STREAMS') + 1);
+      const half = keys.length / 2;
+      const results = [];
+      for (let i = 0; i < half; i++) {
+        const entries = await client.xrange(keys[i], `(${keys[half + i]}`, '+', 'COUNT', limit);
+        calls.xrange--;
+        if (entries.length > 0) {
+          results.push([keys[i], entries]);
+        }
+      }
+      return results.length > 0 ? results : null;
+    },
+    async xrevrange(key, end, start, countArg, limit) {
+      count('xrevrange');
+      const entries = getEntries(key).reverse();
+      return limit ? entries.slice(0, limit) : entries;
+    },
+    async eval(script, numKeys, ...args) {
+      count('eval');
+
+      // RENEW_LOCK_SCRIPT / RELEASE_LOCK_SCRIPT (job-lock)
+      if (script.includes('PEXPIRE')) {
+        const [lockKey, owner, ms] = args;
+        expireStale(lockKey);
+        if (strings.get(lockKey) !== owner) {
+          return 0;
+        }
+        if (script.includes("'DEL'") && parseInt(ms, 10) <= 0) {
+          strings.delete(lockKey);
+          expiries.delete(lockKey);
+          return 1;
+        }
+        expiries.set(lockKey, Date.now() + parseInt(ms, 10));
+        return 1;
+      }
+
+      // PROMOTE_RETRY_SCRIPT (webhook-queue)
+      if (script.includes('ZREM')) {
+        const [retryKey, queueKey, member, ...fields] = args;
+        if (!getSortedSet(retryKey).delete(member)) {
+          return 0;
+        }
+        getStream(queueKey).set(nextId(), fields);
+        return 1;
+      }
+
+      // REPLAY_DEAD_LETTER_SCRIPT (webhook-queue)
+      if (script.includes('XDEL') && !script.includes('HGET')) {
+        const [deadLetterKey, queueKey, deadLetterId, ...fields] = args;
+        if (xdel(deadLetterKey, [deadLetterId]) === 0) {
+          return null;
+        }
+        const streamId = nextId();
+        getStream(queueKey).set(streamId, fields);
+        return streamId;
+      }
+
+      // DELETE_IDLE_CONSUMER_SCRIPT (webhook-queue)
+      if (script.includes('DELCONSUMER')) {
+        const [queueKey, group, consumer] = args;
+        const state = getGroup(queueKey, group);
+        if (Array.from(state.pending.values()).some((entry) => entry.consumer === consumer)) {
+          return 0;
+        }
+        state.consumers.delete(consumer);
+        return 1;
+      }
+
+      // PRUNE_STREAM_INDEX_SCRIPT
+      if (numKeys === 1 && script.includes('HDEL')) {
+        const [indexKey, ...pairs] = args;
+        const index = getHash(indexKey);
+        let pruned = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+          if (index.get(pairs[i]) === pairs[i + 1]) {
+            index.delete(pairs[i]);
+            pruned++;
+          }
+        }
+        return pruned;
+      }
+
+      const [streamKey, indexKey, entityId, ...rest] = args;
+      const index = getHash(indexKey);
+      const previous = index.has(entityId) ? index.get(entityId) : null;
+
+      // ADD_STREAM_ENTRY_SCRIPT
+      if (script.includes('XADD')) {
+        const [replace, ...fields] = rest;
+        let removed = 0;
+        if (previous && replace === '1') {
+          removed = xdel(streamKey, [previous]);
+        }
+        const streamId = nextId();
+        getStream(streamKey).set(streamId, fields);
+        index.set(entityId, streamId);
+        return [streamId, removed];
+      }
+
+      // REMOVE_STREAM_ENTRY_SCRIPT
+      if (!previous) {
+        return 0;
+      }
+      index.delete(entityId);
+      return xdel(streamKey, [previous]);
+    },
+    multi() {
+      return client.pipeline();
+    },
+    pipeline() {
+      count('pipeline');
+      const queued = [];
+      const pipeline = new Proxy({}, {
+        get(target, command) {
+          if (command === 'exec') {
+            return async () => {
+              const results = [];
+              for (const [name, commandArgs] of queued) {
+                results.push([null, await client[name](...commandArgs)]);
+              }
+              return results;
+            };
+          }
+          return (...commandArgs) => {
+            queued.push([command, commandArgs]);
+            return pipeline;
+          };
+        },
+      });
+      return pipeline;
+    },
+  };
+
+  return client;
+}
+
+module.exports = { createFakeRedis };
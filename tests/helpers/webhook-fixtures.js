@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { WEBHOOK_SECRET } = require('../../src/config/webhooks');
+const { signWebhookPayload } = require('../../src/middleware/webhook-signature');
+
+/**
+ * Build a signed webhook request the way ERPNext sends it
+ * @param {object} body - JSON body
+ * @param {object} options - {secret, timestamp (seconds), nonce}
+ * @returns {{payload: string, headers: object}} Raw body and signature headers
+ */
+function buildSignedWebhook(body, options = {}) {
+  const payload = JSON.stringify(body);
+  const timestamp = String(options.timestamp || Math.floor(Date.now() / 1000));
+  const nonce = options.nonce || crypto.randomBytes(16).toString('hex');
+  const signature = signWebhookPayload(options.secret || WEBHOOK_SECRET, timestamp, nonce, payload);
+
+  return {
+    payload,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Signature': `sha256=${signature}`,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Nonce': nonce,
+    },
+  };
+}
+
+/**
+ * Signed request whose body was altered after signing
+ * @param {object} body - JSON body that was signed
+ * @param {object} tamperedBody - JSON body actually sent
+ * @returns {{payload: string, headers: object}} Raw body and signature headers
+ */
+function buildTamperedWebhook(body, tamperedBody) {
+  const { headers } = buildSignedWebhook(body);
+  return { payload: JSON.stringify(tamperedBody), headers };
+}
+
+/**
+ * Send a webhook fixture
+ * @param {object} app - Express app
+ * @param {string} path - Request path
+ * @param {{payload: string, headers: object}} webhook - Fixture from buildSignedWebhook
+ * @returns {object} Supertest request
+ */
+function sendWebhook(app, path, webhook) {
+  return request(app).post(path).set(webhook.headers).send(webhook.payload);
+}
+
+/**
+ * Send a freshly signed webhook
+ * @param {object} app - Express app
+ * @param {string} path - Request path
+ * @param {object} body - JSON body
+ * @returns {object} Supertest request
+ */
+function signedRequest(app, path, body) {
+  return sendWebhook(app, path, buildSignedWebhook(body));
+}
+
+module.exports = {
+  buildSignedWebhook,
+  buildTamperedWebhook,
+  sendWebhook,
+  signedRequest,
+};
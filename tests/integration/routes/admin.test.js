@@ -0,0 +1,275 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock services before requiring routes
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../src/services/auth/user-storage', () => ({
+  getUserById: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/refresh-progress', () => ({
+  getRefreshStatus: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/full-refresh', () => ({
+  startRefreshDryRun: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/refresh-dry-run', () => ({
+  getDryRunReport: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/refresh-jobs', () => ({
+  startRefreshJob: jest.fn(),
+  getRefreshJob: jest.fn(),
+}));
+jest.mock('../../../src/services/webhooks/webhook-queue', () => ({
+  listDeadLetters: jest.fn(),
+  replayDeadLetter: jest.fn(),
+  getWebhookQueueStats: jest.fn(),
+}));
+
+const adminRoutes = require('../../../src/routes/admin');
+const { getRefreshStatus } = require('../../../src/services/sync/refresh-progress');
+const { startRefreshDryRun } = require('../../../src/services/sync/full-refresh');
+const { getDryRunReport } = require('../../../src/services/sync/refresh-dry-run');
+const { startRefreshJob, getRefreshJob } = require('../../../src/services/sync/refresh-jobs');
+const {
+  listDeadLetters,
+  replayDeadLetter,
+  getWebhookQueueStats,
+} = require('../../../src/services/webhooks/webhook-queue');
+const { getUserById } = require('../../../src/services/auth/user-storage');
+const { generateAccessToken } = require('../../../src/middleware/auth');
+const { errorHandler } = require('../../../src/middleware/error-handler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use(errorHandler);
+
+const adminToken = () => `Bearer ${generateAccessToken({ userId: 'ADM1' })}`;
+
+describe('Admin Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getUserById.mockImplementation(async (userId) => ({
+      id: userId,
+      groups: userId === 'ADM1' ? ['admin'] : ['retail'],
+      deleted: false,
+    }));
+  });
+
+  describe('GET /api/admin/refresh/status', () => {
+    test('should return refresh progress to admins', async () => {
+      getRefreshStatus.mockResolvedValue({ product: { status: 'running', total: 10, processed: 4 } });
+
+      const response = await request(app)
+        .get('/api/admin/refresh/status')
+        .set('Authorization', adminToken())
+        .expect(200);
+
+      expect(response.body).toEqual({
+        success: true,
+        data: { product: { status: 'running', total: 10, processed: 4 } },
+      });
+    });
+
+    test('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/refresh/status')
+        .set('Authorization', `Bearer ${generateAccessToken({ userId: 'USR1' })}`)
+        .expect(403);
+
+      expect(getRefreshStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/refresh/dry-run', () => {
+    test('should start a dry run for the requested entity types', async () => {
+      startRefreshDryRun.mockResolvedValue({ id: 'rpt-1', status: 'running', entityTypes: ['product'] });
+
+      const response = await request(app)
+        .post('/api/admin/refresh/dry-run')
+        .set('Authorization', adminToken())
+        .send({ entityTypes: ['product'] })
+        .expect(202);
+
+      expect(startRefreshDryRun).toHaveBeenCalledWith(['product']);
+      expect(response.body.data).toEqual({ reportId: 'rpt-1', status: 'running', entityTypes: ['product'] });
+    });
+
+    test('should reject unknown entity types', async () => {
+      await request(app)
+        .post('/api/admin/refresh/dry-run')
+        .set('Authorization', adminToken())
+        .send({ entityTypes: ['view'] })
+        .expect(400);
+
+      expect(startRefreshDryRun).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/refresh/dry-run/:reportId', () => {
+    test('should download a completed report as JSON', async () => {
+      const report = { id: 'rpt-1', status: 'completed', totals: { added: 1, changed: 0, removed: 0, unchanged: 3 } };
+      getDryRunReport.mockResolvedValue(report);
+
+      const response = await request(app)
+        .get('/api/admin/refresh/dry-run/latest')
+        .set('Authorization', adminToken())
+        .expect(200);
+
+      expect(getDryRunReport).toHaveBeenCalledWith('latest');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="refresh-dry-run-rpt-1.json"');
+      expect(response.body).toEqual(report);
+    });
+
+    test('should return 404 for unknown reports', async () => {
+      getDryRunReport.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/admin/refresh/dry-run/missing')
+        .set('Authorization', adminToken())
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/refresh/jobs', () => {
+    test('should start an entity-type refresh job', async () => {
+      startRefreshJob.mockResolvedValue({ id: 'job-1', status: 'queued', scope: { entityType: 'stock' } });
+
+      const response = await request(app)
+        .post('/api/admin/refresh/jobs')
+        .set('Authorization', adminToken())
+        .send({ entityType: 'stock' })
+        .expect(202);
+
+      expect(startRefreshJob).toHaveBeenCalledWith({ entityType: 'stock' }, 'ADM1');
+      expect(response.body.data).toEqual({ jobId: 'job-1', status: 'queued', scope: { entityType: 'stock' } });
+    });
+
+    test('should start an item code refresh job', async () => {
+      startRefreshJob.mockResolvedValue({ id: 'job-2', status: 'queued', scope: { itemCode: 'WHEY-CHOC' } });
+
+      await request(app)
+        .post('/api/admin/refresh/jobs')
+        .set('Authorization', adminToken())
+        .send({ itemCode: 'WHEY-CHOC' })
+        .expect(202);
+
+      expect(startRefreshJob).toHaveBeenCalledWith({ itemCode: 'WHEY-CHOC' }, 'ADM1');
+    });
+
+    test('should require exactly one of entityType and itemCode', async () => {
+      await request(app)
+        .post('/api/admin/refresh/jobs')
+        .set('Authorization', adminToken())
+        .send({ entityType: 'price', itemCode: 'WHEY-CHOC' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/admin/refresh/jobs')
+        .set('Authorization', adminToken())
+        .send({})
+        .expect(400);
+
+      expect(startRefreshJob).not.toHaveBeenCalled();
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post('/api/admin/refresh/jobs')
+        .send({ entityType: 'stock' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/admin/refresh/jobs/:jobId', () => {
+    test('should return the job record', async () => {
+      const job = { id: 'job-1', status: 'completed', scope: { entityType: 'stock' }, result: { updated: 3 } };
+      getRefreshJob.mockResolvedValue(job);
+
+      const response = await request(app)
+        .get('/api/admin/refresh/jobs/job-1')
+        .set('Authorization', adminToken())
+        .expect(200);
+
+      expect(getRefreshJob).toHaveBeenCalledWith('job-1');
+      expect(response.body).toEqual({ success: true, data: job });
+    });
+
+    test('should return 404 for unknown jobs', async () => {
+      getRefreshJob.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/admin/refresh/jobs/missing')
+        .set('Authorization', adminToken())
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/admin/webhooks/dead-letters', () => {
+    test('should list dead letters with queue stats', async () => {
+      const deadLetter = {
+        id: '1700000000000-0',
+        eventId: 'event-1',
+        entityType: 'stock',
+        payload: { itemCode: 'ITEM-001' },
+        attempts: 5,
+        lastError: 'ERPNext timeout',
+      };
+      listDeadLetters.mockResolvedValue({ deadLetters: [deadLetter], total: 1, nextCursor: null });
+      getWebhookQueueStats.mockResolvedValue({ queued: 0, retrying: 2, deadLetters: 1 });
+
+      const response = await request(app)
+        .get('/api/admin/webhooks/dead-letters?limit=10&after=1699999999999-0')
+        .set('Authorization', adminToken())
+        .expect(200);
+
+      expect(listDeadLetters).toHaveBeenCalledWith('1699999999999-0', 10);
+      expect(response.body).toEqual({
+        success: true,
+        data: {
+          deadLetters: [deadLetter],
+          total: 1,
+          nextCursor: null,
+          stats: { queued: 0, retrying: 2, deadLetters: 1 },
+        },
+      });
+    });
+
+    test('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/webhooks/dead-letters')
+        .set('Authorization', `Bearer ${generateAccessToken({ userId: 'USR1' })}`)
+        .expect(403);
+
+      expect(listDeadLetters).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/webhooks/dead-letters/:deadLetterId/replay', () => {
+    test('should queue the dead letter again', async () => {
+      replayDeadLetter.mockResolvedValue({ eventId: 'event-1', queueId: '1700000000001-0' });
+
+      const response = await request(app)
+        .post('/api/admin/webhooks/dead-letters/1700000000000-0/replay')
+        .set('Authorization', adminToken())
+        .expect(202);
+
+      expect(replayDeadLetter).toHaveBeenCalledWith('1700000000000-0');
+      expect(response.body).toEqual({
+        success: true,
+        data: { eventId: 'event-1', queueId: '1700000000001-0' },
+      });
+    });
+
+    test('should return 404 for unknown dead letters', async () => {
+      replayDeadLetter.mockResolvedValue(null);
+
+      await request(app)
+        .post('/api/admin/webhooks/dead-letters/1700000000000-0/replay')
+        .set('Authorization', adminToken())
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock services before requiring routes
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../src/services/auth/user-storage', () => ({
+  getUserById: jest.fn(),
+}));
+jest.mock('../../../src/services/notifications/notification-storage', () => ({
+  createNotification: jest.fn(),
+  getNotification: jest.fn(),
+  listNotifications: jest.fn(),
+  updateNotification: jest.fn(),
+  retractNotification: jest.fn(),
+  getNotificationAuditLog: jest.fn(),
+}));
+
+const notificationRoutes = require('../../../src/routes/notifications');
+const { getUserById } = require('../../../src/services/auth/user-storage');
+const {
+  createNotification,
+  getNotification,
+  listNotifications,
+  updateNotification,
+  retractNotification,
+  getNotificationAuditLog,
+} = require('../../../src/services/notifications/notification-storage');
+const { generateAccessToken } = require('../../../src/middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+
+const { errorHandler } = require('../../../src/middleware/error-handler');
+app.use(errorHandler);
+
+const adminUser = { id: 'ADM1', groups: ['admin'], deleted: false };
+const regularUser = { id: 'USR1', groups: ['retail'], deleted: false };
+
+describe('Notification Routes Integration Tests', () => {
+  let token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    token = generateAccessToken({ userId: 'ADM1' });
+    getUserById.mockResolvedValue(adminUser);
+  });
+
+  describe('POST /api/notifications', () => {
+    test('should create notification for admin', async () => {
+      const notification = {
+        notificationId: 'ntf_abc',
+        title: 'Sale',
+        body: 'Friday sale',
+        target: { groups: ['retail'] },
+        version: '1',
+        streamId: '1-0',
+      };
+      createNotification.mockResolvedValue(notification);
+
+      const response = await request(app)
+        .post('/api/notifications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Sale', body: 'Friday sale', target: { groups: ['retail'] } })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.notification.notificationId).toBe('ntf_abc');
+      expect(createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Sale', target: { groups: ['retail'] } }),
+        'ADM1'
+      );
+    });
+
+    test('should reject non-admin users', async () => {
+      getUserById.mockResolvedValue(regularUser);
+
+      await request(app)
+        .post('/api/notifications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Sale', body: 'Friday sale' })
+        .expect(403);
+
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    test('should reject unauthenticated requests', async () => {
+      await request(app)
+        .post('/api/notifications')
+        .send({ title: 'Sale', body: 'Friday sale' })
+        .expect(401);
+    });
+
+    test('should accept scheduled notification', async () => {
+      createNotification.mockResolvedValue({ notificationId: 'ntf_abc', status: 'scheduled', streamId: null });
+
+      const response = await request(app)
+        .post('/api/notifications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Friday campaign',
+          body: 'Starts soon',
+          publishAt: '2099-01-02T18:00:00Z',
+          expiresAt: '2099-01-03T18:00:00Z',
+        })
+        .expect(201);
+
+      expect(response.body.data.notification.status).toBe('scheduled');
+    });
+
+    test('should reject expiresAt before publishAt', async () => {
+      await request(app)
+        .post('/api/notifications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Friday campaign',
+          body: 'Starts soon',
+          publishAt: '2099-01-02T18:00:00Z',
+          expiresAt: '2099-01-01T18:00:00Z',
+        })
+        .expect(400);
+
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    test('should reject missing title', async () => {
+      await request(app)
+        .post('/api/notifications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Friday sale' })
+        .expect(400);
+
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    test('should list notifications with pagination', async () => {
+      listNotifications.mockResolvedValue({ notifications: [{ notificationId: 'ntf_abc' }], total: 1 });
+
+      const response = await request(app)
+        .get('/api/notifications?limit=10&offset=0&includeRetracted=true')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(listNotifications).toHaveBeenCalledWith(10, 0, true);
+    });
+  });
+
+  describe('GET /api/notifications/:notificationId', () => {
+    test('should return notification with audit log', async () => {
+      getNotification.mockResolvedValue({ notificationId: 'ntf_abc', deleted: false });
+      getNotificationAuditLog.mockResolvedValue([{ action: 'created' }]);
+
+      const response = await request(app)
+        .get('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.audit).toEqual([{ action: 'created' }]);
+    });
+
+    test('should return 404 for unknown notification', async () => {
+      getNotification.mockResolvedValue(null);
+
+      await request(app)
+        .get('/api/notifications/ntf_missing')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/notifications/:notificationId', () => {
+    test('should update notification', async () => {
+      getNotification.mockResolvedValue({ notificationId: 'ntf_abc', deleted: false });
+      updateNotification.mockResolvedValue({ notificationId: 'ntf_abc', title: 'New', version: '2' });
+
+      const response = await request(app)
+        .put('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'New' })
+        .expect(200);
+
+      expect(response.body.data.notification.version).toBe('2');
+      expect(updateNotification).toHaveBeenCalledWith('ntf_abc', { title: 'New' }, 'ADM1');
+    });
+
+    test('should reject publishAt change after publishing', async () => {
+      getNotification.mockResolvedValue({ notificationId: 'ntf_abc', status: 'active', deleted: false });
+
+      await request(app)
+        .put('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ publishAt: '2099-01-01T10:00:00Z' })
+        .expect(400);
+
+      expect(updateNotification).not.toHaveBeenCalled();
+    });
+
+    test('should reject expiresAt before stored publishAt', async () => {
+      getNotification.mockResolvedValue({
+        notificationId: 'ntf_abc',
+        status: 'scheduled',
+        publishAt: '2099-01-10T10:00:00Z',
+        deleted: false,
+      });
+
+      await request(app)
+        .put('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ expiresAt: '2099-01-05T10:00:00Z' })
+        .expect(400);
+
+      expect(updateNotification).not.toHaveBeenCalled();
+    });
+
+    test('should reject updates to retracted notifications', async () => {
+      getNotification.mockResolvedValue({ notificationId: 'ntf_abc', deleted: true });
+
+      await request(app)
+        .put('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'New' })
+        .expect(409);
+
+      expect(updateNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/notifications/:notificationId', () => {
+    test('should retract notification', async () => {
+      retractNotification.mockResolvedValue({ notificationId: 'ntf_abc', deleted: true, status: 'retracted' });
+
+      const response = await request(app)
+        .delete('/api/notifications/ntf_abc')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.notification.status).toBe('retracted');
+      expect(retractNotification).toHaveBeenCalledWith('ntf_abc', 'ADM1');
+    });
+
+    test('should return 404 for unknown notification', async () => {
+      retractNotification.mockResolvedValue(null);
+
+      await request(app)
+        .delete('/api/notifications/ntf_missing')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,375 @@
+// One open stream per process, so the connection limit is reachable in tests
+process.env.SYNC_STREAM_MAX_CONNECTIONS = '1';
+
+const request = require('supertest');
+const express = require('express');
+
+// Mock services before requiring routes
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../src/services/auth/user-storage', () => ({
+  getUserById: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/sync-handler', () => ({
+  processSync: jest.fn(),
+  processFastSync: jest.fn(),
+  processMediumSync: jest.fn(),
+  processSlowSync: jest.fn(),
+  ENTITY_FREQUENCIES: {
+    fast: ['view'],
+    medium: ['stock', 'notification', 'message'],
+    slow: ['product'],
+  },
+}));
+
+jest.mock('../../../src/services/sync/delta', () => ({
+  applyPatchDeltas: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/cursor-store', () => ({
+  resolveDeviceLastSync: jest.fn(),
+  getDeviceLag: jest.fn(),
+  listDeviceLag: jest.fn(),
+}));
+jest.mock('../../../src/services/sync/snapshot', () => ({
+  getEntitySnapshot: jest.fn(),
+}));
+jest.mock('../../../src/services/redis/client');
+
+const syncRoutes = require('../../../src/routes/sync');
+const { resolveDeviceLastSync, getDeviceLag } = require('../../../src/services/sync/cursor-store');
+const { getUserById } = require('../../../src/services/auth/user-storage');
+const { processSync, processMediumSync } = require('../../../src/services/sync/sync-handler');
+const { applyPatchDeltas } = require('../../../src/services/sync/delta');
+const { generateAccessToken } = require('../../../src/middleware/auth');
+const { getEntitySnapshot } = require('../../../src/services/sync/snapshot');
+const { closeAllStreams, encodeCursor } = require('../../../src/services/sync/sync-stream');
+const { getRedisClient } = require('../../../src/services/redis/client');
+const { createFakeRedis } = require('../../helpers/fake-redis');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.deviceId = req.headers['x-device-id'];
+  next();
+});
+app.use('/api/sync', syncRoutes);
+
+const { errorHandler } = require('../../../src/middleware/error-handler');
+app.use(errorHandler);
+
+const user = {
+  id: 'USR1',
+  groups: ['retail'],
+  region: 'North',
+  province: 'Kabul',
+  city: 'Kabul',
+  isRegistered: true,
+  deleted: false,
+};
+
+/**
+ * Fake Redis whose duplicated (blocking) connections wait in XREAD until disconnected
+ */
+function createStreamingRedis() {
+  const redis = createFakeRedis();
+  redis.duplicate = () => {
+    let interrupt = null;
+    return {
+      xread: () => new Promise((resolve, reject) => {
+        interrupt = reject;
+      }),
+      disconnect: () => {
+        if (interrupt) {
+          interrupt(new Error('Connection is closed.'));
+        }
+      },
+    };
+  };
+  return redis;
+}
+
+/**
+ * Collect an SSE response as text; onData sees the body received so far
+ */
+function readEventStream(test, onData) {
+  return test.buffer(true).parse((res, callback) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      body += chunk;
+      onData(body);
+    });
+    res.on('end', () => callback(null, body));
+  });
+}
+
+describe('Sync Routes Integration Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRedisClient.mockReturnValue(createStreamingRedis());
+    getUserById.mockResolvedValue(user);
+    processSync.mockResolvedValue({ inSync: true });
+    processMediumSync.mockResolvedValue({ inSync: true });
+  });
+
+  describe('POST /api/sync/check', () => {
+    test('should resolve identity from token and ignore body identity', async () => {
+      const token = generateAccessToken({ userId: 'USR1' });
+
+      await request(app)
+        .post('/api/sync/check')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          lastSync: {},
+          entityTypes: ['message'],
+          userId: 'USR2',
+          userGroups: ['wholesale'],
+          userCity: 'Herat',
+          isRegistered: false,
+        })
+        .expect(200);
+
+      expect(getUserById).toHaveBeenCalledWith('USR1');
+      expect(processSync).toHaveBeenCalledWith(
+        {},
+        ['message'],
+        100,
+        'USR1',
+        ['retail'],
+        'North',
+        'Kabul',
+        'Kabul',
+        undefined,
+        true,
+        'USR1'
+      );
+    });
+
+    test('should use body identity for targeting only when no token is sent', async () => {
+      await request(app)
+        .post('/api/sync/check')
+        .send({ lastSync: {}, entityTypes: ['notification', 'message'], userId: 'USR2', userGroups: ['wholesale'] })
+        .expect(200);
+
+      expect(getUserById).not.toHaveBeenCalled();
+      const args = processSync.mock.calls[0];
+      expect(args[3]).toBe('USR2');
+      expect(args[4]).toEqual(['wholesale']);
+      expect(args[10]).toBeNull();
+    });
+
+    test('should continue unauthenticated when token is invalid', async () => {
+      await request(app)
+        .post('/api/sync/check')
+        .set('Authorization', 'Bearer not-a-token')
+        .send({ lastSync: {}, entityTypes: ['message'], userId: 'USR1' })
+        .expect(200);
+
+      expect(processSync.mock.calls[0][10]).toBeNull();
+    });
+
+    test('should replace data with patches for known versions', async () => {
+      const update = { entity_type: 'product', entity_id: 'P1', data: { name: 'new' }, version: '2' };
+      const delta = { entity_type: 'product', entity_id: 'P1', patch: [], baseVersion: '1', version: '2' };
+      processSync.mockResolvedValue({ inSync: false, updates: [update], lastIds: { product: '5-0' } });
+      applyPatchDeltas.mockResolvedValue([delta]);
+
+      const response = await request(app)
+        .post('/api/sync/check')
+        .send({ lastSync: {}, entityTypes: ['product'], knownVersions: { product: { P1: '1' } } })
+        .expect(200);
+
+      expect(applyPatchDeltas).toHaveBeenCalledWith([update], { product: { P1: '1' } });
+      expect(response.body).toEqual({ inSync: false, updates: [delta], lastIds: { product: '5-0' } });
+    });
+
+    test('should not look up patches without known versions', async () => {
+      processSync.mockResolvedValue({ inSync: false, updates: [{ entity_id: 'P1' }], lastIds: {} });
+
+      await request(app).post('/api/sync/check').send({ lastSync: {} }).expect(200);
+
+      expect(applyPatchDeltas).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/sync/check-medium', () => {
+    test('should pass authenticated user to medium sync', async () => {
+      const token = generateAccessToken({ userId: 'USR1' });
+
+      await request(app)
+        .post('/api/sync/check-medium')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ lastSync: {}, userId: 'USR2' })
+        .expect(200);
+
+      const args = processMediumSync.mock.calls[0];
+      expect(args[2]).toBe('USR1');
+      expect(args[9]).toBe('USR1');
+    });
+  });
+
+  describe('server-side cursors', () => {
+    test('should sync from stored device cursors after applying ack', async () => {
+      resolveDeviceLastSync.mockResolvedValue({ product: '200-0' });
+
+      await request(app)
+        .post('/api/sync/check')
+        .set('X-Device-ID', 'device-1')
+        .send({ serverCursor: true, entityTypes: ['product'], ack: { product: '200-0' } })
+        .expect(200);
+
+      expect(resolveDeviceLastSync).toHaveBeenCalledWith('device-1', {}, { product: '200-0' });
+      expect(processSync.mock.calls[0][0]).toEqual({ product: '200-0' });
+    });
+
+    test('should require a device ID', async () => {
+      await request(app)
+        .post('/api/sync/check')
+        .send({ serverCursor: true })
+        .expect(400);
+
+      expect(processSync).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed ack IDs', async () => {
+      await request(app)
+        .post('/api/sync/check')
+        .set('X-Device-ID', 'device-1')
+        .send({ serverCursor: true, ack: { product: 'latest' } })
+        .expect(400);
+    });
+
+    test('should reject cursors for unknown entity types', async () => {
+      await request(app)
+        .post('/api/sync/check')
+        .set('X-Device-ID', 'device-1')
+        .send({ serverCursor: true, ack: { 'user:1:session': '200-0' } })
+        .expect(400);
+
+      await request(app)
+        .post('/api/sync/check')
+        .send({ lastSync: { notAType: '0-0' } })
+        .expect(400);
+
+      expect(processSync).not.toHaveBeenCalled();
+      expect(resolveDeviceLastSync).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/sync/cursors/lag', () => {
+    test('should return device lag for admins', async () => {
+      getUserById.mockResolvedValue({ id: 'ADM1', groups: ['admin'], deleted: false });
+      getDeviceLag.mockResolvedValue({ deviceId: 'device-1', lastAckAt: null, streams: {} });
+      const token = generateAccessToken({ userId: 'ADM1' });
+
+      const response = await request(app)
+        .get('/api/sync/cursors/lag?deviceId=device-1')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.deviceId).toBe('device-1');
+    });
+
+    test('should reject non-admin users', async () => {
+      const token = generateAccessToken({ userId: 'USR1' });
+
+      await request(app)
+        .get('/api/sync/cursors/lag')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/sync/stream', () => {
+    test('should open an event stream with a ready event and end it on shutdown', async () => {
+      await getRedisClient().xadd('stock_changes', '*', 'entity_id', 'ITEM-001');
+
+      const response = await readEventStream(
+        request(app).get('/api/sync/stream?entityTypes=stock,product'),
+        (body) => {
+          if (body.includes('event: ready')) {
+            expect(closeAllStreams()).toBe(1);
+          }
+        }
+      ).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(response.headers['cache-control']).toBe('no-cache, no-transform');
+      expect(response.headers['x-accel-buffering']).toBe('no');
+
+      const [stockId] = (await getRedisClient().xrevrange('stock_changes', '+', '-', 'COUNT', 1))[0];
+      const cursors = { stock: stockId, product: '0-0' };
+      expect(response.body).toContain('retry: 5000\n\n');
+      expect(response.body).toContain(
+        `id: ${encodeCursor(cursors)}\nevent: ready\ndata: ${JSON.stringify({ lastIds: cursors })}\n\n`
+      );
+    });
+
+    test('should resume from Last-Event-ID', async () => {
+      const cursors = { stock: '5-0' };
+
+      const response = await readEventStream(
+        request(app).get('/api/sync/stream?entityTypes=stock').set('Last-Event-ID', encodeCursor(cursors)),
+        (body) => {
+          if (body.includes('event: ready')) {
+            closeAllStreams();
+          }
+        }
+      ).expect(200);
+
+      expect(response.body).toContain(`data: ${JSON.stringify({ lastIds: cursors })}`);
+    });
+
+    test('should reject an invalid Last-Event-ID', async () => {
+      const response = await request(app)
+        .get('/api/sync/stream')
+        .set('Last-Event-ID', 'not-a-cursor')
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid Last-Event-ID');
+    });
+
+    test('should reject streams above the connection limit', async () => {
+      let limited = null;
+      const open = readEventStream(request(app).get('/api/sync/stream?entityTypes=stock'), (body) => {
+        if (body.includes('event: ready') && !limited) {
+          limited = request(app).get('/api/sync/stream?entityTypes=stock').then((response) => {
+            closeAllStreams();
+            return response;
+          });
+        }
+      });
+
+      await open.expect(200);
+      const response = await limited;
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('RATE_LIMIT_ERROR');
+    });
+  });
+
+  describe('GET /api/sync/snapshot/:entityType', () => {
+    test('should return the snapshot of an entity type for the request user context', async () => {
+      const snapshot = { entityType: 'stock', entities: [], count: 0, lastIds: { stock: '7-0' } };
+      getEntitySnapshot.mockResolvedValue(snapshot);
+
+      const response = await request(app)
+        .get('/api/sync/snapshot/stock?userRegion=North')
+        .set('X-Device-Id', 'device-1')
+        .expect(200);
+
+      expect(response.body).toEqual(snapshot);
+      expect(getEntitySnapshot).toHaveBeenCalledWith('stock', expect.objectContaining({
+        userRegion: 'North',
+        userDeviceId: 'device-1',
+      }));
+    });
+
+    test('should reject unknown entity types', async () => {
+      await request(app).get('/api/sync/snapshot/unknown').expect(400);
+
+      expect(getEntitySnapshot).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const webhookRoutes = require('../../../src/routes/webhooks');
+const { setCachedPrice } = require('../../../src/services/price/price');
+const { errorHandler } = require('../../../src/middleware/error-handler');
+const { captureRawBody } = require('../../../src/middleware/webhook-signature');
+const { getRedisClient } = require('../../../src/services/redis/client');
+const { createFakeRedis } = require('../../helpers/fake-redis');
+const {
+  buildSignedWebhook,
+  buildTamperedWebhook,
+  sendWebhook,
+} = require('../../helpers/webhook-fixtures');
+
+jest.mock('../../../src/services/price/price');
+jest.mock('../../../src/services/redis/cache');
+jest.mock('../../../src/services/redis/client');
+jest.mock('uuid', () => ({ v4: jest.fn(() => 'mock-uuid-123') }));
+jest.mock('../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use('/api/webhooks', webhookRoutes);
+app.use(errorHandler);
+
+const PRICE_UPDATE = {
+  erpnextName: 'WEB-ITM-0002',
+  sizeUnit: '5lb',
+  price: 29.99,
+};
+
+describe('Webhook signature verification', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+    setCachedPrice.mockResolvedValue(true);
+  });
+
+  test('accepts a validly signed request', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE);
+
+    const response = await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(setCachedPrice).toHaveBeenCalledWith('WEB-ITM-0002', '5lb', 29.99);
+    expect(await redis.get(`webhook:nonce:${webhook.headers['X-Webhook-Nonce']}`)).toBe(
+      webhook.headers['X-Webhook-Timestamp']
+    );
+  });
+
+  test('accepts a signature without the sha256= prefix', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE);
+    webhook.headers['X-Webhook-Signature'] = webhook.headers['X-Webhook-Signature'].replace('sha256=', '');
+
+    await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(200);
+  });
+
+  test('rejects a request without signature headers', async () => {
+    const response = await request(app)
+      .post('/api/webhooks/price-update')
+      .send(PRICE_UPDATE)
+      .expect(401);
+
+    expect(response.body.code).toBe('UNAUTHORIZED_ERROR');
+    expect(setCachedPrice).not.toHaveBeenCalled();
+  });
+
+  test('rejects a tampered body', async () => {
+    const webhook = buildTamperedWebhook(PRICE_UPDATE, { ...PRICE_UPDATE, price: 0.01 });
+
+    const response = await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+
+    expect(response.body.message).toBe('Invalid webhook signature');
+    expect(setCachedPrice).not.toHaveBeenCalled();
+  });
+
+  test('rejects a request signed with another secret', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE, { secret: 'not-the-shared-secret' });
+
+    await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+    expect(setCachedPrice).not.toHaveBeenCalled();
+  });
+
+  test('rejects a swapped nonce header', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE);
+    webhook.headers['X-Webhook-Nonce'] = 'a-different-nonce';
+
+    const response = await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+
+    expect(response.body.message).toBe('Invalid webhook signature');
+  });
+
+  test('rejects a timestamp outside the window', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE, {
+      timestamp: Math.floor(Date.now() / 1000) - 600,
+    });
+
+    const response = await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+
+    expect(response.body.message).toBe('Webhook timestamp outside allowed window');
+    expect(setCachedPrice).not.toHaveBeenCalled();
+  });
+
+  test('rejects a replayed request', async () => {
+    const webhook = buildSignedWebhook(PRICE_UPDATE);
+
+    await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(200);
+    const response = await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+
+    expect(response.body.message).toBe('Webhook request already processed');
+    expect(setCachedPrice).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers an ERPNext event retried with the same nonce as a duplicate', async () => {
+    const webhook = buildSignedWebhook({ entity_type: 'stock', itemCode: 'ITEM-001', event_id: 'evt-1' });
+
+    await sendWebhook(app, '/api/webhooks/erpnext', webhook).expect(202);
+    const response = await sendWebhook(app, '/api/webhooks/erpnext', webhook).expect(200);
+
+    expect(response.body).toMatchObject({ eventId: 'evt-1', duplicate: true, status: 'queued' });
+    expect(await redis.xlen('webhook:queue')).toBe(1);
+  });
+
+  test('rejects an ERPNext event replayed without event_id or modified', async () => {
+    const webhook = buildSignedWebhook({ entity_type: 'stock', itemCode: 'ITEM-001' });
+
+    await sendWebhook(app, '/api/webhooks/erpnext', webhook).expect(202);
+    const response = await sendWebhook(app, '/api/webhooks/erpnext', webhook).expect(401);
+
+    expect(response.body.message).toBe('Webhook request already processed');
+    expect(await redis.xlen('webhook:queue')).toBe(1);
+  });
+
+  test('does not store the nonce of a rejected request', async () => {
+    const webhook = buildTamperedWebhook(PRICE_UPDATE, { ...PRICE_UPDATE, price: 0.01 });
+
+    await sendWebhook(app, '/api/webhooks/price-update', webhook).expect(401);
+
+    expect(await redis.get(`webhook:nonce:${webhook.headers['X-Webhook-Nonce']}`)).toBeNull();
+  });
+
+  test('protects the ERPNext webhook', async () => {
+    const body = { entity_type: 'product', erpnextName: 'WEB-ITM-0002' };
+
+    await request(app).post('/api/webhooks/erpnext').send(body).expect(401);
+    const tampered = buildTamperedWebhook(body, { ...body, erpnextName: 'WEB-ITM-0003' });
+    await sendWebhook(app, '/api/webhooks/erpnext', tampered).expect(401);
+  });
+});
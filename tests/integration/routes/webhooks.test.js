@@ -1,35 +1,41 @@
-const request = require('supertest');
 const express = require('express');
 const webhookRoutes = require('../../../src/routes/webhooks');
 const { setCachedPrice } = require('../../../src/services/price/price');
 const { deleteCache } = require('../../../src/services/redis/cache');
 const { errorHandler } = require('../../../src/middleware/error-handler');
+const { captureRawBody } = require('../../../src/middleware/webhook-signature');
+const { getRedisClient } = require('../../../src/services/redis/client');
+const { createFakeRedis } = require('../../helpers/fake-redis');
+const { signedRequest } = require('../../helpers/webhook-fixtures');
+const { updateWebhookEvent } = require('../../../src/services/webhooks/webhook-events');
+const uuid = require('uuid');
 
 // Mock services
 jest.mock('../../../src/services/price/price');
 jest.mock('../../../src/services/redis/cache');
+jest.mock('../../../src/services/redis/client');
+jest.mock('uuid', () => ({ v4: jest.fn(() => 'mock-uuid-123') }));
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ verify: captureRawBody }));
 app.use('/api/webhooks', webhookRoutes);
 app.use(errorHandler);
 
 describe('Webhook Routes Integration Tests', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    getRedisClient.mockReturnValue(createFakeRedis());
   });
 
   describe('POST /api/webhooks/price-update', () => {
     test('should accept valid price update', async () => {
       setCachedPrice.mockResolvedValue(true);
 
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: 29.99,
+      })
         .expect(200);
 
       expect(response.body).toEqual({
@@ -45,13 +51,11 @@ describe('Webhook Routes Integration Tests', () => {
     test('should accept price as string and convert to number', async () => {
       setCachedPrice.mockResolvedValue(true);
 
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: '29.99',
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: '29.99',
+      })
         .expect(200);
 
       expect(response.body.price).toBe(29.99);
@@ -62,26 +66,22 @@ describe('Webhook Routes Integration Tests', () => {
       setCachedPrice.mockResolvedValue(true);
       deleteCache.mockResolvedValue(true);
 
-      await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: 29.99,
-          invalidateCache: true,
-        })
+      await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: 29.99,
+        invalidateCache: true,
+      })
         .expect(200);
 
       expect(deleteCache).toHaveBeenCalledWith('product', 'WEB-ITM-0002');
     });
 
     test('should reject missing erpnextName', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          sizeUnit: '5lb',
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        sizeUnit: '5lb',
+        price: 29.99,
+      })
         .expect(400);
 
       expect(response.body).toEqual({
@@ -100,12 +100,10 @@ describe('Webhook Routes Integration Tests', () => {
     });
 
     test('should reject missing sizeUnit', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        price: 29.99,
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -113,12 +111,10 @@ describe('Webhook Routes Integration Tests', () => {
     });
 
     test('should reject missing price', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -126,13 +122,11 @@ describe('Webhook Routes Integration Tests', () => {
     });
 
     test('should reject invalid price (negative)', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: -10,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: -10,
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -140,13 +134,11 @@ describe('Webhook Routes Integration Tests', () => {
     });
 
     test('should reject invalid price (too high)', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: 1000000,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: 1000000,
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -154,13 +146,11 @@ describe('Webhook Routes Integration Tests', () => {
     });
 
     test('should reject invalid erpnextName format', async () => {
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'invalid-name',
-          sizeUnit: '5lb',
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'invalid-name',
+        sizeUnit: '5lb',
+        price: 29.99,
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -170,13 +160,11 @@ describe('Webhook Routes Integration Tests', () => {
     test('should reject sizeUnit exceeding max length', async () => {
       const longSizeUnit = 'a'.repeat(51);
 
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: longSizeUnit,
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: longSizeUnit,
+        price: 29.99,
+      })
         .expect(400);
 
       expect(response.body.details).toBeDefined();
@@ -186,14 +174,12 @@ describe('Webhook Routes Integration Tests', () => {
     test('should accept optional itemCode', async () => {
       setCachedPrice.mockResolvedValue(true);
 
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: 29.99,
-          itemCode: 'OL-PC-91-vnl-5lb',
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: 29.99,
+        itemCode: 'OL-PC-91-vnl-5lb',
+      })
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -202,13 +188,11 @@ describe('Webhook Routes Integration Tests', () => {
     test('should handle cache update failure', async () => {
       setCachedPrice.mockResolvedValue(false);
 
-      const response = await request(app)
-        .post('/api/webhooks/price-update')
-        .send({
-          erpnextName: 'WEB-ITM-0002',
-          sizeUnit: '5lb',
-          price: 29.99,
-        })
+      const response = await signedRequest(app, '/api/webhooks/price-update', {
+        erpnextName: 'WEB-ITM-0002',
+        sizeUnit: '5lb',
+        price: 29.99,
+      })
         .expect(500);
 
       expect(response.body).toMatchObject({
@@ -219,5 +203,127 @@ describe('Webhook Routes Integration Tests', () => {
       });
     });
   });
-});
 
+  describe('POST /api/webhooks/erpnext', () => {
+    test('should queue the event and respond immediately', async () => {
+      const response = await signedRequest(app, '/api/webhooks/erpnext', {
+        entity_type: 'stock',
+        itemCode: 'ITEM-001',
+      })
+        .expect(202);
+
+      expect(response.body).toEqual({
+        success: true,
+        message: 'stock webhook queued',
+        eventId: 'mock-uuid-123',
+        entity_type: 'stock',
+      });
+
+      const [[, fields]] = await getRedisClient().xrange('webhook:queue', '-', '+');
+      expect(fields).toEqual(expect.arrayContaining([
+        'event_id', response.body.eventId,
+        'entity_type', 'stock',
+        'payload', JSON.stringify({ action: 'update', itemCode: 'ITEM-001' }),
+      ]));
+    });
+
+    test('should reject an invalid payload without queueing it', async () => {
+      await signedRequest(app, '/api/webhooks/erpnext', { entity_type: 'stock' }).expect(400);
+
+      expect(await getRedisClient().xlen('webhook:queue')).toBe(0);
+    });
+
+    test('should queue product delete events', async () => {
+      await signedRequest(app, '/api/webhooks/erpnext', {
+        entity_type: 'product',
+        action: 'delete',
+        erpnextName: 'WEB-ITM-0002',
+      })
+        .expect(202);
+
+      const [[, fields]] = await getRedisClient().xrange('webhook:queue', '-', '+');
+      expect(fields).toEqual(expect.arrayContaining([
+        'entity_type', 'product',
+        'payload', JSON.stringify({ action: 'delete', erpnextName: 'WEB-ITM-0002' }),
+      ]));
+    });
+
+    test('should require the identifier of the entity type', async () => {
+      await signedRequest(app, '/api/webhooks/erpnext', { entity_type: 'price' }).expect(400);
+      await signedRequest(app, '/api/webhooks/erpnext', { entity_type: 'product', action: 'delete' }).expect(400);
+    });
+
+    test('should use the event ID sent by ERPNext', async () => {
+      const response = await signedRequest(app, '/api/webhooks/erpnext', {
+        entity_type: 'price',
+        itemCode: 'ITEM-001',
+        event_id: 'Item Price-IP-0001-2024-01-15 10:30:00',
+      })
+        .expect(202);
+
+      expect(response.body.eventId).toBe('Item Price-IP-0001-2024-01-15 10:30:00');
+      const [[, fields]] = await getRedisClient().xrange('webhook:queue', '-', '+');
+      expect(fields).toEqual(expect.arrayContaining(['event_id', 'Item Price-IP-0001-2024-01-15 10:30:00']));
+    });
+
+    test('should answer a repeated event with the original result without queueing it again', async () => {
+      const body = { entity_type: 'stock', itemCode: 'ITEM-001', event_id: 'evt-1' };
+      await signedRequest(app, '/api/webhooks/erpnext', body).expect(202);
+
+      const queued = await signedRequest(app, '/api/webhooks/erpnext', body).expect(200);
+      expect(queued.body).toEqual({
+        success: true,
+        message: 'stock webhook already received',
+        eventId: 'evt-1',
+        entity_type: 'stock',
+        duplicate: true,
+        status: 'queued',
+        result: null,
+      });
+
+      // Processed by the worker in the meantime
+      await updateWebhookEvent('evt-1', { status: 'processed', result: { changed: true, version: '2' } });
+      const processed = await signedRequest(app, '/api/webhooks/erpnext', body).expect(200);
+      expect(processed.body).toMatchObject({ status: 'processed', result: { changed: true, version: '2' } });
+
+      expect(await getRedisClient().xlen('webhook:queue')).toBe(1);
+    });
+
+    test('should derive the event ID from the payload and modified timestamp', async () => {
+      const body = { entity_type: 'stock', itemCode: 'ITEM-001', modified: '2024-01-15 10:30:00' };
+      const first = await signedRequest(app, '/api/webhooks/erpnext', body).expect(202);
+      const retry = await signedRequest(app, '/api/webhooks/erpnext', body).expect(200);
+      const next = await signedRequest(app, '/api/webhooks/erpnext', {
+        ...body,
+        modified: '2024-01-15 10:31:00',
+      })
+        .expect(202);
+
+      expect(retry.body.eventId).toBe(first.body.eventId);
+      expect(next.body.eventId).not.toBe(first.body.eventId);
+      expect(await getRedisClient().xlen('webhook:queue')).toBe(2);
+    });
+
+    test('should queue distinct changes without event_id or modified sent back to back', async () => {
+      uuid.v4.mockReturnValueOnce('event-a').mockReturnValueOnce('event-b');
+      const body = { entity_type: 'stock', itemCode: 'ITEM-001' };
+
+      const first = await signedRequest(app, '/api/webhooks/erpnext', body).expect(202);
+      const second = await signedRequest(app, '/api/webhooks/erpnext', body).expect(202);
+
+      expect(first.body.eventId).toBe('event-a');
+      expect(second.body.eventId).toBe('event-b');
+      const entries = await getRedisClient().xrange('webhook:queue', '-', '+');
+      expect(entries.map(([, fields]) => fields[fields.indexOf('event_id') + 1])).toEqual(['event-a', 'event-b']);
+    });
+
+    test('should reject delete events for stock', async () => {
+      await signedRequest(app, '/api/webhooks/erpnext', {
+        entity_type: 'stock',
+        action: 'delete',
+        itemCode: 'ITEM-001',
+      })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  ERPNEXT_CIRCUIT_OPEN: 'ERPNEXT_CIRCUIT_OPEN',
+  fetchProduct: jest.fn(),
+  fetchProductQuery: jest.fn(),
+  getErpnextCircuitState: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({
+  fetchProductAnalytics: jest.fn(async () => ({
+    views: 3,
+    ratingBreakdown: {},
+    reviewCount: 0,
+    comments: [],
+  })),
+}));
+jest.mock('../../../../src/services/sync/full-refresh', () => ({
+  refreshProduct: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { fetchProduct, getErpnextCircuitState } = require('../../../../src/services/erpnext/client');
+const { refreshProduct } = require('../../../../src/services/sync/full-refresh');
+const { setCacheHash } = require('../../../../src/services/redis/cache');
+const { cacheMiddleware } = require('../../../../src/services/cache/middleware');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const app = express();
+app.use('/api/resource', cacheMiddleware);
+
+const productPath = (name) =>
+  `/api/resource/Website%20Item?filters=${encodeURIComponent(JSON.stringify([['name', '=', name]]))}`;
+
+describe('Cache Middleware', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('should serve a fresh cached product', async () => {
+    await setCacheHash('product', 'WEB-ITM-1', { erpnext_name: 'WEB-ITM-1', item_name: 'Whey' }, { version: '1' });
+
+    const response = await request(app).get(productPath('WEB-ITM-1')).expect(200);
+
+    expect(response.headers['x-cache']).toBe('HIT');
+    expect(response.headers.warning).toBeUndefined();
+    expect(response.body.product).toEqual({ erpnext_name: 'WEB-ITM-1', item_name: 'Whey' });
+    expect(fetchProduct).not.toHaveBeenCalled();
+    expect(refreshProduct).not.toHaveBeenCalled();
+  });
+
+  test('should serve a stale product and revalidate it in the background', async () => {
+    await setCacheHash('product', 'WEB-ITM-1', { erpnext_name: 'WEB-ITM-1', item_name: 'Whey' }, { version: '1' });
+    await redis.hset('hash:product:WEB-ITM-1', 'fresh_until', String(Date.now() - 1000));
+    refreshProduct.mockRejectedValue(new Error('ERPNext unavailable (circuit breaker open)'));
+
+    const response = await request(app).get(productPath('WEB-ITM-1')).expect(200);
+
+    expect(response.headers['x-cache']).toBe('STALE');
+    expect(response.headers.warning).toBe('110 - "Response is Stale"');
+    expect(response.body.product).toEqual({ erpnext_name: 'WEB-ITM-1', item_name: 'Whey' });
+    expect(refreshProduct).toHaveBeenCalledWith('WEB-ITM-1');
+  });
+
+  test('should coalesce concurrent misses into one ERPNext call', async () => {
+    let resolveFetch;
+    fetchProduct.mockReturnValue(new Promise((resolve) => {
+      resolveFetch = resolve;
+    }));
+
+    const pending = [1, 2, 3].map(() => request(app).get(productPath('WEB-ITM-2')).then((response) => response));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    resolveFetch({ erpnext_name: 'WEB-ITM-2', item_name: 'Creatine' });
+    const responses = await Promise.all(pending);
+
+    expect(fetchProduct).toHaveBeenCalledTimes(1);
+    for (const response of responses) {
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.body.product.item_name).toBe('Creatine');
+    }
+    const cached = await redis.hgetall('hash:product:WEB-ITM-2');
+    expect(parseInt(cached.fresh_until, 10)).toBeGreaterThan(Date.now());
+  });
+
+  test('should respond 503 on a miss while the ERPNext circuit is open', async () => {
+    const error = new Error('ERPNext unavailable (circuit breaker open)');
+    error.code = 'ERPNEXT_CIRCUIT_OPEN';
+    fetchProduct.mockRejectedValue(error);
+    getErpnextCircuitState.mockReturnValue({ state: 'open', retryAt: new Date(Date.now() + 20000).toISOString() });
+
+    const response = await request(app).get(productPath('WEB-ITM-3')).expect(503);
+
+    expect(response.headers['retry-after']).toBe('20');
+    expect(response.body.message).toBe('ERPNext is temporarily unavailable');
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  fetchProduct: jest.fn(),
+}));
+jest.mock('../../../../src/services/sync/full-refresh', () => ({
+  refreshProduct: jest.fn(),
+}));
+
+const { fetchProduct } = require('../../../../src/services/erpnext/client');
+const { refreshProduct } = require('../../../../src/services/sync/full-refresh');
+const {
+  coalesce,
+  fetchProductCoalesced,
+  revalidateProduct,
+} = require('../../../../src/services/cache/revalidate');
+
+/**
+ * Create a promise resolved from outside
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+}
+
+describe('Cache Revalidation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should share one call between concurrent callers of a key', async () => {
+    const pending = deferred();
+    fetchProduct.mockReturnValue(pending.promise);
+
+    const first = fetchProductCoalesced('WEB-ITM-1');
+    const second = fetchProductCoalesced('WEB-ITM-1');
+    const other = fetchProductCoalesced('WEB-ITM-2');
+    pending.resolve({ erpnext_name: 'WEB-ITM-1' });
+
+    expect(await first).toEqual({ erpnext_name: 'WEB-ITM-1' });
+    expect(await second).toEqual({ erpnext_name: 'WEB-ITM-1' });
+    await other;
+    expect(fetchProduct).toHaveBeenCalledTimes(2);
+
+    // Settled calls are not reused
+    fetchProduct.mockResolvedValue(null);
+    expect(await fetchProductCoalesced('WEB-ITM-1')).toBeNull();
+    expect(fetchProduct).toHaveBeenCalledTimes(3);
+  });
+
+  test('should pass a failure to every waiting caller and allow a new attempt', async () => {
+    const fn = jest.fn().mockRejectedValueOnce(new Error('ERPNext timeout')).mockResolvedValue('ok');
+
+    const results = await Promise.allSettled([coalesce('key', fn), coalesce('key', fn)]);
+
+    expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+    expect(await coalesce('key', fn)).toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('should revalidate a product once while a refresh is running', async () => {
+    const pending = deferred();
+    refreshProduct.mockReturnValue(pending.promise);
+
+    const first = revalidateProduct('WEB-ITM-1');
+    const second = revalidateProduct('WEB-ITM-1');
+    pending.resolve('updated');
+
+    expect(await first).toBe('updated');
+    expect(await second).toBe('updated');
+    expect(refreshProduct).toHaveBeenCalledTimes(1);
+    expect(refreshProduct).toHaveBeenCalledWith('WEB-ITM-1');
+  });
+
+  test('should not throw when revalidation fails', async () => {
+    refreshProduct.mockRejectedValue(new Error('ERPNext unavailable (circuit breaker open)'));
+
+    expect(await revalidateProduct('WEB-ITM-1')).toBeNull();
+  });
+});
@@ -0,0 +1,333 @@
+process.env.ERPNEXT_API_URL = 'https://erp.example.com/';
+process.env.ERPNEXT_RETRY_BASE_MS = '1';
+process.env.ERPNEXT_PAGE_SIZE = '2';
+process.env.ERPNEXT_FILTER_CHUNK_SIZE = '2';
+
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({}));
+
+const { AxiosError, CanceledError } = require('axios');
+const {
+  ERPNEXT_CIRCUIT_OPEN,
+  createErpnextClient,
+  fetchPublishedWebsiteItems,
+  fetchItemPrices,
+  fetchAllItemPrices,
+  fetchHeroImages,
+  fetchAppHome,
+  fetchAllItemStock,
+  getErpnextCircuitState,
+  resetErpnextCircuitBreaker,
+} = require('../../../../src/services/erpnext/client');
+const { createRecordedAdapter } = require('../../../helpers/erpnext-fixtures');
+const binInStock = require('../../../fixtures/erpnext/bin-in-stock.json');
+
+/**
+ * Build an adapter answering with the given statuses in order ('timeout' simulates a timed-out request)
+ */
+function createAdapter(...outcomes) {
+  return jest.fn(async (config) => {
+    const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+    if (outcome === 'timeout') {
+      throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, 'ECONNABORTED', config);
+    }
+    const response = { status: outcome, statusText: '', data: { data: [] }, headers: {}, config };
+    if (outcome >= 400) {
+      throw new AxiosError(`Request failed with status code ${outcome}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  });
+}
+
+/**
+ * Build an adapter serving Item Price rows (already sorted by modified desc) filtered and paged like ERPNext
+ */
+function createItemPriceAdapter(rows) {
+  return jest.fn(async (config) => {
+    const params = new URL(config.url, 'https://erp.example.com').searchParams;
+    const [[, , itemCodes], [, , priceList]] = JSON.parse(params.get('filters'));
+    const start = parseInt(params.get('limit_start'), 10);
+    const pageLength = parseInt(params.get('limit_page_length'), 10);
+    const data = rows
+      .filter((row) => itemCodes.includes(row.item_code) && row.price_list === priceList)
+      .slice(start, start + pageLength)
+      .map(({ item_code, price_list_rate }) => ({ item_code, price_list_rate }));
+    return { status: 200, statusText: '', data: { data }, headers: {}, config };
+  });
+}
+
+describe('ERPNext Client', () => {
+  beforeEach(() => {
+    resetErpnextCircuitBreaker();
+  });
+
+  test('should share one keep-alive client', () => {
+    const client = createErpnextClient();
+
+    expect(createErpnextClient()).toBe(client);
+    expect(client.defaults.baseURL).toBe('https://erp.example.com');
+    expect(client.defaults.httpsAgent.keepAlive).toBe(true);
+  });
+
+  test('should retry timeouts and 5xx responses', async () => {
+    const adapter = createAdapter('timeout', 502, 200);
+
+    const response = await createErpnextClient().get('/api/resource/Bin', { adapter });
+
+    expect(response.status).toBe(200);
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(getErpnextCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('should give up after the configured retries', async () => {
+    const adapter = createAdapter(503);
+
+    await expect(createErpnextClient().get('/api/resource/Bin', { adapter })).rejects.toThrow('status code 503');
+
+    // One failed request, however many attempts it took
+    expect(adapter).toHaveBeenCalledTimes(3);
+    expect(getErpnextCircuitState().failures).toBe(1);
+  });
+
+  test('should not retry 4xx responses', async () => {
+    const adapter = createAdapter(404);
+
+    await expect(createErpnextClient().get('/api/resource/Item/UNKNOWN', { adapter })).rejects.toThrow('404');
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(getErpnextCircuitState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  test('should honour per-call timeout and retries', async () => {
+    const adapter = createAdapter('timeout');
+
+    await expect(createErpnextClient().get('/api/resource/User', { adapter, timeout: 1500, retries: 0 }))
+      .rejects.toThrow('timeout of 1500ms exceeded');
+
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fail fast while the circuit is open and close it after a successful trial', async () => {
+    const client = createErpnextClient();
+    const failing = createAdapter(503);
+
+    // 5 consecutive failed requests open the circuit
+    for (let i = 0; i < 5; i++) {
+      await expect(client.get('/api/resource/Bin', { adapter: failing })).rejects.toThrow();
+    }
+    expect(failing).toHaveBeenCalledTimes(15);
+    expect(getErpnextCircuitState()).toMatchObject({ state: 'open', failures: 5, lastError: expect.any(String) });
+    expect(getErpnextCircuitState().retryAt).not.toBeNull();
+
+    const healthy = createAdapter(200);
+    await expect(client.get('/api/resource/Bin', { adapter: healthy })).rejects.toMatchObject({
+      code: ERPNEXT_CIRCUIT_OPEN,
+    });
+    expect(healthy).not.toHaveBeenCalled();
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60000;
+    try {
+      await client.get('/api/resource/Bin', { adapter: healthy });
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(healthy).toHaveBeenCalledTimes(1);
+    expect(getErpnextCircuitState()).toMatchObject({ state: 'closed', failures: 0, retryAt: null });
+  });
+
+  test('should reopen the circuit when the trial request fails', async () => {
+    const client = createErpnextClient();
+    for (let i = 0; i < 5; i++) {
+      await expect(client.get('/api/resource/Bin', { adapter: createAdapter(500), retries: 0 })).rejects.toThrow();
+    }
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 60000;
+    try {
+      const trial = createAdapter(500);
+      await expect(client.get('/api/resource/Bin', { adapter: trial })).rejects.toThrow();
+
+      // The failed trial is not retried and opens the circuit again
+      expect(trial).toHaveBeenCalledTimes(1);
+      expect(getErpnextCircuitState().state).toBe('open');
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  test('should let a new trial through when the previous trial never settled', async () => {
+    const client = createErpnextClient();
+    for (let i = 0; i < 5; i++) {
+      await expect(client.get('/api/resource/Bin', { adapter: createAdapter(500), retries: 0 })).rejects.toThrow();
+    }
+
+    const realNow = Date.now;
+    const healthy = createAdapter(200);
+    try {
+      Date.now = () => realNow() + 60000;
+      const cancelled = jest.fn(async (config) => {
+        throw new CanceledError(undefined, undefined, config);
+      });
+      await expect(client.get('/api/resource/Bin', { adapter: cancelled })).rejects.toThrow();
+      await expect(client.get('/api/resource/Bin', { adapter: healthy })).rejects.toMatchObject({
+        code: ERPNEXT_CIRCUIT_OPEN,
+      });
+
+      Date.now = () => realNow() + 120000;
+      await client.get('/api/resource/Bin', { adapter: healthy });
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(healthy).toHaveBeenCalledTimes(1);
+    expect(getErpnextCircuitState().state).toBe('closed');
+  });
+
+  describe('fetchPublishedWebsiteItems', () => {
+    const client = createErpnextClient();
+    const defaultAdapter = client.defaults.adapter;
+
+    afterEach(() => {
+      client.defaults.adapter = defaultAdapter;
+    });
+
+    test('should return the whole published list when it spans several pages', async () => {
+      const items = ['WEB-ITM-0001', 'WEB-ITM-0002', 'WEB-ITM-0003', 'WEB-ITM-0004', 'WEB-ITM-0005']
+        .map((name) => ({ name, custom_variant: null }));
+      const adapter = jest.fn(async (config) => {
+        const params = new URL(config.url, 'https://erp.example.com').searchParams;
+        const start = parseInt(params.get('limit_start'), 10);
+        const data = items.slice(start, start + parseInt(params.get('limit_page_length'), 10));
+        return { status: 200, statusText: '', data: { data }, headers: {}, config };
+      });
+      client.defaults.adapter = adapter;
+
+      expect(await fetchPublishedWebsiteItems()).toEqual(items);
+
+      // Pages of 2: two full pages, then a partial one
+      expect(adapter).toHaveBeenCalledTimes(3);
+      const params = new URL(adapter.mock.calls[0][0].url, 'https://erp.example.com').searchParams;
+      expect(JSON.parse(params.get('filters'))).toEqual([['published', '=', 1]]);
+      expect(JSON.parse(params.get('fields'))).toEqual(['name', 'custom_variant']);
+    });
+
+    test('should throw instead of returning a partial list when a page fails', async () => {
+      const firstPage = { data: [{ name: 'WEB-ITM-0001' }, { name: 'WEB-ITM-0002' }] };
+      client.defaults.adapter = jest.fn(async (config) => {
+        if (config.url.includes('limit_start=0')) {
+          return { status: 200, statusText: '', data: firstPage, headers: {}, config };
+        }
+        const response = { status: 404, statusText: '', data: {}, headers: {}, config };
+        throw new AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, null, response);
+      });
+
+      await expect(fetchPublishedWebsiteItems()).rejects.toThrow('404');
+    });
+  });
+
+  describe('throwOnError', () => {
+    const client = createErpnextClient();
+    const defaultAdapter = client.defaults.adapter;
+
+    afterEach(() => {
+      client.defaults.adapter = defaultAdapter;
+    });
+
+    test('should report a failed request as missing data unless throwOnError is set', async () => {
+      client.defaults.adapter = createAdapter(403);
+
+      expect(await fetchItemPrices('WHEY-CHOC')).toEqual({ retail: null, wholesale: null });
+      expect(await fetchHeroImages()).toEqual([]);
+      expect(await fetchAppHome()).toBeNull();
+
+      await expect(fetchItemPrices('WHEY-CHOC', { throwOnError: true })).rejects.toThrow('403');
+      await expect(fetchHeroImages({ throwOnError: true })).rejects.toThrow('403');
+      await expect(fetchAppHome({ throwOnError: true })).rejects.toThrow('403');
+    });
+
+    test('should still report missing data when ERPNext answers with no rows', async () => {
+      client.defaults.adapter = createAdapter(200);
+
+      expect(await fetchItemPrices('WHEY-CHOC', { throwOnError: true })).toEqual({ retail: null, wholesale: null });
+      expect(await fetchHeroImages({ throwOnError: true })).toEqual([]);
+      expect(await fetchAppHome({ throwOnError: true })).toBeNull();
+    });
+  });
+
+  describe('fetchAllItemPrices', () => {
+    const client = createErpnextClient();
+    const defaultAdapter = client.defaults.adapter;
+
+    afterEach(() => {
+      client.defaults.adapter = defaultAdapter;
+    });
+
+    test('should page through each price list once per chunk of item codes', async () => {
+      const adapter = createItemPriceAdapter([
+        { item_code: 'WHEY-CHOC', price_list: 'Standard Selling', price_list_rate: 30 },
+        { item_code: 'WHEY-VAN', price_list: 'Standard Selling', price_list_rate: '31.5' },
+        { item_code: 'WHEY-CHOC', price_list: 'Standard Selling', price_list_rate: 28 },
+        { item_code: 'CREA-UNF', price_list: 'Standard Selling', price_list_rate: 12 },
+        { item_code: 'WHEY-CHOC', price_list: 'Wholesale Selling', price_list_rate: 25 },
+        { item_code: 'NOT-REQUESTED', price_list: 'Wholesale Selling', price_list_rate: 1 },
+      ]);
+      client.defaults.adapter = adapter;
+
+      const prices = await fetchAllItemPrices(['WHEY-CHOC', 'WHEY-VAN', 'CREA-UNF', 'WHEY-CHOC']);
+
+      expect(Object.fromEntries(prices)).toEqual({
+        // Most recently modified price wins
+        'WHEY-CHOC': { retail: 30, wholesale: 25 },
+        'WHEY-VAN': { retail: 31.5, wholesale: null },
+        'CREA-UNF': { retail: 12, wholesale: null },
+      });
+      // Standard Selling: chunk 1 (a full page, then a partial one) and chunk 2; Wholesale Selling: chunks 1 and 2
+      expect(adapter).toHaveBeenCalledTimes(5);
+      const params = new URL(adapter.mock.calls[0][0].url, 'https://erp.example.com').searchParams;
+      expect(params.get('order_by')).toBe('modified desc');
+      expect(JSON.parse(params.get('filters'))).toEqual([
+        ['item_code', 'in', ['WHEY-CHOC', 'WHEY-VAN']],
+        ['price_list', '=', 'Standard Selling'],
+      ]);
+    });
+
+    test('should throw instead of returning empty prices when ERPNext fails', async () => {
+      client.defaults.adapter = createAdapter(404);
+
+      await expect(fetchAllItemPrices(['WHEY-CHOC'])).rejects.toThrow('404');
+    });
+  });
+
+  describe('fetchAllItemStock', () => {
+    const client = createErpnextClient();
+    const defaultAdapter = client.defaults.adapter;
+
+    afterEach(() => {
+      client.defaults.adapter = defaultAdapter;
+    });
+
+    test('should page through all Bins with stock and group warehouses by item code', async () => {
+      const adapter = createRecordedAdapter(binInStock);
+      client.defaults.adapter = adapter;
+
+      const stock = await fetchAllItemStock();
+
+      expect(Object.fromEntries(stock)).toEqual({
+        'WHEY-CHOC': ['Idlib Store', 'Aleppo Store', 'Stores - PW'],
+        'CREA-UNF': ['Hama Store'],
+        'BCAA-LEM': ['Damascus Store'],
+      });
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    test('should throw instead of returning empty stock when ERPNext fails', async () => {
+      client.defaults.adapter = createAdapter(404);
+
+      await expect(fetchAllItemStock()).rejects.toThrow('404');
+    });
+  });
+});
@@ -7,7 +7,7 @@ const {
   performHealthCheck,
 } = require('../../../../src/services/health/health');
 const { getRedisClient } = require('../../../../src/services/redis/client');
-const { createErpnextClient } = require('../../../../src/services/erpnext/client');
+const { createErpnextClient, getErpnextCircuitState } = require('../../../../src/services/erpnext/client');
 
 // Mock dependencies
 jest.mock('../../../../src/services/redis/client');
@@ -56,10 +56,24 @@ describe('Health Check Service', () => {
       expect(result.responseTime).toBeGreaterThanOrEqual(0);
       expect(result.message).toBe('ERPNext connection healthy');
       expect(mockClient.get).toHaveBeenCalledWith(
-        '/api/resource/User?limit_page_length=1'
+        '/api/resource/User?limit_page_length=1',
+        { timeout: 4000, retries: 0 }
       );
     });
 
+    test('should report the circuit breaker state', async () => {
+      const error = new Error('ERPNext unavailable (circuit breaker open)');
+      error.code = 'ERPNEXT_CIRCUIT_OPEN';
+      createErpnextClient.mockReturnValue({ get: jest.fn().mockRejectedValue(error) });
+      getErpnextCircuitState.mockReturnValue({ name: 'erpnext', state: 'open', failures: 5 });
+
+      const result = await checkErpnextHealth();
+
+      expect(result.status).toBe('error');
+      expect(result.message).toContain('circuit breaker open');
+      expect(result.circuitBreaker).toEqual({ name: 'erpnext', state: 'open', failures: 5 });
+    });
+
     test('should return error status when ERPNext fails', async () => {
       const mockClient = {
         get: jest.fn().mockRejectedValue(new Error('Network error')),
@@ -0,0 +1,68 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/push/push-dispatcher', () => ({
+  dispatchNotification: jest.fn().mockResolvedValue(undefined),
+}));
+jest.mock('../../../../src/services/sync/stream-manager', () => {
+  const actual = jest.requireActual('../../../../src/services/sync/stream-manager');
+  return { ...actual, addStreamEntry: jest.fn(actual.addStreamEntry) };
+});
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { addStreamEntry } = require('../../../../src/services/sync/stream-manager');
+const {
+  createNotification,
+  getNotification,
+  publishScheduledNotification,
+  getDueNotificationIds,
+} = require('../../../../src/services/notifications/notification-storage');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+describe('publishScheduledNotification', () => {
+  let redis;
+  let notificationId;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    const created = await createNotification({
+      title: 'Sale',
+      body: 'Starts soon',
+      publishAt: new Date(Date.now() + 1000).toISOString(),
+    }, 'admin');
+    notificationId = created.notificationId;
+  });
+
+  it('publishes a due notification and removes it from the publish queue', async () => {
+    const published = await publishScheduledNotification(notificationId);
+
+    expect(published.status).toBe('active');
+    expect(published.streamId).toBeTruthy();
+    expect(await redis.xlen('notification_changes')).toBe(1);
+    expect(await getDueNotificationIds('publish', Date.now() + 5000)).toEqual([]);
+  });
+
+  it('keeps the notification queued when the stream write fails and publishes it on retry', async () => {
+    addStreamEntry.mockRejectedValueOnce(new Error('stream unavailable'));
+
+    await expect(publishScheduledNotification(notificationId)).rejects.toThrow('stream unavailable');
+
+    expect(await redis.xlen('notification_changes')).toBe(0);
+    expect(await getDueNotificationIds('publish', Date.now() + 5000)).toEqual([notificationId]);
+
+    const retried = await publishScheduledNotification(notificationId);
+    const stored = await getNotification(notificationId);
+
+    expect(retried.streamId).toBeTruthy();
+    expect(retried.version).toBe(stored.version);
+    expect(await redis.xlen('notification_changes')).toBe(1);
+    expect(await getDueNotificationIds('publish', Date.now() + 5000)).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/push/token-storage', () => ({
+  getPushDeviceIds: jest.fn(),
+  getPushToken: jest.fn(),
+  unregisterPushToken: jest.fn(),
+  pruneDevice: jest.fn(),
+}));
+jest.mock('../../../../src/services/auth/user-storage', () => ({
+  getUserById: jest.fn(),
+  getUserByDeviceId: jest.fn(),
+}));
+
+const {
+  dispatchNotification,
+  buildPushMessage,
+  setTransport,
+} = require('../../../../src/services/push/push-dispatcher');
+const { createFileTransport, createConsoleTransport } = require('../../../../src/services/push/transports/local');
+const { logger } = require('../../../../src/services/logger');
+const {
+  getPushDeviceIds,
+  getPushToken,
+  unregisterPushToken,
+} = require('../../../../src/services/push/token-storage');
+const { getUserById } = require('../../../../src/services/auth/user-storage');
+
+const users = {
+  USR1: { id: 'USR1', groups: ['retail'], isRegistered: true },
+  USR2: { id: 'USR2', groups: ['wholesale'], isRegistered: true },
+};
+const tokens = {
+  'device-1': { deviceId: 'device-1', token: 'token-1', platform: 'android', userId: 'USR1' },
+  'device-2': { deviceId: 'device-2', token: 'token-2', platform: 'ios', userId: 'USR2' },
+};
+
+describe('Push Dispatcher', () => {
+  let outputFile;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outputFile = path.join(os.tmpdir(), `push-test-${process.pid}-${Date.now()}.jsonl`);
+    setTransport(createFileTransport(outputFile));
+    getPushDeviceIds.mockResolvedValue(Object.keys(tokens));
+    getPushToken.mockImplementation(async (deviceId) => tokens[deviceId] || null);
+    getUserById.mockImplementation(async (userId) => users[userId] || null);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(outputFile)) {
+      fs.unlinkSync(outputFile);
+    }
+    setTransport(undefined);
+  });
+
+  test('should deliver only to devices matching notification targeting', async () => {
+    const notification = {
+      notificationId: 'ntf_1',
+      title: 'Retail sale',
+      body: 'This Friday only',
+      data: { productId: 'WEB-ITM-0002' },
+      target: { groups: ['retail'] },
+    };
+
+    const summary = await dispatchNotification(notification);
+
+    expect(summary).toEqual({ targeted: 1, sent: 1, failed: 0, removed: 0 });
+    const lines = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines).toHaveLength(1);
+    expect(lines[0].message.token).toBe('token-1');
+    expect(lines[0].message.notification.title).toBe('Retail sale');
+    expect(lines[0].message.data.productId).toBe('WEB-ITM-0002');
+  });
+
+  test('should remove tokens reported as invalid by transport', async () => {
+    setTransport({
+      name: 'memory',
+      send: jest.fn(async (message) => (message.token === 'token-2'
+        ? { success: false, error: 'UNREGISTERED', invalidToken: true }
+        : { success: true })),
+    });
+
+    const summary = await dispatchNotification({
+      notificationId: 'ntf_2',
+      title: 'Everyone',
+      body: 'Hello',
+      target: { groups: ['all'] },
+    });
+
+    expect(summary).toEqual({ targeted: 2, sent: 1, failed: 1, removed: 1 });
+    expect(unregisterPushToken).toHaveBeenCalledWith('device-2');
+  });
+
+  test('should skip delivery when transport is disabled', async () => {
+    setTransport(null);
+
+    const summary = await dispatchNotification({ notificationId: 'ntf_3', title: 'x', body: 'y' });
+
+    expect(summary).toEqual({ skipped: true });
+    expect(getPushDeviceIds).not.toHaveBeenCalled();
+  });
+
+  test('should stringify data payload values for FCM', () => {
+    const message = buildPushMessage(
+      { notificationId: 'ntf_4', title: 't', body: 'b', imageUrl: 'https://img', data: { count: 3 } },
+      'token-x'
+    );
+
+    expect(message.data).toEqual({ notificationId: 'ntf_4', entityType: 'notification', count: '3' });
+    expect(message.notification.image).toBe('https://img');
+  });
+
+  test('should mask device tokens in console transport logs', async () => {
+    const infoSpy = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+    await createConsoleTransport().send({ token: 'fcm-token-0123456789abcdef', notification: {}, data: {} });
+
+    expect(infoSpy).toHaveBeenCalledWith('Push message (console transport)', expect.objectContaining({
+      token: 'fcm-to...cdef',
+    }));
+    infoSpy.mockRestore();
+  });
+
+  test.each([['0'], ['-3'], ['many']])('should clamp PUSH_SEND_CONCURRENCY=%s to a usable value', (value) => {
+    const original = process.env.PUSH_SEND_CONCURRENCY;
+    process.env.PUSH_SEND_CONCURRENCY = value;
+    try {
+      jest.isolateModules(() => {
+        const { PUSH_SEND_CONCURRENCY } = require('../../../../src/config/push');
+        expect(PUSH_SEND_CONCURRENCY).toBeGreaterThanOrEqual(1);
+      });
+    } finally {
+      if (original === undefined) {
+        delete process.env.PUSH_SEND_CONCURRENCY;
+      } else {
+        process.env.PUSH_SEND_CONCURRENCY = original;
+      }
+    }
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { logger } = require('../../../../src/services/logger');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const {
+  INSTANCE_ID,
+  runWithJobLock,
+  releaseAllJobLocks,
+  waitForJobLocks,
+  getJobLockHolders,
+} = require('../../../../src/services/scheduled/job-lock');
+
+describe('Job Lock', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  afterEach(async () => {
+    await releaseAllJobLocks();
+    jest.useRealTimers();
+  });
+
+  test('should skip a job while another instance holds its lock', async () => {
+    await redis.set('lock:job:full_refresh', 'worker-2:4242', 'PX', 60000, 'NX');
+    const job = jest.fn();
+
+    const result = await runWithJobLock('full_refresh', job);
+
+    expect(result).toEqual({ skipped: true, holder: 'worker-2:4242' });
+    expect(job).not.toHaveBeenCalled();
+  });
+
+  test('should run a job once when instances fire at the same time', async () => {
+    const job = jest.fn(async () => ({ trimmed: 3 }));
+
+    const results = await Promise.all([
+      runWithJobLock('stream_trim', job),
+      runWithJobLock('stream_trim', job),
+    ]);
+
+    expect(job).toHaveBeenCalledTimes(1);
+    expect(results).toContainEqual({ trimmed: 3 });
+    expect(results).toContainEqual({ skipped: true, holder: INSTANCE_ID });
+  });
+
+  test('should keep the lock briefly after a short run so late instances do not re-run it', async () => {
+    const job = jest.fn(async () => 'done');
+
+    await runWithJobLock('analytics_aggregation', job);
+    expect(await runWithJobLock('analytics_aggregation', job)).toMatchObject({ skipped: true });
+
+    jest.advanceTimersByTime(30000);
+    expect(await runWithJobLock('analytics_aggregation', job)).toBe('done');
+    expect(job).toHaveBeenCalledTimes(2);
+  });
+
+  test('should renew the lease while a long job runs', async () => {
+    let finish;
+    const running = runWithJobLock('full_refresh', () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    // Well past the 60s lease
+    await jest.advanceTimersByTimeAsync(5 * 60 * 1000);
+    const { full_refresh: lock } = await getJobLockHolders(['full_refresh']);
+    expect(lock).toMatchObject({ holder: INSTANCE_ID, heldByThisInstance: true });
+    expect(lock.expiresInMs).toBeGreaterThan(0);
+
+    finish('done');
+    expect(await running).toBe('done');
+  });
+
+  test('should stop renewing a lock taken over by another instance', async () => {
+    let finish;
+    const running = runWithJobLock('notification_scheduler', () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    await redis.set('lock:job:notification_scheduler', 'worker-3:99', 'PX', 60000);
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(logger.warn).toHaveBeenCalledWith('Job lock lost', expect.objectContaining({ jobName: 'notification_scheduler' }));
+
+    finish();
+    await running;
+    const { notification_scheduler: lock } = await getJobLockHolders(['notification_scheduler']);
+    expect(lock.holder).toBe('worker-3:99');
+  });
+
+  test('should keep the lock of a running job until it finishes on shutdown', async () => {
+    let finish;
+    const running = runWithJobLock('full_refresh', () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    const waiting = waitForJobLocks(5000);
+    await jest.advanceTimersByTimeAsync(1000);
+    const holders = await getJobLockHolders(['full_refresh']);
+    expect(holders.full_refresh.holder).toBe(INSTANCE_ID);
+
+    finish();
+    await running;
+    await jest.advanceTimersByTimeAsync(200);
+    expect(await waiting).toEqual([]);
+  });
+
+  test('should release the lock of a job still running when the shutdown wait ends', async () => {
+    let finish;
+    const running = runWithJobLock('stream_trim', () => new Promise((resolve) => {
+      finish = resolve;
+    }));
+    await jest.advanceTimersByTimeAsync(0);
+
+    const waiting = waitForJobLocks(1000);
+    await jest.advanceTimersByTimeAsync(1100);
+    expect(await waiting).toEqual(['stream_trim']);
+    expect((await getJobLockHolders(['stream_trim'])).stream_trim.holder).toBe(INSTANCE_ID);
+
+    expect(await releaseAllJobLocks()).toEqual(['stream_trim']);
+    expect((await getJobLockHolders(['stream_trim'])).stream_trim.holder).toBeNull();
+
+    finish();
+    await running;
+  });
+});
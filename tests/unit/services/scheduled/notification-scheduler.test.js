@@ -0,0 +1,71 @@
+jest.mock('../../../../src/services/notifications/notification-storage', () => ({
+  getDueNotificationIds: jest.fn(),
+  publishScheduledNotification: jest.fn(),
+  expireNotification: jest.fn(),
+}));
+
+const { runNotificationScheduler } = require('../../../../src/services/scheduled/notification-scheduler');
+const {
+  getDueNotificationIds,
+  publishScheduledNotification,
+  expireNotification,
+} = require('../../../../src/services/notifications/notification-storage');
+const {
+  filterExpiredNotifications,
+  isNotificationDataExpired,
+} = require('../../../../src/services/notifications/notification-filter');
+
+describe('Notification Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should publish due notifications before expiring due notifications', async () => {
+    const calls = [];
+    getDueNotificationIds.mockImplementation(async (queue) => (queue === 'publish' ? ['ntf_1'] : ['ntf_2']));
+    publishScheduledNotification.mockImplementation(async (id) => calls.push(`publish:${id}`));
+    expireNotification.mockImplementation(async (id) => calls.push(`expire:${id}`));
+
+    const summary = await runNotificationScheduler();
+
+    expect(calls).toEqual(['publish:ntf_1', 'expire:ntf_2']);
+    expect(summary.published).toBe(1);
+    expect(summary.expired).toBe(1);
+    expect(summary.failed).toBe(0);
+  });
+
+  test('should count failures and keep processing other notifications', async () => {
+    getDueNotificationIds.mockImplementation(async (queue) => (queue === 'publish' ? ['ntf_1', 'ntf_2'] : []));
+    publishScheduledNotification
+      .mockRejectedValueOnce(new Error('Redis unavailable'))
+      .mockResolvedValueOnce({ notificationId: 'ntf_2' });
+
+    const summary = await runNotificationScheduler();
+
+    expect(publishScheduledNotification).toHaveBeenCalledTimes(2);
+    expect(summary.published).toBe(1);
+    expect(summary.failed).toBe(1);
+  });
+});
+
+describe('Notification expiry filtering', () => {
+  const now = Date.parse('2030-01-01T00:00:00Z');
+
+  test('should drop expired stream entries but keep deletion markers', () => {
+    const entries = [
+      { id: '1-0', fields: { entity_id: 'ntf_live', expires_at: String(now + 1000) } },
+      { id: '2-0', fields: { entity_id: 'ntf_expired', expires_at: String(now - 1000) } },
+      { id: '3-0', fields: { entity_id: 'ntf_marker' } },
+    ];
+
+    const result = filterExpiredNotifications(entries, now);
+
+    expect(result.map((entry) => entry.fields.entity_id)).toEqual(['ntf_live', 'ntf_marker']);
+  });
+
+  test('should detect expired cached notification data', () => {
+    expect(isNotificationDataExpired({ expiresAt: '2029-12-31T00:00:00Z' }, now)).toBe(true);
+    expect(isNotificationDataExpired({ expiresAt: '2030-01-02T00:00:00Z' }, now)).toBe(false);
+    expect(isNotificationDataExpired({ expiresAt: null }, now)).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const { addStreamEntry, getTrimWatermark } = require('../../../../src/services/sync/stream-manager');
+const {
+  getRetentionDays,
+  getRetentionMinId,
+  trimStreamByEntityType,
+  trimAllStreams,
+} = require('../../../../src/services/scheduled/stream-trimmer');
+const { processSync } = require('../../../../src/services/sync/sync-handler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+describe('Stream Trimmer', () => {
+  let redis;
+  let nowSpy;
+
+  const addAt = async (time, entityType, entityId) => {
+    nowSpy.mockReturnValue(time);
+    await addStreamEntry(entityType, entityId, `hash-${entityId}`, '1');
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+    nowSpy = jest.spyOn(Date, 'now');
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+    delete process.env.SYNC_STREAM_RETENTION_DAYS_VIEW;
+  });
+
+  describe('getRetentionDays', () => {
+    test('should use per-type defaults and fall back to the global retention', () => {
+      expect(getRetentionDays('view')).toBe(2);
+      expect(getRetentionDays('product')).toBe(30);
+      expect(getRetentionDays('stock')).toBe(7);
+    });
+
+    test('should honour per-type environment overrides', () => {
+      process.env.SYNC_STREAM_RETENTION_DAYS_VIEW = '1';
+
+      expect(getRetentionDays('view')).toBe(1);
+      expect(getRetentionMinId('view', NOW)).toBe(`${NOW - DAY_MS}-0`);
+    });
+  });
+
+  describe('trimStreamByEntityType', () => {
+    test('should remove entries older than the retention window', async () => {
+      await addAt(NOW - 3 * DAY_MS, 'view', 'ITEM-1');
+      await addAt(NOW - DAY_MS, 'view', 'ITEM-2');
+      await addAt(NOW - 3 * DAY_MS, 'product', 'ITEM-1');
+
+      nowSpy.mockReturnValue(NOW);
+      const viewResult = await trimStreamByEntityType('view');
+      const productResult = await trimStreamByEntityType('product');
+
+      expect(viewResult).toEqual({
+        entityType: 'view',
+        trimmed: 1,
+        length: 1,
+        minId: `${NOW - 2 * DAY_MS}-0`,
+      });
+      expect(redis.getEntries('view_changes').map(([id]) => id)).toEqual([`${NOW - DAY_MS}-0`]);
+      expect(productResult.trimmed).toBe(0);
+      expect(redis.getEntries('product_changes')).toHaveLength(1);
+      // Gap detection compares cursors against the first entry kept by the trim
+      expect(await getTrimWatermark('view')).toBe(`${NOW - DAY_MS}-0`);
+      expect(await getTrimWatermark('product')).toBeNull();
+    });
+
+    test('should fall back to the minimum ID when a trim empties the stream', async () => {
+      await addAt(NOW - 10 * DAY_MS, 'stock', 'ITEM-1');
+
+      nowSpy.mockReturnValue(NOW);
+      await trimStreamByEntityType('stock');
+
+      expect(await getTrimWatermark('stock')).toBe(`${NOW - 7 * DAY_MS}-0`);
+    });
+
+    test('should make clients syncing from 0-0 resync from the snapshot after a trim', async () => {
+      // ITEM-1 has not changed since: its only entry is trimmed
+      await addAt(NOW - 10 * DAY_MS, 'stock', 'ITEM-1');
+      await addAt(NOW - DAY_MS, 'stock', 'ITEM-2');
+
+      nowSpy.mockReturnValue(NOW);
+      await trimStreamByEntityType('stock');
+      const result = await processSync({ stock: '0-0' }, ['stock']);
+
+      expect(result.resyncRequired).toBe(true);
+      expect(result.resyncTypes).toEqual(['stock']);
+    });
+
+    test('should skip empty streams', async () => {
+      const result = await trimStreamByEntityType('stock');
+
+      expect(result).toEqual({ entityType: 'stock', trimmed: 0, length: 0 });
+      expect(redis.calls.xtrim).toBeUndefined();
+    });
+  });
+
+  describe('trimAllStreams', () => {
+    test('should trim every syncable stream by default', async () => {
+      await addAt(NOW - 10 * DAY_MS, 'stock', 'ITEM-1');
+      await addAt(NOW - 10 * DAY_MS, 'hero', 'hero-1');
+
+      nowSpy.mockReturnValue(NOW);
+      const summary = await trimAllStreams();
+
+      expect(summary.results.map((r) => r.entityType)).toEqual(expect.arrayContaining(['stock', 'hero', 'message', 'bundle']));
+      expect(summary.trimmed).toBe(1);
+      expect(redis.getEntries('stock_changes')).toHaveLength(0);
+      expect(redis.getEntries('hero_changes')).toHaveLength(1);
+    });
+  });
+});
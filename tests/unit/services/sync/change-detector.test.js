@@ -0,0 +1,164 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { setCacheHash, getCacheHash } = require('../../../../src/services/redis/cache');
+const { addStreamEntry, readStreamEntries } = require('../../../../src/services/sync/stream-manager');
+const { computeDataHash } = require('../../../../src/services/sync/hash-computer');
+const {
+  filterEntriesNeedingSync,
+  getEntityForSync,
+  prefetchCacheHashes,
+  getPrefetched,
+  buildEntityForSync,
+} = require('../../../../src/services/sync/change-detector');
+const { processSync } = require('../../../../src/services/sync/sync-handler');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const NOW = 1700000000000;
+
+const deletionHash = (entityId) => computeDataHash({ deleted: true, erpnext_name: entityId });
+
+/**
+ * Seed cache and streams with every case processSync distinguishes
+ */
+async function seed() {
+  const product = (id, price) => ({ erpnext_name: id, price });
+
+  // Unchanged (stream hash matches cache)
+  await setCacheHash('product', 'P1', product('P1', 10), { data_hash: computeDataHash(product('P1', 10)), version: '1' });
+  await addStreamEntry('product', 'P1', computeDataHash(product('P1', 10)), '1');
+  // Changed (stream hash differs from cache)
+  await setCacheHash('product', 'P2', product('P2', 25), { data_hash: 'new-hash', version: '3' });
+  await addStreamEntry('product', 'P2', 'old-hash', '2');
+  // Deletion marker while cache still holds the entity
+  await setCacheHash('product', 'P3', product('P3', 5), { data_hash: 'p3-hash', version: '4' });
+  await addStreamEntry('product', 'P3', deletionHash('P3'), '5');
+  // Deletion marker after cache was removed
+  await addStreamEntry('product', 'P4', deletionHash('P4'), '2');
+  // Cache miss without deletion marker
+  await addStreamEntry('product', 'P5', 'p5-hash', '1');
+
+  // Invalid entry (no data_hash)
+  const redis = getRedisClient();
+  await redis.xadd('product_changes', '*', 'entity_type', 'product', 'entity_id', 'P6');
+
+  await setCacheHash('message', 'M1', { userId: 'U1', text: 'hi' }, { data_hash: 'm1', version: '1' });
+  await addStreamEntry('message', 'M1', 'm1', '1');
+  await setCacheHash('message', 'M2', { userId: 'U2', text: 'other' }, { data_hash: 'm2', version: '1' });
+  await addStreamEntry('message', 'M2', 'm2', '1');
+  await addStreamEntry('message', 'M3', deletionHash('M3'), '2');
+}
+
+describe('Change Detector', () => {
+  let redis;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+    await seed();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should match per-entry lookups when using prefetched hashes', async () => {
+    const entries = await readStreamEntries('product', '0-0', 100);
+    const cache = await prefetchCacheHashes({ product: entries });
+
+    expect(await filterEntriesNeedingSync(entries, cache)).toEqual(await filterEntriesNeedingSync(entries));
+
+    const deletionHashes = new Map();
+    for (const { fields } of entries) {
+      const batched = buildEntityForSync(
+        'product',
+        fields.entity_id,
+        getPrefetched(cache, 'product', fields.entity_id),
+        fields.data_hash,
+        deletionHashes
+      );
+      expect(batched).toEqual(await getEntityForSync('product', fields.entity_id, fields.data_hash));
+    }
+  });
+
+  test('should prefetch the same entry shape as getCacheHash', async () => {
+    await redis.hset('hash:product:P1', 'fresh_until', String(NOW + 60000));
+    const entries = await readStreamEntries('product', '0-0', 100);
+    const cache = await prefetchCacheHashes({ product: entries });
+
+    expect(getPrefetched(cache, 'product', 'P1')).toEqual(await getCacheHash('product', 'P1'));
+    expect(getPrefetched(cache, 'product', 'P1').fresh_until).toBe(NOW + 60000);
+  });
+
+  test('should fetch all candidate hashes across streams in one pipeline', async () => {
+    redis.calls.pipeline = 0;
+    redis.calls.hgetall = 0;
+
+    await processSync({}, ['product', 'message'], 100, 'U1', [], null, null, null, null, true, 'U1');
+
+    expect(redis.calls.pipeline).toBe(1);
+    // 6 product entries + 3 messages, each key read once
+    expect(redis.calls.hgetall).toBe(9);
+  });
+
+  test('should return deletion markers and entity data unchanged', async () => {
+    const result = await processSync({}, ['product', 'message'], 100, 'U1', [], null, null, null, null, true, 'U1');
+
+    expect(result.inSync).toBe(false);
+    expect(result.updates).toEqual([
+      {
+        entity_type: 'product',
+        entity_id: 'P1',
+        data: { erpnext_name: 'P1', price: 10 },
+        updated_at: String(NOW),
+        version: '1',
+        data_hash: computeDataHash({ erpnext_name: 'P1', price: 10 }),
+        idempotency_key: 'mock-uuid-123',
+      },
+      {
+        entity_type: 'product',
+        entity_id: 'P2',
+        data: { erpnext_name: 'P2', price: 25 },
+        updated_at: String(NOW),
+        version: '3',
+        data_hash: 'new-hash',
+        idempotency_key: 'mock-uuid-123',
+      },
+      {
+        entity_type: 'product',
+        entity_id: 'P3',
+        deleted: true,
+        updated_at: String(NOW),
+        version: '4',
+        data_hash: deletionHash('P3'),
+        idempotency_key: 'mock-uuid-123',
+      },
+      {
+        entity_type: 'product',
+        entity_id: 'P4',
+        deleted: true,
+        updated_at: String(NOW),
+        version: '1',
+        data_hash: deletionHash('P4'),
+        idempotency_key: 'mock-uuid-123',
+      },
+      {
+        entity_type: 'message',
+        entity_id: 'M1',
+        data: { userId: 'U1', text: 'hi' },
+        updated_at: String(NOW),
+        version: '1',
+        data_hash: 'm1',
+        idempotency_key: 'mock-uuid-123',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const {
+  acknowledgeCursors,
+  resolveDeviceLastSync,
+  getDeviceLag,
+} = require('../../../../src/services/sync/cursor-store');
+
+/**
+ * Minimal in-memory Redis for cursor hashes, streams and trim watermarks
+ */
+function createRedisMock(streams = {}, strings = {}) {
+  const hashes = {};
+  const devices = {};
+  const multi = {
+    hset: jest.fn((key, fields) => {
+      hashes[key] = { ...(hashes[key] || {}), ...fields };
+      return multi;
+    }),
+    expire: jest.fn(() => multi),
+    zadd: jest.fn((key, score, member) => {
+      devices[member] = String(score);
+      return multi;
+    }),
+    exec: jest.fn(async () => []),
+  };
+  return {
+    hgetall: jest.fn(async (key) => ({ ...(hashes[key] || {}) })),
+    multi: jest.fn(() => multi),
+    zscore: jest.fn(async (key, member) => devices[member] || null),
+    xlen: jest.fn(async (name) => (streams[name] || []).length),
+    xrange: jest.fn(async (name, start) => {
+      const entries = streams[name] || [];
+      if (start === '-') {
+        return entries.slice(0, 1);
+      }
+      const after = start.slice(1);
+      return entries.filter(([id]) => id > after);
+    }),
+    xrevrange: jest.fn(async (name) => (streams[name] || []).slice(-1)),
+    get: jest.fn(async (key) => strings[key] || null),
+  };
+}
+
+describe('Sync Cursor Store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should only move cursors forward on acknowledgement', async () => {
+    getRedisClient.mockReturnValue(createRedisMock());
+
+    await acknowledgeCursors('device-1', { product: '200-0', stock: '50-0' });
+    const cursors = await acknowledgeCursors('device-1', { product: '100-0', stock: '60-0' });
+
+    expect(cursors).toEqual({ product: '200-0', stock: '60-0' });
+  });
+
+  test('should prefer stored cursors over client-supplied lastSync', async () => {
+    getRedisClient.mockReturnValue(createRedisMock());
+    await acknowledgeCursors('device-1', { product: '200-0' });
+
+    const lastSync = await resolveDeviceLastSync('device-1', { product: '0-0', price: '10-0' });
+
+    expect(lastSync).toEqual({ product: '200-0', price: '10-0' });
+  });
+
+  test('should report lag per stream', async () => {
+    getRedisClient.mockReturnValue(createRedisMock({
+      product_changes: [['1000-0', []], ['2000-0', []], ['3000-0', []]],
+      stock_changes: [['1500-0', []]],
+    }));
+    await acknowledgeCursors('device-1', { product: '1000-0', stock: '1500-0' });
+
+    const lag = await getDeviceLag('device-1');
+
+    expect(lag.deviceId).toBe('device-1');
+    expect(lag.lastAckAt).not.toBeNull();
+    expect(lag.streams.product).toEqual({
+      cursor: '1000-0',
+      lastId: '3000-0',
+      pendingEntries: 2,
+      pendingCapped: false,
+      behindMs: 2000,
+      resyncRequired: false,
+    });
+    expect(lag.streams.stock.pendingEntries).toBe(0);
+  });
+
+  test('should flag cursors behind the trim watermark', async () => {
+    getRedisClient.mockReturnValue(createRedisMock({
+      product_changes: [['2000-0', []], ['3000-0', []]],
+    }, {
+      'product_changes:trimmed': '2000-0',
+    }));
+    await acknowledgeCursors('device-1', { product: '1000-0' });
+
+    const lag = await getDeviceLag('device-1');
+
+    expect(lag.streams.product.resyncRequired).toBe(true);
+  });
+
+  test('should return null for devices without cursors', async () => {
+    getRedisClient.mockReturnValue(createRedisMock());
+
+    expect(await getDeviceLag('device-unknown')).toBeNull();
+  });
+});
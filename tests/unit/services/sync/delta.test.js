@@ -0,0 +1,97 @@
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const { setCacheHash, getCacheHash, incrementCacheHashVersion } = require('../../../../src/services/redis/cache');
+const { applyPatchDeltas } = require('../../../../src/services/sync/delta');
+const { applyPatch } = require('../../../../src/utils/json-patch');
+
+const product = (description) => ({
+  erpnext_name: 'P1',
+  description,
+  nutrition: { protein: 25, carbs: 2, fat: 1 },
+  benefits: ['recovery', 'lean mass', 'strength'],
+});
+
+// Same shape processSync returns for a cached entity
+const toUpdate = (cached, entityId = 'P1') => ({
+  entity_type: 'product',
+  entity_id: entityId,
+  data: cached.data,
+  updated_at: cached.updated_at,
+  version: cached.version,
+  data_hash: cached.data_hash,
+});
+
+// Write path used by refresh/webhooks: bump version, then store data
+const writeVersion = async (entityId, data) => {
+  const version = (await incrementCacheHashVersion('product', entityId)) || '1';
+  await setCacheHash('product', entityId, data, { data_hash: `hash-${version}`, version });
+};
+
+describe('Patch Deltas', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test('should send a patch when the client holds the previous version', async () => {
+    await writeVersion('P1', product('Whey isolate'));
+    await writeVersion('P1', product('Whey isolate, chocolate'));
+    const cached = await getCacheHash('product', 'P1');
+
+    const [update] = await applyPatchDeltas([toUpdate(cached)], { product: { P1: '1' } });
+
+    expect(update).toEqual({
+      entity_type: 'product',
+      entity_id: 'P1',
+      patch: [{ op: 'replace', path: '/description', value: 'Whey isolate, chocolate' }],
+      baseVersion: '1',
+      version: '2',
+      updated_at: cached.updated_at,
+      data_hash: 'hash-2',
+    });
+    expect(applyPatch(product('Whey isolate'), update.patch)).toEqual(cached.data);
+  });
+
+  test('should fall back to full data when the client is more than one version behind', async () => {
+    await writeVersion('P1', product('v1'));
+    await writeVersion('P1', product('v2'));
+    await writeVersion('P1', product('v3'));
+    const cached = await getCacheHash('product', 'P1');
+
+    const [update] = await applyPatchDeltas([toUpdate(cached)], { product: { P1: '1' } });
+
+    expect(update.data).toEqual(product('v3'));
+    expect(update.patch).toBeUndefined();
+  });
+
+  test('should not use a patch once the data was rewritten under the same version', async () => {
+    await writeVersion('P1', product('v1'));
+    await writeVersion('P1', product('v2'));
+    await setCacheHash('product', 'P1', product('v2, corrected'), { data_hash: 'hash-2b', version: '2' });
+    const cached = await getCacheHash('product', 'P1');
+
+    const [update] = await applyPatchDeltas([toUpdate(cached)], { product: { P1: '1' } });
+
+    expect(update.data).toEqual(product('v2, corrected'));
+  });
+
+  test('should leave updates untouched without known versions or for deletion markers', async () => {
+    await writeVersion('P1', product('v1'));
+    await writeVersion('P1', product('v2'));
+    const cached = await getCacheHash('product', 'P1');
+    const deletion = { entity_type: 'product', entity_id: 'P1', deleted: true, version: '2' };
+    const updates = [toUpdate(cached), deletion];
+
+    expect(await applyPatchDeltas(updates, null)).toBe(updates);
+    expect(await applyPatchDeltas([deletion], { product: { P1: '1' } })).toEqual([deletion]);
+    expect(await applyPatchDeltas(updates, { product: { OTHER: '1' } })).toEqual(updates);
+  });
+});
@@ -0,0 +1,49 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  fetchPublishedWebsiteItems: jest.fn(),
+  fetchProduct: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({}));
+jest.mock('../../../../src/services/price/price', () => ({
+  parseCustomVariant: jest.fn(() => []),
+}));
+jest.mock('../../../../src/services/stock/stock', () => ({}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { fetchPublishedWebsiteItems, fetchProduct } = require('../../../../src/services/erpnext/client');
+const { refreshAllProducts } = require('../../../../src/services/sync/full-refresh');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const ENTITY_COUNT = 300;
+
+describe('Full refresh stream writes', () => {
+  test(`should refresh ${ENTITY_COUNT} products with one stream round trip each`, async () => {
+    const redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    const products = Array.from({ length: ENTITY_COUNT }, (_, i) => ({ name: `WEB-ITM-${i}` }));
+    fetchPublishedWebsiteItems.mockResolvedValue(products);
+
+    let revision = 1;
+    fetchProduct.mockImplementation(async (name) => ({ erpnext_name: name, revision }));
+
+    const initial = await refreshAllProducts();
+
+    // Every product changes: each stream write must replace that product's earlier entry
+    revision = 2;
+    const changed = await refreshAllProducts();
+
+    expect(initial.updated).toBe(ENTITY_COUNT);
+    expect(changed.updated).toBe(ENTITY_COUNT);
+    expect(redis.calls.eval).toBe(ENTITY_COUNT * 2);
+    expect(redis.calls.xrevrange).toBeUndefined();
+    expect(redis.getEntries('product_changes')).toHaveLength(ENTITY_COUNT);
+    expect(redis.hashes.get('product_changes:latest').size).toBe(ENTITY_COUNT);
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  fetchPublishedWebsiteItems: jest.fn(),
+  fetchProduct: jest.fn(),
+  fetchItemPrices: jest.fn(),
+  fetchAllItemPrices: jest.fn(),
+  fetchItemStock: jest.fn(),
+  fetchAllItemStock: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({}));
+jest.mock('../../../../src/services/price/price', () => ({
+  parseCustomVariant: jest.fn((value) => (value ? JSON.parse(value).sizes : [])),
+}));
+jest.mock('../../../../src/services/stock/stock', () => ({
+  parseCustomVariant: jest.fn((value) => (value ? JSON.parse(value).sizes : [])),
+  getWarehouseReferenceArray: jest.fn(async () => ['WH-A', 'WH-B']),
+  buildAvailabilityArray: jest.fn((warehouses, reference) => reference.map((name) => (warehouses.includes(name) ? 1 : 0))),
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const {
+  fetchPublishedWebsiteItems,
+  fetchProduct,
+  fetchItemPrices,
+  fetchAllItemPrices,
+  fetchItemStock,
+  fetchAllItemStock,
+} = require('../../../../src/services/erpnext/client');
+const { refreshItemCode, refreshEntityType } = require('../../../../src/services/sync/full-refresh');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const customVariant = (...itemCodes) => JSON.stringify({
+  sizes: [{ size: 5, unit: 'lb', flavors: itemCodes.map((itemCode) => ({ itemCode })) }],
+});
+
+describe('Full refresh', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    fetchPublishedWebsiteItems.mockResolvedValue([
+      { name: 'WEB-ITM-1', custom_variant: customVariant('WHEY-CHOC', 'WHEY-VAN') },
+      { name: 'WEB-ITM-2', custom_variant: customVariant('CREA-UNF') },
+    ]);
+    fetchProduct.mockImplementation(async (name) => ({ erpnext_name: name }));
+    fetchItemPrices.mockResolvedValue({ retail: 30, wholesale: 25 });
+    fetchAllItemPrices.mockImplementation(async (itemCodes) => new Map(
+      itemCodes.map((itemCode) => [itemCode, itemCode === 'CREA-UNF' ? { retail: 12, wholesale: null } : { retail: 30, wholesale: 25 }])
+    ));
+    fetchItemStock.mockResolvedValue(['WH-B']);
+    fetchAllItemStock.mockResolvedValue(new Map([
+      ['WHEY-CHOC', ['WH-A', 'WH-B']],
+      ['CREA-UNF', ['WH-B']],
+      ['NOT-PUBLISHED', ['WH-A']],
+    ]));
+  });
+
+  describe('refreshItemCode', () => {
+    test('should refresh the products using the item code, then its price and stock', async () => {
+      const result = await refreshItemCode('WHEY-VAN');
+
+      expect(result).toEqual({
+        itemCode: 'WHEY-VAN',
+        products: { 'WEB-ITM-1': 'updated' },
+        price: 'updated',
+        stock: 'updated',
+        errors: [],
+      });
+      expect(fetchProduct).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(redis.hashes.get('hash:price:WHEY-VAN').get('data'))).toEqual({
+        itemCode: 'WHEY-VAN',
+        prices: [30, 25],
+      });
+      expect(JSON.parse(redis.hashes.get('hash:stock:WHEY-VAN').get('data'))).toEqual({
+        itemCode: 'WHEY-VAN',
+        availability: [0, 1],
+      });
+      // Other flavors are untouched
+      expect(redis.hashes.has('hash:price:WHEY-CHOC')).toBe(false);
+    });
+
+    test('should collect per-entity errors', async () => {
+      fetchItemStock.mockRejectedValue(new Error('ERPNext timeout'));
+
+      const result = await refreshItemCode('CREA-UNF');
+
+      expect(result.price).toBe('updated');
+      expect(result.stock).toBeNull();
+      expect(result.errors).toEqual([{ entityType: 'stock', itemCode: 'CREA-UNF', error: 'ERPNext timeout' }]);
+    });
+
+    test('should reject item codes no published product uses', async () => {
+      await expect(refreshItemCode('UNKNOWN')).rejects.toThrow('Item code is not used by any published product');
+    });
+  });
+
+  describe('refreshEntityType', () => {
+    test('should refresh all prices from one bulk fetch', async () => {
+      const summary = await refreshEntityType('price');
+
+      expect(summary).toMatchObject({ total: 3, updated: 3, unchanged: 0, errors: [] });
+      expect(fetchAllItemPrices).toHaveBeenCalledWith(['WHEY-CHOC', 'WHEY-VAN', 'CREA-UNF']);
+      expect(fetchItemPrices).not.toHaveBeenCalled();
+      expect(JSON.parse(redis.hashes.get('hash:price:CREA-UNF').get('data'))).toEqual({
+        itemCode: 'CREA-UNF',
+        prices: [12, 0],
+      });
+    });
+
+    test('should not touch cached prices when the bulk fetch fails', async () => {
+      fetchAllItemPrices.mockRejectedValue(new Error('ERPNext timeout'));
+
+      const summary = await refreshEntityType('price');
+
+      expect(summary.errors).toEqual([{ error: 'ERPNext timeout' }]);
+      expect(redis.hashes.has('hash:price:WHEY-CHOC')).toBe(false);
+    });
+
+    test('should refresh all stock from one bulk Bin sweep', async () => {
+      const summary = await refreshEntityType('stock');
+
+      expect(summary).toMatchObject({ total: 3, updated: 3, unchanged: 0, errors: [] });
+      expect(fetchAllItemStock).toHaveBeenCalledTimes(1);
+      expect(fetchItemStock).not.toHaveBeenCalled();
+      const availability = (itemCode) => JSON.parse(redis.hashes.get(`hash:stock:${itemCode}`).get('data')).availability;
+      expect(availability('WHEY-CHOC')).toEqual([1, 1]);
+      expect(availability('CREA-UNF')).toEqual([0, 1]);
+      // No Bin with stock
+      expect(availability('WHEY-VAN')).toEqual([0, 0]);
+      expect(redis.hashes.has('hash:stock:NOT-PUBLISHED')).toBe(false);
+    });
+
+    test('should not touch cached stock when the Bin sweep fails', async () => {
+      fetchAllItemStock.mockRejectedValue(new Error('ERPNext timeout'));
+
+      const summary = await refreshEntityType('stock');
+
+      expect(summary.errors).toEqual([{ error: 'ERPNext timeout' }]);
+      expect(redis.hashes.has('hash:stock:WHEY-CHOC')).toBe(false);
+    });
+
+    test('should reject unknown entity types', async () => {
+      await expect(refreshEntityType('view')).rejects.toThrow('Unknown refresh entity type: view');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  fetchPublishedWebsiteItems: jest.fn(),
+  fetchProduct: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({}));
+jest.mock('../../../../src/services/price/price', () => ({
+  parseCustomVariant: jest.fn((value) => (value ? JSON.parse(value).sizes : [])),
+}));
+jest.mock('../../../../src/services/stock/stock', () => ({}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { fetchPublishedWebsiteItems, fetchProduct } = require('../../../../src/services/erpnext/client');
+const { refreshAllProducts } = require('../../../../src/services/sync/full-refresh');
+const { setCacheHash } = require('../../../../src/services/redis/cache');
+const { buildEntityForSync } = require('../../../../src/services/sync/change-detector');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const variants = (...itemCodes) => [{ size: 5, unit: 'lb', flavors: itemCodes.map((itemCode) => ({ itemCode })) }];
+const customVariant = (...itemCodes) => JSON.stringify({ sizes: variants(...itemCodes) });
+
+describe('Product removal in full refresh', () => {
+  let redis;
+  let published;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    published = {
+      'WEB-ITM-1': customVariant('WHEY-CHOC', 'WHEY-VAN'),
+      'WEB-ITM-2': customVariant('CREA-UNF', 'SHARED-1'),
+      'WEB-ITM-3': customVariant('SHARED-1'),
+    };
+    fetchPublishedWebsiteItems.mockImplementation(async () =>
+      Object.entries(published).map(([name, custom_variant]) => ({ name, custom_variant })));
+    fetchProduct.mockImplementation(async (name) => ({
+      erpnext_name: name,
+      variants: JSON.parse(published[name]).sizes,
+      prices: { '5lb': 10 },
+    }));
+
+    await refreshAllProducts();
+
+    for (const itemCode of ['WHEY-CHOC', 'WHEY-VAN', 'CREA-UNF', 'SHARED-1']) {
+      await setCacheHash('price', itemCode, { itemCode, prices: [10, 8] }, { data_hash: `p-${itemCode}`, version: '1' });
+      await setCacheHash('stock', itemCode, { itemCode, availability: [1] }, { data_hash: `s-${itemCode}`, version: '1' });
+      await redis.set(`price:${itemCode}`, '[10,8]');
+      await redis.set(`availability:${itemCode}`, '[1]');
+    }
+    await redis.set('price:WEB-ITM-2:5lb', '10');
+    await redis.set('product:query:abc', '[]');
+  });
+
+  test('should emit deletion markers and clean up keys of unpublished products', async () => {
+    delete published['WEB-ITM-2'];
+
+    const summary = await refreshAllProducts();
+
+    expect(summary).toMatchObject({ total: 2, removed: 1, errors: [] });
+    expect(redis.hashes.has('hash:product:WEB-ITM-2')).toBe(false);
+    expect(await redis.get('price:WEB-ITM-2:5lb')).toBeNull();
+    expect(await redis.get('product:query:abc')).toBeNull();
+
+    // Item codes only used by the removed product are deleted
+    expect(redis.hashes.has('hash:price:CREA-UNF')).toBe(false);
+    expect(redis.hashes.has('hash:stock:CREA-UNF')).toBe(false);
+    expect(await redis.get('price:CREA-UNF')).toBeNull();
+    expect(await redis.get('availability:CREA-UNF')).toBeNull();
+
+    // Shared item code is still published through WEB-ITM-3
+    expect(redis.hashes.has('hash:price:SHARED-1')).toBe(true);
+    expect(await redis.get('availability:SHARED-1')).toBe('[1]');
+
+    const [streamId, fields] = redis.getEntries('product_changes').pop();
+    expect(streamId).toBeDefined();
+    const entry = Object.fromEntries(Array.from({ length: fields.length / 2 }, (_, i) => [fields[i * 2], fields[i * 2 + 1]]));
+    expect(entry.entity_id).toBe('WEB-ITM-2');
+    expect(entry.version).toBe('2');
+    expect(buildEntityForSync('product', 'WEB-ITM-2', null, entry.data_hash)).toMatchObject({ deleted: true });
+
+    const priceEntityIds = redis.getEntries('price_changes').map(([, entryFields]) => entryFields[entryFields.indexOf('entity_id') + 1]);
+    expect(priceEntityIds).toEqual(['CREA-UNF']);
+  });
+
+  test('should not remove anything when ERPNext returns no published products', async () => {
+    published = {};
+
+    const summary = await refreshAllProducts();
+
+    expect(summary.removed).toBe(0);
+    expect(redis.hashes.has('hash:product:WEB-ITM-1')).toBe(true);
+  });
+
+  test('should report removals in a dry run without deleting', async () => {
+    delete published['WEB-ITM-3'];
+
+    const summary = await refreshAllProducts({ dryRun: true });
+
+    expect(summary.removed).toBe(1);
+    expect(summary.diff.removed).toEqual(['WEB-ITM-3']);
+    expect(redis.hashes.has('hash:product:WEB-ITM-3')).toBe(true);
+  });
+});
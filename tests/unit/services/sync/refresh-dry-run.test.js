@@ -0,0 +1,115 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  fetchPublishedWebsiteItems: jest.fn(),
+  fetchProduct: jest.fn(),
+  fetchAppHome: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({
+  transformAppHome: jest.fn(async ({ data }) => data),
+}));
+jest.mock('../../../../src/services/price/price', () => ({
+  parseCustomVariant: jest.fn(() => []),
+}));
+jest.mock('../../../../src/services/stock/stock', () => ({}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { fetchPublishedWebsiteItems, fetchProduct, fetchAppHome } = require('../../../../src/services/erpnext/client');
+const { refreshAllProducts, refreshAllHome, runRefreshDryRun } = require('../../../../src/services/sync/full-refresh');
+const {
+  getChangedFields,
+  startDryRunReport,
+  getDryRunReport,
+} = require('../../../../src/services/sync/refresh-dry-run');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+describe('Full refresh dry run', () => {
+  let redis;
+  let catalog;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+
+    catalog = {
+      'WEB-ITM-1': { erpnext_name: 'WEB-ITM-1', name: 'Whey', price: 10 },
+      'WEB-ITM-2': { erpnext_name: 'WEB-ITM-2', name: 'Creatine', price: 5 },
+      'WEB-ITM-3': { erpnext_name: 'WEB-ITM-3', name: 'BCAA', price: 7 },
+    };
+    fetchPublishedWebsiteItems.mockImplementation(async () => Object.keys(catalog).map((name) => ({ name })));
+    fetchProduct.mockImplementation(async (name) => catalog[name] || null);
+
+    await refreshAllProducts();
+  });
+
+  test('should report field-level diffs without writing cache or streams', async () => {
+    catalog['WEB-ITM-1'] = { erpnext_name: 'WEB-ITM-1', name: 'Whey Isolate', price: 12 };
+    delete catalog['WEB-ITM-2'];
+    catalog['WEB-ITM-4'] = { erpnext_name: 'WEB-ITM-4', name: 'Glutamine', price: 6 };
+
+    const cachedBefore = redis.hashes.get('hash:product:WEB-ITM-1').get('data');
+    const streamBefore = redis.getEntries('product_changes');
+
+    const summary = await refreshAllProducts({ dryRun: true });
+
+    expect(summary).toMatchObject({ dryRun: true, updated: 2, unchanged: 1, errors: [] });
+    expect(summary.diff).toEqual({
+      entityType: 'product',
+      added: ['WEB-ITM-4'],
+      changed: [{ entityId: 'WEB-ITM-1', fields: ['name', 'price'] }],
+      removed: ['WEB-ITM-2'],
+      unchanged: 1,
+    });
+
+    expect(redis.hashes.get('hash:product:WEB-ITM-1').get('data')).toBe(cachedBefore);
+    expect(redis.hashes.get('hash:product:WEB-ITM-1').get('version')).toBe('1');
+    expect(redis.hashes.has('hash:product:WEB-ITM-4')).toBe(false);
+    expect(redis.getEntries('product_changes')).toEqual(streamBefore);
+    // Dry runs do not touch the resumable progress of real runs
+    expect(redis.hashes.get('refresh:progress:product').get('updated')).toBe('3');
+  });
+
+  test('should diff single-entity types', async () => {
+    fetchAppHome.mockResolvedValue({ sections: ['hero'] });
+
+    const summary = await refreshAllHome({ dryRun: true });
+
+    expect(summary).toMatchObject({ updated: 1, unchanged: 0 });
+    expect(summary.diff.added).toEqual(['home']);
+    expect(redis.hashes.has('hash:home:home')).toBe(false);
+  });
+
+  test('should store a downloadable report', async () => {
+    catalog['WEB-ITM-3'] = { erpnext_name: 'WEB-ITM-3', name: 'BCAA', price: 8 };
+
+    const started = await startDryRunReport(['product']);
+    expect(await getDryRunReport('latest')).toMatchObject({ id: 'mock-uuid-123', status: 'running' });
+
+    await runRefreshDryRun(started);
+
+    const report = await getDryRunReport('mock-uuid-123');
+    expect(report).toMatchObject({
+      status: 'completed',
+      entityTypes: ['product'],
+      totals: { added: 0, changed: 1, removed: 0, unchanged: 2 },
+    });
+    expect(report.entities.product.changed).toEqual([{ entityId: 'WEB-ITM-3', fields: ['price'] }]);
+    expect(await getDryRunReport('unknown')).toBeNull();
+  });
+
+  describe('getChangedFields', () => {
+    test('should return sorted top-level field names', () => {
+      expect(getChangedFields(
+        { itemCode: 'A', prices: [1, 2], meta: { a: 1 } },
+        { itemCode: 'A', prices: [1, 3], meta: { a: 1, b: 2 }, extra: true }
+      )).toEqual(['extra', 'meta', 'prices']);
+      expect(getChangedFields({ a: 1 }, { a: 1 })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'job-1'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/sync/full-refresh', () => ({
+  refreshEntityType: jest.fn(),
+  refreshItemCode: jest.fn(),
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { refreshEntityType, refreshItemCode } = require('../../../../src/services/sync/full-refresh');
+const { startRefreshJob, runRefreshJob, getRefreshJob } = require('../../../../src/services/sync/refresh-jobs');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Refresh Jobs', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test('should record a queued job and complete it in the background', async () => {
+    refreshEntityType.mockResolvedValue({ total: 2, updated: 1, unchanged: 1, errors: [] });
+
+    const job = await startRefreshJob({ entityType: 'price' }, 'ADM1');
+    expect(job).toMatchObject({ id: 'job-1', status: 'queued', scope: { entityType: 'price' }, requestedBy: 'ADM1' });
+
+    await flush();
+    await flush();
+
+    const finished = await getRefreshJob('job-1');
+    expect(refreshEntityType).toHaveBeenCalledWith('price');
+    expect(finished).toMatchObject({
+      status: 'completed',
+      result: { total: 2, updated: 1, unchanged: 1, errors: [] },
+    });
+    expect(finished.startedAt).not.toBeNull();
+    expect(finished.finishedAt).not.toBeNull();
+    // Lock released right away so the next manual run is not blocked
+    expect(await redis.get('lock:job:full_refresh')).toBeNull();
+  });
+
+  test('should refresh a single item code without the full refresh lock', async () => {
+    await redis.set('lock:job:full_refresh', 'worker-2:1', 'PX', 60000, 'NX');
+    refreshItemCode.mockResolvedValue({ itemCode: 'WHEY-CHOC', price: 'updated', stock: 'unchanged' });
+
+    const finished = await runRefreshJob({ id: 'job-2', status: 'queued', scope: { itemCode: 'WHEY-CHOC' } });
+
+    expect(refreshItemCode).toHaveBeenCalledWith('WHEY-CHOC');
+    expect(finished).toMatchObject({ status: 'completed', result: { price: 'updated' } });
+  });
+
+  test('should fail an entity-type job while a full refresh holds the lock', async () => {
+    await redis.set('lock:job:full_refresh', 'worker-2:1', 'PX', 60000, 'NX');
+
+    const finished = await runRefreshJob({ id: 'job-3', status: 'queued', scope: { entityType: 'product' } });
+
+    expect(refreshEntityType).not.toHaveBeenCalled();
+    expect(finished).toMatchObject({ status: 'failed', error: 'A full refresh is already running' });
+    expect(await getRefreshJob('job-3')).toMatchObject({ status: 'failed' });
+  });
+
+  test('should record refresh errors as a failed job', async () => {
+    refreshItemCode.mockRejectedValue(new Error('Item code is not used by any published product'));
+
+    const finished = await runRefreshJob({ id: 'job-4', status: 'queued', scope: { itemCode: 'NOPE' } });
+
+    expect(finished).toMatchObject({ status: 'failed', error: 'Item code is not used by any published product' });
+    expect(await getRefreshJob('unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const {
+  runWorkerPool,
+  startRefreshProgress,
+  runTrackedRefresh,
+  getRefreshStatus,
+} = require('../../../../src/services/sync/refresh-progress');
+
+const itemCodes = (count) => Array.from({ length: count }, (_, i) => `ITEM-${i}`);
+const newSummary = () => ({ total: 0, updated: 0, unchanged: 0, errors: [] });
+
+describe('Refresh Progress', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  describe('runWorkerPool', () => {
+    test('should process every item with bounded concurrency', async () => {
+      let active = 0;
+      let peak = 0;
+      const seen = [];
+
+      await runWorkerPool(itemCodes(25), 4, async (item) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise((resolve) => setImmediate(resolve));
+        seen.push(item);
+        active--;
+      });
+
+      expect(peak).toBe(4);
+      expect(seen.sort()).toEqual(itemCodes(25).sort());
+    });
+  });
+
+  describe('runTrackedRefresh', () => {
+    test('should record counts and errors and leave failed items for the next run', async () => {
+      const summary = newSummary();
+      const worker = jest.fn(async (itemCode) => {
+        if (itemCode === 'ITEM-3') {
+          throw new Error('ERPNext timeout');
+        }
+        return itemCode === 'ITEM-0' ? 'updated' : 'unchanged';
+      });
+
+      await runTrackedRefresh('price', itemCodes(5), worker, summary, (itemCode, error) => ({
+        itemCode,
+        error: error.message,
+      }));
+
+      expect(summary).toMatchObject({ updated: 1, unchanged: 3, resumed: 0 });
+      expect(summary.errors).toEqual([{ itemCode: 'ITEM-3', error: 'ERPNext timeout' }]);
+
+      const { price } = await getRefreshStatus(['price']);
+      expect(price).toMatchObject({
+        status: 'completed',
+        total: 5,
+        processed: 4,
+        remaining: 1,
+        updated: 1,
+        unchanged: 3,
+        errors: 1,
+        etaSeconds: null,
+      });
+      expect(price.recentErrors[0]).toMatchObject({ itemCode: 'ITEM-3', error: 'ERPNext timeout' });
+      expect(price.finishedAt).not.toBeNull();
+    });
+
+    test('should resume an interrupted run from its checkpoint', async () => {
+      // First process dies after 150 items: 100 were checkpointed, the rest were still buffered
+      const interrupted = await startRefreshProgress('stock', itemCodes(300));
+      for (const itemCode of itemCodes(150)) {
+        await interrupted.record(itemCode, 'updated');
+      }
+
+      const interruptedStatus = await getRefreshStatus(['stock']);
+      expect(interruptedStatus.stock).toMatchObject({ status: 'running', processed: 100, remaining: 200 });
+      expect(interruptedStatus.stock.etaSeconds).not.toBeNull();
+
+      const summary = newSummary();
+      const worker = jest.fn(async () => 'unchanged');
+      await runTrackedRefresh('stock', itemCodes(300), worker, summary, () => ({}));
+
+      expect(summary.resumed).toBe(100);
+      expect(worker).toHaveBeenCalledTimes(200);
+      expect(worker).not.toHaveBeenCalledWith('ITEM-0');
+
+      const { stock } = await getRefreshStatus(['stock']);
+      expect(stock).toMatchObject({ status: 'completed', processed: 300, updated: 100, unchanged: 200 });
+      expect(stock.resumedAt).not.toBeNull();
+    });
+
+    test('should start over after a completed run or a stale checkpoint', async () => {
+      const worker = jest.fn(async () => 'unchanged');
+      await runTrackedRefresh('product', itemCodes(3), worker, newSummary(), () => ({}));
+
+      const summary = newSummary();
+      await runTrackedRefresh('product', itemCodes(3), worker, summary, () => ({}));
+      expect(summary.resumed).toBe(0);
+      expect(worker).toHaveBeenCalledTimes(6);
+
+      // Interrupted two days ago: outside the resume window
+      const stale = await startRefreshProgress('product', itemCodes(3));
+      for (const itemCode of itemCodes(3)) {
+        await stale.record(itemCode, 'unchanged');
+      }
+      await stale.fail(new Error('killed'));
+      await redis.hset('refresh:progress:product', 'updated_at', Date.now() - 48 * 60 * 60 * 1000);
+
+      const fresh = newSummary();
+      await runTrackedRefresh('product', itemCodes(3), worker, fresh, () => ({}));
+      expect(fresh.resumed).toBe(0);
+    });
+
+    test('should not count errors of retried items twice on resume', async () => {
+      // A run that recorded one error, then failed
+      const tracker = await startRefreshProgress('price', itemCodes(3));
+      await tracker.record('ITEM-0', 'unchanged');
+      await tracker.recordError({ itemCode: 'ITEM-1', error: 'ERPNext timeout' });
+      await tracker.fail(new Error('Redis down'));
+
+      const summary = newSummary();
+      await runTrackedRefresh('price', itemCodes(3), async () => 'updated', summary, () => ({}));
+
+      expect(summary.resumed).toBe(1);
+      const { price } = await getRefreshStatus(['price']);
+      expect(price).toMatchObject({ status: 'completed', processed: 3, errors: 0, recentErrors: [] });
+    });
+  });
+
+  describe('getRefreshStatus', () => {
+    test('should report types that never ran', async () => {
+      expect(await getRefreshStatus(['product'])).toEqual({ product: { status: 'never_run' } });
+    });
+
+    test('should report failed runs as interrupted and resumable', async () => {
+      const tracker = await startRefreshProgress('stock', itemCodes(3));
+      await tracker.fail(new Error('Redis down'));
+
+      const { stock } = await getRefreshStatus(['stock']);
+      expect(stock).toMatchObject({ status: 'interrupted', resumable: true, lastError: 'Redis down', etaSeconds: null });
+    });
+
+    test('should report runs of a dead process as interrupted once they can no longer resume', async () => {
+      const tracker = await startRefreshProgress('stock', itemCodes(300));
+      for (const itemCode of itemCodes(100)) {
+        await tracker.record(itemCode, 'updated');
+      }
+      await redis.hset('refresh:progress:stock', 'updated_at', Date.now() - 48 * 60 * 60 * 1000);
+
+      const { stock } = await getRefreshStatus(['stock']);
+      expect(stock).toMatchObject({ status: 'interrupted', resumable: false, processed: 100, etaSeconds: null });
+    });
+  });
+});
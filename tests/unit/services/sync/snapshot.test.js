@@ -0,0 +1,88 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { getEntitySnapshot } = require('../../../../src/services/sync/snapshot');
+
+/**
+ * Build a Redis mock that serves hash keys over two SCAN pages
+ */
+function createRedisMock(hashes, lastStreamId) {
+  const keys = Object.keys(hashes);
+  return {
+    xrevrange: jest.fn(async () => (lastStreamId ? [[lastStreamId, []]] : [])),
+    scan: jest.fn(async (cursor) => (cursor === '0'
+      ? ['1', keys.slice(0, 2)]
+      : ['0', keys.slice(1)])),
+    pipeline: jest.fn(() => {
+      const queued = [];
+      return {
+        hgetall: (key) => queued.push(key),
+        exec: async () => queued.map((key) => [null, hashes[key]]),
+      };
+    }),
+  };
+}
+
+const hashEntry = (data, version = '1') => ({
+  data: JSON.stringify(data),
+  data_hash: `hash-${version}`,
+  updated_at: '1700000000000',
+  version,
+});
+
+describe('Sync Snapshot', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should return every cached entity of the type with a fresh cursor', async () => {
+    getRedisClient.mockReturnValue(createRedisMock({
+      'hash:product:WEB-ITM-0002': hashEntry({ itemCode: 'ITM-0002' }, '3'),
+      'hash:product:WEB-ITM-0001': hashEntry({ itemCode: 'ITM-0001' }),
+      'hash:product:WEB-ITM-0003': hashEntry({ deleted: true }),
+    }, '1700000000000-4'));
+
+    const snapshot = await getEntitySnapshot('product');
+
+    expect(snapshot.lastIds).toEqual({ product: '1700000000000-4' });
+    expect(snapshot.count).toBe(2);
+    expect(snapshot.entities).toEqual([
+      {
+        entity_type: 'product',
+        entity_id: 'WEB-ITM-0001',
+        data: { itemCode: 'ITM-0001' },
+        updated_at: '1700000000000',
+        version: '1',
+        data_hash: 'hash-1',
+      },
+      {
+        entity_type: 'product',
+        entity_id: 'WEB-ITM-0002',
+        data: { itemCode: 'ITM-0002' },
+        updated_at: '1700000000000',
+        version: '3',
+        data_hash: 'hash-3',
+      },
+    ]);
+  });
+
+  test('should apply notification targeting and visibility', async () => {
+    getRedisClient.mockReturnValue(createRedisMock({
+      'hash:notification:ntf_1': hashEntry({ status: 'active', target: { groups: ['retail'] } }),
+      'hash:notification:ntf_2': hashEntry({ status: 'active', target: { groups: ['wholesale'] } }),
+      'hash:notification:ntf_3': hashEntry({ status: 'scheduled', target: { groups: ['all'] } }),
+    }, null));
+
+    const snapshot = await getEntitySnapshot('notification', {
+      userId: 'USR1',
+      userGroups: ['retail'],
+      isRegistered: true,
+    });
+
+    expect(snapshot.lastIds).toEqual({ notification: '0-0' });
+    expect(snapshot.entities.map((entity) => entity.entity_id)).toEqual(['ntf_1']);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const {
+  addStreamEntry,
+  removeExistingStreamEntries,
+  rebuildStreamIndex,
+  ensureStreamIndexes,
+  trimStream,
+} = require('../../../../src/services/sync/stream-manager');
+
+const entityIds = (redis, streamName) => redis.getEntries(streamName).map(([, fields]) => fields[3]);
+
+describe('Stream Manager', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  describe('addStreamEntry', () => {
+    test('should replace previous entry through the index, even far back in the stream', async () => {
+      await addStreamEntry('product', 'WEB-ITM-0001', 'hash-1', '1');
+      for (let i = 0; i < 1500; i++) {
+        await addStreamEntry('product', `OTHER-${i}`, 'hash', '1');
+      }
+      const streamId = await addStreamEntry('product', 'WEB-ITM-0001', 'hash-2', '2');
+
+      const ids = entityIds(redis, 'product_changes');
+      expect(ids.filter((id) => id === 'WEB-ITM-0001')).toHaveLength(1);
+      expect(ids[ids.length - 1]).toBe('WEB-ITM-0001');
+      expect(redis.hashes.get('product_changes:latest').get('WEB-ITM-0001')).toBe(streamId);
+      expect(redis.calls.xrevrange).toBeUndefined();
+    });
+
+    test('should keep previous entry when replaceExisting is false', async () => {
+      await addStreamEntry('stock', 'ITEM-1', 'hash-1', '1');
+      await addStreamEntry('stock', 'ITEM-1', 'hash-2', '2', null, false);
+
+      expect(entityIds(redis, 'stock_changes')).toEqual(['ITEM-1', 'ITEM-1']);
+    });
+
+    test('should store extra fields on the entry', async () => {
+      await addStreamEntry('notification', 'ntf_1', 'hash', '1', 'key-1', true, { target_groups: ['retail'] });
+
+      const [, fields] = redis.getEntries('notification_changes')[0];
+      expect(fields).toEqual([
+        'entity_type', 'notification',
+        'entity_id', 'ntf_1',
+        'data_hash', 'hash',
+        'version', '1',
+        'idempotency_key', 'key-1',
+        'target_groups', '["retail"]',
+      ]);
+    });
+  });
+
+  describe('removeExistingStreamEntries', () => {
+    test('should delete the indexed entry', async () => {
+      await addStreamEntry('price', 'ITEM-1', 'hash', '1');
+      await addStreamEntry('price', 'ITEM-2', 'hash', '1');
+
+      expect(await removeExistingStreamEntries('price', 'ITEM-1')).toBe(1);
+      expect(await removeExistingStreamEntries('price', 'ITEM-1')).toBe(0);
+      expect(entityIds(redis, 'price_changes')).toEqual(['ITEM-2']);
+    });
+  });
+
+  describe('rebuildStreamIndex', () => {
+    test('should dedupe and index streams written before the index existed', async () => {
+      for (const entityId of ['A', 'B', 'A', 'C', 'B', 'A']) {
+        await redis.xadd('product_changes', '*', 'entity_type', 'product', 'entity_id', entityId);
+      }
+
+      const rebuilt = await ensureStreamIndexes(['product', 'price']);
+
+      expect(rebuilt).toEqual({ product: { indexed: 3, removed: 3 } });
+      expect(entityIds(redis, 'product_changes')).toEqual(['C', 'B', 'A']);
+
+      await addStreamEntry('product', 'C', 'hash', '2');
+      expect(entityIds(redis, 'product_changes')).toEqual(['B', 'A', 'C']);
+    });
+
+    test('should page through long streams', async () => {
+      for (let i = 0; i < 25; i++) {
+        await redis.xadd('view_changes', '*', 'entity_type', 'view', 'entity_id', `P${i % 10}`);
+      }
+
+      expect(await rebuildStreamIndex('view', 7)).toEqual({ indexed: 10, removed: 15 });
+      expect(redis.getEntries('view_changes')).toHaveLength(10);
+    });
+  });
+
+  describe('trimStream', () => {
+    test('should drop index fields of trimmed entries', async () => {
+      for (const entityId of ['A', 'B', 'C', 'D']) {
+        await addStreamEntry('wishlist', entityId, 'hash', '1');
+      }
+
+      expect(await trimStream('wishlist', 2)).toBe(2);
+
+      expect(Array.from(redis.hashes.get('wishlist_changes:latest').keys())).toEqual(['C', 'D']);
+      // A trimmed entity written again is indexed anew
+      await addStreamEntry('wishlist', 'A', 'hash', '2');
+      expect(entityIds(redis, 'wishlist_changes')).toEqual(['C', 'D', 'A']);
+    });
+  });
+});
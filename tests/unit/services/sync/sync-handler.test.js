@@ -0,0 +1,101 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/messaging/message-filter', () => ({
+  filterMessages: jest.fn(async (entries, userId) => entries.filter((entry) => entry.fields.entity_id === `M${userId}`)),
+}));
+jest.mock('../../../../src/services/sync/change-detector', () => ({
+  filterEntriesNeedingSync: jest.fn(async (entries) => entries),
+  prefetchCacheHashes: jest.fn(async () => new Map()),
+  getPrefetched: jest.fn(() => null),
+  buildEntityForSync: jest.fn((entityType, entityId) => ({
+    entity_type: entityType,
+    entity_id: entityId,
+    data: { name: entityId },
+  })),
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { processSync } = require('../../../../src/services/sync/sync-handler');
+
+/**
+ * Build a Redis mock holding streams as {streamName: [[id, fields], ...]}
+ * and trim watermarks as {key: streamId}
+ */
+function createRedisMock(streams, strings = {}) {
+  return {
+    get: jest.fn(async (key) => strings[key] || null),
+    xlen: jest.fn(async (name) => (streams[name] || []).length),
+    xrange: jest.fn(async (name) => (streams[name] || []).slice(0, 1)),
+    xrevrange: jest.fn(async (name) => (streams[name] || []).slice(-1)),
+    xread: jest.fn(async (...args) => {
+      const names = args.slice(args.indexOf('STREAMS') + 1);
+      const half = names.length / 2;
+      return names.slice(0, half).map((name, index) => [
+        name,
+        (streams[name] || []).filter(([id]) => id > names[half + index]),
+      ]);
+    }),
+  };
+}
+
+const entry = (id, entityType, entityId) => [
+  id,
+  ['entity_type', entityType, 'entity_id', entityId, 'data_hash', `hash-${entityId}`],
+];
+
+describe('Sync Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRedisClient.mockReturnValue(createRedisMock({
+      product_changes: [entry('100-0', 'product', 'P1'), entry('200-0', 'product', 'P2')],
+      stock_changes: [entry('150-0', 'stock', 'S1'), entry('160-0', 'stock', 'S2')],
+      message_changes: [entry('300-0', 'message', 'M1'), entry('310-0', 'message', 'M2')],
+    }, {
+      'product_changes:trimmed': '100-0',
+    }));
+  });
+
+  test('should require resync when cursor is older than the trim watermark', async () => {
+    const result = await processSync({ product: '50-0', stock: '150-0' }, ['product', 'stock']);
+
+    expect(result.inSync).toBe(false);
+    expect(result.resyncRequired).toBe(true);
+    expect(result.resyncTypes).toEqual(['product']);
+    // Other types still sync normally; the stale cursor is left untouched
+    expect(result.updates.map((update) => update.entity_id)).toEqual(['S2']);
+    expect(result.lastIds).toEqual({ product: '50-0', stock: '160-0' });
+  });
+
+  test('should require resync for an initial sync of a trimmed stream', async () => {
+    const result = await processSync({}, ['product', 'stock']);
+
+    expect(result.resyncRequired).toBe(true);
+    expect(result.resyncTypes).toEqual(['product']);
+    expect(result.updates.map((update) => update.entity_id)).toEqual(['S1', 'S2']);
+  });
+
+  test('should not treat initial sync of a never-trimmed stream or current cursors as a gap', async () => {
+    const result = await processSync({ product: '100-0' }, ['product', 'stock']);
+
+    expect(result.resyncRequired).toBeUndefined();
+    expect(result.updates.map((update) => update.entity_id)).toEqual(['P2', 'S1', 'S2']);
+  });
+
+  test('should not treat entries removed by dedupe as a gap', async () => {
+    // stock was never trimmed: its older entries were superseded, not lost
+    const result = await processSync({ stock: '140-0' }, ['stock']);
+
+    expect(result.resyncRequired).toBeUndefined();
+    expect(result.updates.map((update) => update.entity_id)).toEqual(['S1', 'S2']);
+  });
+
+  test('should only return messages to the authenticated owner', async () => {
+    const anonymous = await processSync({}, ['message'], 100, '1');
+    expect(anonymous.inSync).toBe(true);
+
+    const owner = await processSync({}, ['message'], 100, '1', [], null, null, null, null, true, '1');
+    expect(owner.updates.map((update) => update.entity_id)).toEqual(['M1']);
+  });
+});
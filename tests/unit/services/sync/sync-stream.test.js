@@ -0,0 +1,137 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/sync/sync-handler', () => ({
+  processSync: jest.fn(),
+  ENTITY_FREQUENCIES: {
+    fast: ['view'],
+    medium: ['stock', 'notification'],
+    slow: ['product'],
+  },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { processSync } = require('../../../../src/services/sync/sync-handler');
+const {
+  encodeCursor,
+  decodeCursor,
+  formatSseEvent,
+  maxStreamId,
+  streamSyncUpdates,
+} = require('../../../../src/services/sync/sync-stream');
+
+describe('Sync Stream', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('cursors', () => {
+    test('should round-trip cursors through Last-Event-ID encoding', () => {
+      const cursors = { stock: '1700000000000-0', notification: '1700000000001-3' };
+
+      expect(decodeCursor(encodeCursor(cursors))).toEqual(cursors);
+    });
+
+    test('should reject malformed or unknown cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(encodeCursor({ stock: 'abc' }))).toBeNull();
+      expect(decodeCursor(encodeCursor({ secrets: '1-0' }))).toBeNull();
+    });
+
+    test('should pick the later stream ID', () => {
+      expect(maxStreamId('1700000000000-5', '1700000000000-12')).toBe('1700000000000-12');
+      expect(maxStreamId('1700000000001-0', '1700000000000-99')).toBe('1700000000001-0');
+      expect(maxStreamId(null, '1-0')).toBe('1-0');
+    });
+
+    test('should format SSE events', () => {
+      expect(formatSseEvent({ id: 'abc', event: 'sync', data: { inSync: false } }))
+        .toBe('id: abc\nevent: sync\ndata: {"inSync":false}\n\n');
+    });
+  });
+
+  describe('streamSyncUpdates', () => {
+    test('should push processSync payloads and advance cursors past filtered entries', async () => {
+      const controller = new AbortController();
+      const blockingRedis = {
+        xread: jest.fn()
+          .mockResolvedValueOnce(null)
+          .mockResolvedValueOnce([
+            ['notification_changes', [['5-0', []], ['7-0', []]]],
+          ])
+          .mockImplementationOnce(async () => {
+            controller.abort();
+            return null;
+          }),
+        disconnect: jest.fn(),
+      };
+      getRedisClient.mockReturnValue({ duplicate: () => blockingRedis });
+      processSync.mockResolvedValue({
+        inSync: false,
+        updates: [{ entity_type: 'notification', entity_id: 'ntf_1' }],
+        lastIds: { notification: '5-0' },
+      });
+
+      const onUpdate = jest.fn();
+      const onHeartbeat = jest.fn();
+
+      const finalCursors = await streamSyncUpdates({
+        entityTypes: ['stock', 'notification'],
+        cursors: { stock: '1-0', notification: '4-0' },
+        limit: 50,
+        userContext: { userId: 'USR1', userGroups: ['retail'], userDeviceId: 'device-1' },
+        onUpdate,
+        onHeartbeat,
+        signal: controller.signal,
+      });
+
+      expect(onHeartbeat).toHaveBeenCalledTimes(1);
+      expect(processSync).toHaveBeenCalledWith(
+        { notification: '4-0' },
+        ['notification'],
+        50,
+        'USR1',
+        ['retail'],
+        null,
+        null,
+        null,
+        'device-1',
+        true,
+        null
+      );
+      expect(onUpdate).toHaveBeenCalledTimes(1);
+      expect(onUpdate.mock.calls[0][0].updates).toHaveLength(1);
+      expect(onUpdate.mock.calls[0][1]).toEqual({ stock: '1-0', notification: '7-0' });
+      expect(finalCursors).toEqual({ stock: '1-0', notification: '7-0' });
+      expect(blockingRedis.disconnect).toHaveBeenCalled();
+    });
+
+    test('should not emit when every entry is filtered out for the user', async () => {
+      const controller = new AbortController();
+      const blockingRedis = {
+        xread: jest.fn()
+          .mockImplementationOnce(async () => [['stock_changes', [['9-0', []]]]])
+          .mockImplementationOnce(async () => {
+            controller.abort();
+            return null;
+          }),
+        disconnect: jest.fn(),
+      };
+      getRedisClient.mockReturnValue({ duplicate: () => blockingRedis });
+      processSync.mockResolvedValue({ inSync: true });
+
+      const onUpdate = jest.fn();
+      const finalCursors = await streamSyncUpdates({
+        entityTypes: ['stock'],
+        cursors: { stock: '1-0' },
+        onUpdate,
+        onHeartbeat: jest.fn(),
+        signal: controller.signal,
+      });
+
+      expect(onUpdate).not.toHaveBeenCalled();
+      expect(finalCursors).toEqual({ stock: '9-0' });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+const {
+  addToWishlist,
+  removeFromWishlist,
+  incrementProductViews,
+} = require('../../../../src/services/analytics/analytics');
+const { processSync, processFastSync, ENTITY_FREQUENCIES } = require('../../../../src/services/sync/sync-handler');
+const { filterUserScopedEntries } = require('../../../../src/services/sync/user-scope-filter');
+const { RECENT_VIEW_LIMIT } = require('../../../../src/services/analytics/user-sync');
+
+const syncFor = (authenticatedUserId, entityTypes = ['wishlist', 'recent_view'], lastSync = {}) =>
+  processSync(lastSync, entityTypes, 100, null, [], null, null, null, null, true, authenticatedUserId);
+
+describe('User-Scoped Sync (wishlist, recent_view)', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  test('should be part of the fast bucket', () => {
+    expect(ENTITY_FREQUENCIES.fast).toEqual(expect.arrayContaining(['wishlist', 'recent_view']));
+  });
+
+  test('should sync wishlist changes to the owner only', async () => {
+    await addToWishlist('U1', 'WEB-ITM-0001');
+    await addToWishlist('U1', 'WEB-ITM-0002');
+    await addToWishlist('U2', 'WEB-ITM-0003');
+
+    const own = await syncFor('U1', ['wishlist']);
+    const other = await syncFor('U2', ['wishlist']);
+    const anonymous = await syncFor(null, ['wishlist']);
+
+    expect(own.updates).toHaveLength(1);
+    expect(own.updates[0]).toMatchObject({
+      entity_type: 'wishlist',
+      entity_id: 'U1',
+      data: { userId: 'U1', items: ['WEB-ITM-0001', 'WEB-ITM-0002'] },
+      version: '2',
+    });
+    expect(other.updates.map((update) => update.entity_id)).toEqual(['U2']);
+    expect(anonymous).toEqual({ inSync: true });
+  });
+
+  test('should deliver removals as a new wishlist version', async () => {
+    await addToWishlist('U1', 'WEB-ITM-0001');
+    const first = await syncFor('U1', ['wishlist']);
+
+    await removeFromWishlist('U1', 'WEB-ITM-0001');
+    const second = await syncFor('U1', ['wishlist'], first.lastIds);
+
+    expect(second.updates).toHaveLength(1);
+    expect(second.updates[0].data.items).toEqual([]);
+    expect(second.updates[0].version).toBe('2');
+  });
+
+  test('should keep recently viewed products newest first without duplicates', async () => {
+    await incrementProductViews('WEB-ITM-0001', 'U1');
+    await incrementProductViews('WEB-ITM-0002', 'U1');
+    await incrementProductViews('WEB-ITM-0001', 'U1');
+    await incrementProductViews('WEB-ITM-0003');
+
+    const result = await processFastSync({}, 100, 'U1');
+    const recent = result.updates.find((update) => update.entity_type === 'recent_view');
+
+    expect(recent.entity_id).toBe('U1');
+    expect(recent.data.items.map((item) => item.productName)).toEqual(['WEB-ITM-0001', 'WEB-ITM-0002']);
+    expect(RECENT_VIEW_LIMIT).toBe(50);
+  });
+
+  test('should return no fast-bucket user entities without authentication', async () => {
+    await incrementProductViews('WEB-ITM-0001', 'U1');
+    await addToWishlist('U1', 'WEB-ITM-0001');
+
+    const result = await processFastSync({}, 100);
+
+    expect(result).toEqual({ inSync: true });
+  });
+
+  test('should drop entries whose cached owner differs', async () => {
+    await addToWishlist('U1', 'WEB-ITM-0001');
+    const entries = redis.getEntries('wishlist_changes').map(([id, fields]) => ({
+      id,
+      fields: { entity_type: fields[1], entity_id: fields[3] },
+    }));
+
+    expect(await filterUserScopedEntries('wishlist', entries, 'U1')).toHaveLength(1);
+    expect(await filterUserScopedEntries('wishlist', entries, 'U2')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,256 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid-123'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/erpnext/client', () => ({
+  createErpnextClient: jest.fn(),
+  fetchPublishedWebsiteItems: jest.fn(),
+  fetchProduct: jest.fn(),
+  fetchItemPrices: jest.fn(),
+  fetchHeroImages: jest.fn(),
+  fetchAppHome: jest.fn(),
+}));
+jest.mock('../../../../src/services/cache/transformer', () => ({
+  transformHeroImages: jest.fn(async (erpnextData) => ({
+    heroImages: erpnextData.data.map((item) => item.file_url),
+  })),
+  transformAppHome: jest.fn(async (erpnextData) => ({ ...erpnextData.data })),
+}));
+jest.mock('../../../../src/services/stock/stock', () => ({}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const {
+  fetchPublishedWebsiteItems,
+  fetchProduct,
+  fetchItemPrices,
+  fetchHeroImages,
+  fetchAppHome,
+} = require('../../../../src/services/erpnext/client');
+const { processWebhook } = require('../../../../src/services/webhooks/unified-handler');
+const { setCacheHash } = require('../../../../src/services/redis/cache');
+const { buildEntityForSync } = require('../../../../src/services/sync/change-detector');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+const customVariant = (...itemCodes) => JSON.stringify({
+  sizes: [{ size: 5, unit: 'lb', flavors: itemCodes.map((itemCode) => ({ itemCode })) }],
+});
+
+/**
+ * Get the last stream entry of an entity type as an object
+ */
+function lastStreamEntry(redis, entityType) {
+  const entries = redis.getEntries(`${entityType}_changes`);
+  if (entries.length === 0) {
+    return null;
+  }
+  const [, fields] = entries[entries.length - 1];
+  return Object.fromEntries(Array.from({ length: fields.length / 2 }, (_, i) => [fields[i * 2], fields[i * 2 + 1]]));
+}
+
+describe('Unified webhook handler', () => {
+  let redis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  describe('product', () => {
+    beforeEach(() => {
+      fetchPublishedWebsiteItems.mockResolvedValue([
+        { name: 'WEB-ITM-1', custom_variant: customVariant('SHARED-1') },
+      ]);
+    });
+
+    test('should refresh a product on update', async () => {
+      fetchProduct.mockResolvedValue({ erpnext_name: 'WEB-ITM-1', item_name: 'Whey' });
+
+      const result = await processWebhook('product', { action: 'update', erpnextName: 'WEB-ITM-1' });
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(JSON.parse(redis.hashes.get('hash:product:WEB-ITM-1').get('data'))).toEqual({
+        erpnext_name: 'WEB-ITM-1',
+        item_name: 'Whey',
+      });
+      expect(lastStreamEntry(redis, 'product').entity_id).toBe('WEB-ITM-1');
+
+      // Same data again
+      expect(await processWebhook('product', { erpnextName: 'WEB-ITM-1' })).toEqual({ changed: false, outcome: 'unchanged' });
+    });
+
+    test('should use the event ID as the idempotency key of stream entries', async () => {
+      fetchProduct.mockResolvedValue({ erpnext_name: 'WEB-ITM-1', item_name: 'Whey' });
+
+      await processWebhook('product', { erpnextName: 'WEB-ITM-1' }, 'evt-42');
+
+      expect(lastStreamEntry(redis, 'product').idempotency_key).toBe('evt-42');
+    });
+
+    test('should emit deletion markers on delete', async () => {
+      await setCacheHash('product', 'WEB-ITM-2', {
+        erpnext_name: 'WEB-ITM-2',
+        variants: [{ size: 5, unit: 'lb', flavors: [{ itemCode: 'ONLY-2' }, { itemCode: 'SHARED-1' }] }],
+      }, { version: '3' });
+      await setCacheHash('price', 'ONLY-2', { itemCode: 'ONLY-2', prices: [10, 8] }, { version: '1' });
+      await setCacheHash('price', 'SHARED-1', { itemCode: 'SHARED-1', prices: [20, 18] }, { version: '1' });
+
+      const result = await processWebhook('product', { action: 'delete', erpnextName: 'WEB-ITM-2' });
+
+      expect(result).toEqual({ changed: true, outcome: 'removed' });
+      expect(redis.hashes.has('hash:product:WEB-ITM-2')).toBe(false);
+      const entry = lastStreamEntry(redis, 'product');
+      expect(entry.version).toBe('4');
+      expect(buildEntityForSync('product', 'WEB-ITM-2', null, entry.data_hash)).toMatchObject({ deleted: true });
+
+      // Item codes of other published products are kept
+      expect(redis.hashes.has('hash:price:ONLY-2')).toBe(false);
+      expect(redis.hashes.has('hash:price:SHARED-1')).toBe(true);
+      expect(fetchProduct).not.toHaveBeenCalled();
+    });
+
+    test('should refresh instead of deleting a product that is still published', async () => {
+      fetchProduct.mockResolvedValue({ erpnext_name: 'WEB-ITM-1' });
+
+      const result = await processWebhook('product', { action: 'delete', erpnextName: 'WEB-ITM-1' });
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(redis.hashes.has('hash:product:WEB-ITM-1')).toBe(true);
+    });
+
+    test('should throw when ERPNext fails so the queue retries', async () => {
+      fetchProduct.mockRejectedValue(new Error('ERPNext timeout'));
+
+      await expect(processWebhook('product', { erpnextName: 'WEB-ITM-1' })).rejects.toThrow('ERPNext timeout');
+    });
+  });
+
+  describe('price', () => {
+    test('should update the item price on update', async () => {
+      fetchItemPrices.mockResolvedValue({ retail: 30, wholesale: 25 });
+
+      const result = await processWebhook('price', { itemCode: 'WHEY-CHOC' });
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(await redis.get('price:WHEY-CHOC')).toBe(JSON.stringify([30, 25]));
+      expect(lastStreamEntry(redis, 'price').entity_id).toBe('WHEY-CHOC');
+
+      expect(await processWebhook('price', { itemCode: 'WHEY-CHOC' })).toEqual({ changed: false, outcome: 'unchanged' });
+    });
+
+    test('should emit a deletion marker when the item has no prices left', async () => {
+      fetchItemPrices.mockResolvedValue({ retail: 30, wholesale: 25 });
+      await processWebhook('price', { itemCode: 'WHEY-CHOC' });
+      fetchItemPrices.mockResolvedValue({ retail: null, wholesale: null });
+
+      const result = await processWebhook('price', { action: 'delete', itemCode: 'WHEY-CHOC' }, 'evt-delete');
+
+      expect(result).toEqual({ changed: true, outcome: 'removed' });
+      expect(redis.hashes.has('hash:price:WHEY-CHOC')).toBe(false);
+      expect(await redis.get('price:WHEY-CHOC')).toBeNull();
+      const entry = lastStreamEntry(redis, 'price');
+      expect(entry.idempotency_key).toBe('evt-delete');
+      expect(buildEntityForSync('price', 'WHEY-CHOC', null, entry.data_hash)).toMatchObject({ deleted: true });
+    });
+
+    test('should keep the remaining price list on delete', async () => {
+      fetchItemPrices.mockResolvedValue({ retail: 30, wholesale: null });
+
+      const result = await processWebhook('price', { action: 'delete', itemCode: 'WHEY-CHOC' });
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(JSON.parse(redis.hashes.get('hash:price:WHEY-CHOC').get('data'))).toEqual({
+        itemCode: 'WHEY-CHOC',
+        prices: [30, 0],
+      });
+    });
+
+    test('should keep the cached price when the ERPNext request fails on delete', async () => {
+      fetchItemPrices.mockResolvedValue({ retail: 30, wholesale: 25 });
+      await processWebhook('price', { itemCode: 'WHEY-CHOC' });
+      const streamLength = await redis.xlen('price_changes');
+      fetchItemPrices.mockRejectedValue(new Error('ERPNext timeout'));
+
+      await expect(processWebhook('price', { action: 'delete', itemCode: 'WHEY-CHOC' })).rejects.toThrow('ERPNext timeout');
+
+      expect(fetchItemPrices).toHaveBeenLastCalledWith('WHEY-CHOC', { throwOnError: true });
+      expect(redis.hashes.has('hash:price:WHEY-CHOC')).toBe(true);
+      expect(await redis.get('price:WHEY-CHOC')).toBe(JSON.stringify([30, 25]));
+      expect(await redis.xlen('price_changes')).toBe(streamLength);
+    });
+
+    test('should throw when the price update fails', async () => {
+      fetchItemPrices.mockRejectedValue(new Error('ERPNext timeout'));
+
+      await expect(processWebhook('price', { itemCode: 'WHEY-CHOC' })).rejects.toThrow('Failed to update item price');
+    });
+  });
+
+  describe('hero and home', () => {
+    test('should refresh hero images on update', async () => {
+      fetchHeroImages.mockResolvedValue(['/files/hero-1.jpg']);
+
+      const result = await processWebhook('hero', {});
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(JSON.parse(redis.hashes.get('hash:hero:hero').get('data'))).toEqual({ heroImages: ['/files/hero-1.jpg'] });
+    });
+
+    test('should emit a deletion marker when hero images are gone', async () => {
+      fetchHeroImages.mockResolvedValue(['/files/hero-1.jpg']);
+      await processWebhook('hero', {});
+      fetchHeroImages.mockResolvedValue([]);
+
+      const result = await processWebhook('hero', { action: 'delete' });
+
+      expect(result).toEqual({ changed: true, outcome: 'removed' });
+      expect(redis.hashes.has('hash:hero:hero')).toBe(false);
+      const entry = lastStreamEntry(redis, 'hero');
+      expect(buildEntityForSync('hero', 'hero', null, entry.data_hash)).toMatchObject({ deleted: true });
+    });
+
+    test('should refresh home on a delete while App Home still exists', async () => {
+      fetchAppHome.mockResolvedValue({ top_sellers: '[]' });
+
+      const result = await processWebhook('home', { action: 'delete' });
+
+      expect(result).toEqual({ changed: true, outcome: 'updated' });
+      expect(redis.hashes.has('hash:home:home')).toBe(true);
+    });
+
+    test('should emit a deletion marker when App Home is gone', async () => {
+      await setCacheHash('home', 'home', { top_sellers: [] }, { version: '2' });
+      fetchAppHome.mockResolvedValue(null);
+
+      const result = await processWebhook('home', { action: 'delete' });
+
+      expect(result).toEqual({ changed: true, outcome: 'removed' });
+      expect(lastStreamEntry(redis, 'home').version).toBe('3');
+    });
+
+    test('should keep hero and home when the ERPNext request fails on delete', async () => {
+      fetchHeroImages.mockResolvedValue(['/files/hero-1.jpg']);
+      await processWebhook('hero', {});
+      await setCacheHash('home', 'home', { top_sellers: [] }, { version: '2' });
+      fetchHeroImages.mockRejectedValue(new Error('ERPNext timeout'));
+      fetchAppHome.mockRejectedValue(new Error('ERPNext timeout'));
+
+      await expect(processWebhook('hero', { action: 'delete' })).rejects.toThrow('ERPNext timeout');
+      await expect(processWebhook('home', { action: 'delete' })).rejects.toThrow('ERPNext timeout');
+
+      expect(fetchHeroImages).toHaveBeenLastCalledWith({ throwOnError: true });
+      expect(fetchAppHome).toHaveBeenLastCalledWith({ throwOnError: true });
+      expect(redis.hashes.has('hash:hero:hero')).toBe(true);
+      expect(redis.hashes.has('hash:home:home')).toBe(true);
+    });
+
+    test('should throw refresh errors so the queue retries', async () => {
+      fetchAppHome.mockRejectedValue(new Error('ERPNext timeout'));
+
+      await expect(processWebhook('home', {})).rejects.toThrow('ERPNext timeout');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+let mockUuidCount = 0;
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => `mock-uuid-${++mockUuidCount}`),
+}));
+jest.mock('../../../../src/services/redis/client');
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const {
+  WEBHOOK_EVENT_TTL_SECONDS,
+  WEBHOOK_DERIVED_EVENT_TTL_SECONDS,
+  resolveWebhookEventId,
+  claimWebhookEvent,
+  getWebhookEvent,
+  updateWebhookEvent,
+  releaseWebhookEvent,
+} = require('../../../../src/services/webhooks/webhook-events');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+describe('Webhook Events', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+
+  describe('resolveWebhookEventId', () => {
+    test('should prefer the event ID sent by ERPNext', () => {
+      expect(resolveWebhookEventId('stock', { itemCode: 'ITEM-001', event_id: 'evt-1' }))
+        .toEqual({ eventId: 'evt-1', derived: false, generated: false });
+    });
+
+    test('should derive a stable event ID from the payload and modified timestamp', () => {
+      const modified = '2024-01-15 10:30:00';
+      const first = resolveWebhookEventId('stock', { action: 'update', itemCode: 'ITEM-001', modified });
+      const retry = resolveWebhookEventId('stock', { itemCode: 'ITEM-001', modified });
+
+      expect(first).toEqual({
+        eventId: expect.stringMatching(/^derived:[a-f0-9]{64}$/),
+        derived: true,
+        generated: false,
+      });
+      expect(retry.eventId).toBe(first.eventId);
+      expect(resolveWebhookEventId('price', { itemCode: 'ITEM-001', modified }).eventId).not.toBe(first.eventId);
+      expect(resolveWebhookEventId('stock', { itemCode: 'ITEM-001', modified: '2024-01-15 10:31:00' }).eventId)
+        .not.toBe(first.eventId);
+    });
+
+    test('should generate a new event ID per request without event_id and modified', () => {
+      const first = resolveWebhookEventId('stock', { action: 'update', itemCode: 'ITEM-001' });
+      const next = resolveWebhookEventId('stock', { action: 'update', itemCode: 'ITEM-001' });
+
+      expect(first).toEqual({ eventId: expect.any(String), derived: false, generated: true });
+      expect(next.eventId).not.toBe(first.eventId);
+    });
+  });
+
+  describe('claimWebhookEvent', () => {
+    test('should claim an event once and return the original record afterwards', async () => {
+      const claim = await claimWebhookEvent('evt-1', 'stock');
+      expect(claim).toEqual({
+        duplicate: false,
+        event: expect.objectContaining({ eventId: 'evt-1', entityType: 'stock', status: 'queued' }),
+      });
+
+      await updateWebhookEvent('evt-1', { status: 'processed', result: { changed: true } });
+
+      const duplicate = await claimWebhookEvent('evt-1', 'stock');
+      expect(duplicate.duplicate).toBe(true);
+      expect(duplicate.event).toMatchObject({ status: 'processed', result: { changed: true } });
+    });
+
+    test('should keep derived event IDs for a shorter time', async () => {
+      await claimWebhookEvent('evt-1', 'stock');
+      await claimWebhookEvent('derived:abc', 'stock', true);
+
+      expect(await redis.pttl('webhook:event:evt-1')).toBeGreaterThan((WEBHOOK_EVENT_TTL_SECONDS - 5) * 1000);
+      expect(await redis.pttl('webhook:event:derived:abc')).toBeLessThanOrEqual(WEBHOOK_DERIVED_EVENT_TTL_SECONDS * 1000);
+    });
+
+    test('should accept the event again once released', async () => {
+      await claimWebhookEvent('evt-1', 'stock');
+      await releaseWebhookEvent('evt-1');
+
+      expect((await claimWebhookEvent('evt-1', 'stock')).duplicate).toBe(false);
+    });
+  });
+
+  describe('updateWebhookEvent', () => {
+    test('should keep the remaining TTL of the record', async () => {
+      await claimWebhookEvent('derived:abc', 'stock', true);
+
+      await updateWebhookEvent('derived:abc', { status: 'processed' });
+
+      expect(await redis.pttl('webhook:event:derived:abc')).toBeLessThanOrEqual(WEBHOOK_DERIVED_EVENT_TTL_SECONDS * 1000);
+      expect(await getWebhookEvent('derived:abc')).toMatchObject({ entityType: 'stock', status: 'processed' });
+    });
+
+    test('should create a record for an unknown event', async () => {
+      expect(await getWebhookEvent('evt-2')).toBeNull();
+
+      await updateWebhookEvent('evt-2', { status: 'failed', error: 'ERPNext down' });
+
+      expect(await getWebhookEvent('evt-2')).toEqual({ eventId: 'evt-2', status: 'failed', error: 'ERPNext down' });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'event-1'),
+}));
+jest.mock('../../../../src/services/redis/client');
+jest.mock('../../../../src/services/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.mock('../../../../src/services/webhooks/unified-handler', () => ({
+  processWebhook: jest.fn(),
+}));
+
+const { getRedisClient } = require('../../../../src/services/redis/client');
+const { processWebhook } = require('../../../../src/services/webhooks/unified-handler');
+const {
+  WEBHOOK_QUEUE_STREAM,
+  WEBHOOK_DEAD_LETTER_STREAM,
+  WEBHOOK_RETRY_KEY,
+  WEBHOOK_MAX_ATTEMPTS,
+  getRetryDelay,
+  ensureConsumerGroup,
+  enqueueWebhook,
+  promoteDueRetries,
+  reclaimStalledEntries,
+  removeIdleConsumers,
+  pollWebhookQueue,
+  getWebhookQueueStats,
+  listDeadLetters,
+  replayDeadLetter,
+} = require('../../../../src/services/webhooks/webhook-queue');
+const { getWebhookEvent, updateWebhookEvent } = require('../../../../src/services/webhooks/webhook-events');
+const { INSTANCE_ID } = require('../../../../src/services/scheduled/job-lock');
+const { createFakeRedis } = require('../../../helpers/fake-redis');
+
+/**
+ * Run the worker until the queue is empty, promoting every scheduled retry immediately
+ */
+async function drainWithRetries(redis) {
+  for (let i = 0; i < 20; i++) {
+    await promoteDueRetries(Infinity);
+    if (await pollWebhookQueue(redis, 0) === 0 && await redis.zcard(WEBHOOK_RETRY_KEY) === 0) {
+      return;
+    }
+  }
+}
+
+describe('Webhook Queue', () => {
+  let redis;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+    await ensureConsumerGroup();
+  });
+
+  test('should acknowledge a webhook immediately and process it in the worker', async () => {
+    processWebhook.mockResolvedValue({ changed: true, version: '2', streamId: '1-0' });
+
+    const queued = await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    expect(queued).toEqual({ eventId: 'event-1', queueId: expect.any(String) });
+    expect(processWebhook).not.toHaveBeenCalled();
+
+    expect(await pollWebhookQueue(redis, 0)).toBe(1);
+
+    expect(processWebhook).toHaveBeenCalledWith('stock', { itemCode: 'ITEM-001' }, 'event-1');
+    expect(await getWebhookQueueStats()).toEqual({ queued: 0, retrying: 0, deadLetters: 0 });
+    expect(await redis.xpending(WEBHOOK_QUEUE_STREAM, 'webhook-workers', '-', '+', 10)).toEqual([]);
+    expect(await getWebhookEvent('event-1')).toMatchObject({
+      status: 'processed',
+      result: { changed: true, version: '2', streamId: '1-0' },
+    });
+  });
+
+  test('should acknowledge an already processed event without processing it again', async () => {
+    await updateWebhookEvent('event-1', { status: 'processed', result: { changed: true } });
+
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    expect(await pollWebhookQueue(redis, 0)).toBe(1);
+
+    expect(processWebhook).not.toHaveBeenCalled();
+    expect(await getWebhookQueueStats()).toEqual({ queued: 0, retrying: 0, deadLetters: 0 });
+  });
+
+  test('should keep events queued before the consumer group existed', async () => {
+    const fresh = createFakeRedis();
+    getRedisClient.mockReturnValue(fresh);
+    processWebhook.mockResolvedValue({ changed: false });
+
+    await enqueueWebhook('bundle', {});
+    await ensureConsumerGroup();
+    await ensureConsumerGroup();
+
+    expect(await pollWebhookQueue(fresh, 0)).toBe(1);
+  });
+
+  test('should schedule a retry with exponential backoff when processing fails', async () => {
+    processWebhook.mockRejectedValueOnce(new Error('ERPNext timeout'));
+    const now = Date.now();
+
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    await pollWebhookQueue(redis, 0);
+
+    const [member] = await redis.zrangebyscore(WEBHOOK_RETRY_KEY, '-inf', '+inf');
+    expect(JSON.parse(member)).toMatchObject({
+      eventId: 'event-1',
+      entityType: 'stock',
+      payload: { itemCode: 'ITEM-001' },
+      attempts: 1,
+      lastError: 'ERPNext timeout',
+    });
+    expect(redis.sortedSets.get(WEBHOOK_RETRY_KEY).get(member)).toBeGreaterThanOrEqual(now + getRetryDelay(1));
+    expect(await redis.xlen(WEBHOOK_QUEUE_STREAM)).toBe(0);
+
+    // Not due yet
+    expect(await promoteDueRetries(now)).toBe(0);
+
+    processWebhook.mockResolvedValueOnce({ changed: true });
+    expect(await promoteDueRetries(now + getRetryDelay(1) + 1000)).toBe(1);
+    expect(await pollWebhookQueue(redis, 0)).toBe(1);
+
+    expect(processWebhook).toHaveBeenCalledTimes(2);
+    expect(await getWebhookQueueStats()).toEqual({ queued: 0, retrying: 0, deadLetters: 0 });
+  });
+
+  test('should double the retry delay up to the maximum', () => {
+    expect(getRetryDelay(1)).toBe(1000);
+    expect(getRetryDelay(2)).toBe(2000);
+    expect(getRetryDelay(4)).toBe(8000);
+    expect(getRetryDelay(20)).toBe(300000);
+  });
+
+  test('should move an event to the dead-letter stream after the last attempt', async () => {
+    processWebhook.mockRejectedValue(new Error('Item not found'));
+
+    await enqueueWebhook('stock', { itemCode: 'ITEM-404' });
+    await drainWithRetries(redis);
+
+    expect(processWebhook).toHaveBeenCalledTimes(WEBHOOK_MAX_ATTEMPTS);
+    expect(await getWebhookQueueStats()).toEqual({ queued: 0, retrying: 0, deadLetters: 1 });
+
+    expect(await getWebhookEvent('event-1')).toMatchObject({ status: 'failed', error: 'Item not found' });
+
+    const { deadLetters, total, nextCursor } = await listDeadLetters();
+    expect(total).toBe(1);
+    expect(nextCursor).toBeNull();
+    expect(deadLetters[0]).toMatchObject({
+      eventId: 'event-1',
+      entityType: 'stock',
+      payload: { itemCode: 'ITEM-404' },
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      lastError: 'Item not found',
+      failedAt: expect.any(String),
+    });
+  });
+
+  test('should treat a handler error result as a failure', async () => {
+    processWebhook.mockResolvedValue({ changed: false, error: 'No bundle images found' });
+
+    await enqueueWebhook('bundle', {});
+    await pollWebhookQueue(redis, 0);
+
+    const [member] = await redis.zrangebyscore(WEBHOOK_RETRY_KEY, '-inf', '+inf');
+    expect(JSON.parse(member).lastError).toBe('No bundle images found');
+  });
+
+  test('should page dead letters oldest first', async () => {
+    for (const itemCode of ['A', 'B', 'C']) {
+      await redis.xadd(WEBHOOK_DEAD_LETTER_STREAM, '*', 'event_id', itemCode, 'entity_type', 'stock',
+        'payload', JSON.stringify({ itemCode }), 'attempts', '5');
+    }
+
+    const first = await listDeadLetters(null, 2);
+    expect(first.deadLetters.map((entry) => entry.eventId)).toEqual(['A', 'B']);
+    expect(first.total).toBe(3);
+
+    const second = await listDeadLetters(first.nextCursor, 2);
+    expect(second.deadLetters.map((entry) => entry.eventId)).toEqual(['C']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('should replay a dead letter with a fresh attempt count', async () => {
+    processWebhook.mockRejectedValue(new Error('ERPNext down'));
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    await drainWithRetries(redis);
+
+    const { deadLetters } = await listDeadLetters();
+    processWebhook.mockReset();
+    processWebhook.mockResolvedValue({ changed: true });
+
+    const replayed = await replayDeadLetter(deadLetters[0].id);
+    expect(replayed).toEqual({ eventId: 'event-1', queueId: expect.any(String) });
+    expect(await getWebhookQueueStats()).toEqual({ queued: 1, retrying: 0, deadLetters: 0 });
+
+    const [[, fields]] = await redis.xrange(WEBHOOK_QUEUE_STREAM, '-', '+');
+    expect(fields).toEqual(expect.arrayContaining(['attempts', '0']));
+
+    expect((await getWebhookEvent('event-1')).status).toBe('queued');
+
+    await pollWebhookQueue(redis, 0);
+    expect(processWebhook).toHaveBeenCalledWith('stock', { itemCode: 'ITEM-001' }, 'event-1');
+
+    // Already replayed
+    expect(await replayDeadLetter(deadLetters[0].id)).toBeNull();
+  });
+
+  test('should move a dead letter to the queue in one step when replays run concurrently', async () => {
+    processWebhook.mockRejectedValue(new Error('ERPNext down'));
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    await drainWithRetries(redis);
+    const { deadLetters } = await listDeadLetters();
+    const xdelCalls = redis.calls.xdel;
+
+    const replays = await Promise.all([replayDeadLetter(deadLetters[0].id), replayDeadLetter(deadLetters[0].id)]);
+
+    expect(replays.filter(Boolean)).toHaveLength(1);
+    expect(redis.calls.xdel).toBe(xdelCalls);
+    expect(await getWebhookQueueStats()).toEqual({ queued: 1, retrying: 0, deadLetters: 0 });
+  });
+
+  test('should return null when replaying an unknown dead letter', async () => {
+    expect(await replayDeadLetter('1-0')).toBeNull();
+  });
+
+  test('should reclaim events left unacknowledged by a stopped worker', async () => {
+    processWebhook.mockResolvedValue({ changed: true });
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+
+    // Delivered to a worker that died before acknowledging
+    await redis.xreadgroup('GROUP', 'webhook-workers', 'dead-worker', 'COUNT', 10, 'STREAMS', WEBHOOK_QUEUE_STREAM, '>');
+    expect(await reclaimStalledEntries()).toBe(0);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 120000;
+    try {
+      expect(await reclaimStalledEntries()).toBe(1);
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(processWebhook).toHaveBeenCalledTimes(1);
+    expect(await redis.xpending(WEBHOOK_QUEUE_STREAM, 'webhook-workers', '-', '+', 10)).toEqual([]);
+    expect(await redis.xlen(WEBHOOK_QUEUE_STREAM)).toBe(0);
+  });
+
+  test('should queue a due retry once when instances promote it concurrently', async () => {
+    processWebhook.mockRejectedValueOnce(new Error('ERPNext timeout'));
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    await pollWebhookQueue(redis, 0);
+
+    const promoted = await Promise.all([promoteDueRetries(Infinity), promoteDueRetries(Infinity)]);
+
+    expect(promoted[0] + promoted[1]).toBe(1);
+    expect(redis.calls.zrem).toBeUndefined();
+    expect(await getWebhookQueueStats()).toEqual({ queued: 1, retrying: 0, deadLetters: 0 });
+  });
+
+  test('should remove consumers of stopped workers once their entries are reclaimed', async () => {
+    processWebhook.mockResolvedValue({ changed: true });
+    await enqueueWebhook('stock', { itemCode: 'ITEM-001' });
+    await redis.xreadgroup('GROUP', 'webhook-workers', 'dead-worker', 'COUNT', 10, 'STREAMS', WEBHOOK_QUEUE_STREAM, '>');
+    await redis.xreadgroup('GROUP', 'webhook-workers', 'old-worker', 'COUNT', 10, 'STREAMS', WEBHOOK_QUEUE_STREAM, '>');
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 120000;
+    try {
+      // dead-worker is kept while it holds an unacknowledged event
+      expect(await removeIdleConsumers()).toBe(1);
+      expect(await reclaimStalledEntries()).toBe(1);
+      expect(await removeIdleConsumers()).toBe(1);
+      // The consumer of this instance is never removed
+      expect(await removeIdleConsumers(0)).toBe(0);
+    } finally {
+      Date.now = realNow;
+    }
+
+    const consumers = await redis.xinfo('CONSUMERS', WEBHOOK_QUEUE_STREAM, 'webhook-workers');
+    expect(consumers.map(([, name]) => name)).toEqual([INSTANCE_ID]);
+  });
+});
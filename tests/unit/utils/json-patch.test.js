@@ -0,0 +1,58 @@
+const { createPatch, applyPatch } = require('../../../src/utils/json-patch');
+
+describe('JSON Patch Utilities', () => {
+  const product = {
+    erpnext_name: 'WEB-ITM-0002',
+    description: 'Whey isolate',
+    nutrition: { protein: 25, 'carbs/serving': 2 },
+    variants: [{ size: '2lb', price: 40 }, { size: '5lb', price: 80 }],
+    benefits: ['recovery'],
+    legacy: true,
+  };
+
+  describe('createPatch', () => {
+    test('should emit add, remove and replace operations with escaped pointers', () => {
+      const updated = {
+        ...product,
+        description: 'Whey isolate, chocolate',
+        nutrition: { protein: 26, 'carbs/serving': 2, 'sugar~g': 1 },
+        variants: [{ size: '2lb', price: 42 }, { size: '5lb', price: 80 }],
+        benefits: ['recovery', 'lean mass'],
+      };
+      delete updated.legacy;
+
+      expect(createPatch(product, updated)).toEqual([
+        { op: 'remove', path: '/legacy' },
+        { op: 'replace', path: '/description', value: 'Whey isolate, chocolate' },
+        { op: 'replace', path: '/nutrition/protein', value: 26 },
+        { op: 'add', path: '/nutrition/sugar~0g', value: 1 },
+        { op: 'replace', path: '/variants/0/price', value: 42 },
+        { op: 'replace', path: '/benefits', value: ['recovery', 'lean mass'] },
+      ]);
+    });
+
+    test('should return an empty patch for equal documents', () => {
+      expect(createPatch(product, JSON.parse(JSON.stringify(product)))).toEqual([]);
+    });
+  });
+
+  describe('applyPatch', () => {
+    test('should round-trip generated patches without mutating the input', () => {
+      const updated = {
+        ...product,
+        nutrition: { 'carbs/serving': 3 },
+        variants: [{ size: '2lb', price: 40 }],
+        image: null,
+      };
+      const original = JSON.parse(JSON.stringify(product));
+
+      expect(applyPatch(product, createPatch(product, updated))).toEqual(updated);
+      expect(product).toEqual(original);
+    });
+
+    test('should reject paths that do not exist', () => {
+      expect(() => applyPatch(product, [{ op: 'replace', path: '/missing/field', value: 1 }]))
+        .toThrow('Invalid patch path: /missing/field');
+    });
+  });
+});